@@ -142,6 +142,56 @@ async function getClient() {
   return client;
 }
 
+/**
+ * Código del tenant a partir de su schema (tenant_<código>)
+ * Las consultas a public.tenants filtran por tenant_code para usar su índice
+ * @param {string} tenantSchema - Schema del tenant
+ * @returns {string} Código del tenant
+ */
+function tenantCodeFromSchema(tenantSchema) {
+  return tenantSchema.replace(/^tenant_/, '');
+}
+
+/**
+ * Ejecutar una función dentro de una transacción con un cliente dedicado
+ * Todas las consultas de fn deben usar el cliente recibido (no query()), de lo contrario
+ * se ejecutan en otra conexión del pool y quedan fuera de la transacción.
+ * @param {string|null} tenantSchema - Schema del tenant (se fija como search_path local) o null
+ * @param {Function} fn - async (client) => resultado
+ * @returns {Promise<*>} Resultado de fn
+ */
+async function withTransaction(tenantSchema, fn) {
+  if (tenantSchema && !/^tenant_[a-z0-9_]+$/.test(tenantSchema)) {
+    throw new Error(`Schema de tenant inválido: ${tenantSchema}`);
+  }
+
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    if (tenantSchema) {
+      await client.query(`SET LOCAL search_path TO "${tenantSchema}", public`);
+    }
+
+    const result = await fn(client);
+
+    await client.query('COMMIT');
+    return result;
+
+  } catch (err) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackErr) {
+      console.error('💥 Error en ROLLBACK:', rollbackErr.message);
+    }
+    throw err;
+
+  } finally {
+    client.release();
+  }
+}
+
 /**
  * Función para cerrar todas las conexiones del pool
  * Útil para shutdown graceful
@@ -186,6 +236,8 @@ module.exports = {
   pool,
   query,
   getClient,
+  withTransaction,
+  tenantCodeFromSchema,
   testConnection,
   closePool,
   getPoolStats,
@@ -0,0 +1,131 @@
+// =====================================================================================
+// FLUXION AI - ROLES Y PERMISOS
+// Permisos por rol de tenant_users.role y resolución con overrides por usuario
+// =====================================================================================
+
+/**
+ * Permisos con formato 'recurso:acción'
+ * Se aceptan comodines: '*' (todo), 'recurso:*' y '*:acción'
+ */
+const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  manager: [
+    'products:*',
+    'clients:*',
+    'sales:*',
+    'inventory:*',
+    'insights:*',
+    'dashboard:*',
+    'suppliers:*',
+    'purchases:*',
+    'warehouses:*',
+    'returns:*',
+    'price_lists:*',
+    'promotions:*',
+    'exchange_rates:*',
+    'taxes:*',
+    'usage:read',
+    'audit:read'
+  ],
+  user: [
+    'products:read',
+    'clients:read',
+    'clients:create',
+    'clients:update',
+    'sales:read',
+    'sales:create',
+    'sales:payment',
+    'sales:invoice',
+    'inventory:read',
+    'inventory:count',
+    'insights:read',
+    'insights:update',
+    'dashboard:read',
+    'suppliers:read',
+    'purchases:read',
+    'warehouses:read',
+    'returns:read',
+    'price_lists:read',
+    'promotions:read',
+    'exchange_rates:read',
+    'taxes:read',
+    'usage:read'
+  ],
+  viewer: ['*:read']
+};
+
+/**
+ * Recursos que '*:acción' no cubre: deben concederse por nombre ('audit:read')
+ * o con el comodín total '*'
+ */
+const EXPLICIT_RESOURCES = ['audit'];
+
+/**
+ * Verificar si un patrón de permiso cubre un permiso concreto
+ * @param {string} pattern - Patrón (ej: 'sales:*', '*:read', '*')
+ * @param {string} permission - Permiso solicitado (ej: 'sales:cancel')
+ * @returns {boolean} True si el patrón cubre el permiso
+ */
+function matchesPermission(pattern, permission) {
+  if (pattern === '*' || pattern === permission) {
+    return true;
+  }
+
+  const [patternResource, patternAction] = pattern.split(':');
+  const [resource, action] = permission.split(':');
+
+  if (patternResource === '*' && EXPLICIT_RESOURCES.includes(resource)) {
+    return false;
+  }
+
+  return (patternResource === '*' || patternResource === resource) &&
+    (patternAction === '*' || patternAction === action);
+}
+
+/**
+ * Verificar si un usuario tiene un permiso
+ * tenant_users.permissions es un objeto { 'permiso': true|false } que concede
+ * o revoca permisos sobre los del rol; una revocación explícita siempre gana
+ * @param {Object} user - Usuario con role y permissions
+ * @param {string} permission - Permiso solicitado
+ * @returns {boolean} True si el usuario tiene el permiso
+ */
+function hasPermission(user, permission) {
+  if (!user) {
+    return false;
+  }
+
+  const overrides = user.permissions || {};
+  const overridePatterns = Object.keys(overrides);
+
+  if (overridePatterns.some(pattern => overrides[pattern] === false && matchesPermission(pattern, permission))) {
+    return false;
+  }
+
+  if (overridePatterns.some(pattern => overrides[pattern] === true && matchesPermission(pattern, permission))) {
+    return true;
+  }
+
+  const rolePermissions = ROLE_PERMISSIONS[user.role] || [];
+  return rolePermissions.some(pattern => matchesPermission(pattern, permission));
+}
+
+/**
+ * Obtener la lista efectiva de permisos de rol y overrides de un usuario
+ * @param {Object} user - Usuario con role y permissions
+ * @returns {Object} Permisos del rol y overrides
+ */
+function describePermissions(user) {
+  return {
+    role: user.role,
+    role_permissions: ROLE_PERMISSIONS[user.role] || [],
+    overrides: user.permissions || {}
+  };
+}
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  matchesPermission,
+  hasPermission,
+  describePermissions
+};
@@ -0,0 +1,41 @@
+// =====================================================================================
+// FLUXION AI - PLANES DE SUSCRIPCIÓN
+// Límites de uso de la API por plan de tenants.plan (basic, pro, enterprise)
+// =====================================================================================
+
+/**
+ * Ventana del rate limiting en milisegundos (por defecto 15 minutos)
+ */
+const RATE_LIMIT_WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 900000;
+
+/**
+ * Requests permitidas por ventana para cada plan
+ * El plan basic usa RATE_LIMIT_MAX_REQUESTS; los demás escalan sobre él si no se configuran
+ */
+const BASIC_MAX_REQUESTS = parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100;
+
+const PLAN_RATE_LIMITS = {
+  demo: BASIC_MAX_REQUESTS,
+  basic: BASIC_MAX_REQUESTS,
+  pro: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS_PRO) || BASIC_MAX_REQUESTS * 5,
+  enterprise: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS_ENTERPRISE) || BASIC_MAX_REQUESTS * 20
+};
+
+/**
+ * Obtener el límite de requests de un plan (planes desconocidos usan basic)
+ * @param {string} plan - Plan del tenant
+ * @returns {Object} Límite y ventana en milisegundos
+ */
+function getPlanRateLimit(plan) {
+  return {
+    plan: PLAN_RATE_LIMITS[plan] ? plan : 'basic',
+    limit: PLAN_RATE_LIMITS[plan] || PLAN_RATE_LIMITS.basic,
+    windowMs: RATE_LIMIT_WINDOW_MS
+  };
+}
+
+module.exports = {
+  RATE_LIMIT_WINDOW_MS,
+  PLAN_RATE_LIMITS,
+  getPlanRateLimit
+};
@@ -0,0 +1,311 @@
+// =====================================================================================
+// FLUXION AI - TENANT SCHEMA DRIFT CHECKER
+// Compara las columnas reales de un schema de tenant con las que usan los modelos
+// =====================================================================================
+
+const { query } = require('../config/database.cjs');
+
+/**
+ * Contrato de columnas por tabla: lo que leen o escriben los modelos
+ * Al agregar una columna a un modelo, agregarla aquí y crear su migración en tenant-migrations/
+ */
+const MODEL_CONTRACT = {
+  products: {
+    model: 'Product',
+    columns: [
+      'id', 'sku', 'name', 'category', 'brand', 'cost_price', 'selling_price',
+      'current_stock', 'min_stock_threshold', 'max_stock_threshold',
+      'preferred_supplier_id', 'average_cost', 'tax_rate_id', 'active', 'created_at', 'updated_at'
+    ]
+  },
+  clients: {
+    model: 'Client',
+    columns: [
+      'id', 'client_code', 'business_name', 'contact_person', 'email', 'phone', 'whatsapp',
+      'address', 'city', 'state', 'client_type', 'credit_limit', 'payment_terms', 'active',
+      'created_at', 'updated_at'
+    ]
+  },
+  sales: {
+    model: 'Sales',
+    columns: [
+      'id', 'sale_number', 'client_id', 'sale_date', 'total_amount', 'tax_amount',
+      'discount_amount', 'payment_status', 'payment_method', 'notes', 'warehouse_id',
+      'due_date', 'amount_paid', 'currency', 'exchange_rate', 'prices_include_tax', 'created_at'
+    ],
+    defaults: {
+      payment_status: 'pendiente'
+    }
+  },
+  sale_details: {
+    model: 'Sales',
+    columns: [
+      'id', 'sale_id', 'product_id', 'quantity', 'unit_price', 'total_price',
+      'cost_of_goods', 'gross_margin', 'price_list_id', 'discount_amount', 'tax_rate_id',
+      'tax_rate', 'tax_amount'
+    ]
+  },
+  inventory_movements: {
+    model: 'Inventory',
+    columns: [
+      'id', 'product_id', 'warehouse_id', 'movement_type', 'quantity', 'previous_stock', 'new_stock',
+      'cost_per_unit', 'reference_type', 'reference_id', 'notes', 'created_at'
+    ]
+  },
+  insights: {
+    model: 'Insights',
+    columns: [
+      'id', 'insight_id', 'triggered_by', 'type', 'priority', 'title', 'description',
+      'recommendation', 'business_impact', 'confidence', 'channels', 'status', 'data',
+      'expires_at', 'is_active', 'created_at'
+    ]
+  },
+  suppliers: {
+    model: 'Supplier',
+    columns: [
+      'id', 'supplier_code', 'business_name', 'contact_person', 'email', 'phone',
+      'address', 'city', 'state', 'tax_id', 'payment_terms', 'lead_time_days', 'notes',
+      'active', 'created_at', 'updated_at'
+    ]
+  },
+  purchase_orders: {
+    model: 'PurchaseOrder',
+    columns: [
+      'id', 'po_number', 'supplier_id', 'status', 'order_date', 'expected_date',
+      'total_amount', 'notes', 'created_by', 'approved_by', 'approved_at', 'received_at',
+      'cancelled_reason', 'created_at', 'updated_at'
+    ]
+  },
+  purchase_order_lines: {
+    model: 'PurchaseOrder',
+    columns: [
+      'id', 'purchase_order_id', 'product_id', 'quantity_ordered', 'quantity_received',
+      'unit_cost', 'line_total'
+    ]
+  },
+  warehouses: {
+    model: 'Warehouse',
+    columns: [
+      'id', 'warehouse_code', 'name', 'address', 'city', 'state', 'is_default', 'active',
+      'sellable', 'created_at', 'updated_at'
+    ]
+  },
+  product_stock: {
+    model: 'Warehouse',
+    columns: ['product_id', 'warehouse_id', 'quantity', 'min_stock_threshold', 'updated_at']
+  },
+  stock_transfers: {
+    model: 'Inventory',
+    columns: ['id', 'from_warehouse_id', 'to_warehouse_id', 'notes', 'created_by', 'created_at']
+  },
+  product_lots: {
+    model: 'Inventory',
+    columns: [
+      'id', 'product_id', 'warehouse_id', 'lot_number', 'expiry_date', 'quantity_received',
+      'quantity_remaining', 'cost_per_unit', 'received_at'
+    ]
+  },
+  inventory_movement_lots: {
+    model: 'Inventory',
+    columns: ['id', 'movement_id', 'lot_id', 'quantity']
+  },
+  cost_layers: {
+    model: 'Inventory',
+    columns: [
+      'id', 'product_id', 'warehouse_id', 'movement_id', 'unit_cost',
+      'quantity_received', 'quantity_remaining', 'received_at'
+    ]
+  },
+  inventory_movement_costs: {
+    model: 'Inventory',
+    columns: ['id', 'movement_id', 'layer_id', 'quantity', 'unit_cost']
+  },
+  stock_counts: {
+    model: 'StockCount',
+    columns: [
+      'id', 'warehouse_id', 'category', 'status', 'notes', 'created_by', 'submitted_at',
+      'posted_by', 'posted_at', 'cancelled_reason', 'created_at', 'updated_at'
+    ]
+  },
+  stock_count_lines: {
+    model: 'StockCount',
+    columns: [
+      'id', 'stock_count_id', 'product_id', 'expected_quantity', 'counted_quantity', 'unit_cost',
+      'approved', 'reason_code', 'movement_id', 'adjustment_value'
+    ]
+  },
+  stock_count_entries: {
+    model: 'StockCount',
+    columns: ['id', 'line_id', 'counted_quantity', 'expected_quantity', 'counted_by', 'notes', 'created_at']
+  },
+  payments: {
+    model: 'Payment',
+    columns: [
+      'id', 'sale_id', 'client_id', 'amount', 'payment_method', 'reference', 'payment_date',
+      'notes', 'created_by', 'voided_at', 'voided_reason', 'credit_note_id', 'currency',
+      'exchange_rate', 'tendered_amount', 'created_at'
+    ]
+  },
+  sale_returns: {
+    model: 'SaleReturn',
+    columns: [
+      'id', 'return_number', 'sale_id', 'client_id', 'return_date', 'reason', 'notes',
+      'total_amount', 'created_by', 'created_at'
+    ]
+  },
+  sale_return_lines: {
+    model: 'SaleReturn',
+    columns: [
+      'id', 'return_id', 'sale_detail_id', 'product_id', 'quantity', 'unit_price', 'line_amount',
+      'cost_of_goods', 'condition', 'warehouse_id', 'movement_id'
+    ]
+  },
+  credit_notes: {
+    model: 'SaleReturn',
+    columns: [
+      'id', 'credit_note_number', 'return_id', 'sale_id', 'client_id', 'issue_date', 'amount',
+      'applied_amount', 'status', 'created_at'
+    ]
+  },
+  price_lists: {
+    model: 'PriceList',
+    columns: [
+      'id', 'name', 'client_type', 'client_id', 'valid_from', 'valid_to', 'priority', 'active',
+      'notes', 'created_at', 'updated_at'
+    ]
+  },
+  price_list_items: {
+    model: 'PriceList',
+    columns: ['id', 'price_list_id', 'product_id', 'min_quantity', 'unit_price']
+  },
+  promotions: {
+    model: 'Promotion',
+    columns: [
+      'id', 'name', 'description', 'promotion_type', 'discount_value', 'buy_quantity', 'pay_quantity',
+      'bundle_price', 'category', 'client_type', 'min_quantity', 'valid_from', 'valid_to', 'priority',
+      'active', 'source_insight_id', 'created_at', 'updated_at'
+    ]
+  },
+  promotion_products: {
+    model: 'Promotion',
+    columns: ['id', 'promotion_id', 'product_id', 'quantity']
+  },
+  sale_detail_promotions: {
+    model: 'Sales',
+    columns: ['id', 'sale_detail_id', 'promotion_id', 'discount_amount', 'free_quantity', 'description']
+  },
+  exchange_rates: {
+    model: 'ExchangeRate',
+    columns: ['id', 'currency', 'rate_date', 'rate', 'source', 'created_by', 'created_at', 'updated_at']
+  },
+  tax_rates: {
+    model: 'Tax',
+    columns: [
+      'id', 'code', 'name', 'rate', 'exempt', 'is_default', 'active', 'notes', 'created_at', 'updated_at'
+    ]
+  },
+  category_tax_rates: {
+    model: 'Tax',
+    columns: ['id', 'category', 'tax_rate_id', 'created_at', 'updated_at']
+  },
+  invoices: {
+    model: 'Invoice',
+    columns: [
+      'id', 'invoice_number', 'sequence_number', 'sale_id', 'issue_date', 'company', 'client',
+      'issued_by', 'created_at'
+    ]
+  }
+};
+
+/**
+ * Extraer el literal de un default de PostgreSQL ('pendiente'::character varying -> pendiente)
+ * @param {string} columnDefault - Valor de information_schema.columns.column_default
+ * @returns {string|null} Literal o null
+ */
+function parseDefaultLiteral(columnDefault) {
+  if (!columnDefault) {
+    return null;
+  }
+  const match = columnDefault.match(/^'((?:[^']|'')*)'/);
+  return match ? match[1].replace(/''/g, "'") : columnDefault;
+}
+
+/**
+ * Comparar un schema de tenant con el contrato de los modelos
+ * @param {string} schemaName - Schema del tenant
+ * @returns {Promise<Object>} { schema_name, in_sync, missing_tables, missing_columns, blocking_columns, default_mismatches }
+ */
+async function checkSchemaDrift(schemaName) {
+  if (!/^tenant_[a-z0-9_]+$/.test(schemaName)) {
+    throw new Error(`Schema de tenant inválido: ${schemaName}`);
+  }
+
+  try {
+    const result = await query(`
+      SELECT table_name, column_name, is_nullable, column_default
+      FROM information_schema.columns
+      WHERE table_schema = $1
+    `, [schemaName]);
+
+    const actual = new Map();
+    result.rows.forEach(row => {
+      if (!actual.has(row.table_name)) {
+        actual.set(row.table_name, new Map());
+      }
+      actual.get(row.table_name).set(row.column_name, row);
+    });
+
+    const report = {
+      schema_name: schemaName,
+      missing_tables: [],
+      missing_columns: [],
+      blocking_columns: [],
+      default_mismatches: []
+    };
+
+    Object.entries(MODEL_CONTRACT).forEach(([table, contract]) => {
+      const columns = actual.get(table);
+
+      if (!columns) {
+        report.missing_tables.push({ table, model: contract.model });
+        return;
+      }
+
+      contract.columns
+        .filter(column => !columns.has(column))
+        .forEach(column => report.missing_columns.push({ table, column, model: contract.model }));
+
+      // Columnas NOT NULL sin default que los modelos no escriben: todo INSERT fallaría
+      columns.forEach((info, column) => {
+        if (info.is_nullable === 'NO' && info.column_default === null && !contract.columns.includes(column)) {
+          report.blocking_columns.push({ table, column, model: contract.model });
+        }
+      });
+
+      Object.entries(contract.defaults || {}).forEach(([column, expected]) => {
+        const info = columns.get(column);
+        const actualDefault = info ? parseDefaultLiteral(info.column_default) : null;
+        if (info && actualDefault !== expected) {
+          report.default_mismatches.push({ table, column, expected, actual: actualDefault, model: contract.model });
+        }
+      });
+    });
+
+    report.in_sync = report.missing_tables.length === 0 &&
+      report.missing_columns.length === 0 &&
+      report.blocking_columns.length === 0 &&
+      report.default_mismatches.length === 0;
+
+    return report;
+
+  } catch (error) {
+    console.error(`💥 Error verificando drift de ${schemaName}:`, error.message);
+    throw error;
+  }
+}
+
+module.exports = {
+  MODEL_CONTRACT,
+  parseDefaultLiteral,
+  checkSchemaDrift
+};
@@ -0,0 +1,209 @@
+// =====================================================================================
+// FLUXION AI - TENANT SCHEMA MIGRATIONS
+// Migraciones versionadas aplicadas a cada schema de tenant (database/tenant-migrations/)
+// =====================================================================================
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { query, withTransaction } = require('../config/database.cjs');
+
+/**
+ * Directorio con los archivos NNN_descripcion.sql
+ * Los archivos se escriben sin prefijo de schema: se ejecutan con search_path del tenant
+ */
+const MIGRATIONS_DIR = path.join(__dirname, 'tenant-migrations');
+
+const MIGRATION_FILE_PATTERN = /^(\d{3,})_[a-z0-9_]+\.sql$/;
+
+/**
+ * Tabla de control de migraciones dentro de cada schema de tenant
+ */
+const TENANT_MIGRATIONS_TABLE = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    id SERIAL PRIMARY KEY,
+    version VARCHAR(255) UNIQUE NOT NULL,
+    filename VARCHAR(255) NOT NULL,
+    executed_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    execution_time_ms INTEGER,
+    checksum VARCHAR(64)
+  );
+`;
+
+/**
+ * Calcular el checksum de una migración
+ * @param {string} content - Contenido SQL
+ * @returns {string} sha256 en hexadecimal
+ */
+function calculateChecksum(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Leer las migraciones disponibles ordenadas por versión
+ * @returns {Promise<Array>} [{ version, filename, sql, checksum }]
+ */
+async function loadMigrations() {
+  const files = await fs.readdir(MIGRATIONS_DIR);
+
+  const migrations = [];
+  for (const filename of files.filter(file => MIGRATION_FILE_PATTERN.test(file)).sort()) {
+    const sql = await fs.readFile(path.join(MIGRATIONS_DIR, filename), 'utf8');
+    migrations.push({
+      version: filename.replace(/\.sql$/, ''),
+      filename,
+      sql,
+      checksum: calculateChecksum(sql)
+    });
+  }
+
+  return migrations;
+}
+
+/**
+ * Obtener las migraciones ya aplicadas en un schema
+ * @param {string} schemaName - Schema del tenant
+ * @param {Object} db - Cliente de transacción opcional (por defecto el pool)
+ * @returns {Promise<Array>} [{ version, checksum, executed_at }]
+ */
+async function getAppliedMigrations(schemaName, db = null) {
+  const runQuery = db ? db.query.bind(db) : query;
+
+  const exists = await runQuery('SELECT to_regclass($1) IS NOT NULL as exists', [`"${schemaName}".schema_migrations`]);
+  if (!exists.rows[0].exists) {
+    return [];
+  }
+
+  const result = await runQuery(`
+    SELECT version, checksum, executed_at
+    FROM "${schemaName}".schema_migrations
+    ORDER BY version
+  `);
+
+  return result.rows;
+}
+
+/**
+ * Comparar migraciones disponibles con las aplicadas
+ * Falla si una migración aplicada cambió de contenido o ya no existe
+ * @param {Array} available - Migraciones del directorio
+ * @param {Array} applied - Migraciones registradas en el schema
+ * @returns {Array} Migraciones pendientes
+ */
+function getPendingMigrations(available, applied) {
+  const appliedByVersion = new Map(applied.map(migration => [migration.version, migration]));
+  const availableVersions = new Set(available.map(migration => migration.version));
+
+  for (const migration of available) {
+    const appliedMigration = appliedByVersion.get(migration.version);
+    if (appliedMigration && appliedMigration.checksum && appliedMigration.checksum !== migration.checksum) {
+      throw new Error(`La migración ${migration.version} fue modificada después de aplicarse (checksum distinto)`);
+    }
+  }
+
+  for (const migration of applied) {
+    if (!availableVersions.has(migration.version)) {
+      throw new Error(`La migración aplicada ${migration.version} no existe en ${path.basename(MIGRATIONS_DIR)}/`);
+    }
+  }
+
+  return available.filter(migration => !appliedByVersion.has(migration.version));
+}
+
+/**
+ * Aplicar una migración con el cliente dado (dentro de una transacción abierta)
+ * @param {Object} db - Cliente de transacción
+ * @param {string} schemaName - Schema del tenant
+ * @param {Object} migration - { version, filename, sql, checksum }
+ * @returns {Promise<Object>} { version, execution_time_ms }
+ */
+async function applyMigration(db, schemaName, migration) {
+  const startTime = Date.now();
+
+  await db.query(`SET LOCAL search_path TO "${schemaName}", public`);
+  await db.query(migration.sql);
+
+  const executionTime = Date.now() - startTime;
+
+  await db.query(`
+    INSERT INTO "${schemaName}".schema_migrations (version, filename, execution_time_ms, checksum)
+    VALUES ($1, $2, $3, $4)
+  `, [migration.version, migration.filename, executionTime, migration.checksum]);
+
+  console.log(`  ✅ ${schemaName}: ${migration.version} aplicada en ${executionTime}ms`);
+
+  return { version: migration.version, execution_time_ms: executionTime };
+}
+
+/**
+ * Llevar un schema de tenant a la última versión
+ * Cada migración se aplica en su propia transacción; con `db` todas se aplican
+ * dentro de la transacción del llamador (ej: creación de un tenant nuevo)
+ * @param {string} schemaName - Schema del tenant
+ * @param {Object} options - { dryRun, db }
+ * @returns {Promise<Object>} { schema_name, applied, pending, dry_run }
+ */
+async function migrateTenantSchema(schemaName, options = {}) {
+  const { dryRun = false, db = null } = options;
+
+  if (!/^tenant_[a-z0-9_]+$/.test(schemaName)) {
+    throw new Error(`Schema de tenant inválido: ${schemaName}`);
+  }
+
+  const available = await loadMigrations();
+
+  if (dryRun) {
+    const pending = getPendingMigrations(available, await getAppliedMigrations(schemaName, db));
+    return {
+      schema_name: schemaName,
+      applied: [],
+      pending: pending.map(migration => migration.version),
+      dry_run: true
+    };
+  }
+
+  const run = db
+    ? (fn) => fn(db)
+    : (fn) => withTransaction(schemaName, fn);
+
+  // Serializar ejecuciones concurrentes sobre el mismo schema y calcular pendientes bajo el lock
+  const pending = await run(async (client) => {
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`tenant_migrations:${schemaName}`]);
+    await client.query(`SET LOCAL search_path TO "${schemaName}", public`);
+    await client.query(TENANT_MIGRATIONS_TABLE);
+    return getPendingMigrations(available, await getAppliedMigrations(schemaName, client));
+  });
+
+  const applied = [];
+  for (const migration of pending) {
+    applied.push(await run(async (client) => {
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`tenant_migrations:${schemaName}`]);
+
+      const already = await client.query(
+        `SELECT 1 FROM "${schemaName}".schema_migrations WHERE version = $1`,
+        [migration.version]
+      );
+      if (already.rows.length > 0) {
+        return { version: migration.version, execution_time_ms: 0, skipped: true };
+      }
+
+      return applyMigration(client, schemaName, migration);
+    }));
+  }
+
+  return {
+    schema_name: schemaName,
+    applied: applied.filter(migration => !migration.skipped),
+    pending: [],
+    dry_run: false
+  };
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  calculateChecksum,
+  loadMigrations,
+  getAppliedMigrations,
+  getPendingMigrations,
+  migrateTenantSchema
+};
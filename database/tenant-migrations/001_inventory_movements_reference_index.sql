@@ -0,0 +1,7 @@
+-- =====================================================================================
+-- 001 - Índice para buscar movimientos de inventario por documento de origen
+-- (ventas canceladas, sincronizaciones, compras)
+-- =====================================================================================
+
+CREATE INDEX IF NOT EXISTS idx_inventory_reference
+    ON inventory_movements(reference_type, reference_id);
@@ -0,0 +1,46 @@
+-- =====================================================================================
+-- 002 - Alinear el schema del tenant con las columnas que usan los modelos
+-- inventory_movements: previous_stock, new_stock, cost_per_unit
+-- sale_details: total_price (line_total queda como columna heredada)
+-- sales.payment_status: estados en español ('pendiente', 'parcial', 'pagado', ...)
+-- =====================================================================================
+
+-- Movimientos de inventario
+ALTER TABLE inventory_movements
+    ADD COLUMN IF NOT EXISTS previous_stock INTEGER,
+    ADD COLUMN IF NOT EXISTS new_stock INTEGER,
+    ADD COLUMN IF NOT EXISTS cost_per_unit DECIMAL(15,2);
+
+-- El stock anterior/posterior de movimientos históricos no se puede reconstruir con certeza: queda NULL
+UPDATE inventory_movements
+SET cost_per_unit = cost_price
+WHERE cost_per_unit IS NULL AND cost_price IS NOT NULL;
+
+-- Detalles de venta
+ALTER TABLE sale_details
+    ADD COLUMN IF NOT EXISTS total_price DECIMAL(15,2);
+
+UPDATE sale_details
+SET total_price = COALESCE(line_total, quantity * unit_price - COALESCE(discount_amount, 0))
+WHERE total_price IS NULL;
+
+ALTER TABLE sale_details ALTER COLUMN total_price SET NOT NULL;
+ALTER TABLE sale_details ALTER COLUMN line_total DROP NOT NULL;
+
+-- Estados de pago
+UPDATE sales
+SET payment_status = CASE payment_status
+        WHEN 'pending' THEN 'pendiente'
+        WHEN 'partial' THEN 'parcial'
+        WHEN 'paid' THEN 'pagado'
+        WHEN 'overdue' THEN 'vencido'
+        WHEN 'cancelled' THEN 'cancelado'
+    END
+WHERE payment_status IN ('pending', 'partial', 'paid', 'overdue', 'cancelled');
+
+ALTER TABLE sales ALTER COLUMN payment_status SET DEFAULT 'pendiente';
+
+-- NOT VALID: se aplica a filas nuevas sin fallar por valores heredados desconocidos
+ALTER TABLE sales DROP CONSTRAINT IF EXISTS chk_sales_payment_status;
+ALTER TABLE sales ADD CONSTRAINT chk_sales_payment_status
+    CHECK (payment_status IN ('pendiente', 'parcial', 'pagado', 'vencido', 'cancelado')) NOT VALID;
@@ -0,0 +1,72 @@
+-- =====================================================================================
+-- 003 - Proveedores y órdenes de compra
+-- La recepción de una orden genera movimientos 'entrada' con reference_type = 'compra'
+-- =====================================================================================
+
+-- Tabla de proveedores
+CREATE TABLE IF NOT EXISTS suppliers (
+    id SERIAL PRIMARY KEY,
+    supplier_code VARCHAR(50) UNIQUE NOT NULL,
+    business_name VARCHAR(255) NOT NULL,
+    contact_person VARCHAR(255),
+    email VARCHAR(255),
+    phone VARCHAR(50),
+    address TEXT,
+    city VARCHAR(100),
+    state VARCHAR(100),
+    tax_id VARCHAR(50),
+    payment_terms INTEGER DEFAULT 30,
+    lead_time_days INTEGER DEFAULT 7,
+    notes TEXT,
+    active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tabla de órdenes de compra
+CREATE TABLE IF NOT EXISTS purchase_orders (
+    id SERIAL PRIMARY KEY,
+    po_number VARCHAR(100) UNIQUE NOT NULL,
+    supplier_id INTEGER NOT NULL REFERENCES suppliers(id),
+    status VARCHAR(50) NOT NULL DEFAULT 'borrador', -- 'borrador', 'aprobada', 'parcial', 'recibida', 'cancelada'
+    order_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    expected_date DATE,
+    total_amount DECIMAL(15,2) DEFAULT 0,
+    notes TEXT,
+    created_by INTEGER,
+    approved_by INTEGER,
+    approved_at TIMESTAMP WITH TIME ZONE,
+    received_at TIMESTAMP WITH TIME ZONE,
+    cancelled_reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_purchase_orders_status
+        CHECK (status IN ('borrador', 'aprobada', 'parcial', 'recibida', 'cancelada'))
+);
+
+-- Líneas de órdenes de compra
+CREATE TABLE IF NOT EXISTS purchase_order_lines (
+    id SERIAL PRIMARY KEY,
+    purchase_order_id INTEGER NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id),
+    quantity_ordered INTEGER NOT NULL CHECK (quantity_ordered > 0),
+    quantity_received INTEGER NOT NULL DEFAULT 0 CHECK (quantity_received >= 0),
+    unit_cost DECIMAL(15,2) NOT NULL CHECK (unit_cost >= 0),
+    line_total DECIMAL(15,2) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_purchase_order_lines_received CHECK (quantity_received <= quantity_ordered)
+);
+
+CREATE INDEX IF NOT EXISTS idx_suppliers_supplier_code ON suppliers(supplier_code);
+CREATE INDEX IF NOT EXISTS idx_suppliers_active ON suppliers(active);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_supplier_id ON purchase_orders(supplier_id);
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_status ON purchase_orders(status);
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_order_date ON purchase_orders(order_date);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_order_lines_po_id ON purchase_order_lines(purchase_order_id);
+CREATE INDEX IF NOT EXISTS idx_purchase_order_lines_product_id ON purchase_order_lines(product_id);
+
+COMMENT ON TABLE suppliers IS 'Proveedores del tenant';
+COMMENT ON TABLE purchase_orders IS 'Órdenes de compra a proveedores';
+COMMENT ON TABLE purchase_order_lines IS 'Líneas de cada orden de compra con cantidades recibidas';
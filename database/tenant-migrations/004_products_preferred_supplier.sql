@@ -0,0 +1,8 @@
+-- =====================================================================================
+-- 004 - Proveedor preferido por producto (lead time para sugerencias de reorden)
+-- =====================================================================================
+
+ALTER TABLE products
+    ADD COLUMN IF NOT EXISTS preferred_supplier_id INTEGER REFERENCES suppliers(id);
+
+CREATE INDEX IF NOT EXISTS idx_products_preferred_supplier_id ON products(preferred_supplier_id);
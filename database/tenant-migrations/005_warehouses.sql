@@ -0,0 +1,78 @@
+-- =====================================================================================
+-- 005 - Almacenes y stock por ubicación
+-- products.current_stock queda como el total: siempre igual a SUM(product_stock.quantity)
+-- Las transferencias generan dos movimientos 'transferencia' (salida en origen, entrada en destino)
+-- =====================================================================================
+
+-- Tabla de almacenes / ubicaciones
+CREATE TABLE IF NOT EXISTS warehouses (
+    id SERIAL PRIMARY KEY,
+    warehouse_code VARCHAR(50) UNIQUE NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    address TEXT,
+    city VARCHAR(100),
+    state VARCHAR(100),
+    is_default BOOLEAN NOT NULL DEFAULT false,
+    active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Un solo almacén predeterminado por tenant
+CREATE UNIQUE INDEX IF NOT EXISTS uq_warehouses_default ON warehouses(is_default) WHERE is_default;
+
+-- Stock por producto y almacén
+CREATE TABLE IF NOT EXISTS product_stock (
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    warehouse_id INTEGER NOT NULL REFERENCES warehouses(id),
+    quantity INTEGER NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+    min_stock_threshold INTEGER, -- NULL = usar el umbral del producto
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (product_id, warehouse_id)
+);
+
+-- Cabecera de transferencias; las líneas son los movimientos con reference_type = 'transferencia'
+CREATE TABLE IF NOT EXISTS stock_transfers (
+    id SERIAL PRIMARY KEY,
+    from_warehouse_id INTEGER NOT NULL REFERENCES warehouses(id),
+    to_warehouse_id INTEGER NOT NULL REFERENCES warehouses(id),
+    notes TEXT,
+    created_by INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_stock_transfers_locations CHECK (from_warehouse_id <> to_warehouse_id)
+);
+
+ALTER TABLE inventory_movements ADD COLUMN IF NOT EXISTS warehouse_id INTEGER REFERENCES warehouses(id);
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS warehouse_id INTEGER REFERENCES warehouses(id);
+
+-- Almacén predeterminado con todo el stock existente
+INSERT INTO warehouses (warehouse_code, name, is_default)
+SELECT 'PRINCIPAL', 'Almacén principal', true
+WHERE NOT EXISTS (SELECT 1 FROM warehouses WHERE is_default);
+
+INSERT INTO product_stock (product_id, warehouse_id, quantity)
+SELECT p.id, w.id, GREATEST(COALESCE(p.current_stock, 0), 0)
+FROM products p
+CROSS JOIN warehouses w
+WHERE w.is_default
+ON CONFLICT (product_id, warehouse_id) DO NOTHING;
+
+-- Stock negativo heredado no cabe en product_stock: se alinea el total con lo asignado
+UPDATE products SET current_stock = 0 WHERE current_stock < 0 OR current_stock IS NULL;
+
+UPDATE inventory_movements
+SET warehouse_id = (SELECT id FROM warehouses WHERE is_default)
+WHERE warehouse_id IS NULL;
+
+UPDATE sales
+SET warehouse_id = (SELECT id FROM warehouses WHERE is_default)
+WHERE warehouse_id IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_product_stock_warehouse_id ON product_stock(warehouse_id);
+CREATE INDEX IF NOT EXISTS idx_inventory_movements_warehouse_id ON inventory_movements(warehouse_id);
+CREATE INDEX IF NOT EXISTS idx_sales_warehouse_id ON sales(warehouse_id);
+CREATE INDEX IF NOT EXISTS idx_stock_transfers_created_at ON stock_transfers(created_at);
+
+COMMENT ON TABLE warehouses IS 'Almacenes y tiendas del tenant';
+COMMENT ON TABLE product_stock IS 'Stock por producto y almacén; la suma por producto es products.current_stock';
+COMMENT ON TABLE stock_transfers IS 'Transferencias de stock entre almacenes';
@@ -0,0 +1,38 @@
+-- =====================================================================================
+-- 006 - Lotes y fechas de vencimiento
+-- Cada lote vive en un almacén; la suma de quantity_remaining por producto y almacén nunca
+-- supera product_stock.quantity (la diferencia es stock sin lote, consumido después de los lotes)
+-- =====================================================================================
+
+-- Tabla de lotes por producto y almacén
+CREATE TABLE IF NOT EXISTS product_lots (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    warehouse_id INTEGER NOT NULL REFERENCES warehouses(id),
+    lot_number VARCHAR(100) NOT NULL,
+    expiry_date DATE,
+    quantity_received INTEGER NOT NULL DEFAULT 0 CHECK (quantity_received >= 0),
+    quantity_remaining INTEGER NOT NULL DEFAULT 0 CHECK (quantity_remaining >= 0),
+    cost_per_unit DECIMAL(15,2),
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT uq_product_lots_location UNIQUE (product_id, warehouse_id, lot_number)
+);
+
+-- Asignación de lotes por movimiento (con signo: positivo entra al lote, negativo sale)
+CREATE TABLE IF NOT EXISTS inventory_movement_lots (
+    id SERIAL PRIMARY KEY,
+    movement_id INTEGER NOT NULL REFERENCES inventory_movements(id) ON DELETE CASCADE,
+    lot_id INTEGER NOT NULL REFERENCES product_lots(id),
+    quantity INTEGER NOT NULL
+);
+
+-- Consumo FEFO: lotes con stock ordenados por vencimiento
+CREATE INDEX IF NOT EXISTS idx_product_lots_fefo
+    ON product_lots(product_id, warehouse_id, expiry_date)
+    WHERE quantity_remaining > 0;
+CREATE INDEX IF NOT EXISTS idx_product_lots_expiry_date ON product_lots(expiry_date) WHERE quantity_remaining > 0;
+CREATE INDEX IF NOT EXISTS idx_inventory_movement_lots_movement_id ON inventory_movement_lots(movement_id);
+CREATE INDEX IF NOT EXISTS idx_inventory_movement_lots_lot_id ON inventory_movement_lots(lot_id);
+
+COMMENT ON TABLE product_lots IS 'Lotes con fecha de vencimiento por producto y almacén';
+COMMENT ON TABLE inventory_movement_lots IS 'Lotes afectados por cada movimiento de inventario';
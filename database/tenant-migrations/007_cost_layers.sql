@@ -0,0 +1,55 @@
+-- =====================================================================================
+-- 007 - Capas de costo FIFO y costo de ventas
+-- Cada entrada crea una capa con su costo unitario; cada salida consume las capas más
+-- antiguas del almacén. La suma de quantity_remaining por producto y almacén es igual a
+-- product_stock.quantity
+-- =====================================================================================
+
+-- Capas de costo por producto y almacén
+CREATE TABLE IF NOT EXISTS cost_layers (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    warehouse_id INTEGER NOT NULL REFERENCES warehouses(id),
+    movement_id INTEGER REFERENCES inventory_movements(id) ON DELETE SET NULL,
+    unit_cost DECIMAL(15,4) NOT NULL DEFAULT 0 CHECK (unit_cost >= 0),
+    quantity_received INTEGER NOT NULL DEFAULT 0 CHECK (quantity_received >= 0),
+    quantity_remaining INTEGER NOT NULL DEFAULT 0 CHECK (quantity_remaining >= 0),
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Costo aplicado por movimiento (con signo: positivo entra a la capa, negativo sale).
+-- layer_id NULL = unidades sin capa valuadas al costo promedio del producto
+CREATE TABLE IF NOT EXISTS inventory_movement_costs (
+    id SERIAL PRIMARY KEY,
+    movement_id INTEGER NOT NULL REFERENCES inventory_movements(id) ON DELETE CASCADE,
+    layer_id INTEGER REFERENCES cost_layers(id),
+    quantity INTEGER NOT NULL,
+    unit_cost DECIMAL(15,4) NOT NULL
+);
+
+-- Costo promedio ponderado móvil (NULL = aún sin entradas valuadas, se usa cost_price)
+ALTER TABLE products ADD COLUMN IF NOT EXISTS average_cost DECIMAL(15,4);
+
+-- Costo de ventas y margen bruto por línea de venta
+ALTER TABLE sale_details ADD COLUMN IF NOT EXISTS cost_of_goods DECIMAL(15,2);
+ALTER TABLE sale_details ADD COLUMN IF NOT EXISTS gross_margin DECIMAL(15,2);
+
+CREATE INDEX IF NOT EXISTS idx_cost_layers_fifo
+    ON cost_layers(product_id, warehouse_id, received_at)
+    WHERE quantity_remaining > 0;
+CREATE INDEX IF NOT EXISTS idx_inventory_movement_costs_movement_id ON inventory_movement_costs(movement_id);
+CREATE INDEX IF NOT EXISTS idx_inventory_movement_costs_layer_id ON inventory_movement_costs(layer_id);
+
+-- Capa de apertura con el stock existente al costo actual del producto
+INSERT INTO cost_layers (product_id, warehouse_id, unit_cost, quantity_received, quantity_remaining)
+SELECT ps.product_id, ps.warehouse_id, COALESCE(p.cost_price, 0), ps.quantity, ps.quantity
+FROM product_stock ps
+JOIN products p ON ps.product_id = p.id
+WHERE ps.quantity > 0
+  AND NOT EXISTS (
+    SELECT 1 FROM cost_layers cl
+    WHERE cl.product_id = ps.product_id AND cl.warehouse_id = ps.warehouse_id
+  );
+
+COMMENT ON TABLE cost_layers IS 'Capas de costo FIFO por producto y almacén';
+COMMENT ON TABLE inventory_movement_costs IS 'Capas de costo afectadas por cada movimiento de inventario';
@@ -0,0 +1,59 @@
+-- =====================================================================================
+-- 008 - Conteos físicos de inventario (conteo cíclico)
+-- Un conteo congela el stock esperado de una ubicación (opcionalmente de una categoría),
+-- recibe conteos de uno o varios contadores y publica las diferencias aprobadas como
+-- movimientos 'ajuste' con reference_type = 'conteo'
+-- =====================================================================================
+
+-- Cabecera del conteo
+CREATE TABLE IF NOT EXISTS stock_counts (
+    id SERIAL PRIMARY KEY,
+    warehouse_id INTEGER NOT NULL REFERENCES warehouses(id),
+    category VARCHAR(100),
+    status VARCHAR(50) NOT NULL DEFAULT 'abierto', -- 'abierto', 'en_revision', 'aplicado', 'cancelado'
+    notes TEXT,
+    created_by INTEGER,
+    submitted_at TIMESTAMP WITH TIME ZONE,
+    posted_by INTEGER,
+    posted_at TIMESTAMP WITH TIME ZONE,
+    cancelled_reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_stock_counts_status
+        CHECK (status IN ('abierto', 'en_revision', 'aplicado', 'cancelado'))
+);
+
+-- Líneas: stock esperado al abrir, cantidad contada y ajuste aprobado
+CREATE TABLE IF NOT EXISTS stock_count_lines (
+    id SERIAL PRIMARY KEY,
+    stock_count_id INTEGER NOT NULL REFERENCES stock_counts(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id),
+    expected_quantity INTEGER NOT NULL,
+    counted_quantity INTEGER,
+    unit_cost DECIMAL(15,4) NOT NULL DEFAULT 0,
+    approved BOOLEAN NOT NULL DEFAULT false,
+    reason_code VARCHAR(50),
+    movement_id INTEGER REFERENCES inventory_movements(id),
+    adjustment_value DECIMAL(15,2),
+    CONSTRAINT uq_stock_count_lines_product UNIQUE (stock_count_id, product_id)
+);
+
+-- Registros de cada contador (el último de cada contador es el vigente)
+CREATE TABLE IF NOT EXISTS stock_count_entries (
+    id SERIAL PRIMARY KEY,
+    line_id INTEGER NOT NULL REFERENCES stock_count_lines(id) ON DELETE CASCADE,
+    counted_quantity INTEGER NOT NULL CHECK (counted_quantity >= 0),
+    counted_by INTEGER,
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_counts_status ON stock_counts(status);
+CREATE INDEX IF NOT EXISTS idx_stock_counts_warehouse_id ON stock_counts(warehouse_id);
+CREATE INDEX IF NOT EXISTS idx_stock_count_lines_count_id ON stock_count_lines(stock_count_id);
+CREATE INDEX IF NOT EXISTS idx_stock_count_lines_product_id ON stock_count_lines(product_id);
+CREATE INDEX IF NOT EXISTS idx_stock_count_entries_line_id ON stock_count_entries(line_id);
+
+COMMENT ON TABLE stock_counts IS 'Conteos físicos de inventario por almacén';
+COMMENT ON TABLE stock_count_lines IS 'Productos de cada conteo con stock esperado, contado y ajuste';
+COMMENT ON TABLE stock_count_entries IS 'Cantidades registradas por cada contador';
@@ -0,0 +1,55 @@
+-- =====================================================================================
+-- 009 - Cuentas por cobrar: pagos por venta
+-- Una venta puede tener varios pagos; sales.amount_paid es la suma de los pagos vigentes
+-- y payment_status se deriva de ella y de due_date (pendiente/parcial/pagado/vencido)
+-- =====================================================================================
+
+-- Tabla de pagos
+CREATE TABLE IF NOT EXISTS payments (
+    id SERIAL PRIMARY KEY,
+    sale_id INTEGER NOT NULL REFERENCES sales(id),
+    client_id INTEGER NOT NULL REFERENCES clients(id),
+    amount DECIMAL(15,2) NOT NULL CHECK (amount > 0),
+    payment_method VARCHAR(50),
+    reference VARCHAR(255),
+    payment_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    notes TEXT,
+    created_by INTEGER,
+    voided_at TIMESTAMP WITH TIME ZONE,
+    voided_reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS due_date DATE;
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS amount_paid DECIMAL(15,2) NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_payments_sale_id ON payments(sale_id);
+CREATE INDEX IF NOT EXISTS idx_payments_client_id ON payments(client_id);
+CREATE INDEX IF NOT EXISTS idx_payments_payment_date ON payments(payment_date);
+CREATE INDEX IF NOT EXISTS idx_sales_due_date ON sales(due_date) WHERE payment_status IN ('pendiente', 'parcial', 'vencido');
+
+-- Vencimiento según los días de crédito del cliente
+UPDATE sales s
+SET due_date = s.sale_date + COALESCE(c.payment_terms, 0)
+FROM clients c
+WHERE c.id = s.client_id AND s.due_date IS NULL;
+
+-- Las ventas ya marcadas como pagadas quedan con un pago por el total
+-- (las 'parcial' anteriores no registraban monto: quedan sin pagos hasta que se registren)
+INSERT INTO payments (sale_id, client_id, amount, payment_method, reference, payment_date)
+SELECT s.id, s.client_id, s.total_amount, s.payment_method, 'Saldo migrado', s.sale_date
+FROM sales s
+WHERE s.payment_status = 'pagado' AND s.total_amount > 0
+  AND NOT EXISTS (SELECT 1 FROM payments p WHERE p.sale_id = s.id);
+
+UPDATE sales s
+SET amount_paid = p.total
+FROM (
+    SELECT sale_id, SUM(amount) as total
+    FROM payments
+    WHERE voided_at IS NULL
+    GROUP BY sale_id
+) p
+WHERE p.sale_id = s.id;
+
+COMMENT ON TABLE payments IS 'Pagos recibidos por venta (cuentas por cobrar)';
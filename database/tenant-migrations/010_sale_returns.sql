@@ -0,0 +1,68 @@
+-- =====================================================================================
+-- 010 - Devoluciones de ventas y notas de crédito
+-- Una devolución toma cantidades de líneas de una venta, reingresa el stock con
+-- movimientos 'entrada' (reference_type = 'devolucion') y emite una nota de crédito que
+-- se aplica como pago (payment_method = 'nota_credito') al saldo de la venta; el
+-- excedente queda como saldo a favor del cliente
+-- =====================================================================================
+
+-- Cabecera de la devolución
+CREATE TABLE IF NOT EXISTS sale_returns (
+    id SERIAL PRIMARY KEY,
+    return_number VARCHAR(100) UNIQUE NOT NULL,
+    sale_id INTEGER NOT NULL REFERENCES sales(id),
+    client_id INTEGER NOT NULL REFERENCES clients(id),
+    return_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    reason TEXT,
+    notes TEXT,
+    total_amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+    created_by INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Líneas devueltas: cantidad de cada línea de la venta y ubicación a la que reingresa
+CREATE TABLE IF NOT EXISTS sale_return_lines (
+    id SERIAL PRIMARY KEY,
+    return_id INTEGER NOT NULL REFERENCES sale_returns(id) ON DELETE CASCADE,
+    sale_detail_id INTEGER NOT NULL REFERENCES sale_details(id),
+    product_id INTEGER NOT NULL REFERENCES products(id),
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    unit_price DECIMAL(15,2) NOT NULL,
+    line_amount DECIMAL(15,2) NOT NULL,
+    cost_of_goods DECIMAL(15,2),
+    condition VARCHAR(20) NOT NULL DEFAULT 'bueno', -- 'bueno', 'danado'
+    warehouse_id INTEGER REFERENCES warehouses(id),
+    movement_id INTEGER REFERENCES inventory_movements(id),
+    CONSTRAINT chk_sale_return_lines_condition CHECK (condition IN ('bueno', 'danado'))
+);
+
+-- Notas de crédito (una por devolución)
+CREATE TABLE IF NOT EXISTS credit_notes (
+    id SERIAL PRIMARY KEY,
+    credit_note_number VARCHAR(100) UNIQUE NOT NULL,
+    return_id INTEGER NOT NULL UNIQUE REFERENCES sale_returns(id),
+    sale_id INTEGER NOT NULL REFERENCES sales(id),
+    client_id INTEGER NOT NULL REFERENCES clients(id),
+    issue_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    amount DECIMAL(15,2) NOT NULL CHECK (amount >= 0),
+    applied_amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+    status VARCHAR(50) NOT NULL DEFAULT 'abierta', -- 'abierta', 'aplicada'
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_credit_notes_applied CHECK (applied_amount >= 0 AND applied_amount <= amount),
+    CONSTRAINT chk_credit_notes_status CHECK (status IN ('abierta', 'aplicada'))
+);
+
+-- Pagos hechos con una nota de crédito
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS credit_note_id INTEGER REFERENCES credit_notes(id);
+
+CREATE INDEX IF NOT EXISTS idx_sale_returns_sale_id ON sale_returns(sale_id);
+CREATE INDEX IF NOT EXISTS idx_sale_returns_client_id ON sale_returns(client_id);
+CREATE INDEX IF NOT EXISTS idx_sale_returns_return_date ON sale_returns(return_date);
+CREATE INDEX IF NOT EXISTS idx_sale_return_lines_return_id ON sale_return_lines(return_id);
+CREATE INDEX IF NOT EXISTS idx_sale_return_lines_sale_detail_id ON sale_return_lines(sale_detail_id);
+CREATE INDEX IF NOT EXISTS idx_credit_notes_client_id ON credit_notes(client_id) WHERE status = 'abierta';
+CREATE INDEX IF NOT EXISTS idx_payments_credit_note_id ON payments(credit_note_id);
+
+COMMENT ON TABLE sale_returns IS 'Devoluciones parciales o totales de ventas';
+COMMENT ON TABLE sale_return_lines IS 'Cantidades devueltas por línea de venta y su reingreso a inventario';
+COMMENT ON TABLE credit_notes IS 'Notas de crédito emitidas por devoluciones y su saldo aplicado';
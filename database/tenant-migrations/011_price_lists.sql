@@ -0,0 +1,41 @@
+-- =====================================================================================
+-- 011 - Listas de precios
+-- Una lista aplica a un cliente, a un tipo de cliente o a todos (ambos nulos), con
+-- vigencia opcional y precios escalonados por cantidad mínima. Sales.create usa el precio
+-- de la lista más específica vigente cuando la línea no trae unit_price
+-- =====================================================================================
+
+CREATE TABLE IF NOT EXISTS price_lists (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    client_type VARCHAR(50), -- 'mayorista', 'detallista', 'corporativo'
+    client_id INTEGER REFERENCES clients(id),
+    valid_from DATE,
+    valid_to DATE,
+    priority INTEGER NOT NULL DEFAULT 0,
+    active BOOLEAN NOT NULL DEFAULT true,
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_price_lists_validity CHECK (valid_to IS NULL OR valid_from IS NULL OR valid_to >= valid_from)
+);
+
+-- Precios por producto; min_quantity define escalas (el mayor min_quantity alcanzado gana)
+CREATE TABLE IF NOT EXISTS price_list_items (
+    id SERIAL PRIMARY KEY,
+    price_list_id INTEGER NOT NULL REFERENCES price_lists(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id),
+    min_quantity INTEGER NOT NULL DEFAULT 1 CHECK (min_quantity > 0),
+    unit_price DECIMAL(15,2) NOT NULL CHECK (unit_price >= 0),
+    CONSTRAINT uq_price_list_items_break UNIQUE (price_list_id, product_id, min_quantity)
+);
+
+-- Lista de precios aplicada a cada línea de venta (nulo = precio indicado o precio de venta)
+ALTER TABLE sale_details ADD COLUMN IF NOT EXISTS price_list_id INTEGER REFERENCES price_lists(id);
+
+CREATE INDEX IF NOT EXISTS idx_price_lists_client_id ON price_lists(client_id) WHERE active = true;
+CREATE INDEX IF NOT EXISTS idx_price_lists_client_type ON price_lists(client_type) WHERE active = true;
+CREATE INDEX IF NOT EXISTS idx_price_list_items_product_id ON price_list_items(product_id);
+
+COMMENT ON TABLE price_lists IS 'Listas de precios por cliente, tipo de cliente o generales';
+COMMENT ON TABLE price_list_items IS 'Precios por producto y escala de cantidad de cada lista';
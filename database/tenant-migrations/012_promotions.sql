@@ -0,0 +1,63 @@
+-- =====================================================================================
+-- 012 - Promociones y reglas de descuento
+-- Sales.create evalúa las promociones vigentes para el cliente y descuenta cada línea;
+-- sale_details.total_price queda neto del descuento y sale_detail_promotions registra
+-- qué regla se aplicó a cada línea y por cuánto
+-- =====================================================================================
+
+CREATE TABLE IF NOT EXISTS promotions (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    -- 'porcentaje': discount_value % por unidad; 'monto_fijo': discount_value por unidad;
+    -- 'lleve_x_pague_y': de cada buy_quantity unidades se pagan pay_quantity;
+    -- 'combo': el conjunto de promotion_products (con su quantity) cuesta bundle_price
+    promotion_type VARCHAR(50) NOT NULL,
+    discount_value DECIMAL(15,2),
+    buy_quantity INTEGER,
+    pay_quantity INTEGER,
+    bundle_price DECIMAL(15,2),
+    category VARCHAR(100), -- aplica a toda la categoría además de promotion_products
+    client_type VARCHAR(50), -- nulo = todos los tipos de cliente
+    min_quantity INTEGER NOT NULL DEFAULT 1 CHECK (min_quantity > 0),
+    valid_from DATE,
+    valid_to DATE,
+    priority INTEGER NOT NULL DEFAULT 0,
+    active BOOLEAN NOT NULL DEFAULT true,
+    source_insight_id VARCHAR(255), -- insights.insight_id que originó la promoción
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_promotions_type CHECK (promotion_type IN ('porcentaje', 'monto_fijo', 'lleve_x_pague_y', 'combo')),
+    CONSTRAINT chk_promotions_validity CHECK (valid_to IS NULL OR valid_from IS NULL OR valid_to >= valid_from)
+);
+
+-- Productos de la promoción (en combos, quantity es la cantidad del producto en el combo)
+CREATE TABLE IF NOT EXISTS promotion_products (
+    id SERIAL PRIMARY KEY,
+    promotion_id INTEGER NOT NULL REFERENCES promotions(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id),
+    quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity > 0),
+    CONSTRAINT uq_promotion_products UNIQUE (promotion_id, product_id)
+);
+
+-- Descuento de promociones por línea (total_price = unit_price * quantity - discount_amount)
+ALTER TABLE sale_details ADD COLUMN IF NOT EXISTS discount_amount DECIMAL(15,2) NOT NULL DEFAULT 0;
+
+-- Reglas aplicadas a cada línea de venta
+CREATE TABLE IF NOT EXISTS sale_detail_promotions (
+    id SERIAL PRIMARY KEY,
+    sale_detail_id INTEGER NOT NULL REFERENCES sale_details(id) ON DELETE CASCADE,
+    promotion_id INTEGER NOT NULL REFERENCES promotions(id),
+    discount_amount DECIMAL(15,2) NOT NULL,
+    free_quantity INTEGER NOT NULL DEFAULT 0,
+    description TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_promotions_active ON promotions(valid_from, valid_to) WHERE active = true;
+CREATE INDEX IF NOT EXISTS idx_promotion_products_product_id ON promotion_products(product_id);
+CREATE INDEX IF NOT EXISTS idx_sale_detail_promotions_sale_detail_id ON sale_detail_promotions(sale_detail_id);
+CREATE INDEX IF NOT EXISTS idx_sale_detail_promotions_promotion_id ON sale_detail_promotions(promotion_id);
+
+COMMENT ON TABLE promotions IS 'Promociones y reglas de descuento evaluadas al crear ventas';
+COMMENT ON TABLE promotion_products IS 'Productos incluidos en cada promoción y su cantidad en combos';
+COMMENT ON TABLE sale_detail_promotions IS 'Promociones aplicadas a cada línea de venta';
@@ -0,0 +1,32 @@
+-- =====================================================================================
+-- 013 - Multimoneda y tasas de cambio
+-- La moneda base del tenant está en tenants.settings.base_currency. exchange_rates guarda
+-- por día cuántas unidades de moneda base vale 1 unidad de cada moneda; ventas y pagos
+-- guardan su moneda y la tasa vigente al registrarse (nula = moneda base, tasa 1)
+-- =====================================================================================
+
+CREATE TABLE IF NOT EXISTS exchange_rates (
+    id SERIAL PRIMARY KEY,
+    currency VARCHAR(3) NOT NULL,
+    rate_date DATE NOT NULL,
+    rate DECIMAL(18,6) NOT NULL CHECK (rate > 0),
+    source VARCHAR(20) NOT NULL DEFAULT 'manual', -- 'manual', 'csv'
+    created_by INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT uq_exchange_rates_day UNIQUE (currency, rate_date)
+);
+
+-- Moneda de la venta y unidades de moneda base por unidad de esa moneda al venderse
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS currency VARCHAR(3);
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS exchange_rate DECIMAL(18,6) NOT NULL DEFAULT 1;
+
+-- Pagos: amount sigue en la moneda de la venta; tendered_amount es lo recibido en la moneda del pago
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS currency VARCHAR(3);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS exchange_rate DECIMAL(18,6) NOT NULL DEFAULT 1;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS tendered_amount DECIMAL(15,2);
+
+CREATE INDEX IF NOT EXISTS idx_exchange_rates_currency_date ON exchange_rates(currency, rate_date DESC);
+CREATE INDEX IF NOT EXISTS idx_sales_currency ON sales(currency);
+
+COMMENT ON TABLE exchange_rates IS 'Tasas de cambio diarias respecto a la moneda base del tenant';
@@ -0,0 +1,49 @@
+-- =====================================================================================
+-- 014 - Impuestos
+-- Tasas de impuesto del tenant (p. ej. IVA general, reducido, exento) asignadas a
+-- productos o a categorías, con una tasa predeterminada para el resto. Sales.create
+-- calcula el impuesto por línea; el modo de precios (incluido o no) está en
+-- tenants.settings.tax_pricing_mode y cada venta guarda el que usó
+-- =====================================================================================
+
+CREATE TABLE IF NOT EXISTS tax_rates (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(20) UNIQUE NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    rate DECIMAL(7,4) NOT NULL CHECK (rate >= 0 AND rate < 100), -- porcentaje
+    exempt BOOLEAN NOT NULL DEFAULT false,
+    is_default BOOLEAN NOT NULL DEFAULT false,
+    active BOOLEAN NOT NULL DEFAULT true,
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_tax_rates_exempt CHECK (NOT exempt OR rate = 0)
+);
+
+-- Solo una tasa predeterminada activa
+CREATE UNIQUE INDEX IF NOT EXISTS uq_tax_rates_default ON tax_rates(is_default) WHERE is_default AND active;
+
+-- Tasa por categoría de producto (la tasa del producto tiene prioridad)
+CREATE TABLE IF NOT EXISTS category_tax_rates (
+    id SERIAL PRIMARY KEY,
+    category VARCHAR(100) UNIQUE NOT NULL,
+    tax_rate_id INTEGER NOT NULL REFERENCES tax_rates(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS tax_rate_id INTEGER REFERENCES tax_rates(id);
+
+-- Impuesto de cada línea: total_price es la base imponible (sin impuesto) en ambos modos
+ALTER TABLE sale_details ADD COLUMN IF NOT EXISTS tax_rate_id INTEGER REFERENCES tax_rates(id);
+ALTER TABLE sale_details ADD COLUMN IF NOT EXISTS tax_rate DECIMAL(7,4) NOT NULL DEFAULT 0;
+ALTER TABLE sale_details ADD COLUMN IF NOT EXISTS tax_amount DECIMAL(15,2) NOT NULL DEFAULT 0;
+
+-- true: unit_price de las líneas incluye el impuesto
+ALTER TABLE sales ADD COLUMN IF NOT EXISTS prices_include_tax BOOLEAN NOT NULL DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_products_tax_rate_id ON products(tax_rate_id);
+CREATE INDEX IF NOT EXISTS idx_sale_details_tax_rate_id ON sale_details(tax_rate_id);
+
+COMMENT ON TABLE tax_rates IS 'Tasas de impuesto del tenant';
+COMMENT ON TABLE category_tax_rates IS 'Tasa de impuesto asignada a cada categoría de producto';
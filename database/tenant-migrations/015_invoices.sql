@@ -0,0 +1,23 @@
+-- =====================================================================================
+-- 015 - Facturas
+-- Una factura por venta, con número fiscal correlativo tomado de
+-- tenants.settings.invoice.next_number al emitirse por primera vez. Guarda los datos
+-- de la empresa y del cliente a la fecha de emisión para que la factura no cambie
+-- si luego se editan
+-- =====================================================================================
+
+CREATE TABLE IF NOT EXISTS invoices (
+    id SERIAL PRIMARY KEY,
+    invoice_number VARCHAR(50) UNIQUE NOT NULL,
+    sequence_number INTEGER UNIQUE NOT NULL,
+    sale_id INTEGER NOT NULL UNIQUE REFERENCES sales(id),
+    issue_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    company JSONB NOT NULL DEFAULT '{}',
+    client JSONB NOT NULL DEFAULT '{}',
+    issued_by INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoices_issue_date ON invoices(issue_date);
+
+COMMENT ON TABLE invoices IS 'Facturas emitidas con numeración fiscal correlativa';
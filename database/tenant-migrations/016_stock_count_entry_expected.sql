@@ -0,0 +1,10 @@
+-- =====================================================================================
+-- 016 - Stock esperado por registro de conteo
+-- Cada registro guarda el stock del almacén en el momento en que se contó, y la línea
+-- toma el del último registro: las ventas y entradas ocurridas entre la apertura del
+-- conteo y el conteo físico ya están en lo contado y no vuelven a ajustarse
+-- =====================================================================================
+
+ALTER TABLE stock_count_entries ADD COLUMN IF NOT EXISTS expected_quantity INTEGER;
+
+COMMENT ON COLUMN stock_count_entries.expected_quantity IS 'Stock del producto en el almacén al registrar el conteo';
@@ -0,0 +1,14 @@
+-- =====================================================================================
+-- 017 - Almacenes no vendibles
+-- Una ubicación con sellable = false (p. ej. mercancía dañada) guarda stock que no se
+-- vende desde ella ni cuenta en products.current_stock, que pasa a ser la suma de
+-- product_stock.quantity en los almacenes vendibles
+-- =====================================================================================
+
+ALTER TABLE warehouses ADD COLUMN IF NOT EXISTS sellable BOOLEAN NOT NULL DEFAULT true;
+
+-- El almacén predeterminado recibe el stock sin ubicación y siempre es vendible
+ALTER TABLE warehouses DROP CONSTRAINT IF EXISTS chk_warehouses_default_sellable;
+ALTER TABLE warehouses ADD CONSTRAINT chk_warehouses_default_sellable CHECK (sellable OR NOT is_default);
+
+COMMENT ON COLUMN warehouses.sellable IS 'false: el stock de la ubicación no se vende ni cuenta en products.current_stock';
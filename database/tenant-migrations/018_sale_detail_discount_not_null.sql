@@ -0,0 +1,12 @@
+-- =====================================================================================
+-- 018 - Descuento de línea obligatorio
+-- sale_details.discount_amount ya existía como columna nula en el esquema base, por lo
+-- que el ADD COLUMN IF NOT EXISTS de 012 no aplicó el NOT NULL. La columna guarda solo el
+-- descuento de promociones de la línea (0 si no hay promoción); el descuento de la venta y
+-- el impuesto no están en ella. Las líneas antiguas sin valor quedan en 0
+-- =====================================================================================
+
+UPDATE sale_details SET discount_amount = 0 WHERE discount_amount IS NULL;
+
+ALTER TABLE sale_details ALTER COLUMN discount_amount SET DEFAULT 0;
+ALTER TABLE sale_details ALTER COLUMN discount_amount SET NOT NULL;
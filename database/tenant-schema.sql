@@ -92,6 +92,18 @@ CREATE TABLE IF NOT EXISTS public.system_settings (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Tabla de operadores de la plataforma (acceso a /api/admin, independiente de los tenants)
+CREATE TABLE IF NOT EXISTS public.platform_admins (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    email VARCHAR(255) UNIQUE NOT NULL,
+    api_key_hash VARCHAR(255) UNIQUE NOT NULL,
+    active BOOLEAN DEFAULT true,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
 -- =====================================================================================
 -- ÍNDICES PARA OPTIMIZACIÓN
 -- =====================================================================================
@@ -124,6 +136,9 @@ CREATE INDEX IF NOT EXISTS idx_audit_created ON public.tenant_audit_log(created_
 -- Índices para configuraciones
 CREATE INDEX IF NOT EXISTS idx_system_settings_key ON public.system_settings(setting_key);
 
+-- Índices para operadores de la plataforma
+CREATE INDEX IF NOT EXISTS idx_platform_admins_key ON public.platform_admins(api_key_hash);
+
 -- =====================================================================================
 -- TRIGGERS PARA UPDATED_AT
 -- =====================================================================================
@@ -149,6 +164,10 @@ CREATE TRIGGER update_system_settings_updated_at
     BEFORE UPDATE ON public.system_settings 
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_platform_admins_updated_at 
+    BEFORE UPDATE ON public.platform_admins 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- =====================================================================================
 -- FUNCIONES AUXILIARES PARA TENANTS
 -- =====================================================================================
@@ -227,6 +246,7 @@ COMMENT ON TABLE public.tenant_users IS 'Usuarios por cada tenant con roles y pe
 COMMENT ON TABLE public.user_sessions IS 'Sesiones activas de usuarios';
 COMMENT ON TABLE public.tenant_audit_log IS 'Log de auditoría multi-tenant';
 COMMENT ON TABLE public.system_settings IS 'Configuraciones globales del sistema';
+COMMENT ON TABLE public.platform_admins IS 'Operadores de la plataforma con acceso a /api/admin';
 
 COMMENT ON COLUMN public.tenants.tenant_code IS 'Código único del tenant (usado para schema)';
 COMMENT ON COLUMN public.tenants.plan IS 'Plan de suscripción (basic, pro, enterprise)';
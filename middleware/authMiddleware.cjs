@@ -0,0 +1,106 @@
+// =====================================================================================
+// FLUXION AI - AUTH MIDDLEWARE (MULTI-TENANT)
+// Middleware de validación de sesiones de usuario; se ejecuta después de tenantMiddleware
+// =====================================================================================
+
+const AuthService = require('../services/AuthService.cjs');
+const AuditService = require('../services/AuditService.cjs');
+const { hasPermission } = require('../config/permissions.cjs');
+
+/**
+ * Extraer el token de sesión de la request (header Authorization: Bearer <token>)
+ * @param {Object} req - Request object
+ * @returns {string|null} Token de sesión
+ */
+const getSessionToken = (req) => {
+  const authHeader = req.headers['authorization'];
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.slice(7).trim();
+  }
+  return null;
+};
+
+/**
+ * Middleware que REQUIERE una sesión válida
+ * Verifica que la sesión pertenezca al mismo tenant resuelto por tenantMiddleware
+ * (header X-Tenant, subdominio o URL)
+ */
+const requireAuth = async (req, res, next) => {
+  try {
+    const token = getSessionToken(req);
+
+    if (!token) {
+      return res.status(401).json({
+        error: 'AUTH_REQUIRED',
+        message: 'Se requiere autenticación. Use header Authorization: Bearer <token>',
+        tenant_code: req.tenantCode
+      });
+    }
+
+    const session = await AuthService.validateSession(token);
+
+    if (!session) {
+      return res.status(401).json({
+        error: 'INVALID_SESSION',
+        message: 'Sesión inválida o expirada',
+        tenant_code: req.tenantCode
+      });
+    }
+
+    if (!req.tenant || session.tenant_id !== req.tenant.id) {
+      console.warn(`🚫 Sesión del tenant ${session.tenant_id} usada contra ${req.tenantCode}`);
+      return res.status(403).json({
+        error: 'TENANT_MISMATCH',
+        message: 'La sesión no pertenece a este tenant',
+        tenant_code: req.tenantCode
+      });
+    }
+
+    req.user = {
+      id: session.user_id,
+      user_code: session.user_code,
+      name: session.name,
+      email: session.email,
+      role: session.role,
+      permissions: session.permissions || {}
+    };
+    req.sessionToken = token;
+    req.sessionExpiresAt = session.expires_at;
+    req.auditContext = AuditService.contextFromRequest(req);
+
+    next();
+
+  } catch (error) {
+    console.error('💥 Error en auth middleware:', error.message);
+    return res.status(500).json({
+      error: 'AUTH_VALIDATION_ERROR',
+      message: 'Error interno validando sesión',
+      tenant_code: req.tenantCode
+    });
+  }
+};
+
+/**
+ * Middleware declarativo de permisos (usar después de requireAuth)
+ * Ejemplo: router.post('/:id/cancel', requirePermission('sales:cancel'), handler)
+ * @param {string} permission - Permiso requerido con formato 'recurso:acción'
+ */
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user, permission)) {
+    console.warn(`🚫 ${req.user ? req.user.email : 'anónimo'} sin permiso ${permission} [${req.tenantCode}]`);
+    return res.status(403).json({
+      error: 'PERMISSION_DENIED',
+      message: `No tiene permiso para realizar esta operación (${permission})`,
+      required_permission: permission,
+      role: req.user ? req.user.role : null,
+      tenant_code: req.tenantCode
+    });
+  }
+  next();
+};
+
+module.exports = {
+  requireAuth,
+  requirePermission,
+  getSessionToken
+};
@@ -0,0 +1,52 @@
+// =====================================================================================
+// FLUXION AI - PLATFORM ADMIN MIDDLEWARE
+// Protege /api/admin con la credencial de operador de plataforma (header X-Admin-Key)
+// =====================================================================================
+
+const PlatformAdminService = require('../services/PlatformAdminService.cjs');
+
+/**
+ * Middleware que REQUIERE una API key de operador de plataforma
+ * Es independiente de las sesiones de tenant: un admin de tenant no puede usar /api/admin
+ */
+const requirePlatformAdmin = async (req, res, next) => {
+  try {
+    const apiKey = req.headers['x-admin-key'];
+
+    if (!apiKey) {
+      return res.status(401).json({
+        error: 'ADMIN_AUTH_REQUIRED',
+        message: 'Se requiere credencial de operador de plataforma. Use header X-Admin-Key: <api_key>',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const admin = await PlatformAdminService.authenticate(apiKey);
+
+    if (!admin) {
+      console.warn(`🚫 X-Admin-Key inválida desde ${req.ip} en ${req.method} ${req.originalUrl}`);
+      return res.status(401).json({
+        error: 'INVALID_ADMIN_KEY',
+        message: 'Credencial de operador inválida o desactivada',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    req.platformAdmin = admin;
+    console.log(`🛡️ Operador ${admin.email || admin.name}: ${req.method} ${req.originalUrl}`);
+
+    next();
+
+  } catch (error) {
+    console.error('💥 Error en platform admin middleware:', error.message);
+    return res.status(500).json({
+      error: 'ADMIN_AUTH_ERROR',
+      message: 'Error interno validando credencial de operador',
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+module.exports = {
+  requirePlatformAdmin
+};
@@ -0,0 +1,73 @@
+// =====================================================================================
+// FLUXION AI - RATE LIMIT STORE
+// Almacenamiento de contadores para tenantRateLimit (memoria por defecto, intercambiable)
+// =====================================================================================
+
+/**
+ * Interfaz de un store de rate limiting
+ * Cualquier objeto con este método puede usarse con setRateLimitStore(), por ejemplo
+ * un store sobre Redis (INCR + PEXPIRE) para compartir contadores entre instancias:
+ *
+ *   async increment(key, windowMs) => {
+ *     current,      // requests en la ventana fija actual (incluyendo esta)
+ *     previous,     // requests en la ventana fija anterior
+ *     windowStart   // inicio de la ventana actual (epoch ms)
+ *   }
+ *
+ * Los contadores de la ventana anterior deben conservarse al menos una ventana más
+ */
+
+/**
+ * Store en memoria del proceso (válido para una sola instancia del servidor)
+ */
+class MemoryRateLimitStore {
+
+  constructor(options = {}) {
+    this.counters = new Map();
+
+    // Limpieza periódica de claves que ya no afectan a la ventana deslizante
+    const cleanupIntervalMs = options.cleanupIntervalMs || 60000;
+    this.cleanupTimer = setInterval(() => this.cleanup(), cleanupIntervalMs);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Registrar una request y devolver los contadores de las ventanas actual y anterior
+   * @param {string} key - Clave del contador (ej: tenant_code)
+   * @param {number} windowMs - Tamaño de la ventana en milisegundos
+   * @returns {Promise<Object>} { current, previous, windowStart }
+   */
+  async increment(key, windowMs) {
+    const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+    const entry = this.counters.get(key);
+
+    if (!entry || entry.windowStart < windowStart - windowMs) {
+      // Sin actividad en la ventana anterior
+      this.counters.set(key, { windowStart, windowMs, current: 1, previous: 0 });
+    } else if (entry.windowStart < windowStart) {
+      // Empezó una nueva ventana: la actual pasa a ser la anterior
+      this.counters.set(key, { windowStart, windowMs, current: 1, previous: entry.current });
+    } else {
+      entry.current++;
+    }
+
+    const { current, previous } = this.counters.get(key);
+    return { current, previous, windowStart };
+  }
+
+  /**
+   * Eliminar contadores que ya no influyen en ningún cálculo
+   */
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.counters) {
+      if (entry.windowStart + entry.windowMs * 2 <= now) {
+        this.counters.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = {
+  MemoryRateLimitStore
+};
@@ -4,6 +4,15 @@
 // =====================================================================================
 
 const TenantService = require('../services/TenantService.cjs');
+const QuotaService = require('../services/QuotaService.cjs');
+const { hasPermission } = require('../config/permissions.cjs');
+const { getPlanRateLimit } = require('../config/plans.cjs');
+const { MemoryRateLimitStore } = require('./rateLimitStore.cjs');
+
+/**
+ * Store de contadores del rate limiting (reemplazable con setRateLimitStore)
+ */
+let rateLimitStore = new MemoryRateLimitStore();
 
 /**
  * Middleware para resolver el tenant desde la request y añadirlo al contexto
@@ -116,6 +125,30 @@ const tenantMiddleware = async (req, res, next) => {
         res.set('X-Tenant-Active', tenantCode);
         res.set('X-Tenant-Schema', tenant.schema_name);
 
+        // Estado de trial/suscripción
+        const subscription = TenantService.getSubscriptionStatus(tenant);
+        req.subscription = subscription;
+        res.set('X-Tenant-Subscription-Status', subscription.status);
+        if (subscription.ends_at) {
+          res.set('X-Tenant-Subscription-Ends', subscription.ends_at);
+        }
+
+        // Tenant vencido: modo solo lectura (login/logout y /api/admin siguen disponibles)
+        const isReadOnlyMethod = ['GET', 'HEAD', 'OPTIONS'].includes(req.method);
+        const isExemptPath = req.path.includes('/auth/') || req.path.startsWith('/api/admin');
+        if (subscription.status === 'expired' && !isReadOnlyMethod && !isExemptPath) {
+          console.warn(`⏳ Escritura rechazada: suscripción de ${tenantCode} vencida (${subscription.ends_at})`);
+          return res.status(403).json({
+            error: 'SUBSCRIPTION_EXPIRED',
+            message: 'La suscripción del tenant expiró. La cuenta está en modo solo lectura.',
+            subscription_status: subscription.status,
+            ended_at: subscription.ends_at,
+            grace_ended_at: subscription.grace_ends_at,
+            tenant_code: tenantCode,
+            timestamp: new Date().toISOString()
+          });
+        }
+
         console.log(`✅ Tenant válido: ${tenantCode} (${tenant.company_name}) - Schema: ${tenant.schema_name}`);
 
       } catch (tenantError) {
@@ -166,16 +199,96 @@ const tenantRequestLogger = (req, res, next) => {
 };
 
 /**
- * Middleware para validar límites por tenant (rate limiting básico)
+ * Reemplazar el store del rate limiting (ej: Redis para compartir contadores entre instancias)
+ * @param {Object} store - Objeto que implementa increment(key, windowMs); ver rateLimitStore.cjs
  */
-const tenantRateLimit = (req, res, next) => {
-  // TODO: Implementar rate limiting por tenant basado en su plan
-  // Por ahora solo log
-  if (req.tenant) {
-    const plan = req.tenant.plan;
-    console.log(`📊 Request de tenant ${req.tenantCode} con plan: ${plan}`);
+const setRateLimitStore = (store) => {
+  if (!store || typeof store.increment !== 'function') {
+    throw new Error('El store de rate limiting debe implementar increment(key, windowMs)');
+  }
+  rateLimitStore = store;
+};
+
+/**
+ * Middleware de rate limiting por tenant según su plan
+ * Ventana deslizante aproximada: cuenta de la ventana actual más la de la anterior
+ * ponderada por la fracción de ella que sigue dentro de la ventana deslizante
+ * Responde con headers RateLimit-* y 429 cuando se supera el límite
+ */
+const tenantRateLimit = async (req, res, next) => {
+  if (!req.tenant) {
+    return next();
+  }
+
+  try {
+    const { plan, limit, windowMs } = getPlanRateLimit(req.tenant.plan);
+    const { current, previous, windowStart } = await rateLimitStore.increment(
+      `tenant:${req.tenantCode}`, windowMs
+    );
+
+    const now = Date.now();
+    const previousWeight = 1 - (now - windowStart) / windowMs;
+    const estimated = previous * previousWeight + current;
+    const resetSeconds = Math.max(1, Math.ceil((windowStart + windowMs - now) / 1000));
+
+    res.set('RateLimit-Limit', String(limit));
+    res.set('RateLimit-Remaining', String(Math.max(0, Math.floor(limit - estimated))));
+    res.set('RateLimit-Reset', String(resetSeconds));
+    res.set('RateLimit-Policy', `${limit};w=${Math.round(windowMs / 1000)}`);
+
+    if (estimated > limit) {
+      console.warn(`🚦 Rate limit excedido: ${req.tenantCode} (plan ${plan}, ${Math.floor(estimated)}/${limit})`);
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        error: 'RATE_LIMIT_EXCEEDED',
+        message: `Límite de ${limit} requests por ${Math.round(windowMs / 60000)} minutos excedido para el plan ${plan}`,
+        plan,
+        limit,
+        retry_after_seconds: resetSeconds,
+        tenant_code: req.tenantCode,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    next();
+
+  } catch (error) {
+    // Si el store falla no se bloquea el tráfico del tenant
+    console.error('💥 Error en rate limiting:', error.message);
+    next();
+  }
+};
+
+/**
+ * Middleware de cuota de almacenamiento (max_storage_gb)
+ * Rechaza escrituras (POST/PUT/PATCH) de tenants que superaron su almacenamiento;
+ * lecturas, DELETE y rutas de autenticación siguen permitidas
+ */
+const tenantStorageQuota = async (req, res, next) => {
+  if (!req.tenant || !['POST', 'PUT', 'PATCH'].includes(req.method) || req.path.includes('/auth/')) {
+    return next();
+  }
+
+  try {
+    await QuotaService.assertStorageQuota(req.tenantSchema, req.tenant);
+    next();
+
+  } catch (error) {
+    if (error.message.includes('Cuota excedida')) {
+      console.warn(`💾 ${req.tenantCode}: ${error.message}`);
+      return res.status(403).json({
+        error: 'QUOTA_EXCEEDED',
+        message: error.message,
+        resource: 'storage_gb',
+        tenant_code: req.tenantCode,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Si la medición falla no se bloquea al tenant
+    console.error('💥 Error verificando cuota de almacenamiento:', error.message);
+    next();
   }
-  next();
 };
 
 /**
@@ -191,15 +304,15 @@ const getTenantStats = async (req) => {
 
 /**
  * Helper function para verificar permisos de tenant
+ * Requiere tenant activo y un usuario autenticado (req.user) con el permiso
+ * según su rol y sus overrides en tenant_users.permissions
  */
 const checkTenantPermission = (req, permission) => {
-  if (!req.tenant) {
+  if (!req.tenant || !req.tenant.active) {
     return false;
   }
-  
-  // TODO: Implementar sistema de permisos más sofisticado
-  // Por ahora todos los tenants activos tienen todos los permisos
-  return req.tenant.active;
+
+  return hasPermission(req.user, permission);
 };
 
 /**
@@ -225,6 +338,8 @@ module.exports = {
   requireTenant,
   tenantRequestLogger,
   tenantRateLimit,
+  setRateLimitStore,
+  tenantStorageQuota,
   getTenantStats,
   checkTenantPermission,
   tenantErrorHandler
@@ -3,7 +3,20 @@
 // Modelo de datos para clientes mayoristas y detallistas con soporte multi-tenant
 // =====================================================================================
 
-const { query } = require('../config/database.cjs');
+const { query, withTransaction, tenantCodeFromSchema } = require('../config/database.cjs');
+const AuditService = require('../services/AuditService.cjs');
+const Payment = require('./Payment.cjs');
+const ExchangeRate = require('./ExchangeRate.cjs');
+
+/**
+ * Políticas de control de crédito al crear ventas (tenants.settings.credit_policy)
+ * block: rechaza la venta, warn: la registra con advertencia,
+ * override: exige autorización de un usuario con sales:credit_override
+ */
+const CREDIT_POLICIES = ['block', 'warn', 'override'];
+const DEFAULT_CREDIT_POLICY = 'warn';
+
+const roundMoney = value => Math.round(value * 100) / 100;
 
 /**
  * Modelo Client con operaciones CRUD y análisis de comportamiento - Multi-tenant
@@ -171,9 +184,10 @@ class Client {
    * Crear un nuevo cliente
    * @param {string} tenantSchema - Schema del tenant
    * @param {Object} clientData - Datos del cliente
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
    * @returns {Promise<Object>} Cliente creado
    */
-  static async create(tenantSchema, clientData) {
+  static async create(tenantSchema, clientData, context = {}) {
     if (!tenantSchema) {
       throw new Error('tenantSchema es requerido para operaciones multi-tenant');
     }
@@ -202,6 +216,13 @@ class Client {
         address, city, state, client_type, credit_limit, payment_terms, active
       ]);
 
+      await AuditService.record(tenantSchema, context, {
+        action: 'client.create',
+        entity_type: 'client',
+        entity_id: result.rows[0].id,
+        new_values: result.rows[0]
+      });
+
       return result.rows[0];
 
     } catch (error) {
@@ -215,9 +236,10 @@ class Client {
    * @param {string} tenantSchema - Schema del tenant
    * @param {number} id - ID del cliente
    * @param {Object} updateData - Datos a actualizar
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
    * @returns {Promise<Object>} Cliente actualizado
    */
-  static async update(tenantSchema, id, updateData) {
+  static async update(tenantSchema, id, updateData, context = {}) {
     if (!tenantSchema) {
       throw new Error('tenantSchema es requerido para operaciones multi-tenant');
     }
@@ -260,6 +282,15 @@ class Client {
       `;
 
       const result = await query(sql, params);
+
+      await AuditService.record(tenantSchema, context, {
+        action: 'client.update',
+        entity_type: 'client',
+        entity_id: id,
+        old_values: existing,
+        new_values: result.rows[0]
+      });
+
       return result.rows[0];
 
     } catch (error) {
@@ -272,9 +303,10 @@ class Client {
    * Eliminar un cliente (soft delete)
    * @param {string} tenantSchema - Schema del tenant
    * @param {number} id - ID del cliente
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
    * @returns {Promise<boolean>} True si se eliminó exitosamente
    */
-  static async delete(tenantSchema, id) {
+  static async delete(tenantSchema, id, context = {}) {
     if (!tenantSchema) {
       throw new Error('tenantSchema es requerido para operaciones multi-tenant');
     }
@@ -293,6 +325,14 @@ class Client {
         RETURNING id
       `, [id]);
 
+      await AuditService.record(tenantSchema, context, {
+        action: 'client.delete',
+        entity_type: 'client',
+        entity_id: id,
+        old_values: existing,
+        new_values: { active: false }
+      });
+
       return result.rowCount > 0;
 
     } catch (error) {
@@ -377,6 +417,8 @@ class Client {
 
   /**
    * Obtener clientes con pagos vencidos
+   * Solo cuenta el saldo pendiente (total - pagos) de ventas con vencimiento pasado;
+   * los días de atraso se miden desde due_date
    * @param {string} tenantSchema - Schema del tenant
    * @param {number} daysOverdue - Días de vencimiento mínimo
    * @returns {Promise<Array>} Clientes con pagos vencidos
@@ -388,17 +430,18 @@ class Client {
     
     try {
       const result = await query(`
-        SELECT DISTINCT
+        SELECT
           c.id, c.client_code, c.business_name, c.contact_person, c.email, c.phone,
           c.whatsapp, c.payment_terms,
           COUNT(s.id) as overdue_sales,
-          SUM(s.total_amount) as total_overdue_amount,
+          SUM((s.total_amount - s.amount_paid) * s.exchange_rate) as total_overdue_amount,
           MIN(s.sale_date) as oldest_overdue_date,
-          ROUND(AVG(CURRENT_DATE - s.sale_date::date), 0) as avg_days_overdue
+          ROUND(AVG(CURRENT_DATE - COALESCE(s.due_date, s.sale_date::date + c.payment_terms)), 0) as avg_days_overdue
         FROM "${tenantSchema}".clients c
         JOIN "${tenantSchema}".sales s ON c.id = s.client_id
-        WHERE s.payment_status IN ('pendiente', 'parcial')
-        AND s.sale_date < (CURRENT_DATE - (c.payment_terms + $1))
+        WHERE s.payment_status IN ('pendiente', 'parcial', 'vencido')
+        AND s.total_amount > s.amount_paid
+        AND COALESCE(s.due_date, s.sale_date::date + c.payment_terms) < (CURRENT_DATE - $1::int)
         AND c.active = true
         GROUP BY c.id, c.client_code, c.business_name, c.contact_person, c.email, c.phone, c.whatsapp, c.payment_terms
         ORDER BY total_overdue_amount DESC
@@ -412,6 +455,356 @@ class Client {
     }
   }
 
+  /**
+   * Obtener cuentas por cobrar de un cliente: ventas con saldo y totales
+   * Cada venta muestra sus montos en su moneda; los totales están en moneda base
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} id - ID del cliente
+   * @returns {Promise<Object|null>} { client, sales, totals } o null si no existe
+   */
+  static async getReceivables(tenantSchema, id) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const client = await this.getById(tenantSchema, id);
+      if (!client) {
+        return null;
+      }
+
+      const result = await query(`
+        SELECT
+          id, sale_number, sale_date, due_date, currency, exchange_rate, total_amount, amount_paid,
+          total_amount - amount_paid as balance_due, ${Payment.currentStatusSql('sales')} as payment_status,
+          GREATEST(CURRENT_DATE - due_date, 0) as days_overdue,
+          ROUND(total_amount * exchange_rate, 2) as base_total_amount,
+          ROUND(amount_paid * exchange_rate, 2) as base_amount_paid,
+          ROUND((total_amount - amount_paid) * exchange_rate, 2) as base_balance_due
+        FROM "${tenantSchema}".sales
+        WHERE client_id = $1
+        AND payment_status IN ('pendiente', 'parcial', 'vencido')
+        AND total_amount > amount_paid
+        ORDER BY due_date, id
+      `, [id]);
+
+      const sales = result.rows;
+      const sum = (rows, field) => Math.round(rows.reduce((total, row) => total + parseFloat(row[field]), 0) * 100) / 100;
+      const overdue = sales.filter(sale => sale.payment_status === 'vencido');
+      const unappliedCredit = await this.getUnappliedCredit(tenantSchema, id);
+      const baseCurrency = await ExchangeRate.getBaseCurrency(tenantSchema);
+
+      return {
+        client: {
+          id: client.id,
+          client_code: client.client_code,
+          business_name: client.business_name,
+          payment_terms: client.payment_terms,
+          credit_limit: client.credit_limit
+        },
+        sales,
+        totals: {
+          currency: baseCurrency,
+          open_sales: sales.length,
+          total_amount: sum(sales, 'base_total_amount'),
+          amount_paid: sum(sales, 'base_amount_paid'),
+          balance_due: sum(sales, 'base_balance_due'),
+          unapplied_credit: unappliedCredit,
+          net_balance: roundMoney(sum(sales, 'base_balance_due') - unappliedCredit),
+          overdue_sales: overdue.length,
+          overdue_amount: sum(overdue, 'base_balance_due')
+        }
+      };
+
+    } catch (error) {
+      console.error('💥 Error obteniendo cuentas por cobrar del cliente:', error.message);
+      throw new Error(`Error obteniendo cuentas por cobrar: ${error.message}`);
+    }
+  }
+
+  /**
+   * Antigüedad de saldos por cliente a una fecha de corte
+   * El saldo de cada venta es su total menos los pagos vigentes hasta as_of, y se agrupa
+   * por días transcurridos desde due_date: current (antes del vencimiento), 0-30, 31-60, 61-90, 90+
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} options - { as_of (YYYY-MM-DD, hoy por defecto), client_id }
+   * @returns {Promise<Object>} { as_of, clients, totals }
+   */
+  static async getReceivablesAging(tenantSchema, options = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const params = [options.as_of || null];
+      let clientCondition = '';
+
+      if (options.client_id) {
+        clientCondition = 'AND s.client_id = $2';
+        params.push(options.client_id);
+      }
+
+      const result = await query(`
+        WITH cutoff AS (
+          SELECT COALESCE($1::date, CURRENT_DATE) as as_of
+        ),
+        balances AS (
+          SELECT
+            s.client_id,
+            (s.total_amount - COALESCE(SUM(p.amount), 0)) * s.exchange_rate as balance,
+            (SELECT as_of FROM cutoff) - COALESCE(s.due_date, s.sale_date::date) as days_past_due
+          FROM "${tenantSchema}".sales s
+          LEFT JOIN "${tenantSchema}".payments p ON p.sale_id = s.id
+            AND p.voided_at IS NULL
+            AND p.payment_date <= (SELECT as_of FROM cutoff)
+          WHERE s.payment_status <> 'cancelado'
+          AND s.sale_date::date <= (SELECT as_of FROM cutoff)
+          ${clientCondition}
+          GROUP BY s.id, s.client_id, s.total_amount, s.exchange_rate, s.due_date, s.sale_date
+        )
+        SELECT
+          c.id as client_id, c.client_code, c.business_name, c.payment_terms, c.credit_limit,
+          COUNT(*) as open_sales,
+          ROUND(SUM(b.balance) FILTER (WHERE b.days_past_due < 0), 2) as current,
+          ROUND(SUM(b.balance) FILTER (WHERE b.days_past_due BETWEEN 0 AND 30), 2) as days_0_30,
+          ROUND(SUM(b.balance) FILTER (WHERE b.days_past_due BETWEEN 31 AND 60), 2) as days_31_60,
+          ROUND(SUM(b.balance) FILTER (WHERE b.days_past_due BETWEEN 61 AND 90), 2) as days_61_90,
+          ROUND(SUM(b.balance) FILTER (WHERE b.days_past_due > 90), 2) as days_90_plus,
+          ROUND(SUM(b.balance), 2) as total_balance,
+          MAX(b.days_past_due) as max_days_past_due
+        FROM balances b
+        JOIN "${tenantSchema}".clients c ON c.id = b.client_id
+        WHERE b.balance > 0
+        GROUP BY c.id, c.client_code, c.business_name, c.payment_terms, c.credit_limit
+        ORDER BY total_balance DESC
+      `, params);
+
+      const buckets = ['current', 'days_0_30', 'days_31_60', 'days_61_90', 'days_90_plus', 'total_balance'];
+      const clients = result.rows.map(row => {
+        const client = { ...row, open_sales: parseInt(row.open_sales), max_days_past_due: Math.max(parseInt(row.max_days_past_due), 0) };
+        for (const bucket of buckets) {
+          client[bucket] = parseFloat(row[bucket] || 0);
+        }
+        return client;
+      });
+
+      const totals = { clients: clients.length };
+      for (const bucket of buckets) {
+        totals[bucket] = Math.round(clients.reduce((sum, client) => sum + client[bucket], 0) * 100) / 100;
+      }
+
+      return {
+        as_of: options.as_of || new Date().toISOString().split('T')[0],
+        clients,
+        totals
+      };
+
+    } catch (error) {
+      console.error('💥 Error obteniendo antigüedad de saldos:', error.message);
+      throw new Error(`Error obteniendo antigüedad de saldos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener la política de crédito del tenant (tenants.settings.credit_policy)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} db - Cliente de transacción (opcional)
+   * @returns {Promise<string>} 'block', 'warn' u 'override'
+   */
+  static async getCreditPolicy(tenantSchema, db = null) {
+    const runQuery = db ? db.query.bind(db) : query;
+
+    const result = await runQuery(`
+      SELECT settings->>'credit_policy' as policy
+      FROM public.tenants
+      WHERE tenant_code = $1
+    `, [tenantCodeFromSchema(tenantSchema)]);
+
+    const policy = result.rows[0]?.policy;
+    return CREDIT_POLICIES.includes(policy) ? policy : DEFAULT_CREDIT_POLICY;
+  }
+
+  /**
+   * Cambiar la política de crédito del tenant
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {string} policy - 'block', 'warn' u 'override'
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<Object>} { previous_policy, policy }
+   */
+  static async setCreditPolicy(tenantSchema, policy, context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      if (!CREDIT_POLICIES.includes(policy)) {
+        throw new Error(`Política de crédito inválida: ${policy}. Válidas: ${CREDIT_POLICIES.join(', ')}`);
+      }
+
+      return await withTransaction(tenantSchema, async (db) => {
+        const previousPolicy = await this.getCreditPolicy(tenantSchema, db);
+
+        await db.query(`
+          UPDATE public.tenants
+          SET settings = COALESCE(settings, '{}'::jsonb) || jsonb_build_object('credit_policy', $1::text),
+              updated_at = CURRENT_TIMESTAMP
+          WHERE tenant_code = $2
+        `, [policy, tenantCodeFromSchema(tenantSchema)]);
+
+        await AuditService.record(tenantSchema, context, {
+          action: 'client.credit_policy',
+          entity_type: 'tenant_settings',
+          old_values: { credit_policy: previousPolicy },
+          new_values: { credit_policy: policy }
+        }, db);
+
+        console.log(`✅ Política de crédito de ${tenantSchema}: ${previousPolicy} → ${policy}`);
+        return { previous_policy: previousPolicy, policy };
+      });
+
+    } catch (error) {
+      console.error('💥 Error cambiando política de crédito:', error.message);
+      throw new Error(`Error cambiando política de crédito: ${error.message}`);
+    }
+  }
+
+  /**
+   * Crédito disponible de un cliente: límite, saldo pendiente y evaluación de un monto nuevo
+   * Un credit_limit de 0 (o nulo) significa sin límite configurado; el saldo a favor de notas
+   * de crédito sin aplicar se descuenta del saldo pendiente
+   * Límite, saldos y monto están en moneda base (cada venta con su tasa capturada)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} id - ID del cliente
+   * @param {number} amount - Monto a financiar en moneda base que se quiere evaluar (0 = solo consulta)
+   * @param {Object} db - Cliente de transacción (opcional; Sales.create bloquea el cliente antes)
+   * @returns {Promise<Object|null>} Disponibilidad de crédito o null si el cliente no existe
+   */
+  static async getCreditAvailability(tenantSchema, id, amount = 0, db = null) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    const runQuery = db ? db.query.bind(db) : query;
+
+    try {
+      const result = await runQuery(`
+        SELECT
+          c.id, c.client_code, c.business_name, c.credit_limit, c.payment_terms, c.active,
+          COALESCE(SUM((s.total_amount - s.amount_paid) * s.exchange_rate), 0) as balance_due,
+          COALESCE(SUM((s.total_amount - s.amount_paid) * s.exchange_rate) FILTER (
+            WHERE COALESCE(s.due_date, s.sale_date::date + c.payment_terms) < CURRENT_DATE
+          ), 0) as overdue_amount,
+          COUNT(s.id) as open_sales
+        FROM "${tenantSchema}".clients c
+        LEFT JOIN "${tenantSchema}".sales s ON s.client_id = c.id
+          AND s.payment_status IN ('pendiente', 'parcial', 'vencido')
+          AND s.total_amount > s.amount_paid
+        WHERE c.id = $1
+        GROUP BY c.id, c.client_code, c.business_name, c.credit_limit, c.payment_terms, c.active
+      `, [id]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const client = result.rows[0];
+      const policy = await this.getCreditPolicy(tenantSchema, db);
+      const unappliedCredit = await this.getUnappliedCredit(tenantSchema, id, db);
+      const creditLimit = parseFloat(client.credit_limit || 0);
+      const balanceDue = roundMoney(Math.max(parseFloat(client.balance_due) - unappliedCredit, 0));
+      const hasLimit = creditLimit > 0;
+      const requested = roundMoney(parseFloat(amount) || 0);
+      const exposure = roundMoney(balanceDue + requested);
+      const exceeds = hasLimit && exposure > creditLimit;
+
+      return {
+        client_id: client.id,
+        client_code: client.client_code,
+        business_name: client.business_name,
+        payment_terms: client.payment_terms,
+        credit_limit: hasLimit ? creditLimit : null,
+        balance_due: balanceDue,
+        unapplied_credit: unappliedCredit,
+        overdue_amount: roundMoney(parseFloat(client.overdue_amount)),
+        open_sales: parseInt(client.open_sales),
+        available_credit: hasLimit ? roundMoney(Math.max(creditLimit - balanceDue, 0)) : null,
+        utilization_percent: hasLimit ? roundMoney((balanceDue / creditLimit) * 100) : null,
+        policy,
+        check: {
+          amount: requested,
+          exposure,
+          exceeds,
+          exceeded_by: exceeds ? roundMoney(exposure - creditLimit) : 0,
+          action: !exceeds ? 'allow' : { block: 'block', warn: 'warn', override: 'override_required' }[policy]
+        }
+      };
+
+    } catch (error) {
+      console.error('💥 Error obteniendo crédito del cliente:', error.message);
+      throw new Error(`Error obteniendo crédito del cliente: ${error.message}`);
+    }
+  }
+
+  /**
+   * Saldo a favor del cliente: notas de crédito con monto sin aplicar (en moneda base)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} id - ID del cliente
+   * @param {Object} db - Cliente de transacción (opcional)
+   * @returns {Promise<number>} Monto disponible
+   */
+  static async getUnappliedCredit(tenantSchema, id, db = null) {
+    const runQuery = db ? db.query.bind(db) : query;
+
+    const result = await runQuery(`
+      SELECT COALESCE(SUM((cn.amount - cn.applied_amount) * s.exchange_rate), 0) as unapplied
+      FROM "${tenantSchema}".credit_notes cn
+      JOIN "${tenantSchema}".sales s ON cn.sale_id = s.id
+      WHERE cn.client_id = $1 AND cn.status = 'abierta'
+    `, [id]);
+
+    return roundMoney(parseFloat(result.rows[0].unapplied));
+  }
+
+  /**
+   * Historial de autorizaciones de crédito (ventas que excedieron el límite) de un cliente
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} id - ID del cliente
+   * @param {number} limit - Máximo de registros
+   * @returns {Promise<Array>} Entradas de auditoría sale.credit_override
+   */
+  static async getCreditOverrides(tenantSchema, id, limit = 20) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const result = await query(`
+        SELECT
+          a.entity_id as sale_id, a.new_values->>'sale_number' as sale_number,
+          (a.new_values->>'credit_limit')::numeric as credit_limit,
+          (a.new_values->>'exposure')::numeric as exposure,
+          (a.new_values->>'exceeded_by')::numeric as exceeded_by,
+          a.new_values->>'policy' as policy,
+          a.new_values->>'reason' as reason,
+          a.user_id as authorized_by, u.name as authorized_by_name, a.created_at
+        FROM public.tenant_audit_log a
+        JOIN public.tenants t ON t.id = a.tenant_id
+        LEFT JOIN public.tenant_users u ON u.id = a.user_id
+        WHERE t.tenant_code = $1
+        AND a.action = 'sale.credit_override'
+        AND (a.new_values->>'client_id')::int = $2
+        ORDER BY a.created_at DESC
+        LIMIT $3
+      `, [tenantCodeFromSchema(tenantSchema), id, limit]);
+
+      return result.rows;
+
+    } catch (error) {
+      console.error('💥 Error obteniendo autorizaciones de crédito:', error.message);
+      throw new Error(`Error obteniendo autorizaciones de crédito: ${error.message}`);
+    }
+  }
+
   /**
    * Obtener inteligencia del cliente (análisis de comportamiento)
    * @param {string} tenantSchema - Schema del tenant
@@ -430,7 +823,8 @@ class Client {
         throw new Error(`Cliente con ID ${id} no encontrado`);
       }
 
-      // Análisis de ventas
+      // Análisis de ventas (con el estado de pago vigente)
+      const paymentStatus = Payment.currentStatusSql('sales');
       const salesAnalysis = await query(`
         SELECT 
           COUNT(*) as total_sales,
@@ -438,9 +832,9 @@ class Client {
           COALESCE(AVG(total_amount), 0) as avg_sale_amount,
           MIN(sale_date) as first_sale_date,
           MAX(sale_date) as last_sale_date,
-          COUNT(*) FILTER (WHERE payment_status = 'pagado') as paid_sales,
-          COUNT(*) FILTER (WHERE payment_status = 'pendiente') as pending_sales,
-          COUNT(*) FILTER (WHERE payment_status = 'vencido') as overdue_sales
+          COUNT(*) FILTER (WHERE ${paymentStatus} = 'pagado') as paid_sales,
+          COUNT(*) FILTER (WHERE ${paymentStatus} = 'pendiente') as pending_sales,
+          COUNT(*) FILTER (WHERE ${paymentStatus} = 'vencido') as overdue_sales
         FROM "${tenantSchema}".sales
         WHERE client_id = $1 
         AND sale_date >= (CURRENT_DATE - INTERVAL '${days} days')
@@ -0,0 +1,504 @@
+// =====================================================================================
+// FLUXION AI - EXCHANGE RATE MODEL (MULTI-TENANT)
+// Moneda base del tenant, tasas de cambio diarias y conversión de montos
+// =====================================================================================
+
+const { query, withTransaction, tenantCodeFromSchema } = require('../config/database.cjs');
+const AuditService = require('../services/AuditService.cjs');
+
+/**
+ * Moneda base de los tenants que no la configuraron
+ */
+const DEFAULT_BASE_CURRENCY = (process.env.DEFAULT_CURRENCY || 'USD').toUpperCase();
+
+/**
+ * Columnas aceptadas en la importación CSV
+ */
+const CSV_COLUMNS = ['rate_date', 'currency', 'rate'];
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+/**
+ * Modelo ExchangeRate - Multi-tenant
+ * rate = unidades de moneda base por 1 unidad de la moneda, vigente desde rate_date
+ * hasta la siguiente tasa registrada; la moneda base siempre vale 1
+ * Cada método requiere un tenantSchema para operar en el schema correcto
+ */
+class ExchangeRate {
+
+  /**
+   * Normalizar y validar un código de moneda ISO 4217
+   * @param {string} currency - Código (p. ej. 'usd', 'VES')
+   * @returns {string} Código en mayúsculas
+   */
+  static normalizeCurrency(currency) {
+    const code = String(currency || '').trim().toUpperCase();
+    if (!/^[A-Z]{3}$/.test(code)) {
+      throw new Error(`Moneda inválida: ${currency}. Use un código ISO de 3 letras (USD, VES, EUR)`);
+    }
+    return code;
+  }
+
+  /**
+   * Moneda base del tenant (tenants.settings.base_currency)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} db - Cliente de transacción (opcional)
+   * @returns {Promise<string>} Código de moneda
+   */
+  static async getBaseCurrency(tenantSchema, db = null) {
+    const runQuery = db ? db.query.bind(db) : query;
+
+    const result = await runQuery(`
+      SELECT settings->>'base_currency' as currency
+      FROM public.tenants
+      WHERE tenant_code = $1
+    `, [tenantCodeFromSchema(tenantSchema)]);
+
+    return result.rows[0]?.currency || DEFAULT_BASE_CURRENCY;
+  }
+
+  /**
+   * Cambiar la moneda base del tenant
+   * Solo se permite antes de registrar ventas o tasas: los montos existentes están en la moneda base anterior
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {string} currency - Código de moneda
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<Object>} { previous_currency, base_currency }
+   */
+  static async setBaseCurrency(tenantSchema, currency, context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const baseCurrency = this.normalizeCurrency(currency);
+
+      return await withTransaction(tenantSchema, async (db) => {
+        const previousCurrency = await this.getBaseCurrency(tenantSchema, db);
+
+        if (previousCurrency !== baseCurrency) {
+          const usageResult = await db.query(`
+            SELECT
+              (SELECT COUNT(*) FROM "${tenantSchema}".sales)::int as sales,
+              (SELECT COUNT(*) FROM "${tenantSchema}".exchange_rates)::int as rates
+          `);
+          const usage = usageResult.rows[0];
+
+          if (usage.sales > 0 || usage.rates > 0) {
+            throw new Error(`No se puede cambiar la moneda base: hay ${usage.sales} ventas y ${usage.rates} tasas registradas en ${previousCurrency}`);
+          }
+        }
+
+        await db.query(`
+          UPDATE public.tenants
+          SET settings = COALESCE(settings, '{}'::jsonb) || jsonb_build_object('base_currency', $1::text),
+              updated_at = CURRENT_TIMESTAMP
+          WHERE tenant_code = $2
+        `, [baseCurrency, tenantCodeFromSchema(tenantSchema)]);
+
+        await AuditService.record(tenantSchema, context, {
+          action: 'currency.base_currency',
+          entity_type: 'tenant_settings',
+          old_values: { base_currency: previousCurrency },
+          new_values: { base_currency: baseCurrency }
+        }, db);
+
+        console.log(`✅ Moneda base de ${tenantSchema}: ${previousCurrency} → ${baseCurrency}`);
+        return { previous_currency: previousCurrency, base_currency: baseCurrency };
+      });
+
+    } catch (error) {
+      console.error('💥 Error cambiando moneda base:', error.message);
+      throw new Error(`Error cambiando moneda base: ${error.message}`);
+    }
+  }
+
+  /**
+   * Historial de tasas de cambio
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} options - Filtros: currency, date_from, date_to, limit, offset
+   * @returns {Promise<Array>} Tasas ordenadas por fecha descendente
+   */
+  static async getAll(tenantSchema, options = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      let whereConditions = [];
+      let params = [];
+      let paramIndex = 1;
+
+      if (options.currency) {
+        whereConditions.push(`currency = $${paramIndex}`);
+        params.push(this.normalizeCurrency(options.currency));
+        paramIndex++;
+      }
+
+      if (options.date_from) {
+        whereConditions.push(`rate_date >= $${paramIndex}`);
+        params.push(options.date_from);
+        paramIndex++;
+      }
+
+      if (options.date_to) {
+        whereConditions.push(`rate_date <= $${paramIndex}`);
+        params.push(options.date_to);
+        paramIndex++;
+      }
+
+      let sql = `
+        SELECT id, currency, rate_date, rate, source, created_by, created_at, updated_at
+        FROM "${tenantSchema}".exchange_rates
+      `;
+
+      if (whereConditions.length > 0) {
+        sql += ` WHERE ${whereConditions.join(' AND ')}`;
+      }
+
+      sql += ' ORDER BY rate_date DESC, currency';
+
+      sql += ` LIMIT $${paramIndex}`;
+      params.push(options.limit || 100);
+      paramIndex++;
+
+      if (options.offset) {
+        sql += ` OFFSET $${paramIndex}`;
+        params.push(options.offset);
+      }
+
+      const result = await query(sql, params);
+      return result.rows;
+
+    } catch (error) {
+      console.error('💥 Error obteniendo tasas de cambio:', error.message);
+      throw new Error(`Error obteniendo tasas de cambio: ${error.message}`);
+    }
+  }
+
+  /**
+   * Tasa vigente de cada moneda en una fecha
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {string} date - Fecha (YYYY-MM-DD; hoy por defecto)
+   * @returns {Promise<Object>} { base_currency, date, rates: [{ currency, rate, rate_date }] }
+   */
+  static async getLatest(tenantSchema, date = null) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const baseCurrency = await this.getBaseCurrency(tenantSchema);
+      const result = await query(`
+        SELECT DISTINCT ON (currency) currency, rate, rate_date, source
+        FROM "${tenantSchema}".exchange_rates
+        WHERE rate_date <= COALESCE($1::date, CURRENT_DATE)
+        ORDER BY currency, rate_date DESC
+      `, [date || null]);
+
+      return {
+        base_currency: baseCurrency,
+        date: date || new Date().toISOString().split('T')[0],
+        rates: result.rows
+      };
+
+    } catch (error) {
+      console.error('💥 Error obteniendo tasas vigentes:', error.message);
+      throw new Error(`Error obteniendo tasas vigentes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Tasa de una moneda vigente en una fecha (la última registrada en o antes de la fecha)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {string} currency - Código de moneda
+   * @param {string} date - Fecha (YYYY-MM-DD; hoy por defecto)
+   * @param {Object} db - Cliente de transacción (opcional)
+   * @returns {Promise<Object>} { currency, base_currency, rate, rate_date }
+   */
+  static async getRate(tenantSchema, currency, date = null, db = null) {
+    const code = this.normalizeCurrency(currency);
+    const baseCurrency = await this.getBaseCurrency(tenantSchema, db);
+
+    if (code === baseCurrency) {
+      return { currency: code, base_currency: baseCurrency, rate: 1, rate_date: null };
+    }
+
+    const rate = await this.findRateRow(tenantSchema, code, date, db);
+    if (!rate) {
+      throw new Error(`No hay tasa de cambio de ${code} registrada al ${date || 'día de hoy'}`);
+    }
+
+    return {
+      currency: code,
+      base_currency: baseCurrency,
+      rate: parseFloat(rate.rate),
+      rate_date: rate.rate_date
+    };
+  }
+
+  /**
+   * Tasa vigente de una moneda distinta de la base, o null si no hay ninguna registrada
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {string} currency - Código de moneda
+   * @param {string} date - Fecha (YYYY-MM-DD; hoy por defecto)
+   * @param {Object} db - Cliente de transacción (opcional)
+   * @returns {Promise<number|null>} Tasa
+   */
+  static async findRate(tenantSchema, currency, date = null, db = null) {
+    const rate = await this.findRateRow(tenantSchema, this.normalizeCurrency(currency), date, db);
+    return rate ? parseFloat(rate.rate) : null;
+  }
+
+  /**
+   * Fila de exchange_rates vigente para una moneda en una fecha
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {string} currency - Código de moneda normalizado
+   * @param {string} date - Fecha (YYYY-MM-DD; hoy por defecto)
+   * @param {Object} db - Cliente de transacción (opcional)
+   * @returns {Promise<Object|null>} { rate, rate_date } o null
+   */
+  static async findRateRow(tenantSchema, currency, date = null, db = null) {
+    const runQuery = db ? db.query.bind(db) : query;
+
+    const result = await runQuery(`
+      SELECT rate, rate_date
+      FROM "${tenantSchema}".exchange_rates
+      WHERE currency = $1 AND rate_date <= COALESCE($2::date, CURRENT_DATE)
+      ORDER BY rate_date DESC
+      LIMIT 1
+    `, [currency, date || null]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Convertir un monto entre dos monedas con las tasas vigentes en una fecha
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} amount - Monto
+   * @param {string} from - Moneda del monto
+   * @param {string} to - Moneda destino
+   * @param {string} date - Fecha (YYYY-MM-DD; hoy por defecto)
+   * @param {Object} db - Cliente de transacción (opcional)
+   * @returns {Promise<Object>} { amount, from, to, converted_amount, from_rate, to_rate }
+   */
+  static async convert(tenantSchema, amount, from, to, date = null, db = null) {
+    const fromRate = await this.getRate(tenantSchema, from, date, db);
+    const toRate = await this.getRate(tenantSchema, to, date, db);
+
+    return {
+      amount: parseFloat(amount),
+      from: fromRate.currency,
+      to: toRate.currency,
+      base_currency: fromRate.base_currency,
+      from_rate: fromRate.rate,
+      to_rate: toRate.rate,
+      converted_amount: roundMoney(parseFloat(amount) * fromRate.rate / toRate.rate)
+    };
+  }
+
+  /**
+   * Registrar (o reemplazar) la tasa de una moneda en un día
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} rateData - { currency, rate, rate_date }
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<Object>} Tasa registrada
+   */
+  static async setRate(tenantSchema, rateData, context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      return await withTransaction(tenantSchema, async (db) => {
+        const baseCurrency = await this.getBaseCurrency(tenantSchema, db);
+        const rate = this.validateRate(rateData, baseCurrency);
+
+        const saved = await this.upsertRate(db, tenantSchema, rate, 'manual', context);
+
+        await AuditService.record(tenantSchema, context, {
+          action: 'exchange_rate.set',
+          entity_type: 'exchange_rate',
+          entity_id: saved.id,
+          new_values: saved
+        }, db);
+
+        return saved;
+      });
+
+    } catch (error) {
+      console.error('💥 Error registrando tasa de cambio:', error.message);
+      throw new Error(`Error registrando tasa de cambio: ${error.message}`);
+    }
+  }
+
+  /**
+   * Importar tasas desde CSV con encabezado rate_date,currency,rate (con ';' como separador
+   * también acepta coma decimal, p. ej. 36,5210); si alguna fila es inválida no se importa nada
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {string} csv - Contenido del archivo
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<Object>} { imported, currencies, date_from, date_to }
+   */
+  static async importCsv(tenantSchema, csv, context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const lines = String(csv || '').split(/\r?\n/).filter(line => line.trim() !== '');
+      if (lines.length < 2) {
+        throw new Error('CSV inválido: se requiere encabezado rate_date,currency,rate y al menos una fila');
+      }
+
+      const separator = lines[0].includes(';') ? ';' : ',';
+      const header = lines[0].split(separator).map(column => column.trim().toLowerCase());
+      const missingColumns = CSV_COLUMNS.filter(column => !header.includes(column));
+      if (missingColumns.length > 0) {
+        throw new Error(`CSV inválido: faltan las columnas ${missingColumns.join(', ')}`);
+      }
+
+      return await withTransaction(tenantSchema, async (db) => {
+        const baseCurrency = await this.getBaseCurrency(tenantSchema, db);
+        const rates = [];
+        const errors = [];
+
+        lines.slice(1).forEach((line, index) => {
+          const values = line.split(separator).map(value => value.trim());
+          const row = Object.fromEntries(header.map((column, position) => [column, values[position]]));
+          if (separator === ';' && row.rate && row.rate.includes(',')) {
+            row.rate = row.rate.replace(/\./g, '').replace(',', '.');
+          }
+
+          try {
+            rates.push(this.validateRate(row, baseCurrency));
+          } catch (error) {
+            errors.push(`línea ${index + 2}: ${error.message}`);
+          }
+        });
+
+        if (errors.length > 0) {
+          throw new Error(`CSV inválido: ${errors.slice(0, 10).join('; ')}${errors.length > 10 ? ` (y ${errors.length - 10} más)` : ''}`);
+        }
+
+        for (const rate of rates) {
+          await this.upsertRate(db, tenantSchema, rate, 'csv', context);
+        }
+
+        const dates = rates.map(rate => rate.rate_date).sort();
+        const summary = {
+          imported: rates.length,
+          currencies: [...new Set(rates.map(rate => rate.currency))],
+          date_from: dates[0],
+          date_to: dates[dates.length - 1]
+        };
+
+        await AuditService.record(tenantSchema, context, {
+          action: 'exchange_rate.import',
+          entity_type: 'exchange_rate',
+          new_values: summary
+        }, db);
+
+        console.log(`✅ ${rates.length} tasas de cambio importadas en ${tenantSchema}`);
+        return summary;
+      });
+
+    } catch (error) {
+      console.error('💥 Error importando tasas de cambio:', error.message);
+      throw new Error(`Error importando tasas de cambio: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fragmentos SQL para reportar montos de ventas en una moneda
+   * Cada venta se convierte a moneda base con su tasa capturada y luego a la moneda pedida
+   * con la tasa vigente en la fecha de la venta (o la más cercana si no hay anterior)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {string} currency - Moneda del reporte (moneda base por defecto)
+   * @param {Array} params - Parámetros de la consulta (se agrega la moneda si hace falta)
+   * @param {string} salesRef - Nombre o alias de la tabla de ventas en la consulta
+   * @returns {Promise<Object>} { currency, base_currency, join, factor }
+   */
+  static async getReportingConversion(tenantSchema, currency, params, salesRef = 'sales') {
+    const baseCurrency = await this.getBaseCurrency(tenantSchema);
+    const code = currency ? this.normalizeCurrency(currency) : baseCurrency;
+
+    if (code === baseCurrency) {
+      return { currency: code, base_currency: baseCurrency, join: '', factor: `${salesRef}.exchange_rate` };
+    }
+
+    const ratesResult = await query(`
+      SELECT COUNT(*)::int as rates FROM "${tenantSchema}".exchange_rates WHERE currency = $1
+    `, [code]);
+    if (ratesResult.rows[0].rates === 0) {
+      throw new Error(`No hay tasas de cambio registradas para ${code}`);
+    }
+
+    params.push(code);
+    const currencyParam = `$${params.length}`;
+
+    return {
+      currency: code,
+      base_currency: baseCurrency,
+      join: `
+        LEFT JOIN LATERAL (
+          SELECT er.rate
+          FROM "${tenantSchema}".exchange_rates er
+          WHERE er.currency = ${currencyParam}
+          ORDER BY er.rate_date <= ${salesRef}.sale_date::date DESC, ABS(er.rate_date - ${salesRef}.sale_date::date)
+          LIMIT 1
+        ) report_rate ON true
+      `,
+      factor: `(CASE WHEN ${salesRef}.currency = ${currencyParam} THEN 1 ELSE ${salesRef}.exchange_rate / report_rate.rate END)`
+    };
+  }
+
+  /**
+   * Validar una tasa
+   * @param {Object} rateData - { currency, rate, rate_date }
+   * @param {string} baseCurrency - Moneda base del tenant
+   * @returns {Object} { currency, rate, rate_date }
+   */
+  static validateRate(rateData, baseCurrency) {
+    const currency = this.normalizeCurrency(rateData.currency);
+    if (currency === baseCurrency) {
+      throw new Error(`Moneda inválida: ${currency} es la moneda base (tasa 1)`);
+    }
+
+    const rate = parseFloat(rateData.rate);
+    if (isNaN(rate) || rate <= 0) {
+      throw new Error(`Tasa inválida para ${currency}: debe ser mayor a 0`);
+    }
+
+    const rateDate = rateData.rate_date || new Date().toISOString().split('T')[0];
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(rateDate) || isNaN(new Date(rateDate).getTime())) {
+      throw new Error(`Fecha inválida: ${rateDate} (use YYYY-MM-DD)`);
+    }
+
+    return { currency, rate, rate_date: rateDate };
+  }
+
+  /**
+   * Insertar o reemplazar la tasa de un día
+   * @param {Object} db - Cliente de transacción (withTransaction)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} rate - { currency, rate, rate_date } validada
+   * @param {string} source - 'manual' o 'csv'
+   * @param {Object} context - Contexto de auditoría { userId }
+   * @returns {Promise<Object>} Tasa guardada
+   */
+  static async upsertRate(db, tenantSchema, rate, source, context = {}) {
+    const result = await db.query(`
+      INSERT INTO "${tenantSchema}".exchange_rates (currency, rate_date, rate, source, created_by)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (currency, rate_date) DO UPDATE
+      SET rate = EXCLUDED.rate, source = EXCLUDED.source, created_by = EXCLUDED.created_by,
+          updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [rate.currency, rate.rate_date, rate.rate, source, context.userId || null]);
+
+    return result.rows[0];
+  }
+}
+
+module.exports = ExchangeRate;
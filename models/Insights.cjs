@@ -5,6 +5,11 @@
 
 const { query } = require('../config/database.cjs');
 
+/**
+ * Días hacia adelante para alertar sobre lotes por vencer
+ */
+const EXPIRY_ALERT_DAYS = parseInt(process.env.EXPIRY_ALERT_DAYS) || 30;
+
 /**
  * Modelo Insights con generación automática de insights de negocio - Multi-tenant
  * Cada método requiere un tenantSchema para operar en el schema correcto
@@ -154,15 +159,18 @@ class Insights {
    * @param {string} tenantSchema - Schema del tenant
    * @param {string} insightId - ID del insight
    * @param {string} status - Nuevo estado
+   * @param {Object} db - Cliente de transacción opcional (por defecto el pool)
    * @returns {Promise<Object>} Insight actualizado
    */
-  static async updateStatus(tenantSchema, insightId, status) {
+  static async updateStatus(tenantSchema, insightId, status, db = null) {
     if (!tenantSchema) {
       throw new Error('tenantSchema es requerido para operaciones multi-tenant');
     }
-    
+
+    const runQuery = db ? db.query.bind(db) : query;
+
     try {
-      const result = await query(`
+      const result = await runQuery(`
         UPDATE "${tenantSchema}".insights 
         SET status = $1
         WHERE insight_id = $2
@@ -286,6 +294,7 @@ class Insights {
             affected_products: overStockProducts.length,
             tied_capital: totalTiedCapital,
             product_list: overStockProducts.map(p => ({
+              product_id: p.id,
               sku: p.sku,
               name: p.name,
               excess_stock: p.current_stock - p.max_stock_threshold,
@@ -306,6 +315,106 @@ class Insights {
     }
   }
 
+  /**
+   * Generar insights de lotes vencidos o por vencer
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} days - Días hacia adelante a revisar
+   * @returns {Promise<Array>} Insights generados
+   */
+  static async generateExpiryInsights(tenantSchema, days = EXPIRY_ALERT_DAYS) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const generatedInsights = [];
+
+      const expiringResult = await query(`
+        SELECT 
+          p.sku, p.name, w.warehouse_code, l.lot_number, l.expiry_date,
+          l.expiry_date - CURRENT_DATE as days_to_expiry,
+          l.quantity_remaining,
+          ROUND(l.quantity_remaining * COALESCE(l.cost_per_unit, p.cost_price), 2) as value_at_cost
+        FROM "${tenantSchema}".product_lots l
+        JOIN "${tenantSchema}".products p ON l.product_id = p.id
+        JOIN "${tenantSchema}".warehouses w ON l.warehouse_id = w.id
+        WHERE l.quantity_remaining > 0
+          AND l.expiry_date IS NOT NULL
+          AND l.expiry_date <= CURRENT_DATE + $1::int
+        ORDER BY l.expiry_date
+      `, [days]);
+
+      const expiredLots = expiringResult.rows.filter(lot => lot.days_to_expiry < 0);
+      const expiringLots = expiringResult.rows.filter(lot => lot.days_to_expiry >= 0);
+      const totalValue = lots => lots.reduce((sum, lot) => sum + parseFloat(lot.value_at_cost || 0), 0);
+      const lotList = lots => lots.slice(0, 20).map(lot => ({
+        sku: lot.sku,
+        name: lot.name,
+        warehouse: lot.warehouse_code,
+        lot_number: lot.lot_number,
+        expiry_date: lot.expiry_date,
+        days_to_expiry: lot.days_to_expiry,
+        quantity: lot.quantity_remaining,
+        value_at_cost: parseFloat(lot.value_at_cost || 0)
+      }));
+
+      // 1. Lotes ya vencidos (no se venden; hay que darlos de baja)
+      if (expiredLots.length > 0) {
+        const expiredValue = totalValue(expiredLots);
+        const insight = await this.create(tenantSchema, {
+          triggered_by: 'expiry_monitor',
+          type: 'alert',
+          priority: 'critical',
+          title: `🗑️ ${expiredLots.length} lotes vencidos en inventario`,
+          description: `Hay ${expiredLots.reduce((sum, lot) => sum + lot.quantity_remaining, 0)} unidades vencidas por $${expiredValue.toFixed(2)} al costo que ya no se pueden vender.`,
+          recommendation: 'Dar de baja los lotes vencidos con un ajuste de inventario y revisar si el proveedor acepta devolución.',
+          business_impact: `Pérdida de $${expiredValue.toFixed(2)} al costo y stock disponible sobrestimado.`,
+          confidence: 0.99,
+          channels: ['dashboard', 'whatsapp', 'email'],
+          data: {
+            affected_lots: expiredLots.length,
+            value_at_cost: expiredValue,
+            lot_list: lotList(expiredLots)
+          },
+          expires_at: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000) // 3 días
+        });
+        generatedInsights.push(insight);
+      }
+
+      // 2. Lotes que vencen dentro del horizonte
+      if (expiringLots.length > 0) {
+        const expiringValue = totalValue(expiringLots);
+        const soonest = expiringLots[0].days_to_expiry;
+        const insight = await this.create(tenantSchema, {
+          triggered_by: 'expiry_monitor',
+          type: 'alert',
+          priority: soonest <= 7 ? 'high' : 'medium',
+          title: `⏳ ${expiringLots.length} lotes vencen en los próximos ${days} días`,
+          description: `Stock por $${expiringValue.toFixed(2)} al costo vence dentro de ${days} días; el primero en ${soonest} días.`,
+          recommendation: 'Priorizar la venta de estos lotes con promociones o transferirlos a tiendas con mayor rotación.',
+          business_impact: `Hasta $${expiringValue.toFixed(2)} al costo en riesgo de merma.`,
+          confidence: 0.95,
+          channels: ['dashboard', 'whatsapp'],
+          data: {
+            horizon_days: days,
+            affected_lots: expiringLots.length,
+            value_at_cost: expiringValue,
+            lot_list: lotList(expiringLots)
+          },
+          expires_at: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 días
+        });
+        generatedInsights.push(insight);
+      }
+
+      console.log(`✅ Se generaron ${generatedInsights.length} insights de vencimiento`);
+      return generatedInsights;
+
+    } catch (error) {
+      console.error('💥 Error generando insights de vencimiento:', error.message);
+      throw new Error(`Error generando insights de vencimiento: ${error.message}`);
+    }
+  }
+
   /**
    * Generar insights de ventas automáticamente
    * @param {string} tenantSchema - Schema del tenant
@@ -394,16 +503,17 @@ class Insights {
         SELECT 
           c.id, c.business_name, c.client_code, c.payment_terms,
           COUNT(s.id) as overdue_sales,
-          SUM(s.total_amount) as overdue_amount,
+          SUM((s.total_amount - s.amount_paid) * s.exchange_rate) as overdue_amount,
           MIN(s.sale_date) as oldest_sale_date
         FROM "${tenantSchema}".clients c
         JOIN "${tenantSchema}".sales s ON c.id = s.client_id
         WHERE s.payment_status IN ('pendiente', 'parcial', 'vencido')
-        AND s.sale_date < (CURRENT_DATE - c.payment_terms)
+        AND s.total_amount > s.amount_paid
+        AND COALESCE(s.due_date, s.sale_date::date + c.payment_terms) < CURRENT_DATE
         AND c.active = true
         GROUP BY c.id, c.business_name, c.client_code, c.payment_terms
-        HAVING SUM(s.total_amount) > 1000
-        ORDER BY SUM(s.total_amount) DESC
+        HAVING SUM((s.total_amount - s.amount_paid) * s.exchange_rate) > 1000
+        ORDER BY SUM((s.total_amount - s.amount_paid) * s.exchange_rate) DESC
         LIMIT 10
       `);
 
@@ -467,7 +577,7 @@ class Insights {
           ROUND(((p.selling_price - p.cost_price)::numeric / p.selling_price * 100), 2) as profit_margin,
           COUNT(sd.id) as sales_frequency,
           SUM(sd.quantity) as total_sold,
-          SUM(sd.line_total) as total_revenue
+          SUM(sd.total_price) as total_revenue
         FROM "${tenantSchema}".products p
         JOIN "${tenantSchema}".sale_details sd ON p.id = sd.product_id
         JOIN "${tenantSchema}".sales s ON sd.sale_id = s.id
@@ -537,6 +647,10 @@ class Insights {
       // Generar insights de inventario
       const inventoryInsights = await this.generateInventoryInsights(tenantSchema);
       allInsights.push(...inventoryInsights);
+
+      // Generar insights de vencimiento de lotes
+      const expiryInsights = await this.generateExpiryInsights(tenantSchema);
+      allInsights.push(...expiryInsights);
       
       // Generar insights de ventas
       const salesInsights = await this.generateSalesInsights(tenantSchema);
@@ -3,7 +3,17 @@
 // Modelo de datos para movimientos de inventario y valuación con soporte multi-tenant
 // =====================================================================================
 
-const { query } = require('../config/database.cjs');
+const { query, withTransaction, tenantCodeFromSchema } = require('../config/database.cjs');
+const AuditService = require('../services/AuditService.cjs');
+
+/**
+ * Métodos de valuación de inventario (tenants.settings.inventory_valuation_method)
+ * fifo: capas de costo; weighted_average: costo promedio ponderado móvil; standard: cost_price
+ */
+const VALUATION_METHODS = ['fifo', 'weighted_average', 'standard'];
+const DEFAULT_VALUATION_METHOD = 'fifo';
+
+const roundMoney = value => Math.round(value * 100) / 100;
 
 /**
  * Modelo Inventory con operaciones de movimientos y valuación - Multi-tenant
@@ -34,6 +44,12 @@ class Inventory {
         paramIndex++;
       }
 
+      if (options.warehouse_id) {
+        whereConditions.push(`im.warehouse_id = $${paramIndex}`);
+        params.push(options.warehouse_id);
+        paramIndex++;
+      }
+
       if (options.movement_type) {
         whereConditions.push(`im.movement_type = $${paramIndex}`);
         params.push(options.movement_type);
@@ -60,12 +76,14 @@ class Inventory {
 
       let sql = `
         SELECT 
-          im.id, im.product_id, im.movement_type, im.quantity,
+          im.id, im.product_id, im.warehouse_id, im.movement_type, im.quantity,
           im.previous_stock, im.new_stock, im.cost_per_unit,
           im.reference_type, im.reference_id, im.notes, im.created_at,
-          p.sku, p.name as product_name, p.category, p.brand
+          p.sku, p.name as product_name, p.category, p.brand,
+          w.warehouse_code
         FROM "${tenantSchema}".inventory_movements im
         JOIN "${tenantSchema}".products p ON im.product_id = p.id
+        LEFT JOIN "${tenantSchema}".warehouses w ON im.warehouse_id = w.id
       `;
 
       if (whereConditions.length > 0) {
@@ -94,88 +112,665 @@ class Inventory {
     }
   }
 
+  /**
+   * Bloquear filas de productos (SELECT ... FOR UPDATE) dentro de una transacción
+   * Se bloquean en orden de ID para evitar deadlocks entre operaciones concurrentes
+   * @param {Object} db - Cliente de transacción (withTransaction)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Array<number>} productIds - IDs de productos
+   * @returns {Promise<Map>} Productos bloqueados por ID
+   */
+  static async lockProducts(db, tenantSchema, productIds) {
+    const ids = [...new Set(productIds.map(id => parseInt(id)))].sort((a, b) => a - b);
+
+    const result = await db.query(`
+      SELECT id, sku, name, category, selling_price, cost_price, average_cost, current_stock, active
+      FROM "${tenantSchema}".products
+      WHERE id = ANY($1::int[])
+      ORDER BY id
+      FOR UPDATE
+    `, [ids]);
+
+    return new Map(result.rows.map(product => [product.id, product]));
+  }
+
+  /**
+   * Obtener un almacén activo por ID, o el predeterminado si no se indica
+   * En una transacción lo lee con FOR SHARE: desactivarlo espera a los movimientos en curso
+   * @param {Object} db - Cliente de transacción (withTransaction) o null
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number|null} warehouseId - ID del almacén (opcional)
+   * @returns {Promise<Object>} Almacén
+   */
+  static async resolveWarehouse(db, tenantSchema, warehouseId = null) {
+    const runQuery = db ? db.query.bind(db) : query;
+
+    if (warehouseId) {
+      const result = await runQuery(`
+        SELECT id, warehouse_code, name, is_default, sellable
+        FROM "${tenantSchema}".warehouses
+        WHERE id = $1 AND active = true
+        FOR SHARE
+      `, [warehouseId]);
+
+      if (result.rows.length === 0) {
+        throw new Error(`Almacén con ID ${warehouseId} no encontrado o inactivo`);
+      }
+      return result.rows[0];
+    }
+
+    const result = await runQuery(`
+      SELECT id, warehouse_code, name, is_default, sellable
+      FROM "${tenantSchema}".warehouses
+      WHERE is_default = true
+      FOR SHARE
+    `);
+
+    if (result.rows.length === 0) {
+      throw new Error('No hay almacén predeterminado configurado');
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Obtener el stock de varios productos en un almacén
+   * Llamar después de lockProducts: el bloqueo del producto serializa los cambios de sus ubicaciones
+   * @param {Object} db - Cliente de transacción (withTransaction)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} warehouseId - ID del almacén
+   * @param {Array<number>} productIds - IDs de productos
+   * @returns {Promise<Map>} Cantidad por ID de producto (0 si no hay registro)
+   */
+  static async getLocationStock(db, tenantSchema, warehouseId, productIds) {
+    const ids = [...new Set(productIds.map(id => parseInt(id)))];
+
+    const result = await db.query(`
+      SELECT product_id, quantity
+      FROM "${tenantSchema}".product_stock
+      WHERE warehouse_id = $1 AND product_id = ANY($2::int[])
+    `, [warehouseId, ids]);
+
+    const stock = new Map(ids.map(id => [id, 0]));
+    result.rows.forEach(row => stock.set(row.product_id, row.quantity));
+    return stock;
+  }
+
+  /**
+   * Obtener el stock vendible de varios productos en un almacén (excluye lotes vencidos)
+   * Un almacén no vendible (sellable = false) no tiene stock vendible
+   * @param {Object} db - Cliente de transacción (withTransaction)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} warehouseId - ID del almacén
+   * @param {Array<number>} productIds - IDs de productos
+   * @returns {Promise<Map>} Cantidad vendible por ID de producto
+   */
+  static async getSellableStock(db, tenantSchema, warehouseId, productIds) {
+    const stock = await this.getLocationStock(db, tenantSchema, warehouseId, productIds);
+
+    const warehouseResult = await db.query(`
+      SELECT sellable FROM "${tenantSchema}".warehouses WHERE id = $1
+    `, [warehouseId]);
+
+    if (warehouseResult.rows.length > 0 && !warehouseResult.rows[0].sellable) {
+      stock.forEach((_, productId) => stock.set(productId, 0));
+      return stock;
+    }
+
+    const expiredResult = await db.query(`
+      SELECT product_id, SUM(quantity_remaining) as expired
+      FROM "${tenantSchema}".product_lots
+      WHERE warehouse_id = $1 AND product_id = ANY($2::int[])
+        AND quantity_remaining > 0 AND expiry_date < CURRENT_DATE
+      GROUP BY product_id
+    `, [warehouseId, [...stock.keys()]]);
+
+    expiredResult.rows.forEach(row => {
+      stock.set(row.product_id, stock.get(row.product_id) - parseInt(row.expired));
+    });
+    return stock;
+  }
+
+  /**
+   * Registrar la entrada de lotes de un movimiento positivo
+   * Cada lote es { lot_id, quantity } (reponer un lote existente) o
+   * { lot_number, expiry_date, quantity, cost_per_unit } (crear o sumar al lote del almacén)
+   * @param {Object} db - Cliente de transacción (withTransaction)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} product - Producto bloqueado
+   * @param {number} warehouseId - ID del almacén
+   * @param {Object} movement - Movimiento ya insertado
+   * @param {Array} lots - Lotes que entran (la suma no puede superar el movimiento)
+   * @returns {Promise<Array>} [{ lot_id, lot_number, expiry_date, quantity }]
+   */
+  static async receiveLots(db, tenantSchema, product, warehouseId, movement, lots) {
+    const totalLots = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+    if (totalLots > movement.quantity) {
+      throw new Error(`Cantidad en lotes (${totalLots}) excede la cantidad del movimiento (${movement.quantity})`);
+    }
+
+    const received = [];
+    for (const lot of lots) {
+      if (!Number.isInteger(lot.quantity) || lot.quantity <= 0) {
+        throw new Error(`Cantidad inválida para el lote ${lot.lot_number || lot.lot_id}`);
+      }
+
+      let lotResult;
+      if (lot.lot_id) {
+        lotResult = await db.query(`
+          UPDATE "${tenantSchema}".product_lots
+          SET quantity_remaining = quantity_remaining + $4
+          WHERE id = $1 AND product_id = $2 AND warehouse_id = $3
+          RETURNING *
+        `, [lot.lot_id, product.id, warehouseId, lot.quantity]);
+
+        if (lotResult.rows.length === 0) {
+          throw new Error(`Lote con ID ${lot.lot_id} no encontrado para ${product.name} en el almacén`);
+        }
+      } else {
+        if (!lot.lot_number) {
+          throw new Error('Cada lote requiere lot_number o lot_id');
+        }
+
+        lotResult = await db.query(`
+          INSERT INTO "${tenantSchema}".product_lots (
+            product_id, warehouse_id, lot_number, expiry_date,
+            quantity_received, quantity_remaining, cost_per_unit
+          ) VALUES ($1, $2, $3, $4, $5, $5, $6)
+          ON CONFLICT (product_id, warehouse_id, lot_number)
+          DO UPDATE SET
+            quantity_received = "${tenantSchema}".product_lots.quantity_received + EXCLUDED.quantity_received,
+            quantity_remaining = "${tenantSchema}".product_lots.quantity_remaining + EXCLUDED.quantity_remaining,
+            expiry_date = COALESCE("${tenantSchema}".product_lots.expiry_date, EXCLUDED.expiry_date)
+          RETURNING *
+        `, [
+          product.id, warehouseId, lot.lot_number, lot.expiry_date || null,
+          lot.quantity, lot.cost_per_unit ?? movement.cost_per_unit
+        ]);
+      }
+
+      const row = lotResult.rows[0];
+      await db.query(`
+        INSERT INTO "${tenantSchema}".inventory_movement_lots (movement_id, lot_id, quantity)
+        VALUES ($1, $2, $3)
+      `, [movement.id, row.id, lot.quantity]);
+
+      received.push({
+        lot_id: row.id, lot_number: row.lot_number, expiry_date: row.expiry_date,
+        cost_per_unit: row.cost_per_unit, quantity: lot.quantity
+      });
+    }
+
+    return received;
+  }
+
+  /**
+   * Consumir lotes para un movimiento negativo
+   * Primero los lotes indicados ({ lot_id, quantity }), luego FEFO (vence primero, sale primero);
+   * lo que no cubren los lotes sale del stock sin lote
+   * @param {Object} db - Cliente de transacción (withTransaction)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} product - Producto bloqueado
+   * @param {number} warehouseId - ID del almacén
+   * @param {Object} movement - Movimiento ya insertado
+   * @param {number} locationStock - Stock del almacén antes del movimiento
+   * @param {Object} options - { lots: [{ lot_id, quantity }], exclude_expired }
+   * @returns {Promise<Array>} [{ lot_id, lot_number, expiry_date, quantity (negativa) }]
+   */
+  static async consumeLots(db, tenantSchema, product, warehouseId, movement, locationStock, options = {}) {
+    const lotsResult = await db.query(`
+      SELECT id, lot_number, expiry_date, quantity_remaining, cost_per_unit,
+             expiry_date < CURRENT_DATE as expired
+      FROM "${tenantSchema}".product_lots
+      WHERE product_id = $1 AND warehouse_id = $2 AND quantity_remaining > 0
+      ORDER BY expiry_date NULLS LAST, received_at, id
+      FOR UPDATE
+    `, [product.id, warehouseId]);
+
+    const available = lotsResult.rows;
+    const untracked = locationStock - available.reduce((sum, lot) => sum + lot.quantity_remaining, 0);
+    const allocations = new Map();
+    let pending = -movement.quantity;
+
+    const take = (lot, quantity) => {
+      lot.quantity_remaining -= quantity;
+      allocations.set(lot.id, { lot, quantity: (allocations.get(lot.id)?.quantity || 0) + quantity });
+      pending -= quantity;
+    };
+
+    for (const requested of options.lots || []) {
+      const lot = available.find(candidate => candidate.id === parseInt(requested.lot_id));
+      if (!lot) {
+        throw new Error(`Lote con ID ${requested.lot_id} no encontrado o sin stock para ${product.name}`);
+      }
+      if (!Number.isInteger(requested.quantity) || requested.quantity <= 0 ||
+          requested.quantity > lot.quantity_remaining || requested.quantity > pending) {
+        throw new Error(`Cantidad inválida para el lote ${lot.lot_number}: disponible ${lot.quantity_remaining}`);
+      }
+      take(lot, requested.quantity);
+    }
+
+    for (const lot of available) {
+      if (pending === 0) {
+        break;
+      }
+      if (lot.quantity_remaining === 0 || (options.exclude_expired && lot.expired)) {
+        continue;
+      }
+      take(lot, Math.min(lot.quantity_remaining, pending));
+    }
+
+    if (pending > untracked) {
+      throw new Error(`Stock insuficiente de ${product.name}: los lotes vencidos no se pueden vender`);
+    }
+
+    const consumed = [];
+    for (const { lot, quantity } of allocations.values()) {
+      await db.query(`
+        UPDATE "${tenantSchema}".product_lots
+        SET quantity_remaining = quantity_remaining - $2
+        WHERE id = $1
+      `, [lot.id, quantity]);
+
+      await db.query(`
+        INSERT INTO "${tenantSchema}".inventory_movement_lots (movement_id, lot_id, quantity)
+        VALUES ($1, $2, $3)
+      `, [movement.id, lot.id, -quantity]);
+
+      consumed.push({
+        lot_id: lot.id, lot_number: lot.lot_number, expiry_date: lot.expiry_date,
+        cost_per_unit: lot.cost_per_unit, quantity: -quantity
+      });
+    }
+
+    return consumed;
+  }
+
+  /**
+   * Registrar las capas de costo de un movimiento positivo
+   * Cada capa es { layer_id, quantity } (reponer una capa existente) o
+   * { unit_cost, quantity, received_at }; lo que no cubren las capas indicadas entra en una
+   * capa nueva al cost_per_unit del movimiento (o al costo del producto)
+   * @param {Object} db - Cliente de transacción (withTransaction)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} product - Producto bloqueado
+   * @param {number} warehouseId - ID del almacén
+   * @param {Object} movement - Movimiento ya insertado
+   * @param {Array} layers - Capas que entran (la suma no puede superar el movimiento)
+   * @returns {Promise<Array>} [{ layer_id, unit_cost, quantity, received_at }]
+   */
+  static async receiveCostLayers(db, tenantSchema, product, warehouseId, movement, layers) {
+    const totalLayers = layers.reduce((sum, layer) => sum + layer.quantity, 0);
+    if (totalLayers > movement.quantity) {
+      throw new Error(`Cantidad en capas de costo (${totalLayers}) excede la cantidad del movimiento (${movement.quantity})`);
+    }
+
+    const entries = [...layers];
+    if (totalLayers < movement.quantity) {
+      entries.push({
+        unit_cost: movement.cost_per_unit ?? product.cost_price ?? 0,
+        quantity: movement.quantity - totalLayers
+      });
+    }
+
+    const received = [];
+    for (const entry of entries) {
+      let layerResult;
+      if (entry.layer_id) {
+        layerResult = await db.query(`
+          UPDATE "${tenantSchema}".cost_layers
+          SET quantity_remaining = quantity_remaining + $4
+          WHERE id = $1 AND product_id = $2 AND warehouse_id = $3
+          RETURNING *
+        `, [entry.layer_id, product.id, warehouseId, entry.quantity]);
+
+        if (layerResult.rows.length === 0) {
+          throw new Error(`Capa de costo con ID ${entry.layer_id} no encontrada para ${product.name} en el almacén`);
+        }
+      } else {
+        layerResult = await db.query(`
+          INSERT INTO "${tenantSchema}".cost_layers (
+            product_id, warehouse_id, movement_id, unit_cost,
+            quantity_received, quantity_remaining, received_at
+          ) VALUES ($1, $2, $3, $4, $5, $5, COALESCE($6, CURRENT_TIMESTAMP))
+          RETURNING *
+        `, [product.id, warehouseId, movement.id, entry.unit_cost, entry.quantity, entry.received_at || null]);
+      }
+
+      const layer = layerResult.rows[0];
+      await db.query(`
+        INSERT INTO "${tenantSchema}".inventory_movement_costs (movement_id, layer_id, quantity, unit_cost)
+        VALUES ($1, $2, $3, $4)
+      `, [movement.id, layer.id, entry.quantity, layer.unit_cost]);
+
+      received.push({
+        layer_id: layer.id, unit_cost: parseFloat(layer.unit_cost),
+        quantity: entry.quantity, received_at: layer.received_at
+      });
+    }
+
+    return received;
+  }
+
+  /**
+   * Consumir capas de costo FIFO (la más antigua primero) para un movimiento negativo
+   * Si las capas no cubren la salida, el resto se valúa al costo promedio del producto
+   * @param {Object} db - Cliente de transacción (withTransaction)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} product - Producto bloqueado
+   * @param {number} warehouseId - ID del almacén
+   * @param {Object} movement - Movimiento ya insertado
+   * @returns {Promise<Array>} [{ layer_id, unit_cost, quantity (negativa), received_at }]
+   */
+  static async consumeCostLayers(db, tenantSchema, product, warehouseId, movement) {
+    const layersResult = await db.query(`
+      SELECT id, unit_cost, quantity_remaining, received_at
+      FROM "${tenantSchema}".cost_layers
+      WHERE product_id = $1 AND warehouse_id = $2 AND quantity_remaining > 0
+      ORDER BY received_at, id
+      FOR UPDATE
+    `, [product.id, warehouseId]);
+
+    const consumed = [];
+    let pending = -movement.quantity;
+
+    for (const layer of layersResult.rows) {
+      if (pending === 0) {
+        break;
+      }
+
+      const quantity = Math.min(layer.quantity_remaining, pending);
+      await db.query(`
+        UPDATE "${tenantSchema}".cost_layers
+        SET quantity_remaining = quantity_remaining - $2
+        WHERE id = $1
+      `, [layer.id, quantity]);
+
+      await db.query(`
+        INSERT INTO "${tenantSchema}".inventory_movement_costs (movement_id, layer_id, quantity, unit_cost)
+        VALUES ($1, $2, $3, $4)
+      `, [movement.id, layer.id, -quantity, layer.unit_cost]);
+
+      consumed.push({
+        layer_id: layer.id, unit_cost: parseFloat(layer.unit_cost),
+        quantity: -quantity, received_at: layer.received_at
+      });
+      pending -= quantity;
+    }
+
+    if (pending > 0) {
+      const unitCost = parseFloat(product.average_cost ?? product.cost_price) || 0;
+      await db.query(`
+        INSERT INTO "${tenantSchema}".inventory_movement_costs (movement_id, layer_id, quantity, unit_cost)
+        VALUES ($1, NULL, $2, $3)
+      `, [movement.id, -pending, unitCost]);
+
+      consumed.push({ layer_id: null, unit_cost: unitCost, quantity: -pending, received_at: null });
+    }
+
+    return consumed;
+  }
+
+  /**
+   * Costo de ventas de una salida según el método de valuación del tenant
+   * Llamar con el producto de lockProducts: las salidas no cambian su costo promedio
+   * @param {string} method - Método de valuación (VALUATION_METHODS)
+   * @param {Object} product - Producto bloqueado
+   * @param {Object} movement - Movimiento de salida creado con applyMovement
+   * @returns {number} Costo de las unidades que salieron
+   */
+  static getCostOfGoods(method, product, movement) {
+    const quantity = Math.abs(movement.quantity);
+
+    switch (method) {
+      case 'weighted_average':
+        return roundMoney(quantity * (parseFloat(product.average_cost ?? product.cost_price) || 0));
+      case 'standard':
+        return roundMoney(quantity * (parseFloat(product.cost_price) || 0));
+      default:
+        return movement.total_cost;
+    }
+  }
+
+  /**
+   * Obtener el método de valuación configurado para el tenant
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} db - Cliente de transacción (opcional)
+   * @returns {Promise<string>} 'fifo', 'weighted_average' o 'standard'
+   */
+  static async getValuationMethod(tenantSchema, db = null) {
+    const runQuery = db ? db.query.bind(db) : query;
+
+    const result = await runQuery(`
+      SELECT settings->>'inventory_valuation_method' as method
+      FROM public.tenants
+      WHERE tenant_code = $1
+    `, [tenantCodeFromSchema(tenantSchema)]);
+
+    const method = result.rows[0]?.method;
+    return VALUATION_METHODS.includes(method) ? method : DEFAULT_VALUATION_METHOD;
+  }
+
+  /**
+   * Cambiar el método de valuación del tenant (tenants.settings.inventory_valuation_method)
+   * Las capas de costo se mantienen con cualquier método; el cambio afecta el costo de las
+   * ventas siguientes y la valuación
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {string} method - 'fifo', 'weighted_average' o 'standard'
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<Object>} { previous_method, method }
+   */
+  static async setValuationMethod(tenantSchema, method, context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      if (!VALUATION_METHODS.includes(method)) {
+        throw new Error(`Método de valuación inválido: ${method}. Válidos: ${VALUATION_METHODS.join(', ')}`);
+      }
+
+      return await withTransaction(tenantSchema, async (db) => {
+        const previousMethod = await this.getValuationMethod(tenantSchema, db);
+
+        await db.query(`
+          UPDATE public.tenants
+          SET settings = COALESCE(settings, '{}'::jsonb) || jsonb_build_object('inventory_valuation_method', $1::text),
+              updated_at = CURRENT_TIMESTAMP
+          WHERE tenant_code = $2
+        `, [method, tenantCodeFromSchema(tenantSchema)]);
+
+        await AuditService.record(tenantSchema, context, {
+          action: 'inventory.valuation_method',
+          entity_type: 'tenant_settings',
+          old_values: { inventory_valuation_method: previousMethod },
+          new_values: { inventory_valuation_method: method }
+        }, db);
+
+        console.log(`✅ Método de valuación de ${tenantSchema}: ${previousMethod} → ${method}`);
+        return { previous_method: previousMethod, method };
+      });
+
+    } catch (error) {
+      console.error('💥 Error cambiando método de valuación:', error.message);
+      throw new Error(`Error cambiando método de valuación: ${error.message}`);
+    }
+  }
+
+  /**
+   * Registrar un movimiento y actualizar el stock de un producto ya bloqueado
+   * Actualiza product.current_stock en memoria para que siguientes líneas de la
+   * misma transacción vean el stock resultante
+   * El stock del almacén nunca queda negativo; product.current_stock solo suma los almacenes
+   * vendibles, así una transferencia entre vendibles no cambia el total y una hacia o desde
+   * una ubicación no vendible (p. ej. dañados) sí
+   * Las entradas registran los lotes indicados; las salidas consumen lotes FEFO
+   * Las entradas crean capas de costo (o reponen las indicadas en cost_layers) y recalculan
+   * el costo promedio; las salidas consumen capas FIFO
+   * @param {Object} db - Cliente de transacción (withTransaction)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} product - Producto obtenido con lockProducts
+   * @param {Object} movement - { movement_type, quantity (con signo), warehouse_id, cost_per_unit, reference_type, reference_id, notes, lots, exclude_expired, cost_layers }
+   * @returns {Promise<Object>} Movimiento creado con lots, cost_layers y total_cost (costo de las unidades movidas)
+   */
+  static async applyMovement(db, tenantSchema, product, movement) {
+    const {
+      movement_type, quantity, cost_per_unit = null,
+      reference_type = null, reference_id = null, notes = null,
+      lots = [], exclude_expired = false, cost_layers = []
+    } = movement;
+
+    const warehouse = await this.resolveWarehouse(db, tenantSchema, movement.warehouse_id);
+
+    const locationStock = (await this.getLocationStock(db, tenantSchema, warehouse.id, [product.id])).get(product.id);
+    if (locationStock + quantity < 0) {
+      throw new Error(`Stock insuficiente de ${product.name} en almacén ${warehouse.warehouse_code}. Disponible: ${locationStock}, Solicitado: ${-quantity}`);
+    }
+
+    const previousStock = product.current_stock;
+    const newStock = warehouse.sellable ? previousStock + quantity : previousStock;
+
+    const movementResult = await db.query(`
+      INSERT INTO "${tenantSchema}".inventory_movements (
+        product_id, warehouse_id, movement_type, quantity, previous_stock, new_stock,
+        cost_per_unit, reference_type, reference_id, notes
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *
+    `, [
+      product.id, warehouse.id, movement_type, quantity, previousStock, newStock,
+      cost_per_unit, reference_type, reference_id, notes
+    ]);
+
+    const created = movementResult.rows[0];
+
+    if (quantity > 0) {
+      created.lots = await this.receiveLots(db, tenantSchema, product, warehouse.id, created, lots);
+    } else if (quantity < 0) {
+      created.lots = await this.consumeLots(db, tenantSchema, product, warehouse.id, created, locationStock, {
+        lots, exclude_expired
+      });
+    } else {
+      created.lots = [];
+    }
+
+    if (quantity > 0) {
+      created.cost_layers = await this.receiveCostLayers(db, tenantSchema, product, warehouse.id, created, cost_layers);
+    } else if (quantity < 0) {
+      created.cost_layers = await this.consumeCostLayers(db, tenantSchema, product, warehouse.id, created);
+    } else {
+      created.cost_layers = [];
+    }
+
+    const totalCost = created.cost_layers.reduce((sum, layer) => sum + Math.abs(layer.quantity) * layer.unit_cost, 0);
+    created.total_cost = roundMoney(totalCost);
+
+    // Costo promedio ponderado móvil: solo las entradas a almacenes vendibles lo modifican (las transferencias no)
+    if (quantity > 0 && movement_type !== 'transferencia' && warehouse.sellable) {
+      const previousUnits = Math.max(previousStock, 0);
+      const previousAverage = parseFloat(product.average_cost ?? product.cost_price) || 0;
+      product.average_cost = Math.round((previousUnits * previousAverage + totalCost) / (previousUnits + quantity) * 10000) / 10000;
+    }
+
+    await db.query(`
+      INSERT INTO "${tenantSchema}".product_stock (product_id, warehouse_id, quantity)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (product_id, warehouse_id)
+      DO UPDATE SET quantity = "${tenantSchema}".product_stock.quantity + EXCLUDED.quantity,
+                    updated_at = CURRENT_TIMESTAMP
+    `, [product.id, warehouse.id, quantity]);
+
+    if (newStock !== previousStock) {
+      await db.query(`
+        UPDATE "${tenantSchema}".products 
+        SET current_stock = $1, average_cost = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $3
+      `, [newStock, product.average_cost ?? null, product.id]);
+    }
+
+    product.current_stock = newStock;
+    return created;
+  }
+
   /**
    * Registrar un movimiento de inventario
    * @param {string} tenantSchema - Schema del tenant
    * @param {Object} movementData - Datos del movimiento
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
    * @returns {Promise<Object>} Movimiento creado
    */
-  static async addMovement(tenantSchema, movementData) {
+  static async addMovement(tenantSchema, movementData, context = {}) {
     if (!tenantSchema) {
       throw new Error('tenantSchema es requerido para operaciones multi-tenant');
     }
     
-    const client = await query('BEGIN');
-    
     try {
       const {
         product_id, movement_type, quantity, cost_per_unit,
-        reference_type, reference_id, notes
+        reference_type, reference_id, notes, warehouse_id,
+        lot_number, expiry_date, lot_id
       } = movementData;
 
-      // Obtener stock actual del producto
-      const productResult = await query(`
-        SELECT current_stock FROM "${tenantSchema}".products WHERE id = $1
-      `, [product_id]);
+      return await withTransaction(tenantSchema, async (db) => {
+        // Obtener y bloquear el stock actual del producto
+        const products = await this.lockProducts(db, tenantSchema, [product_id]);
+        const product = products.get(parseInt(product_id));
 
-      if (productResult.rows.length === 0) {
-        throw new Error(`Producto con ID ${product_id} no encontrado`);
-      }
+        if (!product) {
+          throw new Error(`Producto con ID ${product_id} no encontrado`);
+        }
 
-      const currentStock = productResult.rows[0].current_stock;
-      const previousStock = currentStock;
-      
-      // Calcular nuevo stock según tipo de movimiento
-      let stockChange = 0;
-      switch (movement_type) {
-        case 'entrada':
-          stockChange = Math.abs(quantity);
-          break;
-        case 'salida':
-          stockChange = -Math.abs(quantity);
-          if (currentStock + stockChange < 0) {
-            throw new Error('No hay suficiente stock para realizar esta salida');
-          }
-          break;
-        case 'ajuste':
-          stockChange = quantity; // Puede ser positivo o negativo
-          if (currentStock + stockChange < 0) {
-            throw new Error('El ajuste resultaría en stock negativo');
-          }
-          break;
-        case 'sincronizacion':
-          stockChange = quantity; // Sincronización externa
-          break;
-        default:
-          throw new Error('Tipo de movimiento no válido');
-      }
-
-      const newStock = currentStock + stockChange;
-
-      // Registrar movimiento
-      const movementResult = await query(`
-        INSERT INTO "${tenantSchema}".inventory_movements (
-          product_id, movement_type, quantity, previous_stock, new_stock,
-          cost_per_unit, reference_type, reference_id, notes
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-        RETURNING *
-      `, [
-        product_id, movement_type, stockChange, previousStock, newStock,
-        cost_per_unit, reference_type, reference_id, notes
-      ]);
+        const currentStock = product.current_stock;
+        const previousStock = currentStock;
+        
+        // Calcular nuevo stock según tipo de movimiento
+        let stockChange = 0;
+        switch (movement_type) {
+          case 'entrada':
+            stockChange = Math.abs(quantity);
+            break;
+          case 'salida':
+            stockChange = -Math.abs(quantity);
+            if (currentStock + stockChange < 0) {
+              throw new Error('No hay suficiente stock para realizar esta salida');
+            }
+            break;
+          case 'ajuste':
+            stockChange = quantity; // Puede ser positivo o negativo
+            if (currentStock + stockChange < 0) {
+              throw new Error('El ajuste resultaría en stock negativo');
+            }
+            break;
+          case 'sincronizacion':
+            stockChange = quantity; // Sincronización externa
+            break;
+          default:
+            throw new Error('Tipo de movimiento no válido');
+        }
 
-      // Actualizar stock del producto
-      await query(`
-        UPDATE "${tenantSchema}".products 
-        SET current_stock = $1, updated_at = CURRENT_TIMESTAMP
-        WHERE id = $2
-      `, [newStock, product_id]);
+        // Entradas con lot_number crean o suman al lote; lot_id apunta a un lote existente
+        let lots = [];
+        if (lot_number) {
+          lots = [{ lot_number, expiry_date, quantity: Math.abs(stockChange) }];
+        } else if (lot_id) {
+          lots = [{ lot_id, quantity: Math.abs(stockChange) }];
+        }
 
-      await query('COMMIT');
-      return movementResult.rows[0];
+        const movement = await this.applyMovement(db, tenantSchema, product, {
+          movement_type, quantity: stockChange, warehouse_id, cost_per_unit,
+          reference_type, reference_id, notes, lots
+        });
+
+        await AuditService.record(tenantSchema, context, {
+          action: 'inventory.movement',
+          entity_type: 'inventory_movement',
+          entity_id: movement.id,
+          old_values: { product_id, current_stock: previousStock },
+          new_values: movement
+        }, db);
+
+        return movement;
+      });
 
     } catch (error) {
-      await query('ROLLBACK');
       console.error('💥 Error registrando movimiento de inventario:', error.message);
       throw new Error(`Error registrando movimiento: ${error.message}`);
     }
@@ -183,8 +778,10 @@ class Inventory {
 
   /**
    * Obtener resumen de inventario actual
+   * Con warehouse_id el stock, los umbrales y el estado son los de ese almacén;
+   * sin él se usa el total del producto con el desglose por almacén
    * @param {string} tenantSchema - Schema del tenant
-   * @param {Object} options - Opciones de filtrado
+   * @param {Object} options - Opciones de filtrado { category, brand, low_stock_only, warehouse_id, limit }
    * @returns {Promise<Array>} Resumen de inventario
    */
   static async getInventorySummary(tenantSchema, options = {}) {
@@ -196,6 +793,17 @@ class Inventory {
       let whereConditions = ['p.active = true'];
       let params = [];
       let paramIndex = 1;
+      let stockJoin = '';
+      let stock = 'p.current_stock';
+      let minThreshold = 'p.min_stock_threshold';
+
+      if (options.warehouse_id) {
+        stockJoin = `LEFT JOIN "${tenantSchema}".product_stock ps ON ps.product_id = p.id AND ps.warehouse_id = $${paramIndex}`;
+        params.push(options.warehouse_id);
+        paramIndex++;
+        stock = 'COALESCE(ps.quantity, 0)';
+        minThreshold = 'COALESCE(ps.min_stock_threshold, p.min_stock_threshold)';
+      }
 
       if (options.category) {
         whereConditions.push(`p.category = $${paramIndex}`);
@@ -210,31 +818,39 @@ class Inventory {
       }
 
       if (options.low_stock_only) {
-        whereConditions.push('p.current_stock <= p.min_stock_threshold');
+        whereConditions.push(`${stock} <= ${minThreshold}`);
       }
 
       const sql = `
         SELECT 
           p.id, p.sku, p.name, p.category, p.brand,
-          p.current_stock, p.min_stock_threshold, p.max_stock_threshold,
+          ${stock} as current_stock, ${minThreshold} as min_stock_threshold, p.max_stock_threshold,
           p.cost_price, p.selling_price,
-          ROUND(p.current_stock * p.cost_price, 2) as inventory_value,
+          ROUND(${stock} * p.cost_price, 2) as inventory_value,
           CASE 
-            WHEN p.current_stock <= 0 THEN 'sin_stock'
-            WHEN p.current_stock <= p.min_stock_threshold THEN 'stock_bajo'
-            WHEN p.current_stock >= p.max_stock_threshold THEN 'sobrestockado'
+            WHEN ${stock} <= 0 THEN 'sin_stock'
+            WHEN ${stock} <= ${minThreshold} THEN 'stock_bajo'
+            WHEN ${stock} >= p.max_stock_threshold THEN 'sobrestockado'
             ELSE 'normal'
           END as stock_status,
+          -- Stock por almacén
+          (SELECT COALESCE(json_agg(json_build_object(
+              'warehouse_id', w.id, 'warehouse_code', w.warehouse_code, 'quantity', s.quantity
+            ) ORDER BY w.warehouse_code), '[]'::json)
+           FROM "${tenantSchema}".product_stock s
+           JOIN "${tenantSchema}".warehouses w ON s.warehouse_id = w.id
+           WHERE s.product_id = p.id AND s.quantity <> 0) as stock_by_warehouse,
           -- Últimos movimientos
           (SELECT COUNT(*) FROM "${tenantSchema}".inventory_movements im 
            WHERE im.product_id = p.id 
            AND im.created_at >= CURRENT_DATE - INTERVAL '30 days') as movements_last_30_days
         FROM "${tenantSchema}".products p
+        ${stockJoin}
         WHERE ${whereConditions.join(' AND ')}
         ORDER BY 
           CASE 
-            WHEN p.current_stock <= 0 THEN 1
-            WHEN p.current_stock <= p.min_stock_threshold THEN 2
+            WHEN ${stock} <= 0 THEN 1
+            WHEN ${stock} <= ${minThreshold} THEN 2
             ELSE 3
           END,
           p.name
@@ -251,109 +867,443 @@ class Inventory {
   }
 
   /**
-   * Obtener valuación de inventario con método FIFO
+   * Transferir stock entre almacenes
+   * Cada línea genera un movimiento 'transferencia' negativo en origen y uno positivo en
+   * destino dentro de la misma transacción; el total del producto no cambia
    * @param {string} tenantSchema - Schema del tenant
-   * @param {number} productId - ID del producto (opcional, null para todos)
-   * @returns {Promise<Object|Array>} Valuación FIFO
+   * @param {Object} transferData - { from_warehouse_id, to_warehouse_id, items: [{ product_id, quantity, lot_id }], notes }
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<Object>} Transferencia con sus movimientos
    */
-  static async getFIFOValuation(tenantSchema, productId = null) {
+  static async transferStock(tenantSchema, transferData, context = {}) {
     if (!tenantSchema) {
       throw new Error('tenantSchema es requerido para operaciones multi-tenant');
     }
-    
+
     try {
-      let productCondition = '';
-      let params = [];
-      
-      if (productId) {
-        productCondition = 'WHERE p.id = $1 AND';
-        params.push(productId);
-      } else {
-        productCondition = 'WHERE';
+      const { from_warehouse_id, to_warehouse_id, items = [], notes = null } = transferData;
+
+      if (parseInt(from_warehouse_id) === parseInt(to_warehouse_id)) {
+        throw new Error('El almacén de origen y destino deben ser distintos');
       }
 
-      const sql = `
-        WITH inventory_fifo AS (
-          SELECT 
-            p.id as product_id,
-            p.sku,
-            p.name as product_name,
-            p.current_stock,
-            p.cost_price as current_cost,
-            -- Calcular valuación FIFO usando CTE recursivo
-            CASE 
-              WHEN p.current_stock > 0 THEN
-                (SELECT 
-                  COALESCE(
-                    SUM(
-                      CASE 
-                        WHEN running_stock <= p.current_stock 
-                        THEN ABS(im.quantity) * COALESCE(im.cost_per_unit, p.cost_price)
-                        WHEN running_stock - ABS(im.quantity) < p.current_stock 
-                        THEN (p.current_stock - (running_stock - ABS(im.quantity))) * COALESCE(im.cost_per_unit, p.cost_price)
-                        ELSE 0 
-                      END
-                    ), 
-                    p.current_stock * p.cost_price
-                  ) as fifo_value
-                FROM (
-                  SELECT 
-                    im.quantity,
-                    im.cost_per_unit,
-                    SUM(ABS(im.quantity)) OVER (
-                      ORDER BY im.created_at DESC 
-                      ROWS UNBOUNDED PRECEDING
-                    ) as running_stock
-                  FROM "${tenantSchema}".inventory_movements im
-                  WHERE im.product_id = p.id 
-                  AND im.movement_type = 'entrada'
-                  AND im.quantity > 0
-                  ORDER BY im.created_at DESC
-                ) im
-                WHERE running_stock > (
-                  SELECT COALESCE(SUM(ABS(quantity)), 0) 
-                  FROM "${tenantSchema}".inventory_movements 
-                  WHERE product_id = p.id 
-                  AND movement_type = 'entrada' 
-                  AND quantity > 0
-                ) - p.current_stock
-                )
-              ELSE 0 
-            END as fifo_valuation,
-            -- Valor usando costo actual
-            ROUND(p.current_stock * p.cost_price, 2) as current_cost_valuation,
-            -- Valor de venta estimado
-            ROUND(p.current_stock * p.selling_price, 2) as selling_value_estimate
-          FROM "${tenantSchema}".products p
-          ${productCondition} p.active = true
-        )
+      if (!Array.isArray(items) || items.length === 0) {
+        throw new Error('La transferencia debe tener al menos un producto');
+      }
+
+      items.forEach(item => {
+        if (!Number.isInteger(item.quantity) || item.quantity <= 0) {
+          throw new Error(`Cantidad inválida para el producto ${item.product_id}: debe ser un entero mayor a 0`);
+        }
+      });
+
+      return await withTransaction(tenantSchema, async (db) => {
+        const from = await this.resolveWarehouse(db, tenantSchema, from_warehouse_id);
+        const to = await this.resolveWarehouse(db, tenantSchema, to_warehouse_id);
+
+        const products = await this.lockProducts(db, tenantSchema, items.map(item => item.product_id));
+
+        const transferResult = await db.query(`
+          INSERT INTO "${tenantSchema}".stock_transfers (from_warehouse_id, to_warehouse_id, notes, created_by)
+          VALUES ($1, $2, $3, $4)
+          RETURNING *
+        `, [from.id, to.id, notes, context.userId || null]);
+
+        const transfer = transferResult.rows[0];
+        const movements = [];
+
+        for (const item of items) {
+          const product = products.get(parseInt(item.product_id));
+          if (!product) {
+            throw new Error(`Producto con ID ${item.product_id} no encontrado`);
+          }
+
+          const movementNotes = `Transferencia ${from.warehouse_code} → ${to.warehouse_code}${notes ? `: ${notes}` : ''}`;
+
+          // Los lotes salen del origen (el indicado o FEFO) y se recrean en el destino
+          const outbound = await this.applyMovement(db, tenantSchema, product, {
+            movement_type: 'transferencia',
+            quantity: -item.quantity,
+            warehouse_id: from.id,
+            reference_type: 'transferencia',
+            reference_id: transfer.id,
+            notes: movementNotes,
+            lots: item.lot_id ? [{ lot_id: item.lot_id, quantity: item.quantity }] : []
+          });
+
+          const inbound = await this.applyMovement(db, tenantSchema, product, {
+            movement_type: 'transferencia',
+            quantity: item.quantity,
+            warehouse_id: to.id,
+            reference_type: 'transferencia',
+            reference_id: transfer.id,
+            notes: movementNotes,
+            lots: outbound.lots.map(lot => ({
+              lot_number: lot.lot_number,
+              expiry_date: lot.expiry_date,
+              cost_per_unit: lot.cost_per_unit,
+              quantity: -lot.quantity
+            })),
+            // Las capas de costo conservan su costo y antigüedad en el destino
+            cost_layers: outbound.cost_layers.map(layer => ({
+              unit_cost: layer.unit_cost,
+              received_at: layer.received_at,
+              quantity: -layer.quantity
+            }))
+          });
+
+          movements.push(outbound, inbound);
+        }
+
+        await AuditService.record(tenantSchema, context, {
+          action: 'inventory.transfer',
+          entity_type: 'stock_transfer',
+          entity_id: transfer.id,
+          new_values: { ...transfer, items }
+        }, db);
+
+        console.log(`✅ Transferencia ${transfer.id}: ${from.warehouse_code} → ${to.warehouse_code} (${items.length} productos)`);
+        return { ...transfer, from_warehouse: from, to_warehouse: to, movements };
+      });
+
+    } catch (error) {
+      console.error('💥 Error transfiriendo stock:', error.message);
+      throw new Error(`Error transfiriendo stock: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener transferencias entre almacenes
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} options - { warehouse_id (origen o destino), limit, offset }
+   * @returns {Promise<Array>} Transferencias con almacenes y cantidad de líneas
+   */
+  static async getTransfers(tenantSchema, options = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const params = [];
+      let whereClause = '';
+
+      if (options.warehouse_id) {
+        params.push(options.warehouse_id);
+        whereClause = 'WHERE st.from_warehouse_id = $1 OR st.to_warehouse_id = $1';
+      }
+
+      params.push(options.limit || 50, options.offset || 0);
+
+      const result = await query(`
         SELECT 
-          product_id,
-          sku,
-          product_name,
-          current_stock,
-          current_cost,
-          ROUND(COALESCE(fifo_valuation, current_cost_valuation), 2) as fifo_valuation,
-          current_cost_valuation,
-          selling_value_estimate,
-          ROUND(
-            selling_value_estimate - COALESCE(fifo_valuation, current_cost_valuation), 2
-          ) as potential_profit
-        FROM inventory_fifo
-        ORDER BY fifo_valuation DESC
-      `;
+          st.id, st.from_warehouse_id, st.to_warehouse_id, st.notes, st.created_by, st.created_at,
+          wf.warehouse_code as from_warehouse_code, wt.warehouse_code as to_warehouse_code,
+          (SELECT COUNT(*) FROM "${tenantSchema}".inventory_movements im
+           WHERE im.reference_type = 'transferencia' AND im.reference_id = st.id AND im.quantity > 0) as line_count,
+          (SELECT COALESCE(SUM(im.quantity), 0) FROM "${tenantSchema}".inventory_movements im
+           WHERE im.reference_type = 'transferencia' AND im.reference_id = st.id AND im.quantity > 0) as total_quantity
+        FROM "${tenantSchema}".stock_transfers st
+        JOIN "${tenantSchema}".warehouses wf ON st.from_warehouse_id = wf.id
+        JOIN "${tenantSchema}".warehouses wt ON st.to_warehouse_id = wt.id
+        ${whereClause}
+        ORDER BY st.created_at DESC
+        LIMIT $${params.length - 1} OFFSET $${params.length}
+      `, params);
 
-      const result = await query(sql, params);
-      
-      if (productId) {
-        return result.rows[0] || null;
-      } else {
-        return result.rows;
+      return result.rows;
+
+    } catch (error) {
+      console.error('💥 Error obteniendo transferencias:', error.message);
+      throw new Error(`Error obteniendo transferencias: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener lotes con stock
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} options - { product_id, warehouse_id, include_empty, limit, offset }
+   * @returns {Promise<Array>} Lotes ordenados por vencimiento (orden FEFO)
+   */
+  static async getLots(tenantSchema, options = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const whereConditions = [];
+      const params = [];
+      let paramIndex = 1;
+
+      if (!options.include_empty) {
+        whereConditions.push('l.quantity_remaining > 0');
+      }
+
+      if (options.product_id) {
+        whereConditions.push(`l.product_id = $${paramIndex}`);
+        params.push(options.product_id);
+        paramIndex++;
+      }
+
+      if (options.warehouse_id) {
+        whereConditions.push(`l.warehouse_id = $${paramIndex}`);
+        params.push(options.warehouse_id);
+        paramIndex++;
+      }
+
+      params.push(options.limit || 100, options.offset || 0);
+
+      const result = await query(`
+        SELECT 
+          l.id, l.product_id, l.warehouse_id, l.lot_number, l.expiry_date,
+          l.quantity_received, l.quantity_remaining, l.cost_per_unit, l.received_at,
+          l.expiry_date - CURRENT_DATE as days_to_expiry,
+          p.sku, p.name as product_name, w.warehouse_code
+        FROM "${tenantSchema}".product_lots l
+        JOIN "${tenantSchema}".products p ON l.product_id = p.id
+        JOIN "${tenantSchema}".warehouses w ON l.warehouse_id = w.id
+        ${whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : ''}
+        ORDER BY l.expiry_date NULLS LAST, l.received_at, l.id
+        LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+      `, params);
+
+      return result.rows;
+
+    } catch (error) {
+      console.error('💥 Error obteniendo lotes:', error.message);
+      throw new Error(`Error obteniendo lotes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reporte de lotes que vencen dentro de N días, con su valor al costo
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} options - { days, warehouse_id, include_expired }
+   * @returns {Promise<Object>} { days, lots, totals }
+   */
+  static async getExpiringLots(tenantSchema, options = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const days = parseInt(options.days) || 30;
+      const whereConditions = [
+        'l.quantity_remaining > 0',
+        'l.expiry_date IS NOT NULL',
+        'l.expiry_date <= CURRENT_DATE + $1::int'
+      ];
+      const params = [days];
+
+      if (options.include_expired === false) {
+        whereConditions.push('l.expiry_date >= CURRENT_DATE');
+      }
+
+      if (options.warehouse_id) {
+        whereConditions.push('l.warehouse_id = $2');
+        params.push(options.warehouse_id);
+      }
+
+      const result = await query(`
+        SELECT 
+          l.id as lot_id, l.lot_number, l.expiry_date,
+          l.expiry_date - CURRENT_DATE as days_to_expiry,
+          CASE WHEN l.expiry_date < CURRENT_DATE THEN 'vencido' ELSE 'por_vencer' END as expiry_status,
+          l.quantity_remaining,
+          COALESCE(l.cost_per_unit, p.cost_price) as unit_cost,
+          ROUND(l.quantity_remaining * COALESCE(l.cost_per_unit, p.cost_price), 2) as value_at_cost,
+          p.id as product_id, p.sku, p.name as product_name, p.category,
+          w.id as warehouse_id, w.warehouse_code
+        FROM "${tenantSchema}".product_lots l
+        JOIN "${tenantSchema}".products p ON l.product_id = p.id
+        JOIN "${tenantSchema}".warehouses w ON l.warehouse_id = w.id
+        WHERE ${whereConditions.join(' AND ')}
+        ORDER BY l.expiry_date, p.name
+      `, params);
+
+      const lots = result.rows;
+      const sumValue = rows => Math.round(rows.reduce((sum, lot) => sum + parseFloat(lot.value_at_cost || 0), 0) * 100) / 100;
+      const expired = lots.filter(lot => lot.expiry_status === 'vencido');
+
+      return {
+        days,
+        lots,
+        totals: {
+          lots: lots.length,
+          units: lots.reduce((sum, lot) => sum + lot.quantity_remaining, 0),
+          value_at_cost: sumValue(lots),
+          expired_lots: expired.length,
+          expired_value_at_cost: sumValue(expired)
+        }
+      };
+
+    } catch (error) {
+      console.error('💥 Error obteniendo lotes por vencer:', error.message);
+      throw new Error(`Error obteniendo lotes por vencer: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener valuación de inventario por producto con el método indicado
+   * fifo suma las capas de costo vigentes; weighted_average usa el costo promedio móvil;
+   * standard usa cost_price
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} options - { method (por defecto el del tenant), product_id, warehouse_id }
+   * @returns {Promise<Object>} { method, items, totals }
+   */
+  static async getValuation(tenantSchema, options = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const method = options.method || await this.getValuationMethod(tenantSchema);
+      if (!VALUATION_METHODS.includes(method)) {
+        throw new Error(`Método de valuación inválido: ${method}. Válidos: ${VALUATION_METHODS.join(', ')}`);
+      }
+
+      const whereConditions = ['p.active = true'];
+      const params = [];
+      let stockJoin = '';
+      let stock = 'p.current_stock';
+      let layerCondition = '';
+
+      if (options.warehouse_id) {
+        params.push(options.warehouse_id);
+        stockJoin = `LEFT JOIN "${tenantSchema}".product_stock ps ON ps.product_id = p.id AND ps.warehouse_id = $${params.length}`;
+        stock = 'COALESCE(ps.quantity, 0)';
+        layerCondition = `AND warehouse_id = $${params.length}`;
+      }
+
+      if (options.product_id) {
+        params.push(options.product_id);
+        whereConditions.push(`p.id = $${params.length}`);
+      }
+
+      const result = await query(`
+        SELECT 
+          p.id as product_id, p.sku, p.name as product_name, p.category,
+          ${stock} as current_stock,
+          p.cost_price as standard_cost,
+          COALESCE(p.average_cost, p.cost_price) as average_cost,
+          p.selling_price,
+          COALESCE(cl.layered_units, 0) as layered_units,
+          COALESCE(cl.layered_value, 0) as layered_value
+        FROM "${tenantSchema}".products p
+        ${stockJoin}
+        LEFT JOIN (
+          SELECT product_id, SUM(quantity_remaining) as layered_units,
+                 SUM(quantity_remaining * unit_cost) as layered_value
+          FROM "${tenantSchema}".cost_layers
+          WHERE quantity_remaining > 0 ${layerCondition}
+          GROUP BY product_id
+        ) cl ON cl.product_id = p.id
+        WHERE ${whereConditions.join(' AND ')}
+      `, params);
+
+      const items = result.rows.map(row => {
+        const units = row.current_stock;
+        let valuation;
+
+        switch (method) {
+          case 'weighted_average':
+            valuation = units * (parseFloat(row.average_cost) || 0);
+            break;
+          case 'standard':
+            valuation = units * (parseFloat(row.standard_cost) || 0);
+            break;
+          default:
+            // Unidades sin capa (no debería haberlas) se valúan al costo promedio
+            valuation = parseFloat(row.layered_value) +
+              Math.max(units - parseInt(row.layered_units), 0) * (parseFloat(row.average_cost) || 0);
+        }
+
+        const sellingValue = units * (parseFloat(row.selling_price) || 0);
+
+        return {
+          product_id: row.product_id,
+          sku: row.sku,
+          product_name: row.product_name,
+          category: row.category,
+          current_stock: units,
+          unit_cost: units > 0 ? Math.round(valuation / units * 10000) / 10000 : null,
+          valuation: roundMoney(valuation),
+          standard_cost: row.standard_cost,
+          average_cost: row.average_cost,
+          selling_value_estimate: roundMoney(sellingValue),
+          potential_profit: roundMoney(sellingValue - valuation)
+        };
+      }).sort((a, b) => b.valuation - a.valuation);
+
+      return {
+        method,
+        items,
+        totals: {
+          units: items.reduce((sum, item) => sum + item.current_stock, 0),
+          valuation: roundMoney(items.reduce((sum, item) => sum + item.valuation, 0)),
+          selling_value_estimate: roundMoney(items.reduce((sum, item) => sum + item.selling_value_estimate, 0)),
+          potential_profit: roundMoney(items.reduce((sum, item) => sum + item.potential_profit, 0))
+        }
+      };
+
+    } catch (error) {
+      console.error('💥 Error calculando valuación de inventario:', error.message);
+      throw new Error(`Error calculando valuación: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener capas de costo
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} options - { product_id, warehouse_id, include_consumed, limit, offset }
+   * @returns {Promise<Array>} Capas en orden FIFO
+   */
+  static async getCostLayers(tenantSchema, options = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const whereConditions = [];
+      const params = [];
+      let paramIndex = 1;
+
+      if (!options.include_consumed) {
+        whereConditions.push('cl.quantity_remaining > 0');
       }
 
+      if (options.product_id) {
+        whereConditions.push(`cl.product_id = $${paramIndex}`);
+        params.push(options.product_id);
+        paramIndex++;
+      }
+
+      if (options.warehouse_id) {
+        whereConditions.push(`cl.warehouse_id = $${paramIndex}`);
+        params.push(options.warehouse_id);
+        paramIndex++;
+      }
+
+      params.push(options.limit || 100, options.offset || 0);
+
+      const result = await query(`
+        SELECT 
+          cl.id, cl.product_id, cl.warehouse_id, cl.movement_id, cl.unit_cost,
+          cl.quantity_received, cl.quantity_remaining, cl.received_at,
+          ROUND(cl.quantity_remaining * cl.unit_cost, 2) as remaining_value,
+          p.sku, p.name as product_name, w.warehouse_code
+        FROM "${tenantSchema}".cost_layers cl
+        JOIN "${tenantSchema}".products p ON cl.product_id = p.id
+        JOIN "${tenantSchema}".warehouses w ON cl.warehouse_id = w.id
+        ${whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : ''}
+        ORDER BY cl.product_id, cl.received_at, cl.id
+        LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+      `, params);
+
+      return result.rows;
+
     } catch (error) {
-      console.error('💥 Error calculando valuación FIFO:', error.message);
-      throw new Error(`Error calculando valuación FIFO: ${error.message}`);
+      console.error('💥 Error obteniendo capas de costo:', error.message);
+      throw new Error(`Error obteniendo capas de costo: ${error.message}`);
     }
   }
 
@@ -395,6 +1345,7 @@ class Inventory {
           COUNT(*) FILTER (WHERE movement_type = 'salida') as salida_movements,
           COUNT(*) FILTER (WHERE movement_type = 'ajuste') as ajuste_movements,
           COUNT(*) FILTER (WHERE movement_type = 'sincronizacion') as sync_movements,
+          COUNT(*) FILTER (WHERE movement_type = 'transferencia') / 2 as transfer_lines,
           SUM(ABS(quantity)) FILTER (WHERE movement_type = 'entrada') as total_entries,
           SUM(ABS(quantity)) FILTER (WHERE movement_type = 'salida') as total_exits,
           COUNT(DISTINCT product_id) as products_moved,
@@ -455,78 +1406,85 @@ class Inventory {
    * Sincronizar inventario con sistema externo
    * @param {string} tenantSchema - Schema del tenant
    * @param {Array} syncData - Datos de sincronización
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
    * @returns {Promise<Object>} Resultado de sincronización
    */
-  static async syncInventory(tenantSchema, syncData) {
+  static async syncInventory(tenantSchema, syncData, context = {}) {
     if (!tenantSchema) {
       throw new Error('tenantSchema es requerido para operaciones multi-tenant');
     }
     
-    const client = await query('BEGIN');
-    
     try {
-      const syncResults = {
-        processed: 0,
-        updated: 0,
-        errors: [],
-        movements_created: 0
-      };
+      const syncResults = await withTransaction(tenantSchema, async (db) => {
+        const results = {
+          processed: 0,
+          updated: 0,
+          errors: [],
+          movements_created: 0
+        };
 
-      for (const item of syncData) {
-        try {
-          const { product_id, external_stock, cost_price, notes = 'Sincronización externa' } = item;
+        for (const item of syncData) {
+          // Savepoint por producto: un error en uno no aborta la transacción completa
+          await db.query('SAVEPOINT sync_item');
 
-          // Obtener stock actual
-          const productResult = await query(`
-            SELECT current_stock, sku, name FROM "${tenantSchema}".products WHERE id = $1
-          `, [product_id]);
+          try {
+            const { product_id, external_stock, cost_price, warehouse_id, notes = 'Sincronización externa' } = item;
 
-          if (productResult.rows.length === 0) {
-            syncResults.errors.push(`Producto con ID ${product_id} no encontrado`);
-            continue;
-          }
+            // Obtener y bloquear stock actual
+            const products = await this.lockProducts(db, tenantSchema, [product_id]);
+            const product = products.get(parseInt(product_id));
 
-          const product = productResult.rows[0];
-          const currentStock = product.current_stock;
-          const difference = external_stock - currentStock;
-
-          syncResults.processed++;
-
-          if (difference !== 0) {
-            // Registrar movimiento de sincronización
-            await query(`
-              INSERT INTO "${tenantSchema}".inventory_movements (
-                product_id, movement_type, quantity, previous_stock, new_stock,
-                cost_per_unit, reference_type, reference_id, notes
-              ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-            `, [
-              product_id, 'sincronizacion', difference, currentStock, external_stock,
-              cost_price, 'sync', null, `${notes} - Diferencia: ${difference}`
-            ]);
-
-            // Actualizar stock del producto
-            await query(`
-              UPDATE "${tenantSchema}".products 
-              SET current_stock = $1, updated_at = CURRENT_TIMESTAMP
-              WHERE id = $2
-            `, [external_stock, product_id]);
-
-            syncResults.updated++;
-            syncResults.movements_created++;
-          }
+            if (!product) {
+              results.errors.push(`Producto con ID ${product_id} no encontrado`);
+              await db.query('RELEASE SAVEPOINT sync_item');
+              continue;
+            }
+
+            // Con warehouse_id el stock externo es el de ese almacén; sin él, el total del producto
+            // y la diferencia se aplica en el almacén predeterminado
+            const currentStock = warehouse_id
+              ? (await this.getLocationStock(db, tenantSchema, warehouse_id, [product.id])).get(product.id)
+              : product.current_stock;
+            const difference = external_stock - currentStock;
+
+            results.processed++;
+
+            if (difference !== 0) {
+              // Registrar movimiento de sincronización y actualizar stock
+              await this.applyMovement(db, tenantSchema, product, {
+                movement_type: 'sincronizacion',
+                quantity: difference,
+                warehouse_id,
+                cost_per_unit: cost_price,
+                reference_type: 'sync',
+                notes: `${notes} - Diferencia: ${difference}`
+              });
 
-        } catch (itemError) {
-          syncResults.errors.push(`Error procesando producto ${item.product_id}: ${itemError.message}`);
+              results.updated++;
+              results.movements_created++;
+            }
+
+            await db.query('RELEASE SAVEPOINT sync_item');
+
+          } catch (itemError) {
+            await db.query('ROLLBACK TO SAVEPOINT sync_item');
+            results.errors.push(`Error procesando producto ${item.product_id}: ${itemError.message}`);
+          }
         }
-      }
 
-      await query('COMMIT');
+        await AuditService.record(tenantSchema, context, {
+          action: 'inventory.sync',
+          entity_type: 'inventory_movement',
+          new_values: results
+        }, db);
+
+        return results;
+      });
       
       console.log(`✅ Sincronización completada: ${syncResults.updated}/${syncResults.processed} productos actualizados`);
       return syncResults;
 
     } catch (error) {
-      await query('ROLLBACK');
       console.error('💥 Error sincronizando inventario:', error.message);
       throw new Error(`Error sincronizando inventario: ${error.message}`);
     }
@@ -0,0 +1,367 @@
+// =====================================================================================
+// FLUXION AI - INVOICE MODEL (MULTI-TENANT)
+// Emisión de facturas con numeración fiscal correlativa y datos para su documento
+// =====================================================================================
+
+const { query, withTransaction, tenantCodeFromSchema } = require('../config/database.cjs');
+const AuditService = require('../services/AuditService.cjs');
+const Sales = require('./Sales.cjs');
+
+/**
+ * Plantillas de documento disponibles
+ */
+const INVOICE_TEMPLATES = ['standard', 'compact'];
+
+/**
+ * Configuración de facturación de los tenants que no la personalizaron
+ * (tenants.settings.invoice)
+ */
+const INVOICE_DEFAULTS = {
+  prefix: 'FAC-',
+  next_number: 1,
+  padding: 6,
+  template: 'standard',
+  title: 'Factura',
+  accent_color: '#1f3a5f',
+  company_tax_id: null,
+  footer: null,
+  legal_text: null,
+  locale: 'es'
+};
+
+const toNumber = value => parseFloat(value) || 0;
+const roundMoney = value => Math.round(value * 100) / 100;
+
+/**
+ * Modelo Invoice - Multi-tenant
+ * Una venta tiene a lo sumo una factura; el número se asigna al emitirla por primera vez
+ * y emitirla de nuevo devuelve la misma factura. Consultar el documento nunca emite
+ * Cada método requiere un tenantSchema para operar en el schema correcto
+ */
+class Invoice {
+
+  /**
+   * Configuración de facturación del tenant (valores por defecto para lo no configurado)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} db - Cliente de transacción (opcional)
+   * @returns {Promise<Object>} Configuración de facturación
+   */
+  static async getSettings(tenantSchema, db = null) {
+    const runQuery = db ? db.query.bind(db) : query;
+
+    const result = await runQuery(`
+      SELECT settings->'invoice' as invoice
+      FROM public.tenants
+      WHERE tenant_code = $1
+    `, [tenantCodeFromSchema(tenantSchema)]);
+
+    return { ...INVOICE_DEFAULTS, ...(result.rows[0]?.invoice || {}) };
+  }
+
+  /**
+   * Actualizar la configuración de facturación
+   * next_number solo puede ser mayor al último número emitido para no repetir la numeración
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} updateData - { prefix, next_number, padding, template, title, accent_color,
+   *   company_tax_id, footer, legal_text, locale }
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<Object>} Configuración actualizada
+   */
+  static async updateSettings(tenantSchema, updateData, context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const changes = {};
+      Object.keys(updateData)
+        .filter(field => Object.prototype.hasOwnProperty.call(INVOICE_DEFAULTS, field))
+        .forEach(field => { changes[field] = updateData[field]; });
+
+      if (Object.keys(changes).length === 0) {
+        throw new Error('No hay campos válidos para actualizar');
+      }
+
+      if (changes.template !== undefined && !INVOICE_TEMPLATES.includes(changes.template)) {
+        throw new Error(`Plantilla de factura inválida: ${changes.template}. Válidas: ${INVOICE_TEMPLATES.join(', ')}`);
+      }
+
+      if (changes.accent_color !== undefined && !/^#[0-9a-fA-F]{6}$/.test(changes.accent_color)) {
+        throw new Error(`Color inválido: ${changes.accent_color}. Use formato #RRGGBB`);
+      }
+
+      if (changes.padding !== undefined) {
+        changes.padding = parseInt(changes.padding);
+        if (isNaN(changes.padding) || changes.padding < 1 || changes.padding > 12) {
+          throw new Error('Relleno de numeración inválido: debe estar entre 1 y 12 dígitos');
+        }
+      }
+
+      if (changes.prefix !== undefined && !/^[A-Za-z0-9\-_/]{0,20}$/.test(changes.prefix)) {
+        throw new Error(`Prefijo de factura inválido: ${changes.prefix}. Use hasta 20 letras, números, -, _ o /`);
+      }
+
+      if (changes.locale !== undefined) {
+        try {
+          new Intl.NumberFormat(changes.locale);
+        } catch (localeError) {
+          throw new Error(`Locale inválido: ${changes.locale}`);
+        }
+      }
+
+      return await withTransaction(tenantSchema, async (db) => {
+        // Bloquear la fila del tenant como lo hace issue(): una emisión concurrente no puede
+        // asignar un número entre la validación y el cambio de next_number
+        await db.query(`
+          SELECT id FROM public.tenants WHERE tenant_code = $1 FOR UPDATE
+        `, [tenantCodeFromSchema(tenantSchema)]);
+
+        const previous = await this.getSettings(tenantSchema, db);
+
+        if (changes.next_number !== undefined) {
+          changes.next_number = parseInt(changes.next_number);
+
+          const lastResult = await db.query(`
+            SELECT COALESCE(MAX(sequence_number), 0) as last_number FROM "${tenantSchema}".invoices
+          `);
+          const lastNumber = parseInt(lastResult.rows[0].last_number);
+
+          if (isNaN(changes.next_number) || changes.next_number <= lastNumber) {
+            throw new Error(`Número de factura inválido: el siguiente número debe ser mayor a ${lastNumber}, el último emitido`);
+          }
+        }
+
+        await db.query(`
+          UPDATE public.tenants
+          SET settings = COALESCE(settings, '{}'::jsonb) ||
+                jsonb_build_object('invoice', COALESCE(settings->'invoice', '{}'::jsonb) || $1::jsonb),
+              updated_at = CURRENT_TIMESTAMP
+          WHERE tenant_code = $2
+        `, [JSON.stringify(changes), tenantCodeFromSchema(tenantSchema)]);
+
+        await AuditService.record(tenantSchema, context, {
+          action: 'invoice.settings',
+          entity_type: 'tenant_settings',
+          old_values: Object.fromEntries(Object.keys(changes).map(field => [field, previous[field]])),
+          new_values: changes
+        }, db);
+
+        return { ...previous, ...changes };
+      });
+
+    } catch (error) {
+      console.error('💥 Error actualizando configuración de facturas:', error.message);
+      throw new Error(`Error actualizando configuración de facturas: ${error.message}`);
+    }
+  }
+
+  /**
+   * Emitir la factura de una venta (o devolver la ya emitida)
+   * El número se toma de settings.invoice.next_number bloqueando la fila del tenant, por lo
+   * que dos emisiones concurrentes nunca comparten número ni dejan huecos
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} saleId - ID de la venta
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<Object>} Factura { id, invoice_number, sequence_number, issue_date, company, client, created }
+   */
+  static async issue(tenantSchema, saleId, context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      return await withTransaction(tenantSchema, async (db) => {
+        // Bloquear la venta para que dos solicitudes simultáneas no emitan dos facturas
+        const saleResult = await db.query(`
+          SELECT id, sale_number, client_id, payment_status
+          FROM "${tenantSchema}".sales
+          WHERE id = $1
+          FOR UPDATE
+        `, [saleId]);
+
+        if (saleResult.rows.length === 0) {
+          throw new Error(`Venta con ID ${saleId} no encontrada`);
+        }
+        const sale = saleResult.rows[0];
+
+        const existing = await db.query(`
+          SELECT * FROM "${tenantSchema}".invoices WHERE sale_id = $1
+        `, [saleId]);
+
+        if (existing.rows.length > 0) {
+          return { ...existing.rows[0], created: false };
+        }
+
+        if (sale.payment_status === 'cancelado') {
+          throw new Error('No se puede facturar una venta cancelada');
+        }
+
+        const tenantResult = await db.query(`
+          UPDATE public.tenants
+          SET settings = COALESCE(settings, '{}'::jsonb) || jsonb_build_object(
+                'invoice', COALESCE(settings->'invoice', '{}'::jsonb) || jsonb_build_object(
+                  'next_number', COALESCE((settings->'invoice'->>'next_number')::int, $2::int) + 1
+                )
+              ),
+              updated_at = CURRENT_TIMESTAMP
+          WHERE tenant_code = $1
+          RETURNING company_name, email, phone, address, city, state, billing_info,
+                    settings->'invoice' as invoice
+        `, [tenantCodeFromSchema(tenantSchema), INVOICE_DEFAULTS.next_number]);
+
+        const tenant = tenantResult.rows[0];
+        const settings = { ...INVOICE_DEFAULTS, ...tenant.invoice };
+        const sequenceNumber = parseInt(settings.next_number) - 1;
+        const invoiceNumber = `${settings.prefix}${String(sequenceNumber).padStart(settings.padding, '0')}`;
+
+        const company = {
+          name: tenant.company_name,
+          tax_id: settings.company_tax_id || (tenant.billing_info && tenant.billing_info.tax_id) || null,
+          address: tenant.address,
+          city: tenant.city,
+          state: tenant.state,
+          phone: tenant.phone,
+          email: tenant.email
+        };
+
+        const clientResult = await db.query(`
+          SELECT client_code, business_name, contact_person, email, phone, address, city, state
+          FROM "${tenantSchema}".clients
+          WHERE id = $1
+        `, [sale.client_id]);
+
+        const invoiceResult = await db.query(`
+          INSERT INTO "${tenantSchema}".invoices (
+            invoice_number, sequence_number, sale_id, company, client, issued_by
+          ) VALUES ($1, $2, $3, $4, $5, $6)
+          RETURNING *
+        `, [
+          invoiceNumber, sequenceNumber, saleId, JSON.stringify(company),
+          JSON.stringify(clientResult.rows[0] || {}), context.userId || null
+        ]);
+
+        const invoice = invoiceResult.rows[0];
+
+        await AuditService.record(tenantSchema, context, {
+          action: 'invoice.issue',
+          entity_type: 'sale',
+          entity_id: saleId,
+          new_values: {
+            invoice_id: invoice.id,
+            invoice_number: invoiceNumber,
+            sale_number: sale.sale_number
+          }
+        }, db);
+
+        console.log(`✅ Factura ${invoiceNumber} emitida para venta ${sale.sale_number} (${tenantSchema})`);
+        return { ...invoice, created: true };
+      });
+
+    } catch (error) {
+      console.error('💥 Error emitiendo factura:', error.message);
+      throw new Error(`Error emitiendo factura: ${error.message}`);
+    }
+  }
+
+  /**
+   * Datos completos del documento de la factura ya emitida de una venta (no emite: ver issue)
+   * Montos en la moneda de la venta; lines.taxable_amount es la base imponible de cada línea
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} saleId - ID de la venta
+   * @returns {Promise<Object>} { invoice, template, company, client, sale, lines, taxes, totals }
+   */
+  static async getDocument(tenantSchema, saleId) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const sale = await Sales.getById(tenantSchema, saleId);
+      if (!sale) {
+        throw new Error(`Venta con ID ${saleId} no encontrada`);
+      }
+
+      const invoiceResult = await query(`
+        SELECT * FROM "${tenantSchema}".invoices WHERE sale_id = $1
+      `, [saleId]);
+
+      if (invoiceResult.rows.length === 0) {
+        throw new Error(`La venta ${sale.sale_number} no tiene factura emitida`);
+      }
+
+      const invoice = invoiceResult.rows[0];
+      const settings = await this.getSettings(tenantSchema);
+
+      const lines = sale.details.map(detail => ({
+        sku: detail.sku,
+        description: detail.product_name,
+        quantity: detail.quantity,
+        unit_price: toNumber(detail.unit_price),
+        discount_amount: toNumber(detail.discount_amount),
+        tax_code: detail.tax_code,
+        tax_rate: toNumber(detail.tax_rate),
+        taxable_amount: toNumber(detail.total_price),
+        tax_amount: toNumber(detail.tax_amount)
+      }));
+
+      const taxesByRate = new Map();
+      for (const line of lines) {
+        const key = `${line.tax_code}:${line.tax_rate}`;
+        if (!taxesByRate.has(key)) {
+          taxesByRate.set(key, { tax_code: line.tax_code, tax_rate: line.tax_rate, taxable_amount: 0, tax_amount: 0 });
+        }
+        const tax = taxesByRate.get(key);
+        tax.taxable_amount = roundMoney(tax.taxable_amount + line.taxable_amount);
+        tax.tax_amount = roundMoney(tax.tax_amount + line.tax_amount);
+      }
+
+      return {
+        invoice: {
+          id: invoice.id,
+          invoice_number: invoice.invoice_number,
+          sequence_number: invoice.sequence_number,
+          issue_date: invoice.issue_date,
+          cancelled: sale.payment_status === 'cancelado'
+        },
+        template: {
+          template: settings.template,
+          title: settings.title,
+          accent_color: settings.accent_color,
+          footer: settings.footer,
+          legal_text: settings.legal_text,
+          locale: settings.locale
+        },
+        company: invoice.company,
+        client: invoice.client,
+        sale: {
+          id: sale.id,
+          sale_number: sale.sale_number,
+          sale_date: sale.sale_date,
+          due_date: sale.due_date,
+          currency: sale.currency,
+          payment_method: sale.payment_method,
+          payment_status: sale.payment_status,
+          prices_include_tax: sale.prices_include_tax,
+          notes: sale.notes
+        },
+        lines,
+        taxes: [...taxesByRate.values()].sort((a, b) => b.tax_rate - a.tax_rate),
+        totals: {
+          // Las líneas ya descuentan su parte del descuento de la venta
+          subtotal: roundMoney(lines.reduce((sum, line) => sum + line.taxable_amount, 0)),
+          tax_amount: toNumber(sale.tax_amount),
+          discount_amount: toNumber(sale.discount_amount),
+          total: toNumber(sale.total_amount),
+          amount_paid: toNumber(sale.amount_paid),
+          balance_due: toNumber(sale.balance_due)
+        }
+      };
+
+    } catch (error) {
+      console.error('💥 Error generando factura:', error.message);
+      throw new Error(`Error generando factura: ${error.message}`);
+    }
+  }
+}
+
+module.exports = Invoice;
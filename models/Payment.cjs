@@ -0,0 +1,475 @@
+// =====================================================================================
+// FLUXION AI - PAYMENT MODEL (MULTI-TENANT)
+// Pagos de ventas (cuentas por cobrar): registro, anulación y estado de pago derivado
+// =====================================================================================
+
+const { query, withTransaction } = require('../config/database.cjs');
+const AuditService = require('../services/AuditService.cjs');
+const ExchangeRate = require('./ExchangeRate.cjs');
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+/**
+ * Modelo Payment - Multi-tenant
+ * sales.amount_paid es la suma de los pagos no anulados y payment_status se deriva:
+ * pagado (sin saldo), vencido (saldo con due_date pasado), parcial (con abonos) o pendiente
+ * Cada método requiere un tenantSchema para operar en el schema correcto
+ */
+class Payment {
+
+  /**
+   * Recalcular amount_paid y payment_status de ventas a partir de sus pagos
+   * Las ventas canceladas no se modifican
+   * @param {Object} db - Cliente de transacción (withTransaction)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Array<number>} saleIds - IDs de ventas
+   * @returns {Promise<Array>} [{ id, amount_paid, payment_status }]
+   */
+  static async syncSales(db, tenantSchema, saleIds) {
+    const result = await db.query(`
+      UPDATE "${tenantSchema}".sales s
+      SET amount_paid = paid.total,
+          payment_status = CASE
+            WHEN paid.total >= s.total_amount THEN 'pagado'
+            WHEN s.due_date < CURRENT_DATE THEN 'vencido'
+            WHEN paid.total > 0 THEN 'parcial'
+            ELSE 'pendiente'
+          END
+      FROM (
+        SELECT s2.id, COALESCE(SUM(p.amount), 0) as total
+        FROM "${tenantSchema}".sales s2
+        LEFT JOIN "${tenantSchema}".payments p ON p.sale_id = s2.id AND p.voided_at IS NULL
+        WHERE s2.id = ANY($1::int[])
+        GROUP BY s2.id
+      ) paid
+      WHERE s.id = paid.id AND s.payment_status <> 'cancelado'
+      RETURNING s.id, s.amount_paid, s.payment_status
+    `, [saleIds.map(id => parseInt(id))]);
+
+    return result.rows;
+  }
+
+  /**
+   * Expresión SQL del estado de pago vigente de una venta
+   * Una venta pendiente o parcial con saldo y vencimiento pasado se reporta como vencida
+   * al leerla, sin escribir en sales (syncSales fija el estado al registrar o anular pagos)
+   * @param {string} alias - Alias de la tabla sales en la consulta
+   * @returns {string} Expresión CASE
+   */
+  static currentStatusSql(alias = 's') {
+    return `CASE
+      WHEN ${alias}.payment_status IN ('pendiente', 'parcial')
+        AND ${alias}.due_date < CURRENT_DATE
+        AND ${alias}.amount_paid < ${alias}.total_amount THEN 'vencido'
+      ELSE ${alias}.payment_status
+    END`;
+  }
+
+  /**
+   * Insertar un pago de una venta ya bloqueada (no recalcula el estado)
+   * Con credit_note_id el pago consume el saldo disponible de una nota de crédito del mismo cliente
+   * @param {Object} db - Cliente de transacción (withTransaction)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} sale - Venta bloqueada { id, client_id, total_amount, amount_paid, payment_status }
+   * @param {Object} paymentData - { amount (sin monto = saldo completo), payment_method, reference, payment_date, notes, credit_note_id, currency, exchange_rate }
+   * @param {Object} context - Contexto de auditoría { userId }
+   * @returns {Promise<Object>} Pago creado
+   */
+  static async record(db, tenantSchema, sale, paymentData, context = {}) {
+    if (sale.payment_status === 'cancelado') {
+      throw new Error(`Estado inválido: la venta ${sale.id} está cancelada`);
+    }
+
+    const balance = roundMoney(parseFloat(sale.total_amount) - parseFloat(sale.amount_paid || 0));
+    if (balance <= 0) {
+      throw new Error(`La venta ${sale.id} no tiene saldo pendiente`);
+    }
+
+    // amount queda en la moneda de la venta; un pago en otra moneda se convierte con las
+    // tasas vigentes en la fecha del pago y lo recibido queda en tendered_amount
+    const baseCurrency = await ExchangeRate.getBaseCurrency(tenantSchema, db);
+    const saleCurrency = sale.currency || baseCurrency;
+    const currency = paymentData.currency ? ExchangeRate.normalizeCurrency(paymentData.currency) : saleCurrency;
+
+    const creditNote = paymentData.credit_note_id
+      ? await this.lockCreditNote(db, tenantSchema, paymentData.credit_note_id, sale.client_id)
+      : null;
+    const available = creditNote
+      ? roundMoney(parseFloat(creditNote.amount) - parseFloat(creditNote.applied_amount))
+      : balance;
+
+    if (creditNote && ((creditNote.currency || baseCurrency) !== saleCurrency || currency !== saleCurrency)) {
+      throw new Error(`Moneda inválida: la nota de crédito ${creditNote.credit_note_number} está en ${creditNote.currency || baseCurrency} y la venta en ${saleCurrency}`);
+    }
+
+    let exchangeRate;
+    if (paymentData.exchange_rate !== undefined && paymentData.exchange_rate !== null) {
+      exchangeRate = parseFloat(paymentData.exchange_rate);
+      if (isNaN(exchangeRate) || exchangeRate <= 0) {
+        throw new Error('Tasa de cambio inválida: debe ser mayor a 0');
+      }
+    } else if (currency === baseCurrency) {
+      exchangeRate = 1;
+    } else {
+      const rate = await ExchangeRate.findRate(tenantSchema, currency, paymentData.payment_date, db);
+      if (rate === null && currency !== saleCurrency) {
+        throw new Error(`No hay tasa de cambio de ${currency} registrada al ${paymentData.payment_date || 'día de hoy'}`);
+      }
+      exchangeRate = rate === null ? parseFloat(sale.exchange_rate || 1) : rate;
+    }
+
+    // Unidades de moneda de la venta por unidad de la moneda del pago
+    let saleRate = exchangeRate;
+    if (currency !== saleCurrency) {
+      saleRate = saleCurrency === baseCurrency
+        ? 1
+        : (await ExchangeRate.getRate(tenantSchema, saleCurrency, paymentData.payment_date, db)).rate;
+    }
+    const toSaleCurrency = exchangeRate / saleRate;
+
+    let amount;
+    let tenderedAmount;
+    if (paymentData.amount === undefined || paymentData.amount === null) {
+      amount = Math.min(balance, available);
+      tenderedAmount = roundMoney(amount / toSaleCurrency);
+    } else {
+      tenderedAmount = roundMoney(parseFloat(paymentData.amount));
+      amount = roundMoney(tenderedAmount * toSaleCurrency);
+      // Un centavo de redondeo al convertir no cuenta como exceso
+      if (currency !== saleCurrency && amount > balance && amount - balance <= 0.01) {
+        amount = balance;
+      }
+    }
+
+    if (isNaN(amount) || amount <= 0) {
+      throw new Error('Monto de pago inválido: debe ser mayor a 0');
+    }
+
+    if (amount > balance) {
+      throw new Error(`Monto de pago inválido: excede el saldo pendiente (${balance})`);
+    }
+
+    if (creditNote) {
+      if (amount > available) {
+        throw new Error(`Monto de pago inválido: excede el saldo disponible de la nota de crédito ${creditNote.credit_note_number} (${available})`);
+      }
+
+      await this.applyCreditNote(db, tenantSchema, creditNote.id, amount);
+    }
+
+    const result = await db.query(`
+      INSERT INTO "${tenantSchema}".payments (
+        sale_id, client_id, amount, payment_method, reference, payment_date, notes, created_by, credit_note_id,
+        currency, exchange_rate, tendered_amount
+      ) VALUES ($1, $2, $3, $4, $5, COALESCE($6::date, CURRENT_DATE), $7, $8, $9, $10, $11, $12)
+      RETURNING *
+    `, [
+      sale.id, sale.client_id, amount,
+      creditNote ? 'nota_credito' : paymentData.payment_method || null,
+      creditNote ? creditNote.credit_note_number : paymentData.reference || null,
+      paymentData.payment_date || null, paymentData.notes || null, context.userId || null,
+      creditNote ? creditNote.id : null,
+      currency, exchangeRate, tenderedAmount
+    ]);
+
+    sale.amount_paid = roundMoney(parseFloat(sale.amount_paid || 0) + amount);
+    return result.rows[0];
+  }
+
+  /**
+   * Registrar un pago de una venta
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} saleId - ID de la venta
+   * @param {Object} paymentData - { amount, payment_method, reference, payment_date, notes, currency, exchange_rate }
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<Object>} { payment, sale: { id, total_amount, amount_paid, balance_due, payment_status } }
+   */
+  static async create(tenantSchema, saleId, paymentData = {}, context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      return await withTransaction(tenantSchema, async (db) => {
+        const sale = await this.lockSale(db, tenantSchema, saleId);
+
+        const payment = await this.record(db, tenantSchema, sale, paymentData, context);
+        const [status] = await this.syncSales(db, tenantSchema, [sale.id]);
+
+        // El último método de pago queda como referencia en la venta
+        if (payment.payment_method) {
+          await db.query(`
+            UPDATE "${tenantSchema}".sales SET payment_method = $2 WHERE id = $1
+          `, [sale.id, payment.payment_method]);
+        }
+
+        await AuditService.record(tenantSchema, context, {
+          action: 'payment.create',
+          entity_type: 'payment',
+          entity_id: payment.id,
+          old_values: { sale_id: sale.id, payment_status: sale.payment_status },
+          new_values: { ...payment, payment_status: status.payment_status }
+        }, db);
+
+        return {
+          payment,
+          sale: this.balanceOf({ ...sale, ...status })
+        };
+      });
+
+    } catch (error) {
+      console.error('💥 Error registrando pago:', error.message);
+      throw new Error(`Error registrando pago: ${error.message}`);
+    }
+  }
+
+  /**
+   * Anular un pago (queda en el historial con voided_at) y recalcular la venta
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} saleId - ID de la venta
+   * @param {number} paymentId - ID del pago
+   * @param {string} reason - Razón de la anulación
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<Object>} { payment, sale }
+   */
+  static async void(tenantSchema, saleId, paymentId, reason = 'Anulación manual', context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      return await withTransaction(tenantSchema, async (db) => {
+        const sale = await this.lockSale(db, tenantSchema, saleId);
+
+        if (sale.payment_status === 'cancelado') {
+          throw new Error(`Estado inválido: la venta ${sale.id} está cancelada`);
+        }
+
+        const paymentResult = await db.query(`
+          UPDATE "${tenantSchema}".payments
+          SET voided_at = CURRENT_TIMESTAMP, voided_reason = $3
+          WHERE id = $1 AND sale_id = $2 AND voided_at IS NULL
+          RETURNING *
+        `, [paymentId, sale.id, reason]);
+
+        if (paymentResult.rows.length === 0) {
+          throw new Error(`Pago con ID ${paymentId} no encontrado o ya anulado en la venta ${sale.id}`);
+        }
+
+        // El monto vuelve a quedar disponible en la nota de crédito
+        if (paymentResult.rows[0].credit_note_id) {
+          await this.applyCreditNote(db, tenantSchema, paymentResult.rows[0].credit_note_id, -parseFloat(paymentResult.rows[0].amount));
+        }
+
+        const [status] = await this.syncSales(db, tenantSchema, [sale.id]);
+
+        await AuditService.record(tenantSchema, context, {
+          action: 'payment.void',
+          entity_type: 'payment',
+          entity_id: paymentId,
+          old_values: { payment_status: sale.payment_status, amount_paid: sale.amount_paid },
+          new_values: { voided_reason: reason, payment_status: status.payment_status, amount_paid: status.amount_paid }
+        }, db);
+
+        return {
+          payment: paymentResult.rows[0],
+          sale: this.balanceOf({ ...sale, ...status })
+        };
+      });
+
+    } catch (error) {
+      console.error('💥 Error anulando pago:', error.message);
+      throw new Error(`Error anulando pago: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener los pagos de una venta (incluye anulados)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} saleId - ID de la venta
+   * @returns {Promise<Array>} Pagos ordenados por fecha
+   */
+  static async getBySale(tenantSchema, saleId) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const result = await query(`
+        SELECT id, sale_id, client_id, amount, currency, exchange_rate, tendered_amount, payment_method,
+               reference, payment_date, notes, credit_note_id, created_by, voided_at, voided_reason, created_at
+        FROM "${tenantSchema}".payments
+        WHERE sale_id = $1
+        ORDER BY payment_date, id
+      `, [saleId]);
+
+      return result.rows;
+
+    } catch (error) {
+      console.error('💥 Error obteniendo pagos de la venta:', error.message);
+      throw new Error(`Error obteniendo pagos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Libro de pagos con filtros
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} options - { client_id, sale_id, payment_method, date_from, date_to, include_voided, limit, offset }
+   * @returns {Promise<Array>} Pagos con venta y cliente
+   */
+  static async getAll(tenantSchema, options = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const whereConditions = [];
+      const params = [];
+      let paramIndex = 1;
+
+      if (!options.include_voided) {
+        whereConditions.push('p.voided_at IS NULL');
+      }
+
+      if (options.client_id) {
+        whereConditions.push(`p.client_id = $${paramIndex}`);
+        params.push(options.client_id);
+        paramIndex++;
+      }
+
+      if (options.sale_id) {
+        whereConditions.push(`p.sale_id = $${paramIndex}`);
+        params.push(options.sale_id);
+        paramIndex++;
+      }
+
+      if (options.payment_method) {
+        whereConditions.push(`p.payment_method = $${paramIndex}`);
+        params.push(options.payment_method);
+        paramIndex++;
+      }
+
+      if (options.date_from) {
+        whereConditions.push(`p.payment_date >= $${paramIndex}`);
+        params.push(options.date_from);
+        paramIndex++;
+      }
+
+      if (options.date_to) {
+        whereConditions.push(`p.payment_date <= $${paramIndex}`);
+        params.push(options.date_to);
+        paramIndex++;
+      }
+
+      params.push(options.limit || 100, options.offset || 0);
+
+      const result = await query(`
+        SELECT
+          p.id, p.sale_id, p.client_id, p.amount, p.currency, p.exchange_rate, p.tendered_amount,
+          p.payment_method, p.reference, p.payment_date, p.notes, p.credit_note_id, p.voided_at,
+          p.voided_reason, p.created_at, s.sale_number, s.currency as sale_currency, c.client_code, c.business_name as client_name
+        FROM "${tenantSchema}".payments p
+        JOIN "${tenantSchema}".sales s ON p.sale_id = s.id
+        JOIN "${tenantSchema}".clients c ON p.client_id = c.id
+        ${whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : ''}
+        ORDER BY p.payment_date DESC, p.id DESC
+        LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+      `, params);
+
+      return result.rows;
+
+    } catch (error) {
+      console.error('💥 Error obteniendo pagos:', error.message);
+      throw new Error(`Error obteniendo pagos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resumen de saldo de una venta
+   * @param {Object} sale - Venta con total_amount, amount_paid y payment_status
+   * @returns {Object} { id, total_amount, amount_paid, balance_due, payment_status }
+   */
+  static balanceOf(sale) {
+    const amountPaid = parseFloat(sale.amount_paid || 0);
+    return {
+      id: sale.id,
+      total_amount: parseFloat(sale.total_amount),
+      amount_paid: amountPaid,
+      balance_due: roundMoney(parseFloat(sale.total_amount) - amountPaid),
+      payment_status: sale.payment_status
+    };
+  }
+
+  /**
+   * Bloquear una nota de crédito del cliente dentro de una transacción
+   * @param {Object} db - Cliente de transacción (withTransaction)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} creditNoteId - ID de la nota de crédito
+   * @param {number} clientId - Cliente al que debe pertenecer
+   * @returns {Promise<Object>} Nota de crédito bloqueada
+   */
+  static async lockCreditNote(db, tenantSchema, creditNoteId, clientId) {
+    const result = await db.query(`
+      SELECT cn.id, cn.credit_note_number, cn.client_id, cn.amount, cn.applied_amount, cn.status, s.currency
+      FROM "${tenantSchema}".credit_notes cn
+      JOIN "${tenantSchema}".sales s ON cn.sale_id = s.id
+      WHERE cn.id = $1
+      FOR UPDATE OF cn
+    `, [creditNoteId]);
+
+    if (result.rows.length === 0) {
+      throw new Error(`Nota de crédito con ID ${creditNoteId} no encontrada`);
+    }
+
+    const creditNote = result.rows[0];
+    if (creditNote.client_id !== parseInt(clientId)) {
+      throw new Error(`La nota de crédito ${creditNote.credit_note_number} no pertenece al cliente de la venta`);
+    }
+
+    return creditNote;
+  }
+
+  /**
+   * Sumar (o restar, con monto negativo) al monto aplicado de una nota de crédito
+   * @param {Object} db - Cliente de transacción (withTransaction)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} creditNoteId - ID de la nota de crédito
+   * @param {number} amount - Monto aplicado (negativo al anular un pago)
+   * @returns {Promise<Object>} Nota de crédito actualizada
+   */
+  static async applyCreditNote(db, tenantSchema, creditNoteId, amount) {
+    const result = await db.query(`
+      UPDATE "${tenantSchema}".credit_notes
+      SET applied_amount = applied_amount + $2,
+          status = CASE WHEN applied_amount + $2 >= amount THEN 'aplicada' ELSE 'abierta' END
+      WHERE id = $1
+      RETURNING *
+    `, [creditNoteId, amount]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Bloquear una venta dentro de una transacción
+   * @param {Object} db - Cliente de transacción (withTransaction)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} saleId - ID de la venta
+   * @returns {Promise<Object>} Venta bloqueada
+   */
+  static async lockSale(db, tenantSchema, saleId) {
+    const result = await db.query(`
+      SELECT id, sale_number, client_id, total_amount, amount_paid, payment_status, due_date, currency, exchange_rate
+      FROM "${tenantSchema}".sales
+      WHERE id = $1
+      FOR UPDATE
+    `, [saleId]);
+
+    if (result.rows.length === 0) {
+      throw new Error(`Venta con ID ${saleId} no encontrada`);
+    }
+
+    return result.rows[0];
+  }
+}
+
+module.exports = Payment;
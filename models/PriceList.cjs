@@ -0,0 +1,524 @@
+// =====================================================================================
+// FLUXION AI - PRICE LIST MODEL (MULTI-TENANT)
+// Listas de precios por cliente, tipo de cliente y escalas de cantidad
+// =====================================================================================
+
+const { query, withTransaction } = require('../config/database.cjs');
+const AuditService = require('../services/AuditService.cjs');
+
+const CLIENT_TYPES = ['mayorista', 'detallista', 'corporativo'];
+
+const PRICE_LIST_FIELDS = `
+  id, name, client_type, client_id, valid_from, valid_to, priority, active, notes,
+  created_at, updated_at
+`;
+
+/**
+ * Modelo PriceList - Multi-tenant
+ * Resolución de precio: entre las listas activas y vigentes que aplican al cliente gana la
+ * más específica (cliente > tipo de cliente > general), luego la de mayor prioridad y dentro
+ * de ella la escala con el mayor min_quantity alcanzado
+ * Cada método requiere un tenantSchema para operar en el schema correcto
+ */
+class PriceList {
+
+  /**
+   * Obtener listas de precios con filtros opcionales
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} options - Filtros: active, client_type, client_id, valid_on, limit, offset
+   * @returns {Promise<Array>} Listas con cantidad de precios
+   */
+  static async getAll(tenantSchema, options = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      let whereConditions = [];
+      let params = [];
+      let paramIndex = 1;
+
+      if (options.active !== undefined) {
+        whereConditions.push(`pl.active = $${paramIndex}`);
+        params.push(options.active);
+        paramIndex++;
+      }
+
+      if (options.client_type) {
+        whereConditions.push(`pl.client_type = $${paramIndex}`);
+        params.push(options.client_type);
+        paramIndex++;
+      }
+
+      if (options.client_id) {
+        whereConditions.push(`pl.client_id = $${paramIndex}`);
+        params.push(options.client_id);
+        paramIndex++;
+      }
+
+      if (options.valid_on) {
+        whereConditions.push(`(pl.valid_from IS NULL OR pl.valid_from <= $${paramIndex}::date)`);
+        whereConditions.push(`(pl.valid_to IS NULL OR pl.valid_to >= $${paramIndex}::date)`);
+        params.push(options.valid_on);
+        paramIndex++;
+      }
+
+      let sql = `
+        SELECT
+          pl.id, pl.name, pl.client_type, pl.client_id, pl.valid_from, pl.valid_to, pl.priority,
+          pl.active, pl.notes, pl.created_at, pl.updated_at,
+          c.business_name as client_name,
+          (SELECT COUNT(*) FROM "${tenantSchema}".price_list_items i WHERE i.price_list_id = pl.id) as item_count
+        FROM "${tenantSchema}".price_lists pl
+        LEFT JOIN "${tenantSchema}".clients c ON pl.client_id = c.id
+      `;
+
+      if (whereConditions.length > 0) {
+        sql += ` WHERE ${whereConditions.join(' AND ')}`;
+      }
+
+      sql += ' ORDER BY pl.active DESC, pl.priority DESC, pl.name';
+
+      if (options.limit) {
+        sql += ` LIMIT $${paramIndex}`;
+        params.push(options.limit);
+        paramIndex++;
+      }
+
+      if (options.offset) {
+        sql += ` OFFSET $${paramIndex}`;
+        params.push(options.offset);
+      }
+
+      const result = await query(sql, params);
+      return result.rows;
+
+    } catch (error) {
+      console.error('💥 Error obteniendo listas de precios:', error.message);
+      throw new Error(`Error obteniendo listas de precios: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener una lista de precios con sus precios
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} id - ID de la lista
+   * @returns {Promise<Object|null>} Lista con items o null
+   */
+  static async getById(tenantSchema, id) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const listResult = await query(`
+        SELECT ${PRICE_LIST_FIELDS}
+        FROM "${tenantSchema}".price_lists
+        WHERE id = $1
+      `, [id]);
+
+      if (listResult.rows.length === 0) {
+        return null;
+      }
+
+      const itemsResult = await query(`
+        SELECT
+          i.id, i.product_id, i.min_quantity, i.unit_price,
+          p.sku, p.name as product_name, p.selling_price
+        FROM "${tenantSchema}".price_list_items i
+        JOIN "${tenantSchema}".products p ON i.product_id = p.id
+        WHERE i.price_list_id = $1
+        ORDER BY p.name, i.min_quantity
+      `, [id]);
+
+      return {
+        ...listResult.rows[0],
+        items: itemsResult.rows
+      };
+
+    } catch (error) {
+      console.error('💥 Error obteniendo lista de precios:', error.message);
+      throw new Error(`Error obteniendo lista de precios: ${error.message}`);
+    }
+  }
+
+  /**
+   * Crear una lista de precios
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} listData - { name, client_type, client_id, valid_from, valid_to, priority, notes,
+   *   items: [{ product_id, min_quantity, unit_price }] }
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<Object>} Lista creada con items
+   */
+  static async create(tenantSchema, listData, context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const {
+        name, client_type = null, client_id = null, valid_from = null, valid_to = null,
+        priority = 0, notes = null, active = true, items = []
+      } = listData;
+
+      const listId = await withTransaction(tenantSchema, async (db) => {
+        await this.validateScope(db, tenantSchema, { client_type, client_id, valid_from, valid_to });
+
+        const listResult = await db.query(`
+          INSERT INTO "${tenantSchema}".price_lists (
+            name, client_type, client_id, valid_from, valid_to, priority, active, notes
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          RETURNING *
+        `, [name, client_type, client_id, valid_from, valid_to, parseInt(priority) || 0, active, notes]);
+
+        const priceList = listResult.rows[0];
+        const savedItems = await this.replaceItems(db, tenantSchema, priceList.id, items);
+
+        await AuditService.record(tenantSchema, context, {
+          action: 'price_list.create',
+          entity_type: 'price_list',
+          entity_id: priceList.id,
+          new_values: { ...priceList, items: savedItems }
+        }, db);
+
+        return priceList.id;
+      });
+
+      return await this.getById(tenantSchema, listId);
+
+    } catch (error) {
+      console.error('💥 Error creando lista de precios:', error.message);
+      throw new Error(`Error creando lista de precios: ${error.message}`);
+    }
+  }
+
+  /**
+   * Actualizar una lista de precios (items, si se envía, reemplaza todos los precios)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} id - ID de la lista
+   * @param {Object} updateData - Campos a actualizar y opcionalmente items
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<Object>} Lista actualizada con items
+   */
+  static async update(tenantSchema, id, updateData, context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const existing = await this.getById(tenantSchema, id);
+      if (!existing) {
+        throw new Error(`Lista de precios con ID ${id} no encontrada`);
+      }
+
+      const allowedFields = ['name', 'client_type', 'client_id', 'valid_from', 'valid_to', 'priority', 'active', 'notes'];
+      const fields = Object.keys(updateData).filter(field => allowedFields.includes(field));
+
+      if (fields.length === 0 && !Array.isArray(updateData.items)) {
+        throw new Error('No hay campos válidos para actualizar');
+      }
+
+      await withTransaction(tenantSchema, async (db) => {
+        const merged = { ...existing, ...updateData };
+        await this.validateScope(db, tenantSchema, merged);
+
+        if (fields.length > 0) {
+          const params = fields.map(field => updateData[field]);
+          params.push(id);
+
+          await db.query(`
+            UPDATE "${tenantSchema}".price_lists
+            SET ${fields.map((field, index) => `${field} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $${params.length}
+          `, params);
+        }
+
+        const items = Array.isArray(updateData.items)
+          ? await this.replaceItems(db, tenantSchema, id, updateData.items)
+          : undefined;
+
+        await AuditService.record(tenantSchema, context, {
+          action: 'price_list.update',
+          entity_type: 'price_list',
+          entity_id: id,
+          old_values: existing,
+          new_values: { ...updateData, items }
+        }, db);
+      });
+
+      return await this.getById(tenantSchema, id);
+
+    } catch (error) {
+      console.error('💥 Error actualizando lista de precios:', error.message);
+      throw new Error(`Error actualizando lista de precios: ${error.message}`);
+    }
+  }
+
+  /**
+   * Desactivar una lista de precios (soft delete)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} id - ID de la lista
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<boolean>} True si se desactivó
+   */
+  static async delete(tenantSchema, id, context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const result = await query(`
+        UPDATE "${tenantSchema}".price_lists
+        SET active = false, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING id, name
+      `, [id]);
+
+      if (result.rowCount === 0) {
+        return false;
+      }
+
+      await AuditService.record(tenantSchema, context, {
+        action: 'price_list.delete',
+        entity_type: 'price_list',
+        entity_id: id,
+        old_values: { name: result.rows[0].name, active: true },
+        new_values: { active: false }
+      });
+
+      return true;
+
+    } catch (error) {
+      console.error('💥 Error eliminando lista de precios:', error.message);
+      throw new Error(`Error eliminando lista de precios: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolver el precio de varios productos para un cliente en una fecha
+   * La escala se evalúa con la cantidad total pedida de cada producto
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} clientId - ID del cliente
+   * @param {Array} items - [{ product_id, quantity }]
+   * @param {string} date - Fecha (YYYY-MM-DD; hoy por defecto)
+   * @param {Object} db - Cliente de transacción (opcional)
+   * @returns {Promise<Map>} product_id -> { unit_price, price_list_id, price_list_name, scope, min_quantity }
+   */
+  static async resolvePrices(tenantSchema, clientId, items, date = null, db = null) {
+    const runQuery = db ? db.query.bind(db) : query;
+
+    const quantities = new Map();
+    for (const item of items) {
+      const productId = parseInt(item.product_id);
+      quantities.set(productId, (quantities.get(productId) || 0) + (parseInt(item.quantity) || 1));
+    }
+
+    if (quantities.size === 0) {
+      return new Map();
+    }
+
+    const result = await runQuery(`
+      WITH requested AS (
+        SELECT * FROM unnest($2::int[], $3::int[]) AS r(product_id, quantity)
+      )
+      SELECT DISTINCT ON (r.product_id)
+        r.product_id, i.unit_price, i.min_quantity, pl.id as price_list_id, pl.name as price_list_name,
+        CASE
+          WHEN pl.client_id IS NOT NULL THEN 'client'
+          WHEN pl.client_type IS NOT NULL THEN 'client_type'
+          ELSE 'general'
+        END as scope
+      FROM requested r
+      JOIN "${tenantSchema}".price_list_items i ON i.product_id = r.product_id AND i.min_quantity <= r.quantity
+      JOIN "${tenantSchema}".price_lists pl ON pl.id = i.price_list_id
+      JOIN "${tenantSchema}".clients c ON c.id = $1
+      WHERE pl.active = true
+      AND (pl.valid_from IS NULL OR pl.valid_from <= COALESCE($4::date, CURRENT_DATE))
+      AND (pl.valid_to IS NULL OR pl.valid_to >= COALESCE($4::date, CURRENT_DATE))
+      AND (
+        pl.client_id = c.id
+        OR (pl.client_id IS NULL AND pl.client_type = c.client_type)
+        OR (pl.client_id IS NULL AND pl.client_type IS NULL)
+      )
+      ORDER BY r.product_id, (pl.client_id IS NOT NULL) DESC, (pl.client_type IS NOT NULL) DESC,
+               pl.priority DESC, i.min_quantity DESC, pl.id DESC
+    `, [clientId, [...quantities.keys()], [...quantities.values()], date || null]);
+
+    return new Map(result.rows.map(row => [row.product_id, {
+      unit_price: parseFloat(row.unit_price),
+      price_list_id: row.price_list_id,
+      price_list_name: row.price_list_name,
+      scope: row.scope,
+      min_quantity: row.min_quantity
+    }]));
+  }
+
+  /**
+   * Precio de productos para un cliente (pantalla de pedidos)
+   * Incluye el precio base, el precio resuelto y las escalas de la lista aplicada
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} clientId - ID del cliente
+   * @param {Array} items - [{ product_id, quantity }]
+   * @param {string} date - Fecha (YYYY-MM-DD; hoy por defecto)
+   * @returns {Promise<Object|null>} { client, date, items } o null si el cliente no existe
+   */
+  static async getClientPrices(tenantSchema, clientId, items, date = null) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const clientResult = await query(`
+        SELECT id, client_code, business_name, client_type
+        FROM "${tenantSchema}".clients
+        WHERE id = $1
+      `, [clientId]);
+
+      if (clientResult.rows.length === 0) {
+        return null;
+      }
+
+      const productIds = items.map(item => parseInt(item.product_id));
+      const productsResult = await query(`
+        SELECT id, sku, name, selling_price
+        FROM "${tenantSchema}".products
+        WHERE id = ANY($1::int[])
+      `, [productIds]);
+
+      const resolved = await this.resolvePrices(tenantSchema, clientId, items, date);
+
+      // Escalas de la lista aplicada a cada producto
+      const listIds = [...new Set([...resolved.values()].map(price => price.price_list_id))];
+      const breaksResult = listIds.length > 0 ? await query(`
+        SELECT price_list_id, product_id, min_quantity, unit_price
+        FROM "${tenantSchema}".price_list_items
+        WHERE price_list_id = ANY($1::int[]) AND product_id = ANY($2::int[])
+        ORDER BY min_quantity
+      `, [listIds, productIds]) : { rows: [] };
+
+      const quantities = new Map(items.map(item => [parseInt(item.product_id), parseInt(item.quantity) || 1]));
+
+      const prices = productsResult.rows.map(product => {
+        const price = resolved.get(product.id);
+        const basePrice = parseFloat(product.selling_price);
+        const unitPrice = price ? price.unit_price : basePrice;
+
+        return {
+          product_id: product.id,
+          sku: product.sku,
+          name: product.name,
+          quantity: quantities.get(product.id),
+          base_price: basePrice,
+          unit_price: unitPrice,
+          discount_percent: basePrice > 0 ? Math.round((1 - unitPrice / basePrice) * 10000) / 100 : 0,
+          source: price ? 'price_list' : 'selling_price',
+          price_list_id: price ? price.price_list_id : null,
+          price_list_name: price ? price.price_list_name : null,
+          scope: price ? price.scope : null,
+          breaks: price
+            ? breaksResult.rows
+              .filter(row => row.price_list_id === price.price_list_id && row.product_id === product.id)
+              .map(row => ({ min_quantity: row.min_quantity, unit_price: parseFloat(row.unit_price) }))
+            : []
+        };
+      });
+
+      return {
+        client: clientResult.rows[0],
+        date: date || new Date().toISOString().split('T')[0],
+        items: prices
+      };
+
+    } catch (error) {
+      console.error('💥 Error obteniendo precios del cliente:', error.message);
+      throw new Error(`Error obteniendo precios del cliente: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validar a quién aplica una lista y su vigencia
+   * @param {Object} db - Cliente de transacción (withTransaction)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} scope - { client_type, client_id, valid_from, valid_to }
+   */
+  static async validateScope(db, tenantSchema, scope) {
+    if (scope.client_type && !CLIENT_TYPES.includes(scope.client_type)) {
+      throw new Error(`Tipo de cliente inválido: ${scope.client_type}. Válidos: ${CLIENT_TYPES.join(', ')}`);
+    }
+
+    if (scope.client_type && scope.client_id) {
+      throw new Error('Lista de precios inválida: indique client_type o client_id, no ambos');
+    }
+
+    if (scope.client_id) {
+      const clientResult = await db.query(`
+        SELECT id FROM "${tenantSchema}".clients WHERE id = $1
+      `, [scope.client_id]);
+
+      if (clientResult.rows.length === 0) {
+        throw new Error(`Cliente con ID ${scope.client_id} no encontrado`);
+      }
+    }
+
+    if (scope.valid_from && scope.valid_to && new Date(scope.valid_to) < new Date(scope.valid_from)) {
+      throw new Error('Vigencia inválida: valid_to es anterior a valid_from');
+    }
+  }
+
+  /**
+   * Reemplazar los precios de una lista
+   * @param {Object} db - Cliente de transacción (withTransaction)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} priceListId - ID de la lista
+   * @param {Array} items - [{ product_id, min_quantity, unit_price }]
+   * @returns {Promise<Array>} Precios guardados
+   */
+  static async replaceItems(db, tenantSchema, priceListId, items) {
+    const productIds = [...new Set(items.map(item => parseInt(item.product_id)))];
+    const productsResult = await db.query(`
+      SELECT id FROM "${tenantSchema}".products WHERE id = ANY($1::int[])
+    `, [productIds]);
+    const existingProducts = new Set(productsResult.rows.map(product => product.id));
+
+    const seen = new Set();
+    const validatedItems = items.map(item => {
+      const productId = parseInt(item.product_id);
+      if (!existingProducts.has(productId)) {
+        throw new Error(`Producto con ID ${item.product_id} no encontrado`);
+      }
+
+      const minQuantity = item.min_quantity === undefined ? 1 : parseInt(item.min_quantity);
+      if (!minQuantity || minQuantity <= 0) {
+        throw new Error(`Cantidad mínima inválida para el producto ${productId}: debe ser mayor a 0`);
+      }
+
+      const unitPrice = parseFloat(item.unit_price);
+      if (isNaN(unitPrice) || unitPrice < 0) {
+        throw new Error(`Precio inválido para el producto ${productId}`);
+      }
+
+      const key = `${productId}:${minQuantity}`;
+      if (seen.has(key)) {
+        throw new Error(`Precio duplicado para el producto ${productId} con cantidad mínima ${minQuantity}`);
+      }
+      seen.add(key);
+
+      return { product_id: productId, min_quantity: minQuantity, unit_price: unitPrice };
+    });
+
+    await db.query(`
+      DELETE FROM "${tenantSchema}".price_list_items WHERE price_list_id = $1
+    `, [priceListId]);
+
+    for (const item of validatedItems) {
+      await db.query(`
+        INSERT INTO "${tenantSchema}".price_list_items (price_list_id, product_id, min_quantity, unit_price)
+        VALUES ($1, $2, $3, $4)
+      `, [priceListId, item.product_id, item.min_quantity, item.unit_price]);
+    }
+
+    return validatedItems;
+  }
+}
+
+module.exports = PriceList;
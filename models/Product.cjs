@@ -3,7 +3,10 @@
 // Modelo de datos para productos con operaciones CRUD completas y soporte multi-tenant
 // =====================================================================================
 
-const { query } = require('../config/database.cjs');
+const { query, withTransaction } = require('../config/database.cjs');
+const QuotaService = require('../services/QuotaService.cjs');
+const AuditService = require('../services/AuditService.cjs');
+const Inventory = require('./Inventory.cjs');
 
 /**
  * Modelo Product con operaciones CRUD y consultas especializadas - Multi-tenant
@@ -55,7 +58,7 @@ class Product {
         SELECT 
           id, sku, name, category, brand,
           cost_price, selling_price, current_stock,
-          min_stock_threshold, max_stock_threshold,
+          min_stock_threshold, max_stock_threshold, preferred_supplier_id, tax_rate_id,
           active, created_at, updated_at,
           CASE 
             WHEN current_stock <= min_stock_threshold THEN 'low'
@@ -108,7 +111,7 @@ class Product {
         SELECT 
           id, sku, name, category, brand,
           cost_price, selling_price, current_stock,
-          min_stock_threshold, max_stock_threshold,
+          min_stock_threshold, max_stock_threshold, preferred_supplier_id, tax_rate_id,
           active, created_at, updated_at,
           CASE 
             WHEN current_stock <= min_stock_threshold THEN 'low'
@@ -144,7 +147,7 @@ class Product {
         SELECT 
           id, sku, name, category, brand,
           cost_price, selling_price, current_stock,
-          min_stock_threshold, max_stock_threshold,
+          min_stock_threshold, max_stock_threshold, preferred_supplier_id, tax_rate_id,
           active, created_at, updated_at,
           CASE 
             WHEN current_stock <= min_stock_threshold THEN 'low'
@@ -168,9 +171,10 @@ class Product {
    * Crear un nuevo producto
    * @param {string} tenantSchema - Schema del tenant
    * @param {Object} productData - Datos del producto
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
    * @returns {Promise<Object>} Producto creado
    */
-  static async create(tenantSchema, productData) {
+  static async create(tenantSchema, productData, context = {}) {
     if (!tenantSchema) {
       throw new Error('tenantSchema es requerido para operaciones multi-tenant');
     }
@@ -179,7 +183,7 @@ class Product {
       const {
         sku, name, category, brand, cost_price, selling_price,
         current_stock = 0, min_stock_threshold = 10, max_stock_threshold = 1000,
-        active = true
+        preferred_supplier_id = null, tax_rate_id = null, active = true, warehouse_id = null
       } = productData;
 
       // Validar que el SKU no exista
@@ -188,18 +192,53 @@ class Product {
         throw new Error(`Ya existe un producto con SKU: ${sku}`);
       }
 
-      const result = await query(`
-        INSERT INTO "${tenantSchema}".products (
+      const product = await withTransaction(tenantSchema, async (db) => {
+        if (active) {
+          await QuotaService.assertProductQuota(tenantSchema, 1, db);
+        }
+
+        // El stock inicial queda en el almacén indicado (predeterminado si se omite);
+        // en un almacén no vendible no cuenta en current_stock
+        const warehouse = await Inventory.resolveWarehouse(db, tenantSchema, warehouse_id);
+
+        const result = await db.query(`
+          INSERT INTO "${tenantSchema}".products (
+            sku, name, category, brand, cost_price, selling_price,
+            current_stock, min_stock_threshold, max_stock_threshold, preferred_supplier_id, tax_rate_id, active
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+          RETURNING *
+        `, [
           sku, name, category, brand, cost_price, selling_price,
-          current_stock, min_stock_threshold, max_stock_threshold, active
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-        RETURNING *
-      `, [
-        sku, name, category, brand, cost_price, selling_price,
-        current_stock, min_stock_threshold, max_stock_threshold, active
-      ]);
+          warehouse.sellable ? current_stock : 0, min_stock_threshold, max_stock_threshold, preferred_supplier_id, tax_rate_id, active
+        ]);
+
+        await db.query(`
+          INSERT INTO "${tenantSchema}".product_stock (product_id, warehouse_id, quantity)
+          VALUES ($1, $2, $3)
+        `, [result.rows[0].id, warehouse.id, current_stock]);
+
+        // Capa de costo de apertura al costo del producto
+        if (current_stock > 0) {
+          await db.query(`
+            INSERT INTO "${tenantSchema}".cost_layers (product_id, warehouse_id, unit_cost, quantity_received, quantity_remaining)
+            VALUES ($1, $2, $3, $4, $4)
+          `, [result.rows[0].id, warehouse.id, cost_price || 0, current_stock]);
+        }
 
-      return result.rows[0];
+        await AuditService.record(tenantSchema, context, {
+          action: 'product.create',
+          entity_type: 'product',
+          entity_id: result.rows[0].id,
+          new_values: { ...result.rows[0], warehouse_id: warehouse.id }
+        }, db);
+
+        return result.rows[0];
+      });
+
+      // Advertencia al 80% de la cuota (no bloquea la respuesta)
+      QuotaService.checkSoftLimits(tenantSchema);
+
+      return product;
 
     } catch (error) {
       console.error('💥 Error creando producto:', error.message);
@@ -212,9 +251,10 @@ class Product {
    * @param {string} tenantSchema - Schema del tenant
    * @param {number} id - ID del producto
    * @param {Object} updateData - Datos a actualizar
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
    * @returns {Promise<Object>} Producto actualizado
    */
-  static async update(tenantSchema, id, updateData) {
+  static async update(tenantSchema, id, updateData, context = {}) {
     if (!tenantSchema) {
       throw new Error('tenantSchema es requerido para operaciones multi-tenant');
     }
@@ -230,9 +270,11 @@ class Product {
       const params = [];
       let paramIndex = 1;
 
+      // current_stock no se edita aquí: es la suma del stock de los almacenes vendibles y cambia con movimientos
       const allowedFields = [
         'sku', 'name', 'category', 'brand', 'cost_price', 'selling_price',
-        'current_stock', 'min_stock_threshold', 'max_stock_threshold', 'active'
+        'min_stock_threshold', 'max_stock_threshold',
+        'preferred_supplier_id', 'tax_rate_id', 'active'
       ];
 
       Object.keys(updateData).forEach(field => {
@@ -255,8 +297,24 @@ class Product {
         RETURNING *
       `;
 
-      const result = await query(sql, params);
-      return result.rows[0];
+      return await withTransaction(tenantSchema, async (db) => {
+        // Reactivar un producto cuenta contra la cuota del plan
+        if (updateData.active === true && !existing.active) {
+          await QuotaService.assertProductQuota(tenantSchema, 1, db);
+        }
+
+        const result = await db.query(sql, params);
+
+        await AuditService.record(tenantSchema, context, {
+          action: 'product.update',
+          entity_type: 'product',
+          entity_id: id,
+          old_values: existing,
+          new_values: result.rows[0]
+        }, db);
+
+        return result.rows[0];
+      });
 
     } catch (error) {
       console.error('💥 Error actualizando producto:', error.message);
@@ -268,9 +326,10 @@ class Product {
    * Eliminar un producto (soft delete)
    * @param {string} tenantSchema - Schema del tenant
    * @param {number} id - ID del producto
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
    * @returns {Promise<boolean>} True si se eliminó exitosamente
    */
-  static async delete(tenantSchema, id) {
+  static async delete(tenantSchema, id, context = {}) {
     if (!tenantSchema) {
       throw new Error('tenantSchema es requerido para operaciones multi-tenant');
     }
@@ -289,6 +348,14 @@ class Product {
         RETURNING id
       `, [id]);
 
+      await AuditService.record(tenantSchema, context, {
+        action: 'product.delete',
+        entity_type: 'product',
+        entity_id: id,
+        old_values: existing,
+        new_values: { active: false }
+      });
+
       return result.rowCount > 0;
 
     } catch (error) {
@@ -299,29 +366,45 @@ class Product {
 
   /**
    * Obtener productos con stock bajo
+   * Con warehouse_id se compara el stock de ese almacén con su umbral
+   * (product_stock.min_stock_threshold o, si no tiene, el del producto)
    * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} options - { warehouse_id }
    * @returns {Promise<Array>} Lista de productos con stock bajo
    */
-  static async getLowStock(tenantSchema) {
+  static async getLowStock(tenantSchema, options = {}) {
     if (!tenantSchema) {
       throw new Error('tenantSchema es requerido para operaciones multi-tenant');
     }
     
     try {
+      const params = [];
+      let stockJoin = '';
+      let stock = 'p.current_stock';
+      let minThreshold = 'p.min_stock_threshold';
+
+      if (options.warehouse_id) {
+        stockJoin = `LEFT JOIN "${tenantSchema}".product_stock ps ON ps.product_id = p.id AND ps.warehouse_id = $1`;
+        params.push(options.warehouse_id);
+        stock = 'COALESCE(ps.quantity, 0)';
+        minThreshold = 'COALESCE(ps.min_stock_threshold, p.min_stock_threshold)';
+      }
+
       const result = await query(`
         SELECT 
-          id, sku, name, category, brand,
-          cost_price, selling_price, current_stock,
-          min_stock_threshold, max_stock_threshold,
-          active, created_at, updated_at,
+          p.id, p.sku, p.name, p.category, p.brand,
+          p.cost_price, p.selling_price, ${stock} as current_stock,
+          ${minThreshold} as min_stock_threshold, p.max_stock_threshold,
+          p.active, p.created_at, p.updated_at,
           'low' as stock_status,
-          ROUND((selling_price - cost_price) / selling_price * 100, 2) as profit_margin_percent,
-          (min_stock_threshold - current_stock) as units_needed
-        FROM "${tenantSchema}".products 
-        WHERE current_stock <= min_stock_threshold 
-        AND active = true
-        ORDER BY (current_stock::float / min_stock_threshold::float) ASC
-      `);
+          ROUND((p.selling_price - p.cost_price) / p.selling_price * 100, 2) as profit_margin_percent,
+          (${minThreshold} - ${stock}) as units_needed
+        FROM "${tenantSchema}".products p
+        ${stockJoin}
+        WHERE ${stock} <= ${minThreshold}
+        AND p.active = true
+        ORDER BY (${stock}::float / NULLIF(${minThreshold}, 0)::float) ASC NULLS LAST
+      `, params);
 
       return result.rows;
 
@@ -366,51 +449,64 @@ class Product {
 
   /**
    * Actualizar stock de un producto
+   * Con warehouseId newStock es el stock de ese almacén; sin él es el total del producto
+   * y la diferencia se aplica en el almacén predeterminado
    * @param {string} tenantSchema - Schema del tenant
    * @param {number} id - ID del producto
    * @param {number} newStock - Nuevo stock
    * @param {string} reason - Razón del cambio
+   * @param {number|null} warehouseId - Almacén a ajustar (opcional)
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
    * @returns {Promise<Object>} Producto actualizado
    */
-  static async updateStock(tenantSchema, id, newStock, reason = 'manual_adjustment') {
+  static async updateStock(tenantSchema, id, newStock, reason = 'manual_adjustment', warehouseId = null, context = {}) {
     if (!tenantSchema) {
       throw new Error('tenantSchema es requerido para operaciones multi-tenant');
     }
     
     try {
-      const existing = await this.getById(tenantSchema, id);
-      if (!existing) {
-        throw new Error(`Producto con ID ${id} no encontrado`);
-      }
+      return await withTransaction(tenantSchema, async (db) => {
+        // Bloquear el producto mientras se ajusta su stock
+        const products = await Inventory.lockProducts(db, tenantSchema, [id]);
+        const existing = products.get(parseInt(id));
 
-      const previousStock = existing.current_stock;
+        if (!existing) {
+          throw new Error(`Producto con ID ${id} no encontrado`);
+        }
 
-      // Actualizar stock
-      const result = await query(`
-        UPDATE "${tenantSchema}".products 
-        SET current_stock = $1, updated_at = CURRENT_TIMESTAMP
-        WHERE id = $2
-        RETURNING *
-      `, [newStock, id]);
-
-      // Registrar movimiento de inventario
-      await query(`
-        INSERT INTO "${tenantSchema}".inventory_movements (
-          product_id, movement_type, quantity, previous_stock, new_stock,
-          cost_per_unit, reference_type, notes
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-      `, [
-        id,
-        newStock > previousStock ? 'entrada' : 'salida',
-        newStock - previousStock,
-        previousStock,
-        newStock,
-        existing.cost_price,
-        'ajuste',
-        reason
-      ]);
+        const previousStock = existing.current_stock;
+        const warehouse = await Inventory.resolveWarehouse(db, tenantSchema, warehouseId);
+        const currentStock = warehouseId
+          ? (await Inventory.getLocationStock(db, tenantSchema, warehouse.id, [existing.id])).get(existing.id)
+          : previousStock;
+        const difference = newStock - currentStock;
+
+        // Registrar movimiento de inventario y actualizar stock
+        if (difference !== 0) {
+          await Inventory.applyMovement(db, tenantSchema, existing, {
+            movement_type: difference > 0 ? 'entrada' : 'salida',
+            quantity: difference,
+            warehouse_id: warehouse.id,
+            cost_per_unit: existing.cost_price,
+            reference_type: 'ajuste',
+            notes: reason
+          });
+        }
 
-      return result.rows[0];
+        await AuditService.record(tenantSchema, context, {
+          action: 'product.stock_update',
+          entity_type: 'product',
+          entity_id: id,
+          old_values: { current_stock: previousStock },
+          new_values: { current_stock: existing.current_stock, warehouse_id: warehouse.id, reason }
+        }, db);
+
+        const result = await db.query(`
+          SELECT * FROM "${tenantSchema}".products WHERE id = $1
+        `, [id]);
+
+        return result.rows[0];
+      });
 
     } catch (error) {
       console.error('💥 Error actualizando stock:', error.message);
@@ -435,7 +531,7 @@ class Product {
         SELECT 
           id, sku, name, category, brand,
           cost_price, selling_price, current_stock,
-          min_stock_threshold, max_stock_threshold,
+          min_stock_threshold, max_stock_threshold, preferred_supplier_id, tax_rate_id,
           active, created_at, updated_at,
           CASE 
             WHEN current_stock <= min_stock_threshold THEN 'low'
@@ -0,0 +1,796 @@
+// =====================================================================================
+// FLUXION AI - PROMOTION MODEL (MULTI-TENANT)
+// Promociones y reglas de descuento evaluadas al crear ventas
+// =====================================================================================
+
+const { query, withTransaction } = require('../config/database.cjs');
+const AuditService = require('../services/AuditService.cjs');
+const Insights = require('./Insights.cjs');
+const PriceList = require('./PriceList.cjs');
+
+const PROMOTION_TYPES = ['porcentaje', 'monto_fijo', 'lleve_x_pague_y', 'combo'];
+const CLIENT_TYPES = ['mayorista', 'detallista', 'corporativo'];
+
+const PROMOTION_FIELDS = `
+  id, name, description, promotion_type, discount_value, buy_quantity, pay_quantity, bundle_price,
+  category, client_type, min_quantity, valid_from, valid_to, priority, active, source_insight_id,
+  created_at, updated_at
+`;
+
+/**
+ * Redondear un monto a 2 decimales
+ * @param {number} amount - Monto
+ * @returns {number} Monto redondeado
+ */
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Modelo Promotion - Multi-tenant
+ * Cada línea de venta recibe a lo sumo una promoción: se aplican primero las de mayor
+ * prioridad y, a igual prioridad, la que da el mayor descuento; un combo solo aplica si
+ * ninguna de sus líneas tiene ya otra promoción
+ * Cada método requiere un tenantSchema para operar en el schema correcto
+ */
+class Promotion {
+
+  /**
+   * Obtener promociones con filtros opcionales
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} options - Filtros: active, promotion_type, client_type, product_id, valid_on,
+   *   source_insight_id, limit, offset
+   * @returns {Promise<Array>} Promociones con productos
+   */
+  static async getAll(tenantSchema, options = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      let whereConditions = [];
+      let params = [];
+      let paramIndex = 1;
+
+      if (options.active !== undefined) {
+        whereConditions.push(`pr.active = $${paramIndex}`);
+        params.push(options.active);
+        paramIndex++;
+      }
+
+      if (options.promotion_type) {
+        whereConditions.push(`pr.promotion_type = $${paramIndex}`);
+        params.push(options.promotion_type);
+        paramIndex++;
+      }
+
+      if (options.client_type) {
+        whereConditions.push(`(pr.client_type IS NULL OR pr.client_type = $${paramIndex})`);
+        params.push(options.client_type);
+        paramIndex++;
+      }
+
+      if (options.product_id) {
+        whereConditions.push(`EXISTS (
+          SELECT 1 FROM "${tenantSchema}".promotion_products pp
+          WHERE pp.promotion_id = pr.id AND pp.product_id = $${paramIndex}
+        )`);
+        params.push(options.product_id);
+        paramIndex++;
+      }
+
+      if (options.valid_on) {
+        whereConditions.push(`(pr.valid_from IS NULL OR pr.valid_from <= $${paramIndex}::date)`);
+        whereConditions.push(`(pr.valid_to IS NULL OR pr.valid_to >= $${paramIndex}::date)`);
+        params.push(options.valid_on);
+        paramIndex++;
+      }
+
+      if (options.source_insight_id) {
+        whereConditions.push(`pr.source_insight_id = $${paramIndex}`);
+        params.push(options.source_insight_id);
+        paramIndex++;
+      }
+
+      let sql = `
+        SELECT
+          pr.*,
+          COALESCE((
+            SELECT json_agg(json_build_object('product_id', pp.product_id, 'sku', p.sku, 'name', p.name, 'quantity', pp.quantity) ORDER BY p.name)
+            FROM "${tenantSchema}".promotion_products pp
+            JOIN "${tenantSchema}".products p ON pp.product_id = p.id
+            WHERE pp.promotion_id = pr.id
+          ), '[]') as products
+        FROM "${tenantSchema}".promotions pr
+      `;
+
+      if (whereConditions.length > 0) {
+        sql += ` WHERE ${whereConditions.join(' AND ')}`;
+      }
+
+      sql += ' ORDER BY pr.active DESC, pr.priority DESC, pr.valid_from DESC NULLS LAST, pr.name';
+
+      if (options.limit) {
+        sql += ` LIMIT $${paramIndex}`;
+        params.push(options.limit);
+        paramIndex++;
+      }
+
+      if (options.offset) {
+        sql += ` OFFSET $${paramIndex}`;
+        params.push(options.offset);
+      }
+
+      const result = await query(sql, params);
+      return result.rows;
+
+    } catch (error) {
+      console.error('💥 Error obteniendo promociones:', error.message);
+      throw new Error(`Error obteniendo promociones: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener una promoción con sus productos y uso en ventas
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} id - ID de la promoción
+   * @returns {Promise<Object|null>} Promoción o null
+   */
+  static async getById(tenantSchema, id) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const promotionResult = await query(`
+        SELECT ${PROMOTION_FIELDS}
+        FROM "${tenantSchema}".promotions
+        WHERE id = $1
+      `, [id]);
+
+      if (promotionResult.rows.length === 0) {
+        return null;
+      }
+
+      const productsResult = await query(`
+        SELECT pp.product_id, pp.quantity, p.sku, p.name, p.category, p.selling_price
+        FROM "${tenantSchema}".promotion_products pp
+        JOIN "${tenantSchema}".products p ON pp.product_id = p.id
+        WHERE pp.promotion_id = $1
+        ORDER BY p.name
+      `, [id]);
+
+      // Uso en ventas no canceladas
+      const usageResult = await query(`
+        SELECT
+          COUNT(DISTINCT sd.sale_id)::int as sales_count,
+          COUNT(*)::int as lines_count,
+          COALESCE(SUM(sdp.discount_amount), 0) as total_discount,
+          COALESCE(SUM(sdp.free_quantity), 0)::int as free_units
+        FROM "${tenantSchema}".sale_detail_promotions sdp
+        JOIN "${tenantSchema}".sale_details sd ON sdp.sale_detail_id = sd.id
+        JOIN "${tenantSchema}".sales s ON sd.sale_id = s.id
+        WHERE sdp.promotion_id = $1 AND s.payment_status != 'cancelado'
+      `, [id]);
+
+      return {
+        ...promotionResult.rows[0],
+        products: productsResult.rows,
+        usage: usageResult.rows[0]
+      };
+
+    } catch (error) {
+      console.error('💥 Error obteniendo promoción:', error.message);
+      throw new Error(`Error obteniendo promoción: ${error.message}`);
+    }
+  }
+
+  /**
+   * Crear una promoción
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} promotionData - { name, description, promotion_type, discount_value, buy_quantity,
+   *   pay_quantity, bundle_price, category, client_type, min_quantity, valid_from, valid_to, priority,
+   *   source_insight_id, products: [{ product_id, quantity }] }
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<Object>} Promoción creada
+   */
+  static async create(tenantSchema, promotionData, context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const promotionId = await withTransaction(tenantSchema, (db) =>
+        this.insert(db, tenantSchema, promotionData, context)
+      );
+
+      return await this.getById(tenantSchema, promotionId);
+
+    } catch (error) {
+      console.error('💥 Error creando promoción:', error.message);
+      throw new Error(`Error creando promoción: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validar e insertar una promoción con sus productos y su auditoría
+   * @param {Object} db - Cliente de transacción (withTransaction)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} promotionData - Campos de la promoción (ver create)
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<number>} ID de la promoción creada
+   */
+  static async insert(db, tenantSchema, promotionData, context = {}) {
+    const {
+      name, description = null, promotion_type, discount_value = null, buy_quantity = null,
+      pay_quantity = null, bundle_price = null, category = null, client_type = null,
+      min_quantity = 1, valid_from = null, valid_to = null, priority = 0, active = true,
+      source_insight_id = null, products = []
+    } = promotionData;
+
+    this.validateRule({ ...promotionData, products, min_quantity });
+
+    const promotionResult = await db.query(`
+      INSERT INTO "${tenantSchema}".promotions (
+        name, description, promotion_type, discount_value, buy_quantity, pay_quantity, bundle_price,
+        category, client_type, min_quantity, valid_from, valid_to, priority, active, source_insight_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+      RETURNING *
+    `, [
+      name, description, promotion_type, discount_value, buy_quantity, pay_quantity, bundle_price,
+      category, client_type, parseInt(min_quantity) || 1, valid_from, valid_to, parseInt(priority) || 0,
+      active, source_insight_id
+    ]);
+
+    const promotion = promotionResult.rows[0];
+    const savedProducts = await this.replaceProducts(db, tenantSchema, promotion.id, products);
+
+    await AuditService.record(tenantSchema, context, {
+      action: 'promotion.create',
+      entity_type: 'promotion',
+      entity_id: promotion.id,
+      new_values: { ...promotion, products: savedProducts }
+    }, db);
+
+    return promotion.id;
+  }
+
+  /**
+   * Actualizar una promoción (products, si se envía, reemplaza todos los productos)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} id - ID de la promoción
+   * @param {Object} updateData - Campos a actualizar y opcionalmente products
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<Object>} Promoción actualizada
+   */
+  static async update(tenantSchema, id, updateData, context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const existing = await this.getById(tenantSchema, id);
+      if (!existing) {
+        throw new Error(`Promoción con ID ${id} no encontrada`);
+      }
+
+      const allowedFields = [
+        'name', 'description', 'promotion_type', 'discount_value', 'buy_quantity', 'pay_quantity',
+        'bundle_price', 'category', 'client_type', 'min_quantity', 'valid_from', 'valid_to', 'priority', 'active'
+      ];
+      const fields = Object.keys(updateData).filter(field => allowedFields.includes(field));
+
+      if (fields.length === 0 && !Array.isArray(updateData.products)) {
+        throw new Error('No hay campos válidos para actualizar');
+      }
+
+      const { usage, ...current } = existing;
+      this.validateRule({ ...current, ...updateData });
+
+      await withTransaction(tenantSchema, async (db) => {
+        if (fields.length > 0) {
+          const params = fields.map(field => updateData[field]);
+          params.push(id);
+
+          await db.query(`
+            UPDATE "${tenantSchema}".promotions
+            SET ${fields.map((field, index) => `${field} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $${params.length}
+          `, params);
+        }
+
+        const products = Array.isArray(updateData.products)
+          ? await this.replaceProducts(db, tenantSchema, id, updateData.products)
+          : undefined;
+
+        await AuditService.record(tenantSchema, context, {
+          action: 'promotion.update',
+          entity_type: 'promotion',
+          entity_id: id,
+          old_values: current,
+          new_values: { ...updateData, products }
+        }, db);
+      });
+
+      return await this.getById(tenantSchema, id);
+
+    } catch (error) {
+      console.error('💥 Error actualizando promoción:', error.message);
+      throw new Error(`Error actualizando promoción: ${error.message}`);
+    }
+  }
+
+  /**
+   * Desactivar una promoción (soft delete)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} id - ID de la promoción
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<boolean>} True si se desactivó
+   */
+  static async delete(tenantSchema, id, context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const result = await query(`
+        UPDATE "${tenantSchema}".promotions
+        SET active = false, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING id, name
+      `, [id]);
+
+      if (result.rowCount === 0) {
+        return false;
+      }
+
+      await AuditService.record(tenantSchema, context, {
+        action: 'promotion.delete',
+        entity_type: 'promotion',
+        entity_id: id,
+        old_values: { name: result.rows[0].name, active: true },
+        new_values: { active: false }
+      });
+
+      return true;
+
+    } catch (error) {
+      console.error('💥 Error eliminando promoción:', error.message);
+      throw new Error(`Error eliminando promoción: ${error.message}`);
+    }
+  }
+
+  /**
+   * Crear una promoción para los productos de un insight de sobrestock
+   * Por defecto es un descuento porcentual vigente desde hoy hasta que vence el insight.
+   * La promoción y el estado 'acted' del insight se guardan en la misma transacción
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {string} insightId - insight_id del insight
+   * @param {Object} promotionData - Campos de la promoción (discount_value requerido salvo combos)
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<Object>} Promoción creada
+   */
+  static async createFromInsight(tenantSchema, insightId, promotionData = {}, context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const promotionId = await withTransaction(tenantSchema, async (db) => {
+        const insightResult = await db.query(`
+          SELECT insight_id, type, title, data, expires_at
+          FROM "${tenantSchema}".insights
+          WHERE insight_id = $1
+          FOR UPDATE
+        `, [insightId]);
+
+        if (insightResult.rows.length === 0) {
+          throw new Error(`Insight con ID ${insightId} no encontrado`);
+        }
+        const insight = insightResult.rows[0];
+
+        // Solo el insight de sobrestock (capital inmovilizado): las alertas de stock agotado o
+        // bajo también traen product_list, pero esos productos no deben rebajarse
+        if (insight.type !== 'opportunity' || !insight.data || insight.data.tied_capital === undefined) {
+          throw new Error(`Insight inválido: ${insightId} no es un insight de sobrestock`);
+        }
+
+        // Los insights anteriores a product_id solo traen el SKU
+        const productList = insight.data.product_list || [];
+        const productsResult = await db.query(`
+          SELECT id FROM "${tenantSchema}".products
+          WHERE active = true AND (id = ANY($1::int[]) OR sku = ANY($2::text[]))
+        `, [
+          productList.filter(product => product.product_id).map(product => product.product_id),
+          productList.filter(product => !product.product_id).map(product => product.sku)
+        ]);
+
+        const selectedIds = Array.isArray(promotionData.product_ids)
+          ? new Set(promotionData.product_ids.map(id => parseInt(id)))
+          : null;
+        const products = productsResult.rows
+          .filter(product => !selectedIds || selectedIds.has(product.id))
+          .map(product => ({ product_id: product.id }));
+
+        if (products.length === 0) {
+          throw new Error(`El insight ${insightId} no tiene productos activos para promocionar`);
+        }
+
+        const { product_ids, ...fields } = promotionData;
+        const id = await this.insert(db, tenantSchema, {
+          name: `Promoción ${insight.title}`.replace(/[^\p{L}\p{N}\s:.,%-]/gu, '').replace(/\s+/g, ' ').trim(),
+          promotion_type: 'porcentaje',
+          valid_from: new Date().toISOString().split('T')[0],
+          valid_to: insight.expires_at ? new Date(insight.expires_at).toISOString().split('T')[0] : null,
+          ...fields,
+          products,
+          source_insight_id: insight.insight_id
+        }, context);
+
+        await Insights.updateStatus(tenantSchema, insight.insight_id, 'acted', db);
+
+        return id;
+      });
+
+      return await this.getById(tenantSchema, promotionId);
+
+    } catch (error) {
+      console.error('💥 Error creando promoción desde insight:', error.message);
+      throw new Error(`Error creando promoción desde insight: ${error.message}`);
+    }
+  }
+
+  /**
+   * Calcular el descuento de promociones de las líneas de una venta
+   * @param {Object} db - Cliente de transacción (opcional)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} sale - { client_type, sale_date, lines: [{ product_id, category, quantity, unit_price }] }
+   * @returns {Promise<Array>} Por línea: { discount_amount, promotions: [{ promotion_id, name,
+   *   promotion_type, discount_amount, free_quantity, description }] }
+   */
+  static async evaluate(db, tenantSchema, sale) {
+    const runQuery = db ? db.query.bind(db) : query;
+    const lines = sale.lines.map(line => ({
+      ...line,
+      product_id: parseInt(line.product_id),
+      quantity: parseInt(line.quantity),
+      unit_price: parseFloat(line.unit_price)
+    }));
+
+    const candidatesResult = await runQuery(`
+      SELECT
+        pr.id, pr.name, pr.promotion_type, pr.discount_value, pr.buy_quantity, pr.pay_quantity,
+        pr.bundle_price, pr.category, pr.min_quantity, pr.priority,
+        COALESCE((
+          SELECT json_agg(json_build_object('product_id', pp.product_id, 'quantity', pp.quantity))
+          FROM "${tenantSchema}".promotion_products pp
+          WHERE pp.promotion_id = pr.id
+        ), '[]') as products
+      FROM "${tenantSchema}".promotions pr
+      WHERE pr.active = true
+      AND (pr.valid_from IS NULL OR pr.valid_from <= COALESCE($1::date, CURRENT_DATE))
+      AND (pr.valid_to IS NULL OR pr.valid_to >= COALESCE($1::date, CURRENT_DATE))
+      AND (pr.client_type IS NULL OR pr.client_type = $2)
+      ORDER BY pr.priority DESC, pr.id
+    `, [sale.sale_date || null, sale.client_type || null]);
+
+    const results = lines.map(() => ({ discount_amount: 0, promotions: [] }));
+    const taken = new Set();
+    let candidates = candidatesResult.rows;
+
+    // Aplicar la mejor promoción disponible hasta que ninguna dé descuento sobre líneas libres
+    while (candidates.length > 0) {
+      let best = null;
+
+      for (const promotion of candidates) {
+        const allocation = this.computeDiscount(promotion, lines, taken);
+        const total = allocation.reduce((sum, entry) => sum + entry.discount_amount, 0);
+
+        if (total > 0 && (!best || promotion.priority > best.promotion.priority ||
+            (promotion.priority === best.promotion.priority && total > best.total))) {
+          best = { promotion, allocation, total };
+        }
+      }
+
+      if (!best) {
+        break;
+      }
+
+      for (const entry of best.allocation) {
+        taken.add(entry.index);
+        results[entry.index].discount_amount = roundMoney(results[entry.index].discount_amount + entry.discount_amount);
+        results[entry.index].promotions.push({
+          promotion_id: best.promotion.id,
+          name: best.promotion.name,
+          promotion_type: best.promotion.promotion_type,
+          discount_amount: entry.discount_amount,
+          free_quantity: entry.free_quantity,
+          description: entry.description
+        });
+      }
+
+      candidates = candidates.filter(promotion => promotion !== best.promotion);
+    }
+
+    return results;
+  }
+
+  /**
+   * Descuento que daría una promoción sobre las líneas libres
+   * @param {Object} promotion - Promoción con products [{ product_id, quantity }]
+   * @param {Array} lines - Líneas normalizadas { product_id, category, quantity, unit_price }
+   * @param {Set} taken - Índices de líneas que ya tienen promoción
+   * @returns {Array} [{ index, discount_amount, free_quantity, description }]
+   */
+  static computeDiscount(promotion, lines, taken) {
+    const productIds = new Set(promotion.products.map(product => product.product_id));
+    const discountValue = parseFloat(promotion.discount_value) || 0;
+    const allocation = [];
+
+    if (promotion.promotion_type === 'combo') {
+      // Cada componente toma la primera línea libre de su producto
+      const componentLines = promotion.products.map(component => ({
+        component,
+        index: lines.findIndex((line, index) => !taken.has(index) && line.product_id === component.product_id)
+      }));
+
+      if (componentLines.length === 0 || componentLines.some(entry => entry.index === -1)) {
+        return [];
+      }
+
+      const bundles = Math.min(...componentLines.map(entry =>
+        Math.floor(lines[entry.index].quantity / entry.component.quantity)
+      ));
+      const regularPrice = componentLines.reduce((sum, entry) =>
+        sum + entry.component.quantity * lines[entry.index].unit_price, 0
+      );
+      const bundleDiscount = roundMoney(bundles * (regularPrice - parseFloat(promotion.bundle_price)));
+
+      if (bundles < 1 || bundleDiscount <= 0) {
+        return [];
+      }
+
+      // Repartir el descuento del combo según el valor de cada componente
+      let allocated = 0;
+      componentLines.forEach((entry, position) => {
+        const share = position === componentLines.length - 1
+          ? roundMoney(bundleDiscount - allocated)
+          : roundMoney(bundleDiscount * entry.component.quantity * lines[entry.index].unit_price / regularPrice);
+        allocated = roundMoney(allocated + share);
+
+        allocation.push({
+          index: entry.index,
+          discount_amount: share,
+          free_quantity: 0,
+          description: `${bundles} combo(s) ${promotion.name} a ${promotion.bundle_price}`
+        });
+      });
+
+      return allocation;
+    }
+
+    lines.forEach((line, index) => {
+      const matches = productIds.has(line.product_id) ||
+        (promotion.category && line.category === promotion.category);
+
+      if (taken.has(index) || !matches || line.quantity < promotion.min_quantity) {
+        return;
+      }
+
+      const lineAmount = line.unit_price * line.quantity;
+      let discountAmount = 0;
+      let freeQuantity = 0;
+      let description = '';
+
+      if (promotion.promotion_type === 'porcentaje') {
+        discountAmount = roundMoney(lineAmount * discountValue / 100);
+        description = `${discountValue}% de descuento`;
+      } else if (promotion.promotion_type === 'monto_fijo') {
+        discountAmount = roundMoney(Math.min(discountValue, line.unit_price) * line.quantity);
+        description = `${discountValue} de descuento por unidad`;
+      } else if (promotion.promotion_type === 'lleve_x_pague_y') {
+        freeQuantity = Math.floor(line.quantity / promotion.buy_quantity) * (promotion.buy_quantity - promotion.pay_quantity);
+        discountAmount = roundMoney(freeQuantity * line.unit_price);
+        description = `Lleve ${promotion.buy_quantity} pague ${promotion.pay_quantity}`;
+      }
+
+      if (discountAmount > 0) {
+        allocation.push({ index, discount_amount: discountAmount, free_quantity: freeQuantity, description });
+      }
+    });
+
+    return allocation;
+  }
+
+  /**
+   * Simular las promociones de un pedido con los precios que usaría Sales.create
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} order - { client_id, sale_date, details: [{ product_id, quantity, unit_price }] }
+   * @returns {Promise<Object>} Líneas con precio, descuento y promociones, y totales
+   */
+  static async preview(tenantSchema, order) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const { client_id, sale_date = null, details = [] } = order;
+
+      const clientResult = await query(`
+        SELECT id, client_type FROM "${tenantSchema}".clients WHERE id = $1
+      `, [client_id]);
+
+      if (clientResult.rows.length === 0) {
+        throw new Error(`Cliente con ID ${client_id} no encontrado`);
+      }
+      const client = clientResult.rows[0];
+
+      const productsResult = await query(`
+        SELECT id, sku, name, category, selling_price
+        FROM "${tenantSchema}".products
+        WHERE id = ANY($1::int[]) AND active = true
+      `, [details.map(detail => parseInt(detail.product_id))]);
+      const products = new Map(productsResult.rows.map(product => [product.id, product]));
+
+      const listPrices = await PriceList.resolvePrices(
+        tenantSchema, client.id, details.filter(detail => !detail.unit_price), sale_date
+      );
+
+      const lines = details.map(detail => {
+        const product = products.get(parseInt(detail.product_id));
+        if (!product) {
+          throw new Error(`Producto con ID ${detail.product_id} no encontrado o inactivo`);
+        }
+
+        const listPrice = detail.unit_price ? null : listPrices.get(product.id);
+        return {
+          product_id: product.id,
+          sku: product.sku,
+          name: product.name,
+          category: product.category,
+          quantity: parseInt(detail.quantity),
+          unit_price: parseFloat(detail.unit_price || (listPrice ? listPrice.unit_price : product.selling_price))
+        };
+      });
+
+      const evaluated = await this.evaluate(null, tenantSchema, {
+        client_type: client.client_type,
+        sale_date,
+        lines
+      });
+
+      const previewLines = lines.map((line, index) => {
+        const grossAmount = roundMoney(line.unit_price * line.quantity);
+        return {
+          ...line,
+          gross_amount: grossAmount,
+          discount_amount: evaluated[index].discount_amount,
+          total_price: roundMoney(grossAmount - evaluated[index].discount_amount),
+          promotions: evaluated[index].promotions
+        };
+      });
+
+      return {
+        client_id: client.id,
+        client_type: client.client_type,
+        lines: previewLines,
+        gross_amount: roundMoney(previewLines.reduce((sum, line) => sum + line.gross_amount, 0)),
+        promotion_discount: roundMoney(previewLines.reduce((sum, line) => sum + line.discount_amount, 0)),
+        subtotal: roundMoney(previewLines.reduce((sum, line) => sum + line.total_price, 0))
+      };
+
+    } catch (error) {
+      console.error('💥 Error simulando promociones:', error.message);
+      throw new Error(`Error simulando promociones: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validar los parámetros de la regla según su tipo
+   * @param {Object} rule - Datos de la promoción
+   */
+  static validateRule(rule) {
+    if (!rule.name) {
+      throw new Error('Promoción inválida: name es requerido');
+    }
+
+    if (!PROMOTION_TYPES.includes(rule.promotion_type)) {
+      throw new Error(`Tipo de promoción inválido: ${rule.promotion_type}. Válidos: ${PROMOTION_TYPES.join(', ')}`);
+    }
+
+    if (rule.client_type && !CLIENT_TYPES.includes(rule.client_type)) {
+      throw new Error(`Tipo de cliente inválido: ${rule.client_type}. Válidos: ${CLIENT_TYPES.join(', ')}`);
+    }
+
+    if (rule.valid_from && rule.valid_to && new Date(rule.valid_to) < new Date(rule.valid_from)) {
+      throw new Error('Vigencia inválida: valid_to es anterior a valid_from');
+    }
+
+    const minQuantity = parseInt(rule.min_quantity);
+    if (rule.min_quantity !== undefined && rule.min_quantity !== null && (!minQuantity || minQuantity <= 0)) {
+      throw new Error('Cantidad mínima inválida: debe ser mayor a 0');
+    }
+
+    const discountValue = parseFloat(rule.discount_value);
+    const products = Array.isArray(rule.products) ? rule.products : [];
+
+    switch (rule.promotion_type) {
+      case 'porcentaje':
+        if (!(discountValue > 0 && discountValue <= 100)) {
+          throw new Error('Descuento inválido: discount_value debe estar entre 0 y 100');
+        }
+        break;
+      case 'monto_fijo':
+        if (!(discountValue > 0)) {
+          throw new Error('Descuento inválido: discount_value debe ser mayor a 0');
+        }
+        break;
+      case 'lleve_x_pague_y': {
+        const buyQuantity = parseInt(rule.buy_quantity);
+        const payQuantity = parseInt(rule.pay_quantity);
+        if (!(buyQuantity > payQuantity && payQuantity >= 1)) {
+          throw new Error('Regla inválida: buy_quantity debe ser mayor a pay_quantity y pay_quantity al menos 1');
+        }
+        break;
+      }
+      case 'combo': {
+        const bundlePrice = parseFloat(rule.bundle_price);
+        const units = products.reduce((sum, product) => sum + (parseInt(product.quantity) || 1), 0);
+        if (isNaN(bundlePrice) || bundlePrice < 0) {
+          throw new Error('Combo inválido: bundle_price es requerido');
+        }
+        if (units < 2) {
+          throw new Error('Combo inválido: debe incluir al menos 2 unidades en products');
+        }
+        break;
+      }
+    }
+
+    if (rule.promotion_type !== 'combo' && products.length === 0 && !rule.category) {
+      throw new Error('Promoción inválida: indique products o category');
+    }
+  }
+
+  /**
+   * Reemplazar los productos de una promoción
+   * @param {Object} db - Cliente de transacción (withTransaction)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} promotionId - ID de la promoción
+   * @param {Array} products - [{ product_id, quantity }]
+   * @returns {Promise<Array>} Productos guardados
+   */
+  static async replaceProducts(db, tenantSchema, promotionId, products) {
+    const productIds = products.map(product => parseInt(product.product_id));
+    if (new Set(productIds).size !== productIds.length) {
+      throw new Error('Producto duplicado en la promoción: use quantity para combos');
+    }
+
+    const productsResult = await db.query(`
+      SELECT id FROM "${tenantSchema}".products WHERE id = ANY($1::int[])
+    `, [productIds]);
+    const existingProducts = new Set(productsResult.rows.map(product => product.id));
+
+    const missing = productIds.find(id => !existingProducts.has(id));
+    if (missing !== undefined) {
+      throw new Error(`Producto con ID ${missing} no encontrado`);
+    }
+
+    await db.query(`
+      DELETE FROM "${tenantSchema}".promotion_products WHERE promotion_id = $1
+    `, [promotionId]);
+
+    const saved = [];
+    for (const product of products) {
+      const quantity = parseInt(product.quantity) || 1;
+      await db.query(`
+        INSERT INTO "${tenantSchema}".promotion_products (promotion_id, product_id, quantity)
+        VALUES ($1, $2, $3)
+      `, [promotionId, parseInt(product.product_id), quantity]);
+      saved.push({ product_id: parseInt(product.product_id), quantity });
+    }
+
+    return saved;
+  }
+}
+
+module.exports = Promotion;
@@ -0,0 +1,481 @@
+// =====================================================================================
+// FLUXION AI - PURCHASE ORDER MODEL (MULTI-TENANT)
+// Órdenes de compra a proveedores: creación, aprobación y recepción de mercancía
+// =====================================================================================
+
+const { query, withTransaction } = require('../config/database.cjs');
+const AuditService = require('../services/AuditService.cjs');
+const Inventory = require('./Inventory.cjs');
+
+/**
+ * Modelo PurchaseOrder - Multi-tenant
+ * Estados: borrador -> aprobada -> parcial -> recibida; borrador/aprobada -> cancelada
+ * Cada método requiere un tenantSchema para operar en el schema correcto
+ */
+class PurchaseOrder {
+
+  /**
+   * Obtener órdenes de compra con filtros opcionales
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} options - Filtros: status, supplier_id, date_from, date_to, limit, offset
+   * @returns {Promise<Array>} Lista de órdenes
+   */
+  static async getAll(tenantSchema, options = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      let whereConditions = [];
+      let params = [];
+      let paramIndex = 1;
+
+      if (options.status) {
+        whereConditions.push(`po.status = $${paramIndex}`);
+        params.push(options.status);
+        paramIndex++;
+      }
+
+      if (options.supplier_id) {
+        whereConditions.push(`po.supplier_id = $${paramIndex}`);
+        params.push(options.supplier_id);
+        paramIndex++;
+      }
+
+      if (options.date_from) {
+        whereConditions.push(`po.order_date >= $${paramIndex}`);
+        params.push(options.date_from);
+        paramIndex++;
+      }
+
+      if (options.date_to) {
+        whereConditions.push(`po.order_date <= $${paramIndex}`);
+        params.push(options.date_to);
+        paramIndex++;
+      }
+
+      let sql = `
+        SELECT
+          po.id, po.po_number, po.supplier_id, po.status, po.order_date, po.expected_date,
+          po.total_amount, po.notes, po.approved_at, po.received_at, po.created_at,
+          s.business_name as supplier_name, s.supplier_code,
+          COUNT(l.id) as line_count,
+          COALESCE(SUM(l.quantity_ordered), 0) as units_ordered,
+          COALESCE(SUM(l.quantity_received), 0) as units_received
+        FROM "${tenantSchema}".purchase_orders po
+        JOIN "${tenantSchema}".suppliers s ON po.supplier_id = s.id
+        LEFT JOIN "${tenantSchema}".purchase_order_lines l ON l.purchase_order_id = po.id
+      `;
+
+      if (whereConditions.length > 0) {
+        sql += ` WHERE ${whereConditions.join(' AND ')}`;
+      }
+
+      sql += `
+        GROUP BY po.id, s.business_name, s.supplier_code
+        ORDER BY po.order_date DESC, po.id DESC
+      `;
+
+      if (options.limit) {
+        sql += ` LIMIT $${paramIndex}`;
+        params.push(options.limit);
+        paramIndex++;
+      }
+
+      if (options.offset) {
+        sql += ` OFFSET $${paramIndex}`;
+        params.push(options.offset);
+      }
+
+      const result = await query(sql, params);
+      return result.rows;
+
+    } catch (error) {
+      console.error('💥 Error obteniendo órdenes de compra:', error.message);
+      throw new Error(`Error obteniendo órdenes de compra: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener una orden de compra con sus líneas
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} id - ID de la orden
+   * @returns {Promise<Object|null>} Orden con líneas o null
+   */
+  static async getById(tenantSchema, id) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const orderResult = await query(`
+        SELECT
+          po.*,
+          s.business_name as supplier_name, s.supplier_code, s.email as supplier_email
+        FROM "${tenantSchema}".purchase_orders po
+        JOIN "${tenantSchema}".suppliers s ON po.supplier_id = s.id
+        WHERE po.id = $1
+      `, [id]);
+
+      if (orderResult.rows.length === 0) {
+        return null;
+      }
+
+      const linesResult = await query(`
+        SELECT
+          l.id, l.product_id, l.quantity_ordered, l.quantity_received,
+          l.quantity_ordered - l.quantity_received as quantity_pending,
+          l.unit_cost, l.line_total,
+          p.sku, p.name as product_name, p.current_stock
+        FROM "${tenantSchema}".purchase_order_lines l
+        JOIN "${tenantSchema}".products p ON l.product_id = p.id
+        WHERE l.purchase_order_id = $1
+        ORDER BY l.id
+      `, [id]);
+
+      return {
+        ...orderResult.rows[0],
+        lines: linesResult.rows
+      };
+
+    } catch (error) {
+      console.error('💥 Error obteniendo orden de compra:', error.message);
+      throw new Error(`Error obteniendo orden de compra: ${error.message}`);
+    }
+  }
+
+  /**
+   * Crear una orden de compra en estado 'borrador'
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} orderData - { po_number, supplier_id, order_date, expected_date, notes, lines: [{ product_id, quantity, unit_cost }] }
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<Object>} Orden creada con líneas
+   */
+  static async create(tenantSchema, orderData, context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const {
+        po_number, supplier_id, order_date, expected_date = null, notes = null, lines = []
+      } = orderData;
+
+      if (lines.length === 0) {
+        throw new Error('La orden de compra debe tener al menos una línea');
+      }
+
+      const orderId = await withTransaction(tenantSchema, async (db) => {
+        const existing = await db.query(`
+          SELECT id FROM "${tenantSchema}".purchase_orders WHERE po_number = $1
+        `, [po_number]);
+
+        if (existing.rows.length > 0) {
+          throw new Error(`Ya existe una orden de compra con número: ${po_number}`);
+        }
+
+        const supplierResult = await db.query(`
+          SELECT id, active FROM "${tenantSchema}".suppliers WHERE id = $1
+        `, [supplier_id]);
+
+        if (supplierResult.rows.length === 0 || !supplierResult.rows[0].active) {
+          throw new Error(`Proveedor con ID ${supplier_id} no encontrado o inactivo`);
+        }
+
+        const productIds = [...new Set(lines.map(line => parseInt(line.product_id)))];
+        const productsResult = await db.query(`
+          SELECT id, name, cost_price, active FROM "${tenantSchema}".products WHERE id = ANY($1::int[])
+        `, [productIds]);
+        const products = new Map(productsResult.rows.map(product => [product.id, product]));
+
+        const validatedLines = lines.map(line => {
+          const product = products.get(parseInt(line.product_id));
+          if (!product || !product.active) {
+            throw new Error(`Producto con ID ${line.product_id} no encontrado o inactivo`);
+          }
+
+          const quantity = parseInt(line.quantity);
+          if (!quantity || quantity <= 0) {
+            throw new Error(`Cantidad inválida para ${product.name}: debe ser mayor a 0`);
+          }
+
+          const unitCost = line.unit_cost !== undefined && line.unit_cost !== null
+            ? parseFloat(line.unit_cost)
+            : parseFloat(product.cost_price);
+          if (isNaN(unitCost) || unitCost < 0) {
+            throw new Error(`Costo unitario inválido para ${product.name}`);
+          }
+
+          return {
+            product_id: product.id,
+            quantity,
+            unit_cost: unitCost,
+            line_total: Math.round(quantity * unitCost * 100) / 100
+          };
+        });
+
+        const totalAmount = validatedLines.reduce((sum, line) => sum + line.line_total, 0);
+
+        const orderResult = await db.query(`
+          INSERT INTO "${tenantSchema}".purchase_orders (
+            po_number, supplier_id, status, order_date, expected_date, total_amount, notes, created_by
+          ) VALUES ($1, $2, 'borrador', COALESCE($3::date, CURRENT_DATE), $4, $5, $6, $7)
+          RETURNING *
+        `, [po_number, supplier_id, order_date || null, expected_date, totalAmount, notes, context.userId || null]);
+
+        const order = orderResult.rows[0];
+
+        for (const line of validatedLines) {
+          await db.query(`
+            INSERT INTO "${tenantSchema}".purchase_order_lines (
+              purchase_order_id, product_id, quantity_ordered, unit_cost, line_total
+            ) VALUES ($1, $2, $3, $4, $5)
+          `, [order.id, line.product_id, line.quantity, line.unit_cost, line.line_total]);
+        }
+
+        await AuditService.record(tenantSchema, context, {
+          action: 'purchase_order.create',
+          entity_type: 'purchase_order',
+          entity_id: order.id,
+          new_values: { ...order, lines: validatedLines }
+        }, db);
+
+        return order.id;
+      });
+
+      return await this.getById(tenantSchema, orderId);
+
+    } catch (error) {
+      console.error('💥 Error creando orden de compra:', error.message);
+      throw new Error(`Error creando orden de compra: ${error.message}`);
+    }
+  }
+
+  /**
+   * Aprobar una orden de compra en borrador
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} id - ID de la orden
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<Object>} Orden aprobada
+   */
+  static async approve(tenantSchema, id, context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      await withTransaction(tenantSchema, async (db) => {
+        const order = await this.lockOrder(db, tenantSchema, id);
+
+        if (order.status !== 'borrador') {
+          throw new Error(`Estado inválido: solo se aprueban órdenes en borrador (estado actual: ${order.status})`);
+        }
+
+        await db.query(`
+          UPDATE "${tenantSchema}".purchase_orders
+          SET status = 'aprobada', approved_by = $2, approved_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+        `, [id, context.userId || null]);
+
+        await AuditService.record(tenantSchema, context, {
+          action: 'purchase_order.approve',
+          entity_type: 'purchase_order',
+          entity_id: id,
+          old_values: { status: order.status },
+          new_values: { status: 'aprobada' }
+        }, db);
+      });
+
+      return await this.getById(tenantSchema, id);
+
+    } catch (error) {
+      console.error('💥 Error aprobando orden de compra:', error.message);
+      throw new Error(`Error aprobando orden de compra: ${error.message}`);
+    }
+  }
+
+  /**
+   * Recibir mercancía de una orden aprobada, total o parcialmente
+   * Cada cantidad recibida genera un movimiento 'entrada' al costo de la orden
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} id - ID de la orden
+   * @param {Array} receivedLines - [{ line_id, quantity, lot_number, expiry_date }]; vacío = recibir todo lo pendiente
+   * @param {number|null} warehouseId - Almacén que recibe (predeterminado si se omite)
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<Object>} Orden actualizada con movimientos generados
+   */
+  static async receive(tenantSchema, id, receivedLines = [], warehouseId = null, context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const movements = await withTransaction(tenantSchema, async (db) => {
+        const order = await this.lockOrder(db, tenantSchema, id);
+
+        if (!['aprobada', 'parcial'].includes(order.status)) {
+          throw new Error(`Estado inválido: solo se reciben órdenes aprobadas (estado actual: ${order.status})`);
+        }
+
+        const linesResult = await db.query(`
+          SELECT id, product_id, quantity_ordered, quantity_received, unit_cost
+          FROM "${tenantSchema}".purchase_order_lines
+          WHERE purchase_order_id = $1
+          ORDER BY id
+          FOR UPDATE
+        `, [id]);
+        const lines = new Map(linesResult.rows.map(line => [line.id, line]));
+
+        // Sin detalle se recibe todo lo pendiente
+        const requested = receivedLines.length > 0
+          ? receivedLines.map(item => ({
+            line_id: parseInt(item.line_id),
+            quantity: parseInt(item.quantity),
+            lot_number: item.lot_number,
+            expiry_date: item.expiry_date
+          }))
+          : linesResult.rows
+            .filter(line => line.quantity_received < line.quantity_ordered)
+            .map(line => ({ line_id: line.id, quantity: line.quantity_ordered - line.quantity_received }));
+
+        if (requested.length === 0) {
+          throw new Error('No hay cantidades pendientes por recibir');
+        }
+
+        requested.forEach(item => {
+          const line = lines.get(item.line_id);
+          if (!line) {
+            throw new Error(`Línea ${item.line_id} no pertenece a la orden ${order.po_number}`);
+          }
+          if (!item.quantity || item.quantity <= 0) {
+            throw new Error(`Cantidad inválida para la línea ${item.line_id}: debe ser mayor a 0`);
+          }
+          if (line.quantity_received + item.quantity > line.quantity_ordered) {
+            throw new Error(`Cantidad excede lo pendiente en la línea ${item.line_id}: pendiente ${line.quantity_ordered - line.quantity_received}, recibido ${item.quantity}`);
+          }
+          line.quantity_received += item.quantity;
+        });
+
+        const products = await Inventory.lockProducts(db, tenantSchema, requested.map(item => lines.get(item.line_id).product_id));
+        const warehouse = await Inventory.resolveWarehouse(db, tenantSchema, warehouseId);
+
+        const createdMovements = [];
+        for (const item of requested) {
+          const line = lines.get(item.line_id);
+
+          await db.query(`
+            UPDATE "${tenantSchema}".purchase_order_lines
+            SET quantity_received = quantity_received + $2
+            WHERE id = $1
+          `, [line.id, item.quantity]);
+
+          createdMovements.push(await Inventory.applyMovement(db, tenantSchema, products.get(line.product_id), {
+            movement_type: 'entrada',
+            quantity: item.quantity,
+            warehouse_id: warehouse.id,
+            cost_per_unit: line.unit_cost,
+            reference_type: 'compra',
+            reference_id: order.id,
+            notes: `Recepción OC ${order.po_number}`,
+            lots: item.lot_number
+              ? [{ lot_number: item.lot_number, expiry_date: item.expiry_date, quantity: item.quantity }]
+              : []
+          }));
+        }
+
+        const fullyReceived = [...lines.values()].every(line => line.quantity_received >= line.quantity_ordered);
+        const newStatus = fullyReceived ? 'recibida' : 'parcial';
+
+        await db.query(`
+          UPDATE "${tenantSchema}".purchase_orders
+          SET status = $2,
+              received_at = CASE WHEN $2 = 'recibida' THEN CURRENT_TIMESTAMP ELSE received_at END,
+              updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+        `, [id, newStatus]);
+
+        await AuditService.record(tenantSchema, context, {
+          action: 'purchase_order.receive',
+          entity_type: 'purchase_order',
+          entity_id: id,
+          old_values: { status: order.status },
+          new_values: { status: newStatus, warehouse_id: warehouse.id, received: requested }
+        }, db);
+
+        return createdMovements;
+      });
+
+      const order = await this.getById(tenantSchema, id);
+      return { ...order, movements };
+
+    } catch (error) {
+      console.error('💥 Error recibiendo orden de compra:', error.message);
+      throw new Error(`Error recibiendo orden de compra: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cancelar una orden sin recepciones
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} id - ID de la orden
+   * @param {string} reason - Razón de la cancelación
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<Object>} Orden cancelada
+   */
+  static async cancel(tenantSchema, id, reason = 'Cancelación manual', context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      await withTransaction(tenantSchema, async (db) => {
+        const order = await this.lockOrder(db, tenantSchema, id);
+
+        if (!['borrador', 'aprobada'].includes(order.status)) {
+          throw new Error(`Estado inválido: no se puede cancelar una orden en estado ${order.status}`);
+        }
+
+        await db.query(`
+          UPDATE "${tenantSchema}".purchase_orders
+          SET status = 'cancelada', cancelled_reason = $2, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+        `, [id, reason]);
+
+        await AuditService.record(tenantSchema, context, {
+          action: 'purchase_order.cancel',
+          entity_type: 'purchase_order',
+          entity_id: id,
+          old_values: { status: order.status },
+          new_values: { status: 'cancelada', cancelled_reason: reason }
+        }, db);
+      });
+
+      return await this.getById(tenantSchema, id);
+
+    } catch (error) {
+      console.error('💥 Error cancelando orden de compra:', error.message);
+      throw new Error(`Error cancelando orden de compra: ${error.message}`);
+    }
+  }
+
+  /**
+   * Bloquear una orden de compra dentro de una transacción
+   * @param {Object} db - Cliente de transacción (withTransaction)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} id - ID de la orden
+   * @returns {Promise<Object>} Orden bloqueada
+   */
+  static async lockOrder(db, tenantSchema, id) {
+    const result = await db.query(`
+      SELECT * FROM "${tenantSchema}".purchase_orders WHERE id = $1 FOR UPDATE
+    `, [id]);
+
+    if (result.rows.length === 0) {
+      throw new Error(`Orden de compra con ID ${id} no encontrada`);
+    }
+
+    return result.rows[0];
+  }
+}
+
+module.exports = PurchaseOrder;
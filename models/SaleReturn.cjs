@@ -0,0 +1,496 @@
+// =====================================================================================
+// FLUXION AI - SALE RETURN MODEL (MULTI-TENANT)
+// Devoluciones parciales de ventas: reingreso de stock y notas de crédito
+// =====================================================================================
+
+const { query, withTransaction } = require('../config/database.cjs');
+const AuditService = require('../services/AuditService.cjs');
+const Inventory = require('./Inventory.cjs');
+const Payment = require('./Payment.cjs');
+
+/**
+ * Condición de la mercancía devuelta: 'bueno' reingresa al almacén de la devolución,
+ * 'danado' a la ubicación de dañados indicada, que debe ser no vendible (sellable = false)
+ */
+const RETURN_CONDITIONS = ['bueno', 'danado'];
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+/**
+ * Repartir lotes pendientes de devolver de un producto para una cantidad
+ * @param {Array} rows - [{ product_id, lot_id, lot_number, expiry_date, quantity }] (se descuentan)
+ * @param {number} productId - ID del producto
+ * @param {number} quantity - Cantidad a repartir
+ * @returns {Array} [{ lot_id, lot_number, expiry_date, quantity }]
+ */
+function allocateLots(rows, productId, quantity) {
+  const allocations = [];
+  let pending = quantity;
+  for (const row of rows.filter(candidate => candidate.product_id === productId && candidate.quantity > 0)) {
+    const allocated = Math.min(row.quantity, pending);
+    if (allocated > 0) {
+      allocations.push({ lot_id: row.lot_id, lot_number: row.lot_number, expiry_date: row.expiry_date, quantity: allocated });
+      row.quantity -= allocated;
+      pending -= allocated;
+    }
+  }
+  return allocations;
+}
+
+/**
+ * Modelo SaleReturn - Multi-tenant
+ * Cada devolución reingresa stock con movimientos 'entrada' (reference_type = 'devolucion')
+ * y emite una nota de crédito que se aplica al saldo de la venta; el excedente queda como
+ * saldo a favor del cliente para otras ventas
+ * Cada método requiere un tenantSchema para operar en el schema correcto
+ */
+class SaleReturn {
+
+  /**
+   * Obtener devoluciones con filtros opcionales
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} options - Filtros: sale_id, client_id, date_from, date_to, limit, offset
+   * @returns {Promise<Array>} Lista de devoluciones con su nota de crédito
+   */
+  static async getAll(tenantSchema, options = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      let whereConditions = [];
+      let params = [];
+      let paramIndex = 1;
+
+      if (options.sale_id) {
+        whereConditions.push(`r.sale_id = $${paramIndex}`);
+        params.push(options.sale_id);
+        paramIndex++;
+      }
+
+      if (options.client_id) {
+        whereConditions.push(`r.client_id = $${paramIndex}`);
+        params.push(options.client_id);
+        paramIndex++;
+      }
+
+      if (options.date_from) {
+        whereConditions.push(`r.return_date >= $${paramIndex}`);
+        params.push(options.date_from);
+        paramIndex++;
+      }
+
+      if (options.date_to) {
+        whereConditions.push(`r.return_date <= $${paramIndex}`);
+        params.push(options.date_to);
+        paramIndex++;
+      }
+
+      let sql = `
+        SELECT
+          r.id, r.return_number, r.sale_id, r.client_id, r.return_date, r.reason,
+          r.total_amount, r.created_at,
+          s.sale_number, c.client_code, c.business_name as client_name,
+          cn.id as credit_note_id, cn.credit_note_number, cn.applied_amount, cn.status as credit_note_status,
+          (SELECT COALESCE(SUM(l.quantity), 0) FROM "${tenantSchema}".sale_return_lines l WHERE l.return_id = r.id) as units_returned
+        FROM "${tenantSchema}".sale_returns r
+        JOIN "${tenantSchema}".sales s ON r.sale_id = s.id
+        JOIN "${tenantSchema}".clients c ON r.client_id = c.id
+        LEFT JOIN "${tenantSchema}".credit_notes cn ON cn.return_id = r.id
+      `;
+
+      if (whereConditions.length > 0) {
+        sql += ` WHERE ${whereConditions.join(' AND ')}`;
+      }
+
+      sql += ` ORDER BY r.return_date DESC, r.id DESC`;
+
+      if (options.limit) {
+        sql += ` LIMIT $${paramIndex}`;
+        params.push(options.limit);
+        paramIndex++;
+      }
+
+      if (options.offset) {
+        sql += ` OFFSET $${paramIndex}`;
+        params.push(options.offset);
+      }
+
+      const result = await query(sql, params);
+      return result.rows;
+
+    } catch (error) {
+      console.error('💥 Error obteniendo devoluciones:', error.message);
+      throw new Error(`Error obteniendo devoluciones: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener una devolución con líneas y nota de crédito
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} id - ID de la devolución
+   * @returns {Promise<Object|null>} Devolución o null
+   */
+  static async getById(tenantSchema, id) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const returnResult = await query(`
+        SELECT
+          r.*, s.sale_number, s.sale_date, c.client_code, c.business_name as client_name
+        FROM "${tenantSchema}".sale_returns r
+        JOIN "${tenantSchema}".sales s ON r.sale_id = s.id
+        JOIN "${tenantSchema}".clients c ON r.client_id = c.id
+        WHERE r.id = $1
+      `, [id]);
+
+      if (returnResult.rows.length === 0) {
+        return null;
+      }
+
+      const linesResult = await query(`
+        SELECT
+          l.id, l.sale_detail_id, l.product_id, l.quantity, l.unit_price, l.line_amount,
+          l.cost_of_goods, l.condition, l.warehouse_id, l.movement_id,
+          p.sku, p.name as product_name, w.warehouse_code
+        FROM "${tenantSchema}".sale_return_lines l
+        JOIN "${tenantSchema}".products p ON l.product_id = p.id
+        LEFT JOIN "${tenantSchema}".warehouses w ON l.warehouse_id = w.id
+        WHERE l.return_id = $1
+        ORDER BY l.id
+      `, [id]);
+
+      const creditNoteResult = await query(`
+        SELECT *, amount - applied_amount as available_amount
+        FROM "${tenantSchema}".credit_notes
+        WHERE return_id = $1
+      `, [id]);
+
+      return {
+        ...returnResult.rows[0],
+        lines: linesResult.rows,
+        credit_note: creditNoteResult.rows[0] || null
+      };
+
+    } catch (error) {
+      console.error('💥 Error obteniendo devolución:', error.message);
+      throw new Error(`Error obteniendo devolución: ${error.message}`);
+    }
+  }
+
+  /**
+   * Registrar una devolución de una venta
+   * El monto de la nota de crédito es el valor de las líneas devueltas ajustado por los
+   * impuestos y descuentos de la venta; cuando se devuelve todo lo vendido completa el total
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} returnData - { sale_id, return_number, return_date, reason, notes, warehouse_id,
+   *   damaged_warehouse_id, lines: [{ sale_detail_id, quantity, condition, warehouse_id }] }
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<Object>} Devolución creada con líneas y nota de crédito
+   */
+  static async create(tenantSchema, returnData, context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const {
+        sale_id, return_date = null, reason = null, notes = null,
+        warehouse_id = null, damaged_warehouse_id = null, lines = []
+      } = returnData;
+
+      if (lines.length === 0) {
+        throw new Error('La devolución debe tener al menos una línea');
+      }
+
+      const returnId = await withTransaction(tenantSchema, async (db) => {
+        // Bloquear la venta: devoluciones y pagos concurrentes se serializan
+        const saleResult = await db.query(`
+          SELECT id, sale_number, client_id, total_amount, amount_paid, payment_status, warehouse_id,
+                 currency, exchange_rate
+          FROM "${tenantSchema}".sales
+          WHERE id = $1
+          FOR UPDATE
+        `, [sale_id]);
+
+        if (saleResult.rows.length === 0) {
+          throw new Error(`Venta con ID ${sale_id} no encontrada`);
+        }
+
+        const sale = saleResult.rows[0];
+
+        if (sale.payment_status === 'cancelado') {
+          throw new Error(`Estado inválido: la venta ${sale.sale_number} está cancelada`);
+        }
+
+        // Cantidades vendidas y ya devueltas por línea
+        const detailsResult = await db.query(`
+          SELECT
+            sd.id, sd.product_id, sd.quantity, sd.unit_price, sd.total_price, sd.cost_of_goods,
+            COALESCE((
+              SELECT SUM(l.quantity) FROM "${tenantSchema}".sale_return_lines l WHERE l.sale_detail_id = sd.id
+            ), 0)::int as quantity_returned
+          FROM "${tenantSchema}".sale_details sd
+          WHERE sd.sale_id = $1
+        `, [sale.id]);
+        const details = new Map(detailsResult.rows.map(detail => [detail.id, detail]));
+
+        const returnWarehouse = await Inventory.resolveWarehouse(db, tenantSchema, warehouse_id || sale.warehouse_id);
+        const warehouses = new Map([[returnWarehouse.id, returnWarehouse]]);
+        const returning = new Map();
+
+        const validatedLines = [];
+        for (const line of lines) {
+          const detail = details.get(parseInt(line.sale_detail_id));
+          if (!detail) {
+            throw new Error(`Línea de venta con ID ${line.sale_detail_id} no pertenece a la venta ${sale.sale_number}`);
+          }
+
+          const quantity = parseInt(line.quantity);
+          if (!quantity || quantity <= 0) {
+            throw new Error(`Cantidad inválida para la línea ${detail.id}: debe ser mayor a 0`);
+          }
+
+          const condition = line.condition || 'bueno';
+          if (!RETURN_CONDITIONS.includes(condition)) {
+            throw new Error(`Condición inválida: ${condition}. Válidas: ${RETURN_CONDITIONS.join(', ')}`);
+          }
+
+          const totalReturning = (returning.get(detail.id) || 0) + quantity;
+          if (totalReturning > detail.quantity - detail.quantity_returned) {
+            throw new Error(`Cantidad a devolver excede lo vendido en la línea ${detail.id}. Vendido: ${detail.quantity}, devuelto: ${detail.quantity_returned}, solicitado: ${totalReturning}`);
+          }
+          returning.set(detail.id, totalReturning);
+
+          // La mercancía dañada va a la ubicación de dañados, nunca al stock vendible por defecto
+          let destinationId = line.warehouse_id || (condition === 'danado' ? damaged_warehouse_id : returnWarehouse.id);
+          if (!destinationId) {
+            throw new Error(`Debe indicar damaged_warehouse_id (o warehouse_id en la línea ${detail.id}) para mercancía dañada`);
+          }
+          destinationId = parseInt(destinationId);
+          if (!warehouses.has(destinationId)) {
+            warehouses.set(destinationId, await Inventory.resolveWarehouse(db, tenantSchema, destinationId));
+          }
+          if (condition === 'danado' && warehouses.get(destinationId).sellable) {
+            throw new Error(`Almacén inválido para mercancía dañada: ${warehouses.get(destinationId).warehouse_code} es vendible; use una ubicación con sellable = false`);
+          }
+
+          // Precio neto de promociones de la línea (total_price ya descuenta discount_amount)
+          const unitPrice = parseFloat(detail.total_price) / detail.quantity;
+          const unitCost = detail.cost_of_goods !== null
+            ? parseFloat(detail.cost_of_goods) / detail.quantity
+            : null;
+
+          validatedLines.push({
+            detail,
+            quantity,
+            condition,
+            warehouse: warehouses.get(destinationId),
+            unit_price: unitPrice,
+            line_amount: roundMoney(unitPrice * quantity),
+            unit_cost: unitCost
+          });
+        }
+
+        // La nota de crédito sigue la proporción total de la venta / suma de líneas (impuestos y descuentos)
+        const linesSubtotal = detailsResult.rows.reduce((sum, detail) => sum + parseFloat(detail.total_price), 0);
+        const ratio = linesSubtotal > 0 ? parseFloat(sale.total_amount) / linesSubtotal : 1;
+        const returnedAmount = validatedLines.reduce((sum, line) => sum + line.line_amount, 0);
+
+        const creditedResult = await db.query(`
+          SELECT COALESCE(SUM(amount), 0) as credited, COUNT(*)::int as return_count
+          FROM "${tenantSchema}".credit_notes
+          WHERE sale_id = $1
+        `, [sale.id]);
+        const alreadyCredited = parseFloat(creditedResult.rows[0].credited);
+
+        const returnsEverything = detailsResult.rows.every(detail =>
+          detail.quantity_returned + (returning.get(detail.id) || 0) === detail.quantity
+        );
+        const creditAmount = returnsEverything
+          ? roundMoney(parseFloat(sale.total_amount) - alreadyCredited)
+          : Math.min(roundMoney(returnedAmount * ratio), roundMoney(parseFloat(sale.total_amount) - alreadyCredited));
+
+        const returnNumber = returnData.return_number ||
+          `${sale.sale_number}-DEV${creditedResult.rows[0].return_count + 1}`;
+
+        const existing = await db.query(`
+          SELECT id FROM "${tenantSchema}".sale_returns WHERE return_number = $1
+        `, [returnNumber]);
+
+        if (existing.rows.length > 0) {
+          throw new Error(`Ya existe una devolución con número: ${returnNumber}`);
+        }
+
+        const returnResult = await db.query(`
+          INSERT INTO "${tenantSchema}".sale_returns (
+            return_number, sale_id, client_id, return_date, reason, notes, total_amount, created_by
+          ) VALUES ($1, $2, $3, COALESCE($4::date, CURRENT_DATE), $5, $6, $7, $8)
+          RETURNING *
+        `, [returnNumber, sale.id, sale.client_id, return_date, reason, notes, creditAmount, context.userId || null]);
+
+        const saleReturn = returnResult.rows[0];
+
+        // Lotes que consumió la venta y aún no se han devuelto
+        const lotsResult = await db.query(`
+          SELECT
+            im.product_id, l.lot_number, MAX(l.expiry_date) as expiry_date,
+            MIN(l.id) FILTER (WHERE im.reference_type = 'venta') as lot_id,
+            -SUM(ml.quantity)::int as quantity
+          FROM "${tenantSchema}".inventory_movement_lots ml
+          JOIN "${tenantSchema}".inventory_movements im ON ml.movement_id = im.id
+          JOIN "${tenantSchema}".product_lots l ON ml.lot_id = l.id
+          WHERE (im.reference_type = 'venta' AND im.reference_id = $1)
+             OR (im.reference_type = 'devolucion' AND im.reference_id IN (
+               SELECT id FROM "${tenantSchema}".sale_returns WHERE sale_id = $1 AND id <> $2
+             ))
+          GROUP BY im.product_id, l.lot_number
+          HAVING SUM(ml.quantity) < 0
+        `, [sale.id, saleReturn.id]);
+
+        const products = await Inventory.lockProducts(db, tenantSchema, validatedLines.map(line => line.detail.product_id));
+
+        for (const line of validatedLines) {
+          const product = products.get(line.detail.product_id);
+          const unitCost = line.unit_cost ?? parseFloat(product.cost_price);
+
+          // En el almacén de la venta se reponen los mismos lotes; en otra ubicación se crean con su número y vencimiento
+          const lots = allocateLots(lotsResult.rows, product.id, line.quantity).map(lot =>
+            lot.lot_id && line.warehouse.id === sale.warehouse_id
+              ? { lot_id: lot.lot_id, quantity: lot.quantity }
+              : { lot_number: lot.lot_number, expiry_date: lot.expiry_date, quantity: lot.quantity }
+          );
+
+          const movement = await Inventory.applyMovement(db, tenantSchema, product, {
+            movement_type: 'entrada',
+            quantity: line.quantity,
+            warehouse_id: line.warehouse.id,
+            cost_per_unit: unitCost,
+            reference_type: 'devolucion',
+            reference_id: saleReturn.id,
+            notes: `Devolución ${returnNumber} de venta ${sale.sale_number}${line.condition === 'danado' ? ' (dañado)' : ''}`,
+            lots
+          });
+
+          line.cost_of_goods = roundMoney(unitCost * line.quantity);
+
+          await db.query(`
+            INSERT INTO "${tenantSchema}".sale_return_lines (
+              return_id, sale_detail_id, product_id, quantity, unit_price, line_amount,
+              cost_of_goods, condition, warehouse_id, movement_id
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+          `, [
+            saleReturn.id, line.detail.id, product.id, line.quantity, line.unit_price, line.line_amount,
+            line.cost_of_goods, line.condition, line.warehouse.id, movement.id
+          ]);
+        }
+
+        const creditNoteResult = await db.query(`
+          INSERT INTO "${tenantSchema}".credit_notes (
+            credit_note_number, return_id, sale_id, client_id, issue_date, amount
+          ) VALUES ($1, $2, $3, $4, $5, $6)
+          RETURNING *
+        `, [`NC-${returnNumber}`, saleReturn.id, sale.id, sale.client_id, saleReturn.return_date, creditAmount]);
+
+        const creditNote = creditNoteResult.rows[0];
+
+        // La nota de crédito reduce primero el saldo de la misma venta
+        const balance = roundMoney(parseFloat(sale.total_amount) - parseFloat(sale.amount_paid));
+        if (creditAmount > 0 && balance > 0) {
+          await Payment.record(db, tenantSchema, sale, {
+            credit_note_id: creditNote.id,
+            amount: Math.min(balance, creditAmount),
+            exchange_rate: sale.exchange_rate,
+            payment_date: saleReturn.return_date,
+            notes: `Devolución ${returnNumber}`
+          }, context);
+          await Payment.syncSales(db, tenantSchema, [sale.id]);
+        }
+
+        await AuditService.record(tenantSchema, context, {
+          action: 'sale.return',
+          entity_type: 'sale_return',
+          entity_id: saleReturn.id,
+          new_values: {
+            ...saleReturn,
+            sale_number: sale.sale_number,
+            credit_note_number: creditNote.credit_note_number,
+            lines: validatedLines.map(line => ({
+              sale_detail_id: line.detail.id,
+              product_id: line.detail.product_id,
+              quantity: line.quantity,
+              condition: line.condition,
+              warehouse_id: line.warehouse.id,
+              line_amount: line.line_amount
+            }))
+          }
+        }, db);
+
+        console.log(`✅ Devolución ${returnNumber} registrada: nota de crédito por ${creditAmount}`);
+        return saleReturn.id;
+      });
+
+      return await this.getById(tenantSchema, returnId);
+
+    } catch (error) {
+      console.error('💥 Error registrando devolución:', error.message);
+      throw new Error(`Error registrando devolución: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener notas de crédito con su saldo disponible
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} options - Filtros: client_id, status ('abierta' = con saldo a favor), limit, offset
+   * @returns {Promise<Array>} Notas de crédito
+   */
+  static async getCreditNotes(tenantSchema, options = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      let whereConditions = [];
+      let params = [];
+      let paramIndex = 1;
+
+      if (options.client_id) {
+        whereConditions.push(`cn.client_id = $${paramIndex}`);
+        params.push(options.client_id);
+        paramIndex++;
+      }
+
+      if (options.status) {
+        whereConditions.push(`cn.status = $${paramIndex}`);
+        params.push(options.status);
+        paramIndex++;
+      }
+
+      params.push(options.limit || 100, options.offset || 0);
+
+      const result = await query(`
+        SELECT
+          cn.id, cn.credit_note_number, cn.return_id, cn.sale_id, cn.client_id, cn.issue_date,
+          cn.amount, cn.applied_amount, cn.amount - cn.applied_amount as available_amount, cn.status,
+          r.return_number, s.sale_number, c.client_code, c.business_name as client_name
+        FROM "${tenantSchema}".credit_notes cn
+        JOIN "${tenantSchema}".sale_returns r ON cn.return_id = r.id
+        JOIN "${tenantSchema}".sales s ON cn.sale_id = s.id
+        JOIN "${tenantSchema}".clients c ON cn.client_id = c.id
+        ${whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : ''}
+        ORDER BY cn.issue_date DESC, cn.id DESC
+        LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+      `, params);
+
+      return result.rows;
+
+    } catch (error) {
+      console.error('💥 Error obteniendo notas de crédito:', error.message);
+      throw new Error(`Error obteniendo notas de crédito: ${error.message}`);
+    }
+  }
+}
+
+module.exports = SaleReturn;
@@ -3,13 +3,37 @@
 // Modelo de datos para ventas con transacciones y soporte multi-tenant
 // =====================================================================================
 
-const { query } = require('../config/database.cjs');
+const { query, withTransaction } = require('../config/database.cjs');
+const AuditService = require('../services/AuditService.cjs');
+const Inventory = require('./Inventory.cjs');
+const Payment = require('./Payment.cjs');
+const Client = require('./Client.cjs');
+const PriceList = require('./PriceList.cjs');
+const Promotion = require('./Promotion.cjs');
+const ExchangeRate = require('./ExchangeRate.cjs');
+const Tax = require('./Tax.cjs');
+
+/**
+ * Estados de pago de una venta, derivados de sus pagos (ver Payment.syncSales)
+ * ('cancelado' solo lo asigna Sales.cancel, que además reversa el stock)
+ */
+const PAYMENT_STATUSES = ['pendiente', 'parcial', 'pagado', 'vencido'];
 
 /**
  * Modelo Sales con operaciones CRUD y gestión de transacciones - Multi-tenant
  * Cada método requiere un tenantSchema para operar en el schema correcto
  */
 class Sales {
+
+  /**
+   * Validar un estado de pago
+   * @param {string} paymentStatus - Estado a validar
+   */
+  static validatePaymentStatus(paymentStatus) {
+    if (!PAYMENT_STATUSES.includes(paymentStatus)) {
+      throw new Error(`Estado de pago no válido: ${paymentStatus}. Use: ${PAYMENT_STATUSES.join(', ')}`);
+    }
+  }
   
   /**
    * Obtener todas las ventas con filtros opcionales
@@ -23,6 +47,9 @@ class Sales {
     }
     
     try {
+      // Las ventas con saldo cuyo vencimiento pasó se listan como vencidas
+      const paymentStatus = Payment.currentStatusSql('s');
+
       let whereConditions = [];
       let params = [];
       let paramIndex = 1;
@@ -34,8 +61,14 @@ class Sales {
         paramIndex++;
       }
 
+      if (options.warehouse_id) {
+        whereConditions.push(`s.warehouse_id = $${paramIndex}`);
+        params.push(options.warehouse_id);
+        paramIndex++;
+      }
+
       if (options.payment_status) {
-        whereConditions.push(`s.payment_status = $${paramIndex}`);
+        whereConditions.push(`${paymentStatus} = $${paramIndex}`);
         params.push(options.payment_status);
         paramIndex++;
       }
@@ -60,9 +93,10 @@ class Sales {
 
       let sql = `
         SELECT 
-          s.id, s.sale_number, s.client_id, s.sale_date, s.total_amount,
-          s.tax_amount, s.discount_amount, s.payment_status, s.payment_method,
-          s.notes, s.created_at,
+          s.id, s.sale_number, s.client_id, s.sale_date, s.due_date, s.total_amount,
+          s.tax_amount, s.discount_amount, ${paymentStatus} as payment_status, s.payment_method,
+          s.amount_paid, s.total_amount - s.amount_paid as balance_due,
+          s.notes, s.warehouse_id, s.created_at,
           c.business_name as client_name, c.client_code, c.client_type
         FROM "${tenantSchema}".sales s
         JOIN "${tenantSchema}".clients c ON s.client_id = c.id
@@ -106,16 +140,20 @@ class Sales {
     }
     
     try {
-      // Obtener datos principales de la venta
+      // Obtener datos principales de la venta (con el estado de pago vigente)
+      const paymentStatus = Payment.currentStatusSql('s');
       const saleResult = await query(`
         SELECT 
-          s.id, s.sale_number, s.client_id, s.sale_date, s.total_amount,
-          s.tax_amount, s.discount_amount, s.payment_status, s.payment_method,
-          s.notes, s.created_at,
+          s.id, s.sale_number, s.client_id, s.sale_date, s.due_date, s.total_amount,
+          s.tax_amount, s.discount_amount, ${paymentStatus} as payment_status, s.payment_method,
+          s.amount_paid, s.total_amount - s.amount_paid as balance_due,
+          s.notes, s.warehouse_id, s.currency, s.exchange_rate, s.prices_include_tax, s.created_at,
+          inv.invoice_number,
           c.business_name as client_name, c.client_code, c.client_type,
           c.contact_person, c.email, c.phone
         FROM "${tenantSchema}".sales s
         JOIN "${tenantSchema}".clients c ON s.client_id = c.id
+        LEFT JOIN "${tenantSchema}".invoices inv ON inv.sale_id = s.id
         WHERE s.id = $1
       `, [id]);
 
@@ -129,14 +167,30 @@ class Sales {
       const detailsResult = await query(`
         SELECT 
           sd.id, sd.product_id, sd.quantity, sd.unit_price, sd.total_price,
+          sd.cost_of_goods, sd.gross_margin, sd.price_list_id, sd.discount_amount,
+          sd.tax_rate_id, sd.tax_rate, sd.tax_amount, tr.code as tax_code,
+          COALESCE((
+            SELECT json_agg(json_build_object(
+              'promotion_id', sdp.promotion_id, 'name', pr.name, 'promotion_type', pr.promotion_type,
+              'discount_amount', sdp.discount_amount, 'free_quantity', sdp.free_quantity, 'description', sdp.description
+            ))
+            FROM "${tenantSchema}".sale_detail_promotions sdp
+            JOIN "${tenantSchema}".promotions pr ON sdp.promotion_id = pr.id
+            WHERE sdp.sale_detail_id = sd.id
+          ), '[]') as promotions,
+          COALESCE((
+            SELECT SUM(rl.quantity) FROM "${tenantSchema}".sale_return_lines rl WHERE rl.sale_detail_id = sd.id
+          ), 0)::int as quantity_returned,
           p.sku, p.name as product_name, p.category, p.brand
         FROM "${tenantSchema}".sale_details sd
         JOIN "${tenantSchema}".products p ON sd.product_id = p.id
+        LEFT JOIN "${tenantSchema}".tax_rates tr ON sd.tax_rate_id = tr.id
         WHERE sd.sale_id = $1
         ORDER BY sd.id
       `, [id]);
 
       sale.details = detailsResult.rows;
+      sale.payments = await Payment.getBySale(tenantSchema, id);
       return sale;
 
     } catch (error) {
@@ -147,123 +201,330 @@ class Sales {
 
   /**
    * Crear una nueva venta con transacción
+   * due_date por defecto es sale_date + días de crédito del cliente; amount_paid registra un
+   * abono inicial y payment_status 'pagado' registra un pago por el total
+   * Si el saldo del cliente más el monto financiado excede su límite de crédito se aplica la
+   * política del tenant: block rechaza, warn agrega credit_warning y override exige
+   * credit_override: { reason } (la ruta valida el permiso sales:credit_override)
+   * Las líneas sin unit_price toman el precio de la lista de precios aplicable al cliente en
+   * sale_date (ver PriceList.resolvePrices) y, si no hay ninguna, el selling_price del producto
+   * Las promociones vigentes descuentan cada línea (total_price queda neto y las reglas aplicadas
+   * se registran en sale_detail_promotions); apply_promotions: false las omite
+   * currency (moneda base por defecto) fija la moneda de la venta y exchange_rate se toma de la
+   * tasa vigente en sale_date si no se indica; los precios de productos, listas y promociones
+   * están en moneda base y se convierten, y cost_of_goods y gross_margin quedan en moneda base
+   * El impuesto se calcula por línea con la tasa del producto, su categoría o la predeterminada
+   * (ver Tax.resolveRates) y el modo de precios del tenant: en modo inclusive unit_price incluye
+   * el impuesto; en ambos modos total_price queda como base imponible y tax_amount de la venta
+   * es la suma de las líneas (la ruta rechaza un tax_amount enviado). discount_amount se prorratea
+   * entre las líneas antes del impuesto
    * @param {string} tenantSchema - Schema del tenant
    * @param {Object} saleData - Datos de la venta
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
    * @returns {Promise<Object>} Venta creada
    */
-  static async create(tenantSchema, saleData) {
+  static async create(tenantSchema, saleData, context = {}) {
     if (!tenantSchema) {
       throw new Error('tenantSchema es requerido para operaciones multi-tenant');
     }
     
-    const client = await query('BEGIN');
-    
     try {
       const {
         sale_number, client_id, sale_date, payment_status = 'pendiente',
-        payment_method, notes, details = [], tax_amount = 0, discount_amount = 0
+        payment_method, notes, details = [], discount_amount = 0,
+        warehouse_id = null, due_date = null, amount_paid = null, payment_reference = null,
+        credit_override = null, apply_promotions = true, currency = null, exchange_rate = null
       } = saleData;
 
-      // Validar que el número de venta no exista
-      const existing = await query(`
-        SELECT id FROM "${tenantSchema}".sales WHERE sale_number = $1
-      `, [sale_number]);
+      this.validatePaymentStatus(payment_status);
 
-      if (existing.rows.length > 0) {
-        throw new Error(`Ya existe una venta con número: ${sale_number}`);
-      }
-
-      // Validar que existan los productos y calcular totales
-      let calculatedTotal = 0;
-      const validatedDetails = [];
+      details.forEach(detail => {
+        if (!Number.isInteger(detail.quantity) || detail.quantity <= 0) {
+          throw new Error(`Cantidad inválida para el producto ${detail.product_id}: debe ser un entero mayor a 0`);
+        }
+      });
 
-      for (const detail of details) {
-        const productResult = await query(`
-          SELECT id, name, selling_price, current_stock 
-          FROM "${tenantSchema}".products 
-          WHERE id = $1 AND active = true
-        `, [detail.product_id]);
+      const created = await withTransaction(tenantSchema, async (db) => {
+        // Validar que el número de venta no exista
+        const existing = await db.query(`
+          SELECT id FROM "${tenantSchema}".sales WHERE sale_number = $1
+        `, [sale_number]);
 
-        if (productResult.rows.length === 0) {
-          throw new Error(`Producto con ID ${detail.product_id} no encontrado o inactivo`);
+        if (existing.rows.length > 0) {
+          throw new Error(`Ya existe una venta con número: ${sale_number}`);
         }
 
-        const product = productResult.rows[0];
-        
-        // Verificar stock disponible
-        if (product.current_stock < detail.quantity) {
-          throw new Error(`Stock insuficiente para ${product.name}. Disponible: ${product.current_stock}, Solicitado: ${detail.quantity}`);
+        // Bloquear el cliente: dos ventas concurrentes no pueden consumir el mismo crédito
+        const clientResult = await db.query(`
+          SELECT id, client_type, payment_terms FROM "${tenantSchema}".clients WHERE id = $1 FOR UPDATE
+        `, [client_id]);
+
+        if (clientResult.rows.length === 0) {
+          throw new Error(`Cliente con ID ${client_id} no encontrado`);
+        }
+        const client = clientResult.rows[0];
+
+        // Moneda de la venta y tasa capturada (unidades de moneda base por unidad)
+        const baseCurrency = await ExchangeRate.getBaseCurrency(tenantSchema, db);
+        const saleCurrency = currency ? ExchangeRate.normalizeCurrency(currency) : baseCurrency;
+        let saleRate;
+        if (exchange_rate !== null && exchange_rate !== undefined && saleCurrency !== baseCurrency) {
+          saleRate = parseFloat(exchange_rate);
+          if (isNaN(saleRate) || saleRate <= 0) {
+            throw new Error('Tasa de cambio inválida: debe ser mayor a 0');
+          }
+        } else {
+          saleRate = (await ExchangeRate.getRate(tenantSchema, saleCurrency, sale_date, db)).rate;
+        }
+        const toSaleCurrency = amount => Math.round(amount / saleRate * 100) / 100;
+
+        // Bloquear los productos de la venta: dos ventas concurrentes no pueden vender el mismo stock
+        const products = await Inventory.lockProducts(db, tenantSchema, details.map(detail => detail.product_id));
+
+        // El stock se descuenta del almacén de la venta (predeterminado si no se indica);
+        // los lotes vencidos no cuentan como disponibles
+        const warehouse = await Inventory.resolveWarehouse(db, tenantSchema, warehouse_id);
+        const locationStock = await Inventory.getSellableStock(db, tenantSchema, warehouse.id, [...products.keys()]);
+
+        // Precios de lista para las líneas que no traen precio (la escala usa la cantidad total del producto)
+        const listPrices = await PriceList.resolvePrices(
+          tenantSchema, client.id, details.filter(detail => !detail.unit_price), sale_date, db
+        );
+
+        // Tasas de impuesto de cada producto y modo de precios del tenant
+        const taxRates = await Tax.resolveRates(db, tenantSchema, [...products.keys()]);
+        const pricesIncludeTax = await Tax.getPricingMode(tenantSchema, db) === 'inclusive';
+
+        // Validar que existan los productos y calcular totales
+        const validatedDetails = [];
+        const requestedByProduct = new Map();
+
+        for (const detail of details) {
+          const product = products.get(parseInt(detail.product_id));
+
+          if (!product || !product.active) {
+            throw new Error(`Producto con ID ${detail.product_id} no encontrado o inactivo`);
+          }
+
+          // Verificar stock disponible (sumando líneas repetidas del mismo producto)
+          const requested = (requestedByProduct.get(product.id) || 0) + detail.quantity;
+          requestedByProduct.set(product.id, requested);
+
+          const available = locationStock.get(product.id);
+          if (available < requested) {
+            throw new Error(`Stock insuficiente para ${product.name} en almacén ${warehouse.warehouse_code}. Disponible: ${available}, Solicitado: ${requested}`);
+          }
+
+          const listPrice = detail.unit_price ? null : listPrices.get(product.id);
+          const unitPrice = detail.unit_price ||
+            toSaleCurrency(listPrice ? listPrice.unit_price : parseFloat(product.selling_price));
+          const totalPrice = unitPrice * detail.quantity;
+
+          validatedDetails.push({
+            ...detail,
+            unit_price: unitPrice,
+            price_list_id: listPrice ? listPrice.price_list_id : null,
+            total_price: totalPrice,
+            discount_amount: 0,
+            promotions: [],
+            product: product
+          });
         }
 
-        const unitPrice = detail.unit_price || product.selling_price;
-        const totalPrice = unitPrice * detail.quantity;
-        calculatedTotal += totalPrice;
+        // Promociones: el descuento de cada línea reduce su total_price
+        if (apply_promotions) {
+          const evaluated = await Promotion.evaluate(db, tenantSchema, {
+            client_type: client.client_type,
+            sale_date,
+            lines: validatedDetails.map(detail => ({
+              product_id: detail.product.id,
+              category: detail.product.category,
+              quantity: detail.quantity,
+              unit_price: detail.unit_price * saleRate
+            }))
+          });
+
+          // Las reglas se evalúan en moneda base
+          validatedDetails.forEach((detail, index) => {
+            detail.discount_amount = toSaleCurrency(evaluated[index].discount_amount);
+            detail.promotions = evaluated[index].promotions.map(promotion => ({
+              ...promotion,
+              discount_amount: toSaleCurrency(promotion.discount_amount)
+            }));
+            detail.total_price = Math.round((detail.total_price - detail.discount_amount) * 100) / 100;
+          });
+        }
 
-        validatedDetails.push({
-          ...detail,
-          unit_price: unitPrice,
-          total_price: totalPrice,
-          product: product
-        });
-      }
+        // El descuento de la venta se reparte entre las líneas según su monto (la última toma el
+        // redondeo) antes del impuesto, para que la base imponible quede neta del descuento
+        const saleDiscount = Math.round((parseFloat(discount_amount) || 0) * 100) / 100;
+        const linesAmount = validatedDetails.reduce((sum, detail) => sum + detail.total_price, 0);
+        if (saleDiscount < 0 || saleDiscount > linesAmount) {
+          throw new Error(`Descuento inválido: debe estar entre 0 y ${Math.round(linesAmount * 100) / 100}`);
+        }
 
-      const finalTotal = calculatedTotal + (tax_amount || 0) - (discount_amount || 0);
+        if (saleDiscount > 0) {
+          let prorated = 0;
+          validatedDetails.forEach((detail, index) => {
+            const share = index === validatedDetails.length - 1
+              ? Math.round((saleDiscount - prorated) * 100) / 100
+              : Math.round(saleDiscount * detail.total_price / linesAmount * 100) / 100;
+            prorated = Math.round((prorated + share) * 100) / 100;
+            detail.total_price = Math.round((detail.total_price - share) * 100) / 100;
+          });
+        }
 
-      // Crear registro de venta
-      const saleResult = await query(`
-        INSERT INTO "${tenantSchema}".sales (
-          sale_number, client_id, sale_date, total_amount, tax_amount,
-          discount_amount, payment_status, payment_method, notes
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-        RETURNING *
-      `, [
-        sale_number, client_id, sale_date, finalTotal, tax_amount,
-        discount_amount, payment_status, payment_method, notes
-      ]);
+        // Impuesto por línea sobre el monto neto de promociones y descuento (total_price queda como base imponible)
+        let calculatedTotal = 0;
+        let taxTotal = 0;
+        for (const detail of validatedDetails) {
+          const taxRate = taxRates.get(detail.product.id);
+          const lineTax = Tax.computeLineTax(detail.total_price, taxRate ? taxRate.rate : 0, pricesIncludeTax);
+
+          detail.tax_rate_id = taxRate ? taxRate.tax_rate_id : null;
+          detail.tax_rate = taxRate ? taxRate.rate : 0;
+          detail.total_price = lineTax.taxable_amount;
+          detail.tax_amount = lineTax.tax_amount;
+          calculatedTotal += lineTax.taxable_amount + lineTax.tax_amount;
+          taxTotal += lineTax.tax_amount;
+        }
+        const tax_amount = Math.round(taxTotal * 100) / 100;
+
+        const finalTotal = Math.round(calculatedTotal * 100) / 100;
+        const initialPayment = payment_status === 'pagado' ? finalTotal : parseFloat(amount_paid) || 0;
+
+        // Control de crédito sobre el monto que queda financiado
+        const credit = await Client.getCreditAvailability(tenantSchema, client_id, (finalTotal - initialPayment) * saleRate, db);
+        const creditCheck = {
+          policy: credit.policy,
+          credit_limit: credit.credit_limit,
+          balance_due: credit.balance_due,
+          ...credit.check
+        };
+
+        if (creditCheck.action === 'block') {
+          throw new Error(`Límite de crédito excedido: saldo ${credit.balance_due} + venta ${creditCheck.amount} supera el límite ${credit.credit_limit} en ${creditCheck.exceeded_by}`);
+        }
 
-      const sale = saleResult.rows[0];
+        if (creditCheck.action === 'override_required' && (!credit_override || !credit_override.reason)) {
+          throw new Error(`Autorización de crédito requerida: saldo ${credit.balance_due} + venta ${creditCheck.amount} supera el límite ${credit.credit_limit} en ${creditCheck.exceeded_by}. Envíe credit_override: { reason } con un usuario autorizado`);
+        }
 
-      // Crear detalles de venta y actualizar stock
-      for (const detail of validatedDetails) {
-        // Insertar detalle
-        await query(`
-          INSERT INTO "${tenantSchema}".sale_details (
-            sale_id, product_id, quantity, unit_price, total_price
-          ) VALUES ($1, $2, $3, $4, $5)
+        // Crear registro de venta (el estado de pago se deriva al registrar los pagos)
+        const saleResult = await db.query(`
+          INSERT INTO "${tenantSchema}".sales (
+            sale_number, client_id, sale_date, due_date, total_amount, tax_amount,
+            discount_amount, payment_status, payment_method, notes, warehouse_id, currency, exchange_rate,
+            prices_include_tax
+          ) VALUES ($1, $2, $3, COALESCE($4::date, $3::date + $11::int), $5, $6, $7, 'pendiente', $8, $9, $10, $12, $13, $14)
+          RETURNING *
         `, [
-          sale.id, detail.product_id, detail.quantity,
-          detail.unit_price, detail.total_price
+          sale_number, client_id, sale_date, due_date, finalTotal, tax_amount,
+          saleDiscount, payment_method, notes, warehouse.id, client.payment_terms || 0,
+          saleCurrency, saleRate, pricesIncludeTax
         ]);
 
-        // Actualizar stock del producto
-        const newStock = detail.product.current_stock - detail.quantity;
-        await query(`
-          UPDATE "${tenantSchema}".products 
-          SET current_stock = $1, updated_at = CURRENT_TIMESTAMP
-          WHERE id = $2
-        `, [newStock, detail.product_id]);
-
-        // Registrar movimiento de inventario
-        await query(`
-          INSERT INTO "${tenantSchema}".inventory_movements (
-            product_id, movement_type, quantity, previous_stock, new_stock,
-            cost_per_unit, reference_type, reference_id, notes
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-        `, [
-          detail.product_id, 'salida', -detail.quantity,
-          detail.product.current_stock, newStock,
-          detail.unit_price, 'venta', sale.id,
-          `Venta ${sale_number}`
-        ]);
-      }
+        const sale = saleResult.rows[0];
+
+        // El costo de ventas de cada línea depende del método de valuación del tenant
+        const valuationMethod = await Inventory.getValuationMethod(tenantSchema, db);
+
+        // Actualizar stock y crear detalles de venta
+        for (const detail of validatedDetails) {
+          // Registrar movimiento de inventario (lotes FEFO, capas de costo FIFO) y actualizar stock del producto
+          const movement = await Inventory.applyMovement(db, tenantSchema, detail.product, {
+            movement_type: 'salida',
+            quantity: -detail.quantity,
+            warehouse_id: warehouse.id,
+            cost_per_unit: detail.unit_price * saleRate,
+            reference_type: 'venta',
+            reference_id: sale.id,
+            notes: `Venta ${sale_number}`,
+            exclude_expired: true
+          });
+
+          detail.cost_of_goods = Inventory.getCostOfGoods(valuationMethod, detail.product, movement);
+          detail.gross_margin = Math.round((detail.total_price * saleRate - detail.cost_of_goods) * 100) / 100;
+
+          // Insertar detalle
+          const detailResult = await db.query(`
+            INSERT INTO "${tenantSchema}".sale_details (
+              sale_id, product_id, quantity, unit_price, total_price, cost_of_goods, gross_margin, price_list_id,
+              discount_amount, tax_rate_id, tax_rate, tax_amount
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+            RETURNING id
+          `, [
+            sale.id, detail.product_id, detail.quantity,
+            detail.unit_price, detail.total_price, detail.cost_of_goods, detail.gross_margin, detail.price_list_id,
+            detail.discount_amount, detail.tax_rate_id, detail.tax_rate, detail.tax_amount
+          ]);
 
-      await query('COMMIT');
+          for (const promotion of detail.promotions) {
+            await db.query(`
+              INSERT INTO "${tenantSchema}".sale_detail_promotions (
+                sale_detail_id, promotion_id, discount_amount, free_quantity, description
+              ) VALUES ($1, $2, $3, $4, $5)
+            `, [
+              detailResult.rows[0].id, promotion.promotion_id, promotion.discount_amount,
+              promotion.free_quantity, promotion.description
+            ]);
+          }
+        }
 
-      // Retornar venta completa con detalles
-      return await this.getById(tenantSchema, sale.id);
+        // Pago al contado o abono inicial
+        if (initialPayment > 0) {
+          await Payment.record(db, tenantSchema, sale, {
+            amount: initialPayment,
+            currency: saleCurrency,
+            exchange_rate: saleRate,
+            payment_method,
+            reference: payment_reference,
+            payment_date: sale_date
+          }, context);
+        }
+        await Payment.syncSales(db, tenantSchema, [sale.id]);
+
+        await AuditService.record(tenantSchema, context, {
+          action: 'sale.create',
+          entity_type: 'sale',
+          entity_id: sale.id,
+          new_values: {
+            ...sale,
+            details: validatedDetails.map(({ product, ...detail }) => detail),
+            credit_check: creditCheck
+          }
+        }, db);
+
+        if (creditCheck.action === 'override_required') {
+          await AuditService.record(tenantSchema, context, {
+            action: 'sale.credit_override',
+            entity_type: 'sale',
+            entity_id: sale.id,
+            new_values: {
+              sale_number,
+              client_id: parseInt(client_id),
+              credit_limit: credit.credit_limit,
+              balance_due: credit.balance_due,
+              amount: creditCheck.amount,
+              exposure: creditCheck.exposure,
+              exceeded_by: creditCheck.exceeded_by,
+              policy: credit.policy,
+              reason: credit_override.reason
+            }
+          }, db);
+        }
+
+        return { saleId: sale.id, creditCheck };
+      });
+
+      // Retornar venta completa con detalles (y el excedente de crédito si lo hubo)
+      const sale = await this.getById(tenantSchema, created.saleId);
+      if (created.creditCheck.exceeds) {
+        sale.credit_warning = created.creditCheck;
+      }
+      return sale;
 
     } catch (error) {
-      await query('ROLLBACK');
       console.error('💥 Error creando venta:', error.message);
       throw new Error(`Error creando venta: ${error.message}`);
     }
@@ -271,39 +532,35 @@ class Sales {
 
   /**
    * Actualizar estado de pago de una venta
+   * El estado se deriva de los pagos: solo se acepta 'pagado', que registra un pago por el
+   * saldo pendiente (para abonos parciales usar Payment.create)
    * @param {string} tenantSchema - Schema del tenant
    * @param {number} id - ID de la venta
-   * @param {string} paymentStatus - Nuevo estado de pago
+   * @param {string} paymentStatus - Nuevo estado de pago ('pagado')
    * @param {string} paymentMethod - Método de pago (opcional)
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
    * @returns {Promise<Object>} Venta actualizada
    */
-  static async updatePaymentStatus(tenantSchema, id, paymentStatus, paymentMethod = null) {
+  static async updatePaymentStatus(tenantSchema, id, paymentStatus, paymentMethod = null, context = {}) {
     if (!tenantSchema) {
       throw new Error('tenantSchema es requerido para operaciones multi-tenant');
     }
     
     try {
-      const existing = await this.getById(tenantSchema, id);
-      if (!existing) {
-        throw new Error(`Venta con ID ${id} no encontrada`);
-      }
-
-      const updateFields = ['payment_status = $2'];
-      const params = [id, paymentStatus];
-      let paramIndex = 3;
+      this.validatePaymentStatus(paymentStatus);
 
-      if (paymentMethod) {
-        updateFields.push(`payment_method = $${paramIndex}`);
-        params.push(paymentMethod);
-        paramIndex++;
+      if (paymentStatus !== 'pagado') {
+        throw new Error(`Estado de pago no válido: ${paymentStatus}. El estado se calcula a partir de los pagos registrados; solo se puede liquidar el saldo ('pagado')`);
       }
 
+      await Payment.create(tenantSchema, id, {
+        payment_method: paymentMethod,
+        notes: 'Liquidación del saldo'
+      }, context);
+
       const result = await query(`
-        UPDATE "${tenantSchema}".sales 
-        SET ${updateFields.join(', ')}
-        WHERE id = $1
-        RETURNING *
-      `, params);
+        SELECT * FROM "${tenantSchema}".sales WHERE id = $1
+      `, [id]);
 
       return result.rows[0];
 
@@ -318,69 +575,140 @@ class Sales {
    * @param {string} tenantSchema - Schema del tenant
    * @param {number} id - ID de la venta
    * @param {string} reason - Razón de cancelación
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
    * @returns {Promise<boolean>} True si se canceló exitosamente
    */
-  static async cancel(tenantSchema, id, reason = 'Cancelación manual') {
+  static async cancel(tenantSchema, id, reason = 'Cancelación manual', context = {}) {
     if (!tenantSchema) {
       throw new Error('tenantSchema es requerido para operaciones multi-tenant');
     }
     
-    const client = await query('BEGIN');
-    
     try {
-      const sale = await this.getById(tenantSchema, id);
-      if (!sale) {
-        throw new Error(`Venta con ID ${id} no encontrada`);
-      }
+      return await withTransaction(tenantSchema, async (db) => {
+        // Bloquear la venta para que no se cancele dos veces en paralelo
+        const saleResult = await db.query(`
+          SELECT id, sale_number, total_amount, payment_status, notes, warehouse_id
+          FROM "${tenantSchema}".sales
+          WHERE id = $1
+          FOR UPDATE
+        `, [id]);
+
+        if (saleResult.rows.length === 0) {
+          throw new Error(`Venta con ID ${id} no encontrada`);
+        }
 
-      if (sale.payment_status === 'cancelado') {
-        throw new Error('La venta ya está cancelada');
-      }
+        const sale = saleResult.rows[0];
 
-      // Reversar stock para cada producto
-      for (const detail of sale.details) {
-        // Obtener stock actual del producto
-        const productResult = await query(`
-          SELECT current_stock FROM "${tenantSchema}".products WHERE id = $1
-        `, [detail.product_id]);
-
-        if (productResult.rows.length > 0) {
-          const currentStock = productResult.rows[0].current_stock;
-          const newStock = currentStock + detail.quantity;
-
-          // Actualizar stock
-          await query(`
-            UPDATE "${tenantSchema}".products 
-            SET current_stock = $1, updated_at = CURRENT_TIMESTAMP
-            WHERE id = $2
-          `, [newStock, detail.product_id]);
-
-          // Registrar movimiento de inventario (devolución)
-          await query(`
-            INSERT INTO "${tenantSchema}".inventory_movements (
-              product_id, movement_type, quantity, previous_stock, new_stock,
-              cost_per_unit, reference_type, reference_id, notes
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-          `, [
-            detail.product_id, 'entrada', detail.quantity,
-            currentStock, newStock, detail.unit_price,
-            'sync', sale.id, `Cancelación de venta ${sale.sale_number}: ${reason}`
-          ]);
+        if (sale.payment_status === 'cancelado') {
+          throw new Error('La venta ya está cancelada');
         }
-      }
 
-      // Marcar venta como cancelada
-      await query(`
-        UPDATE "${tenantSchema}".sales 
-        SET payment_status = 'cancelado', notes = COALESCE(notes || ' | ', '') || $2
-        WHERE id = $1
-      `, [id, `CANCELADA: ${reason}`]);
+        const paymentsResult = await db.query(`
+          SELECT COUNT(*)::int as active_payments
+          FROM "${tenantSchema}".payments
+          WHERE sale_id = $1 AND voided_at IS NULL
+        `, [id]);
+
+        if (paymentsResult.rows[0].active_payments > 0) {
+          throw new Error('La venta tiene pagos registrados: anule los pagos antes de cancelarla');
+        }
+
+        const returnsResult = await db.query(`
+          SELECT COUNT(*)::int as returns FROM "${tenantSchema}".sale_returns WHERE sale_id = $1
+        `, [id]);
+
+        if (returnsResult.rows[0].returns > 0) {
+          throw new Error('La venta tiene devoluciones registradas y no puede cancelarse');
+        }
+
+        const detailsResult = await db.query(`
+          SELECT product_id, quantity, unit_price, cost_of_goods
+          FROM "${tenantSchema}".sale_details
+          WHERE sale_id = $1
+          ORDER BY id
+        `, [id]);
+
+        // Reversar stock para cada producto
+        const products = await Inventory.lockProducts(db, tenantSchema, detailsResult.rows.map(detail => detail.product_id));
+
+        // Lotes que consumió la venta, para devolver el stock a los mismos lotes
+        const lotsResult = await db.query(`
+          SELECT im.product_id, ml.lot_id, -SUM(ml.quantity)::int as quantity
+          FROM "${tenantSchema}".inventory_movement_lots ml
+          JOIN "${tenantSchema}".inventory_movements im ON ml.movement_id = im.id
+          WHERE im.reference_type = 'venta' AND im.reference_id = $1
+          GROUP BY im.product_id, ml.lot_id
+          HAVING SUM(ml.quantity) < 0
+        `, [id]);
+
+        // Capas de costo que consumió la venta, para reponerlas con su costo y antigüedad
+        const layersResult = await db.query(`
+          SELECT im.product_id, mc.layer_id, -SUM(mc.quantity)::int as quantity
+          FROM "${tenantSchema}".inventory_movement_costs mc
+          JOIN "${tenantSchema}".inventory_movements im ON mc.movement_id = im.id
+          WHERE im.reference_type = 'venta' AND im.reference_id = $1 AND mc.layer_id IS NOT NULL
+          GROUP BY im.product_id, mc.layer_id
+          HAVING SUM(mc.quantity) < 0
+        `, [id]);
+
+        // Repartir las asignaciones (lotes o capas) de un producto entre sus líneas
+        const allocate = (rows, productId, quantity, key) => {
+          const allocations = [];
+          let pending = quantity;
+          for (const row of rows.filter(candidate => candidate.product_id === productId && candidate.quantity > 0)) {
+            const allocated = Math.min(row.quantity, pending);
+            if (allocated > 0) {
+              allocations.push({ [key]: row[key], quantity: allocated });
+              row.quantity -= allocated;
+              pending -= allocated;
+            }
+          }
+          return allocations;
+        };
+
+        for (const detail of detailsResult.rows) {
+          const product = products.get(detail.product_id);
+
+          if (product) {
+            // Lo que no venga de una capa consumida entra al costo unitario de la línea
+            const unitCost = detail.cost_of_goods !== null
+              ? parseFloat(detail.cost_of_goods) / detail.quantity
+              : product.cost_price;
+
+            // Registrar movimiento de inventario (devolución)
+            await Inventory.applyMovement(db, tenantSchema, product, {
+              movement_type: 'entrada',
+              quantity: detail.quantity,
+              warehouse_id: sale.warehouse_id,
+              cost_per_unit: unitCost,
+              reference_type: 'sync',
+              reference_id: sale.id,
+              notes: `Cancelación de venta ${sale.sale_number}: ${reason}`,
+              lots: allocate(lotsResult.rows, detail.product_id, detail.quantity, 'lot_id'),
+              cost_layers: allocate(layersResult.rows, detail.product_id, detail.quantity, 'layer_id')
+            });
+          }
+        }
+
+        // Marcar venta como cancelada
+        await db.query(`
+          UPDATE "${tenantSchema}".sales 
+          SET payment_status = 'cancelado', notes = COALESCE(notes || ' | ', '') || $2
+          WHERE id = $1
+        `, [id, `CANCELADA: ${reason}`]);
+
+        await AuditService.record(tenantSchema, context, {
+          action: 'sale.cancel',
+          entity_type: 'sale',
+          entity_id: id,
+          old_values: { payment_status: sale.payment_status, total_amount: sale.total_amount, notes: sale.notes },
+          new_values: { payment_status: 'cancelado', reason }
+        }, db);
 
-      await query('COMMIT');
-      return true;
+        return true;
+      });
 
     } catch (error) {
-      await query('ROLLBACK');
       console.error('💥 Error cancelando venta:', error.message);
       throw new Error(`Error cancelando venta: ${error.message}`);
     }
@@ -388,8 +716,10 @@ class Sales {
 
   /**
    * Obtener estadísticas de ventas
+   * Las devoluciones se atribuyen al período de la venta: net_revenue = total_revenue - returned_amount
+   * Los montos se reportan en options.currency (moneda base por defecto; ver ExchangeRate.getReportingConversion)
    * @param {string} tenantSchema - Schema del tenant
-   * @param {Object} options - Opciones de filtrado por fechas
+   * @param {Object} options - Opciones de filtrado por fechas y currency
    * @returns {Promise<Object>} Estadísticas de ventas
    */
   static async getStats(tenantSchema, options = {}) {
@@ -417,24 +747,54 @@ class Sales {
         whereClause = `WHERE ${conditions.join(' AND ')}`;
       }
 
+      const conversion = await ExchangeRate.getReportingConversion(tenantSchema, options.currency, params);
+      const rate = conversion.factor;
+
       const result = await query(`
         SELECT 
           COUNT(*) as total_sales,
-          COUNT(*) FILTER (WHERE payment_status = 'pagado') as paid_sales,
-          COUNT(*) FILTER (WHERE payment_status = 'pendiente') as pending_sales,
-          COUNT(*) FILTER (WHERE payment_status = 'parcial') as partial_sales,
-          COUNT(*) FILTER (WHERE payment_status = 'vencido') as overdue_sales,
-          COUNT(*) FILTER (WHERE payment_status = 'cancelado') as cancelled_sales,
-          ROUND(SUM(total_amount), 2) as total_revenue,
-          ROUND(SUM(CASE WHEN payment_status = 'pagado' THEN total_amount ELSE 0 END), 2) as paid_revenue,
-          ROUND(SUM(CASE WHEN payment_status IN ('pendiente', 'parcial') THEN total_amount ELSE 0 END), 2) as pending_revenue,
-          ROUND(AVG(total_amount), 2) as avg_sale_amount,
+          COUNT(*) FILTER (WHERE current_status = 'pagado') as paid_sales,
+          COUNT(*) FILTER (WHERE current_status = 'pendiente') as pending_sales,
+          COUNT(*) FILTER (WHERE current_status = 'parcial') as partial_sales,
+          COUNT(*) FILTER (WHERE current_status = 'vencido') as overdue_sales,
+          COUNT(*) FILTER (WHERE current_status = 'cancelado') as cancelled_sales,
+          ROUND(SUM(total_amount * ${rate}), 2) as total_revenue,
+          ROUND(SUM(CASE WHEN current_status = 'pagado' THEN total_amount * ${rate} ELSE 0 END), 2) as paid_revenue,
+          ROUND(SUM(CASE WHEN current_status IN ('pendiente', 'parcial') THEN total_amount * ${rate} ELSE 0 END), 2) as pending_revenue,
+          ROUND(SUM(CASE WHEN current_status <> 'cancelado' THEN (amount_paid - COALESCE(credit_applied, 0)) * ${rate} ELSE 0 END), 2) as collected_amount,
+          ROUND(SUM(CASE WHEN current_status IN ('pendiente', 'parcial', 'vencido') THEN (total_amount - amount_paid) * ${rate} ELSE 0 END), 2) as balance_due,
+          COALESCE(SUM(return_count), 0) as returns_count,
+          ROUND(COALESCE(SUM(returned_amount * ${rate}), 0), 2) as returned_amount,
+          ROUND(SUM(total_amount * ${rate}) - COALESCE(SUM(returned_amount * ${rate}), 0), 2) as net_revenue,
+          ROUND(SUM(CASE WHEN current_status <> 'cancelado' THEN COALESCE(promotion_discount, 0) * ${rate} ELSE 0 END), 2) as promotion_discount,
+          ROUND(SUM(CASE WHEN current_status <> 'cancelado' THEN tax_amount * ${rate} ELSE 0 END), 2) as tax_amount,
+          ROUND(AVG(total_amount * ${rate}), 2) as avg_sale_amount,
           COUNT(DISTINCT client_id) as unique_clients
         FROM "${tenantSchema}".sales
+        -- Devoluciones (notas de crédito), pagos con nota de crédito y descuentos por promociones de cada venta
+        LEFT JOIN (
+          SELECT sale_id as returned_sale_id, COUNT(*) as return_count, SUM(total_amount) as returned_amount
+          FROM "${tenantSchema}".sale_returns
+          GROUP BY sale_id
+        ) returns ON returns.returned_sale_id = sales.id
+        LEFT JOIN (
+          SELECT sale_id as credited_sale_id, SUM(amount) as credit_applied
+          FROM "${tenantSchema}".payments
+          WHERE credit_note_id IS NOT NULL AND voided_at IS NULL
+          GROUP BY sale_id
+        ) credits ON credits.credited_sale_id = sales.id
+        LEFT JOIN (
+          SELECT sale_id as discounted_sale_id, SUM(discount_amount) as promotion_discount
+          FROM "${tenantSchema}".sale_details
+          GROUP BY sale_id
+        ) promotions ON promotions.discounted_sale_id = sales.id
+        -- Estado vigente: las ventas con saldo y vencimiento pasado cuentan como vencidas
+        CROSS JOIN LATERAL (SELECT ${Payment.currentStatusSql('sales')} as current_status) status
+        ${conversion.join}
         ${whereClause}
       `, params);
 
-      return result.rows[0];
+      return { ...result.rows[0], currency: conversion.currency, base_currency: conversion.base_currency };
 
     } catch (error) {
       console.error('💥 Error obteniendo estadísticas de ventas:', error.message);
@@ -444,9 +804,10 @@ class Sales {
 
   /**
    * Obtener ventas por período (diario, mensual, etc.)
+   * Los montos se reportan en options.currency (moneda base por defecto)
    * @param {string} tenantSchema - Schema del tenant
    * @param {string} period - Período ('day', 'week', 'month', 'year')
-   * @param {Object} options - Opciones adicionales
+   * @param {Object} options - Opciones adicionales (date_from, date_to, limit, currency)
    * @returns {Promise<Array>} Ventas agrupadas por período
    */
   static async getSalesByPeriod(tenantSchema, period = 'day', options = {}) {
@@ -502,21 +863,24 @@ class Sales {
         whereClause = `WHERE ${conditions.join(' AND ')}`;
       }
 
+      const conversion = await ExchangeRate.getReportingConversion(tenantSchema, options.currency, params);
+
       const result = await query(`
         SELECT 
           ${dateFormat} as period,
           COUNT(*) as sales_count,
-          ROUND(SUM(total_amount), 2) as total_revenue,
-          ROUND(AVG(total_amount), 2) as avg_sale_amount,
+          ROUND(SUM(total_amount * ${conversion.factor}), 2) as total_revenue,
+          ROUND(AVG(total_amount * ${conversion.factor}), 2) as avg_sale_amount,
           COUNT(DISTINCT client_id) as unique_clients
         FROM "${tenantSchema}".sales
+        ${conversion.join}
         ${whereClause}
         GROUP BY ${dateFormat}, ${orderBy}
         ORDER BY ${orderBy}
         LIMIT ${options.limit || 50}
       `, params);
 
-      return result.rows;
+      return result.rows.map(row => ({ ...row, currency: conversion.currency }));
 
     } catch (error) {
       console.error('💥 Error obteniendo ventas por período:', error.message);
@@ -526,6 +890,8 @@ class Sales {
 
   /**
    * Obtener productos más vendidos
+   * Ordenados por cantidad neta (vendida menos devuelta); net_* descuentan las devoluciones
+   * Los montos están en moneda base (cada venta convertida con su tasa capturada)
    * @param {string} tenantSchema - Schema del tenant
    * @param {Object} options - Opciones de filtrado
    * @returns {Promise<Array>} Productos más vendidos
@@ -559,16 +925,30 @@ class Sales {
         SELECT 
           p.id, p.sku, p.name, p.category, p.brand,
           SUM(sd.quantity) as total_quantity_sold,
-          SUM(sd.total_price) as total_revenue,
+          ROUND(SUM(sd.total_price * s.exchange_rate), 2) as total_revenue,
           COUNT(DISTINCT s.id) as sales_count,
-          ROUND(AVG(sd.unit_price), 2) as avg_selling_price,
-          ROUND(SUM(sd.total_price) / SUM(sd.quantity), 2) as avg_price_per_unit
+          ROUND(AVG(sd.unit_price * s.exchange_rate), 2) as avg_selling_price,
+          ROUND(SUM(sd.total_price * s.exchange_rate) / SUM(sd.quantity), 2) as avg_price_per_unit,
+          ROUND(SUM(sd.cost_of_goods), 2) as total_cost_of_goods,
+          ROUND(SUM(sd.gross_margin), 2) as total_gross_margin,
+          ROUND(SUM(sd.gross_margin) / NULLIF(SUM(sd.total_price * s.exchange_rate), 0) * 100, 2) as gross_margin_percent,
+          COALESCE(SUM(r.quantity), 0) as total_quantity_returned,
+          ROUND(COALESCE(SUM(r.line_amount * s.exchange_rate), 0), 2) as total_returned_revenue,
+          SUM(sd.quantity) - COALESCE(SUM(r.quantity), 0) as net_quantity_sold,
+          ROUND(SUM(sd.total_price * s.exchange_rate) - COALESCE(SUM(r.line_amount * s.exchange_rate), 0), 2) as net_revenue,
+          ROUND(SUM(sd.gross_margin) - COALESCE(SUM(r.line_amount * s.exchange_rate - r.cost_of_goods), 0), 2) as net_gross_margin
         FROM "${tenantSchema}".products p
         JOIN "${tenantSchema}".sale_details sd ON p.id = sd.product_id
         JOIN "${tenantSchema}".sales s ON sd.sale_id = s.id
+        LEFT JOIN (
+          SELECT sale_detail_id, SUM(quantity) as quantity, SUM(line_amount) as line_amount,
+                 SUM(COALESCE(cost_of_goods, 0)) as cost_of_goods
+          FROM "${tenantSchema}".sale_return_lines
+          GROUP BY sale_detail_id
+        ) r ON r.sale_detail_id = sd.id
         ${whereClause}
         GROUP BY p.id, p.sku, p.name, p.category, p.brand
-        ORDER BY total_quantity_sold DESC
+        ORDER BY net_quantity_sold DESC
         LIMIT ${options.limit || 20}
       `, params);
 
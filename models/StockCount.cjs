@@ -0,0 +1,658 @@
+// =====================================================================================
+// FLUXION AI - STOCK COUNT MODEL (MULTI-TENANT)
+// Conteos físicos de inventario: apertura, registro de conteos, revisión y ajuste
+// =====================================================================================
+
+const { query, withTransaction } = require('../config/database.cjs');
+const AuditService = require('../services/AuditService.cjs');
+const Inventory = require('./Inventory.cjs');
+
+/**
+ * Motivos válidos para aprobar una diferencia de conteo
+ */
+const REASON_CODES = ['merma', 'danado', 'robo', 'vencido', 'error_conteo', 'error_registro', 'otro'];
+
+/**
+ * Modelo StockCount - Multi-tenant
+ * Estados: abierto -> en_revision -> aplicado; abierto/en_revision -> cancelado
+ * La diferencia de cada línea es contado - esperado, donde esperado es el stock del almacén
+ * al abrir el conteo y luego el del último registro de conteo de la línea; al aplicar se
+ * registra como movimiento 'ajuste', así las ventas y entradas ocurridas durante el conteo
+ * no se pierden ni se descuentan dos veces
+ * Cada método requiere un tenantSchema para operar en el schema correcto
+ */
+class StockCount {
+
+  /**
+   * Obtener historial de conteos con filtros opcionales
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} options - Filtros: status, warehouse_id, date_from, date_to, limit, offset
+   * @returns {Promise<Array>} Conteos con resumen de diferencias
+   */
+  static async getAll(tenantSchema, options = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      let whereConditions = [];
+      let params = [];
+      let paramIndex = 1;
+
+      if (options.status) {
+        whereConditions.push(`sc.status = $${paramIndex}`);
+        params.push(options.status);
+        paramIndex++;
+      }
+
+      if (options.warehouse_id) {
+        whereConditions.push(`sc.warehouse_id = $${paramIndex}`);
+        params.push(options.warehouse_id);
+        paramIndex++;
+      }
+
+      if (options.date_from) {
+        whereConditions.push(`sc.created_at >= $${paramIndex}`);
+        params.push(options.date_from);
+        paramIndex++;
+      }
+
+      if (options.date_to) {
+        whereConditions.push(`sc.created_at <= $${paramIndex}`);
+        params.push(options.date_to);
+        paramIndex++;
+      }
+
+      let sql = `
+        SELECT
+          sc.id, sc.warehouse_id, sc.category, sc.status, sc.notes, sc.created_by,
+          sc.submitted_at, sc.posted_at, sc.created_at,
+          w.warehouse_code, w.name as warehouse_name,
+          COUNT(l.id) as line_count,
+          COUNT(l.counted_quantity) as counted_lines,
+          COUNT(*) FILTER (WHERE l.counted_quantity <> l.expected_quantity) as lines_with_variance,
+          COALESCE(SUM(l.counted_quantity - l.expected_quantity), 0) as net_variance_units,
+          ROUND(COALESCE(SUM((l.counted_quantity - l.expected_quantity) * l.unit_cost), 0), 2) as variance_value,
+          ROUND(COALESCE(SUM(l.adjustment_value), 0), 2) as posted_adjustment_value
+        FROM "${tenantSchema}".stock_counts sc
+        JOIN "${tenantSchema}".warehouses w ON sc.warehouse_id = w.id
+        LEFT JOIN "${tenantSchema}".stock_count_lines l ON l.stock_count_id = sc.id
+      `;
+
+      if (whereConditions.length > 0) {
+        sql += ` WHERE ${whereConditions.join(' AND ')}`;
+      }
+
+      sql += `
+        GROUP BY sc.id, w.warehouse_code, w.name
+        ORDER BY sc.created_at DESC, sc.id DESC
+      `;
+
+      if (options.limit) {
+        sql += ` LIMIT $${paramIndex}`;
+        params.push(options.limit);
+        paramIndex++;
+      }
+
+      if (options.offset) {
+        sql += ` OFFSET $${paramIndex}`;
+        params.push(options.offset);
+      }
+
+      const result = await query(sql, params);
+      return result.rows;
+
+    } catch (error) {
+      console.error('💥 Error obteniendo conteos:', error.message);
+      throw new Error(`Error obteniendo conteos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener un conteo con sus líneas, diferencias valorizadas y registros por contador
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} id - ID del conteo
+   * @param {Object} options - { variance_only: solo líneas contadas con diferencia }
+   * @returns {Promise<Object|null>} Conteo con líneas y totales o null
+   */
+  static async getById(tenantSchema, id, options = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const countResult = await query(`
+        SELECT sc.*, w.warehouse_code, w.name as warehouse_name
+        FROM "${tenantSchema}".stock_counts sc
+        JOIN "${tenantSchema}".warehouses w ON sc.warehouse_id = w.id
+        WHERE sc.id = $1
+      `, [id]);
+
+      if (countResult.rows.length === 0) {
+        return null;
+      }
+
+      const linesResult = await query(`
+        SELECT
+          l.id, l.product_id, l.expected_quantity, l.counted_quantity,
+          l.counted_quantity - l.expected_quantity as variance,
+          l.unit_cost,
+          ROUND((l.counted_quantity - l.expected_quantity) * l.unit_cost, 2) as variance_value,
+          l.approved, l.reason_code, l.movement_id, l.adjustment_value,
+          p.sku, p.name as product_name, p.category,
+          (SELECT COALESCE(json_agg(json_build_object(
+              'counted_by', e.counted_by, 'counted_quantity', e.counted_quantity,
+              'expected_quantity', e.expected_quantity,
+              'notes', e.notes, 'created_at', e.created_at
+            ) ORDER BY e.created_at), '[]'::json)
+           FROM "${tenantSchema}".stock_count_entries e
+           WHERE e.line_id = l.id) as entries
+        FROM "${tenantSchema}".stock_count_lines l
+        JOIN "${tenantSchema}".products p ON l.product_id = p.id
+        WHERE l.stock_count_id = $1
+        ${options.variance_only ? 'AND l.counted_quantity IS NOT NULL AND l.counted_quantity <> l.expected_quantity' : ''}
+        ORDER BY ABS((l.counted_quantity - l.expected_quantity) * l.unit_cost) DESC NULLS LAST, p.name
+      `, [id]);
+
+      const lines = linesResult.rows;
+      const counted = lines.filter(line => line.counted_quantity !== null);
+      const withVariance = counted.filter(line => line.variance !== 0);
+      const sumValue = rows => Math.round(rows.reduce((sum, line) => sum + parseFloat(line.variance_value || 0), 0) * 100) / 100;
+
+      return {
+        ...countResult.rows[0],
+        lines,
+        totals: {
+          lines: lines.length,
+          counted_lines: counted.length,
+          lines_with_variance: withVariance.length,
+          approved_lines: lines.filter(line => line.approved).length,
+          net_variance_units: withVariance.reduce((sum, line) => sum + line.variance, 0),
+          variance_value: sumValue(withVariance),
+          shortage_value: sumValue(withVariance.filter(line => line.variance < 0)),
+          overage_value: sumValue(withVariance.filter(line => line.variance > 0))
+        }
+      };
+
+    } catch (error) {
+      console.error('💥 Error obteniendo conteo:', error.message);
+      throw new Error(`Error obteniendo conteo: ${error.message}`);
+    }
+  }
+
+  /**
+   * Abrir un conteo para un almacén, opcionalmente limitado a una categoría o a productos
+   * Toma el stock esperado y congela el costo unitario de cada producto activo del alcance
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} countData - { warehouse_id, category, product_ids, notes }
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<Object>} Conteo creado con líneas
+   */
+  static async create(tenantSchema, countData, context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const { warehouse_id = null, category = null, product_ids = null, notes = null } = countData;
+
+      const countId = await withTransaction(tenantSchema, async (db) => {
+        const warehouse = await Inventory.resolveWarehouse(db, tenantSchema, warehouse_id);
+
+        const whereConditions = ['p.active = true'];
+        const params = [warehouse.id];
+
+        if (category) {
+          params.push(category);
+          whereConditions.push(`p.category = $${params.length}`);
+        }
+
+        if (Array.isArray(product_ids) && product_ids.length > 0) {
+          params.push(product_ids.map(productId => parseInt(productId)));
+          whereConditions.push(`p.id = ANY($${params.length}::int[])`);
+        }
+
+        const productsResult = await db.query(`
+          SELECT p.id, COALESCE(ps.quantity, 0) as expected_quantity,
+                 COALESCE(p.average_cost, p.cost_price, 0) as unit_cost
+          FROM "${tenantSchema}".products p
+          LEFT JOIN "${tenantSchema}".product_stock ps ON ps.product_id = p.id AND ps.warehouse_id = $1
+          WHERE ${whereConditions.join(' AND ')}
+          ORDER BY p.id
+        `, params);
+
+        if (productsResult.rows.length === 0) {
+          throw new Error('No hay productos activos para contar con ese alcance');
+        }
+
+        // Un producto no puede estar en dos conteos vigentes del mismo almacén
+        const overlapResult = await db.query(`
+          SELECT DISTINCT sc.id
+          FROM "${tenantSchema}".stock_counts sc
+          JOIN "${tenantSchema}".stock_count_lines l ON l.stock_count_id = sc.id
+          WHERE sc.warehouse_id = $1 AND sc.status IN ('abierto', 'en_revision')
+            AND l.product_id = ANY($2::int[])
+        `, [warehouse.id, productsResult.rows.map(product => product.id)]);
+
+        if (overlapResult.rows.length > 0) {
+          throw new Error(`Conteo en curso: los productos ya están en el conteo ${overlapResult.rows.map(row => row.id).join(', ')} de ${warehouse.warehouse_code}`);
+        }
+
+        const countResult = await db.query(`
+          INSERT INTO "${tenantSchema}".stock_counts (warehouse_id, category, status, notes, created_by)
+          VALUES ($1, $2, 'abierto', $3, $4)
+          RETURNING *
+        `, [warehouse.id, category, notes, context.userId || null]);
+
+        const count = countResult.rows[0];
+
+        await db.query(`
+          INSERT INTO "${tenantSchema}".stock_count_lines (stock_count_id, product_id, expected_quantity, unit_cost)
+          SELECT $1, product_id, expected_quantity, unit_cost
+          FROM UNNEST($2::int[], $3::int[], $4::numeric[]) AS t(product_id, expected_quantity, unit_cost)
+        `, [
+          count.id,
+          productsResult.rows.map(product => product.id),
+          productsResult.rows.map(product => product.expected_quantity),
+          productsResult.rows.map(product => product.unit_cost)
+        ]);
+
+        await AuditService.record(tenantSchema, context, {
+          action: 'stock_count.create',
+          entity_type: 'stock_count',
+          entity_id: count.id,
+          new_values: { ...count, line_count: productsResult.rows.length }
+        }, db);
+
+        console.log(`✅ Conteo ${count.id} abierto en ${warehouse.warehouse_code} (${productsResult.rows.length} productos)`);
+        return count.id;
+      });
+
+      return await this.getById(tenantSchema, countId);
+
+    } catch (error) {
+      console.error('💥 Error abriendo conteo:', error.message);
+      throw new Error(`Error abriendo conteo: ${error.message}`);
+    }
+  }
+
+  /**
+   * Registrar cantidades contadas
+   * Cada contador registra lo que contó (p. ej. su pasillo); un nuevo registro del mismo
+   * contador reemplaza el anterior y la cantidad contada de la línea es la suma entre contadores
+   * El stock esperado de la línea pasa a ser el del almacén al momento del registro
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} id - ID del conteo
+   * @param {Array} items - [{ product_id, counted_quantity, notes }]
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent } (userId = contador)
+   * @returns {Promise<Object>} Conteo actualizado
+   */
+  static async recordCounts(tenantSchema, id, items = [], context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      if (!Array.isArray(items) || items.length === 0) {
+        throw new Error('Debe registrar al menos una cantidad contada');
+      }
+
+      items.forEach(item => {
+        if (!Number.isInteger(item.counted_quantity) || item.counted_quantity < 0) {
+          throw new Error(`Cantidad contada inválida para el producto ${item.product_id}: debe ser un entero >= 0`);
+        }
+      });
+
+      await withTransaction(tenantSchema, async (db) => {
+        const count = await this.lockCount(db, tenantSchema, id);
+
+        if (count.status !== 'abierto') {
+          throw new Error(`Estado inválido: solo se registran conteos abiertos (estado actual: ${count.status})`);
+        }
+
+        const linesResult = await db.query(`
+          SELECT id, product_id FROM "${tenantSchema}".stock_count_lines WHERE stock_count_id = $1
+        `, [id]);
+        const lines = new Map(linesResult.rows.map(line => [line.product_id, line]));
+
+        // Stock del almacén en este momento: lo contado ya refleja las ventas y entradas
+        // ocurridas desde la apertura (bloquea los productos para que no cambie mientras tanto)
+        const productIds = [...new Set(items.map(item => parseInt(item.product_id)))];
+        await Inventory.lockProducts(db, tenantSchema, productIds);
+        const stockResult = await db.query(`
+          SELECT product_id, quantity
+          FROM "${tenantSchema}".product_stock
+          WHERE warehouse_id = $1 AND product_id = ANY($2::int[])
+        `, [count.warehouse_id, productIds]);
+        const currentStock = new Map(stockResult.rows.map(row => [row.product_id, row.quantity]));
+
+        const touchedLines = new Set();
+        for (const item of items) {
+          const line = lines.get(parseInt(item.product_id));
+          if (!line) {
+            throw new Error(`Producto ${item.product_id} no pertenece al conteo ${id}`);
+          }
+
+          const expectedQuantity = currentStock.get(line.product_id) || 0;
+
+          await db.query(`
+            INSERT INTO "${tenantSchema}".stock_count_entries (line_id, counted_quantity, expected_quantity, counted_by, notes)
+            VALUES ($1, $2, $3, $4, $5)
+          `, [line.id, item.counted_quantity, expectedQuantity, context.userId || null, item.notes || null]);
+
+          await db.query(`
+            UPDATE "${tenantSchema}".stock_count_lines SET expected_quantity = $2 WHERE id = $1
+          `, [line.id, expectedQuantity]);
+
+          touchedLines.add(line.id);
+        }
+
+        // Cantidad de la línea = suma del último registro de cada contador
+        await db.query(`
+          UPDATE "${tenantSchema}".stock_count_lines l
+          SET counted_quantity = latest.total
+          FROM (
+            SELECT line_id, SUM(counted_quantity)::int as total
+            FROM (
+              SELECT DISTINCT ON (line_id, counted_by) line_id, counted_quantity
+              FROM "${tenantSchema}".stock_count_entries
+              WHERE line_id = ANY($1::int[])
+              ORDER BY line_id, counted_by, created_at DESC, id DESC
+            ) per_counter
+            GROUP BY line_id
+          ) latest
+          WHERE l.id = latest.line_id
+        `, [[...touchedLines]]);
+
+        await db.query(`
+          UPDATE "${tenantSchema}".stock_counts SET updated_at = CURRENT_TIMESTAMP WHERE id = $1
+        `, [id]);
+
+        await AuditService.record(tenantSchema, context, {
+          action: 'stock_count.record',
+          entity_type: 'stock_count',
+          entity_id: id,
+          new_values: { items }
+        }, db);
+      });
+
+      return await this.getById(tenantSchema, id);
+
+    } catch (error) {
+      console.error('💥 Error registrando conteo:', error.message);
+      throw new Error(`Error registrando conteo: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cerrar el registro de un conteo y pasarlo a revisión
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} id - ID del conteo
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<Object>} Conteo en revisión
+   */
+  static async submit(tenantSchema, id, context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      await withTransaction(tenantSchema, async (db) => {
+        const count = await this.lockCount(db, tenantSchema, id);
+
+        if (count.status !== 'abierto') {
+          throw new Error(`Estado inválido: solo se envían a revisión conteos abiertos (estado actual: ${count.status})`);
+        }
+
+        const countedResult = await db.query(`
+          SELECT COUNT(counted_quantity)::int as counted
+          FROM "${tenantSchema}".stock_count_lines
+          WHERE stock_count_id = $1
+        `, [id]);
+
+        if (countedResult.rows[0].counted === 0) {
+          throw new Error('El conteo no tiene cantidades registradas');
+        }
+
+        await db.query(`
+          UPDATE "${tenantSchema}".stock_counts
+          SET status = 'en_revision', submitted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+        `, [id]);
+
+        await AuditService.record(tenantSchema, context, {
+          action: 'stock_count.submit',
+          entity_type: 'stock_count',
+          entity_id: id,
+          old_values: { status: count.status },
+          new_values: { status: 'en_revision' }
+        }, db);
+      });
+
+      return await this.getById(tenantSchema, id);
+
+    } catch (error) {
+      console.error('💥 Error enviando conteo a revisión:', error.message);
+      throw new Error(`Error enviando conteo a revisión: ${error.message}`);
+    }
+  }
+
+  /**
+   * Aprobar o rechazar diferencias de un conteo en revisión
+   * Aprobar una línea con diferencia requiere un reason_code válido
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} id - ID del conteo
+   * @param {Array} decisions - [{ product_id, approved, reason_code }]
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<Object>} Conteo actualizado
+   */
+  static async review(tenantSchema, id, decisions = [], context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      if (!Array.isArray(decisions) || decisions.length === 0) {
+        throw new Error('Debe indicar al menos una línea a revisar');
+      }
+
+      await withTransaction(tenantSchema, async (db) => {
+        const count = await this.lockCount(db, tenantSchema, id);
+
+        if (count.status !== 'en_revision') {
+          throw new Error(`Estado inválido: solo se revisan conteos en revisión (estado actual: ${count.status})`);
+        }
+
+        const linesResult = await db.query(`
+          SELECT id, product_id, expected_quantity, counted_quantity
+          FROM "${tenantSchema}".stock_count_lines
+          WHERE stock_count_id = $1
+        `, [id]);
+        const lines = new Map(linesResult.rows.map(line => [line.product_id, line]));
+
+        for (const decision of decisions) {
+          const line = lines.get(parseInt(decision.product_id));
+          if (!line) {
+            throw new Error(`Producto ${decision.product_id} no pertenece al conteo ${id}`);
+          }
+
+          const approved = decision.approved === true;
+          if (approved) {
+            if (line.counted_quantity === null) {
+              throw new Error(`Motivo inválido: el producto ${decision.product_id} no fue contado`);
+            }
+            if (line.counted_quantity !== line.expected_quantity && !REASON_CODES.includes(decision.reason_code)) {
+              throw new Error(`Motivo inválido para el producto ${decision.product_id}. Válidos: ${REASON_CODES.join(', ')}`);
+            }
+          }
+
+          await db.query(`
+            UPDATE "${tenantSchema}".stock_count_lines
+            SET approved = $2, reason_code = $3
+            WHERE id = $1
+          `, [line.id, approved, approved ? decision.reason_code || null : null]);
+        }
+
+        await AuditService.record(tenantSchema, context, {
+          action: 'stock_count.review',
+          entity_type: 'stock_count',
+          entity_id: id,
+          new_values: { decisions }
+        }, db);
+      });
+
+      return await this.getById(tenantSchema, id);
+
+    } catch (error) {
+      console.error('💥 Error revisando conteo:', error.message);
+      throw new Error(`Error revisando conteo: ${error.message}`);
+    }
+  }
+
+  /**
+   * Aplicar un conteo en revisión: cada línea aprobada con diferencia genera un movimiento
+   * 'ajuste' (reference_type 'conteo') por contado - esperado en el almacén del conteo
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} id - ID del conteo
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<Object>} Conteo aplicado con los movimientos generados
+   */
+  static async post(tenantSchema, id, context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const movements = await withTransaction(tenantSchema, async (db) => {
+        const count = await this.lockCount(db, tenantSchema, id);
+
+        if (count.status !== 'en_revision') {
+          throw new Error(`Estado inválido: solo se aplican conteos en revisión (estado actual: ${count.status})`);
+        }
+
+        const linesResult = await db.query(`
+          SELECT id, product_id, expected_quantity, counted_quantity, unit_cost, reason_code
+          FROM "${tenantSchema}".stock_count_lines
+          WHERE stock_count_id = $1 AND approved = true AND counted_quantity <> expected_quantity
+          ORDER BY product_id
+        `, [id]);
+
+        const products = linesResult.rows.length > 0
+          ? await Inventory.lockProducts(db, tenantSchema, linesResult.rows.map(line => line.product_id))
+          : new Map();
+
+        const createdMovements = [];
+        for (const line of linesResult.rows) {
+          const variance = line.counted_quantity - line.expected_quantity;
+
+          const movement = await Inventory.applyMovement(db, tenantSchema, products.get(line.product_id), {
+            movement_type: 'ajuste',
+            quantity: variance,
+            warehouse_id: count.warehouse_id,
+            cost_per_unit: line.unit_cost,
+            reference_type: 'conteo',
+            reference_id: count.id,
+            notes: `Conteo ${count.id}: ${line.reason_code}`
+          });
+
+          await db.query(`
+            UPDATE "${tenantSchema}".stock_count_lines
+            SET movement_id = $2, adjustment_value = $3
+            WHERE id = $1
+          `, [line.id, movement.id, variance < 0 ? -movement.total_cost : movement.total_cost]);
+
+          createdMovements.push(movement);
+        }
+
+        await db.query(`
+          UPDATE "${tenantSchema}".stock_counts
+          SET status = 'aplicado', posted_by = $2, posted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+        `, [id, context.userId || null]);
+
+        await AuditService.record(tenantSchema, context, {
+          action: 'stock_count.post',
+          entity_type: 'stock_count',
+          entity_id: id,
+          old_values: { status: count.status },
+          new_values: { status: 'aplicado', movements: createdMovements.map(movement => movement.id) }
+        }, db);
+
+        return createdMovements;
+      });
+
+      console.log(`✅ Conteo ${id} aplicado: ${movements.length} ajustes`);
+      const count = await this.getById(tenantSchema, id);
+      return { ...count, movements };
+
+    } catch (error) {
+      console.error('💥 Error aplicando conteo:', error.message);
+      throw new Error(`Error aplicando conteo: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cancelar un conteo abierto o en revisión (no genera ajustes)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} id - ID del conteo
+   * @param {string} reason - Razón de la cancelación
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<Object>} Conteo cancelado
+   */
+  static async cancel(tenantSchema, id, reason = 'Cancelación manual', context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      await withTransaction(tenantSchema, async (db) => {
+        const count = await this.lockCount(db, tenantSchema, id);
+
+        if (!['abierto', 'en_revision'].includes(count.status)) {
+          throw new Error(`Estado inválido: no se puede cancelar un conteo en estado ${count.status}`);
+        }
+
+        await db.query(`
+          UPDATE "${tenantSchema}".stock_counts
+          SET status = 'cancelado', cancelled_reason = $2, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+        `, [id, reason]);
+
+        await AuditService.record(tenantSchema, context, {
+          action: 'stock_count.cancel',
+          entity_type: 'stock_count',
+          entity_id: id,
+          old_values: { status: count.status },
+          new_values: { status: 'cancelado', cancelled_reason: reason }
+        }, db);
+      });
+
+      return await this.getById(tenantSchema, id);
+
+    } catch (error) {
+      console.error('💥 Error cancelando conteo:', error.message);
+      throw new Error(`Error cancelando conteo: ${error.message}`);
+    }
+  }
+
+  /**
+   * Bloquear un conteo dentro de una transacción
+   * @param {Object} db - Cliente de transacción (withTransaction)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} id - ID del conteo
+   * @returns {Promise<Object>} Conteo bloqueado
+   */
+  static async lockCount(db, tenantSchema, id) {
+    const result = await db.query(`
+      SELECT * FROM "${tenantSchema}".stock_counts WHERE id = $1 FOR UPDATE
+    `, [id]);
+
+    if (result.rows.length === 0) {
+      throw new Error(`Conteo con ID ${id} no encontrado`);
+    }
+
+    return result.rows[0];
+  }
+}
+
+module.exports = StockCount;
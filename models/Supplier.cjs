@@ -0,0 +1,292 @@
+// =====================================================================================
+// FLUXION AI - SUPPLIER MODEL (MULTI-TENANT)
+// Modelo de datos para proveedores con soporte multi-tenant
+// =====================================================================================
+
+const { query } = require('../config/database.cjs');
+const AuditService = require('../services/AuditService.cjs');
+
+const SUPPLIER_FIELDS = `
+  id, supplier_code, business_name, contact_person, email, phone,
+  address, city, state, tax_id, payment_terms, lead_time_days, notes,
+  active, created_at, updated_at
+`;
+
+/**
+ * Modelo Supplier con operaciones CRUD - Multi-tenant
+ * Cada método requiere un tenantSchema para operar en el schema correcto
+ */
+class Supplier {
+
+  /**
+   * Obtener todos los proveedores con filtros opcionales
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} options - Opciones de filtrado (active, city, search, limit, offset)
+   * @returns {Promise<Array>} Lista de proveedores
+   */
+  static async getAll(tenantSchema, options = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      let whereConditions = [];
+      let params = [];
+      let paramIndex = 1;
+
+      if (options.active !== undefined) {
+        whereConditions.push(`active = $${paramIndex}`);
+        params.push(options.active);
+        paramIndex++;
+      }
+
+      if (options.city) {
+        whereConditions.push(`city ILIKE $${paramIndex}`);
+        params.push(`%${options.city}%`);
+        paramIndex++;
+      }
+
+      if (options.search) {
+        whereConditions.push(`(business_name ILIKE $${paramIndex} OR supplier_code ILIKE $${paramIndex})`);
+        params.push(`%${options.search}%`);
+        paramIndex++;
+      }
+
+      let sql = `SELECT ${SUPPLIER_FIELDS} FROM "${tenantSchema}".suppliers`;
+
+      if (whereConditions.length > 0) {
+        sql += ` WHERE ${whereConditions.join(' AND ')}`;
+      }
+
+      sql += ' ORDER BY business_name';
+
+      if (options.limit) {
+        sql += ` LIMIT $${paramIndex}`;
+        params.push(options.limit);
+        paramIndex++;
+      }
+
+      if (options.offset) {
+        sql += ` OFFSET $${paramIndex}`;
+        params.push(options.offset);
+      }
+
+      const result = await query(sql, params);
+      return result.rows;
+
+    } catch (error) {
+      console.error('💥 Error obteniendo proveedores:', error.message);
+      throw new Error(`Error obteniendo proveedores: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener un proveedor por ID
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} id - ID del proveedor
+   * @returns {Promise<Object|null>} Proveedor encontrado o null
+   */
+  static async getById(tenantSchema, id) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const result = await query(`
+        SELECT ${SUPPLIER_FIELDS}
+        FROM "${tenantSchema}".suppliers
+        WHERE id = $1
+      `, [id]);
+
+      return result.rows[0] || null;
+
+    } catch (error) {
+      console.error('💥 Error obteniendo proveedor por ID:', error.message);
+      throw new Error(`Error obteniendo proveedor: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener un proveedor por código
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {string} supplierCode - Código del proveedor
+   * @returns {Promise<Object|null>} Proveedor encontrado o null
+   */
+  static async getByCode(tenantSchema, supplierCode) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const result = await query(`
+        SELECT ${SUPPLIER_FIELDS}
+        FROM "${tenantSchema}".suppliers
+        WHERE supplier_code = $1
+      `, [supplierCode]);
+
+      return result.rows[0] || null;
+
+    } catch (error) {
+      console.error('💥 Error obteniendo proveedor por código:', error.message);
+      throw new Error(`Error obteniendo proveedor: ${error.message}`);
+    }
+  }
+
+  /**
+   * Crear un nuevo proveedor
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} supplierData - Datos del proveedor
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<Object>} Proveedor creado
+   */
+  static async create(tenantSchema, supplierData, context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const {
+        supplier_code, business_name, contact_person, email, phone,
+        address, city, state, tax_id, payment_terms = 30, lead_time_days = 7,
+        notes, active = true
+      } = supplierData;
+
+      const existing = await this.getByCode(tenantSchema, supplier_code);
+      if (existing) {
+        throw new Error(`Ya existe un proveedor con código: ${supplier_code}`);
+      }
+
+      const result = await query(`
+        INSERT INTO "${tenantSchema}".suppliers (
+          supplier_code, business_name, contact_person, email, phone,
+          address, city, state, tax_id, payment_terms, lead_time_days, notes, active
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        RETURNING *
+      `, [
+        supplier_code, business_name, contact_person, email, phone,
+        address, city, state, tax_id, payment_terms, lead_time_days, notes, active
+      ]);
+
+      await AuditService.record(tenantSchema, context, {
+        action: 'supplier.create',
+        entity_type: 'supplier',
+        entity_id: result.rows[0].id,
+        new_values: result.rows[0]
+      });
+
+      return result.rows[0];
+
+    } catch (error) {
+      console.error('💥 Error creando proveedor:', error.message);
+      throw new Error(`Error creando proveedor: ${error.message}`);
+    }
+  }
+
+  /**
+   * Actualizar un proveedor
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} id - ID del proveedor
+   * @param {Object} updateData - Datos a actualizar
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<Object>} Proveedor actualizado
+   */
+  static async update(tenantSchema, id, updateData, context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const existing = await this.getById(tenantSchema, id);
+      if (!existing) {
+        throw new Error(`Proveedor con ID ${id} no encontrado`);
+      }
+
+      const updateFields = [];
+      const params = [];
+      let paramIndex = 1;
+
+      const allowedFields = [
+        'supplier_code', 'business_name', 'contact_person', 'email', 'phone',
+        'address', 'city', 'state', 'tax_id', 'payment_terms', 'lead_time_days',
+        'notes', 'active'
+      ];
+
+      Object.keys(updateData).forEach(field => {
+        if (allowedFields.includes(field)) {
+          updateFields.push(`${field} = $${paramIndex}`);
+          params.push(updateData[field]);
+          paramIndex++;
+        }
+      });
+
+      if (updateFields.length === 0) {
+        throw new Error('No hay campos válidos para actualizar');
+      }
+
+      params.push(id);
+      const result = await query(`
+        UPDATE "${tenantSchema}".suppliers
+        SET ${updateFields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $${paramIndex}
+        RETURNING *
+      `, params);
+
+      await AuditService.record(tenantSchema, context, {
+        action: 'supplier.update',
+        entity_type: 'supplier',
+        entity_id: id,
+        old_values: existing,
+        new_values: result.rows[0]
+      });
+
+      return result.rows[0];
+
+    } catch (error) {
+      console.error('💥 Error actualizando proveedor:', error.message);
+      throw new Error(`Error actualizando proveedor: ${error.message}`);
+    }
+  }
+
+  /**
+   * Eliminar un proveedor (soft delete)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} id - ID del proveedor
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<boolean>} True si se eliminó exitosamente
+   */
+  static async delete(tenantSchema, id, context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const existing = await this.getById(tenantSchema, id);
+      if (!existing) {
+        return false;
+      }
+
+      const result = await query(`
+        UPDATE "${tenantSchema}".suppliers
+        SET active = false, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING id
+      `, [id]);
+
+      await AuditService.record(tenantSchema, context, {
+        action: 'supplier.delete',
+        entity_type: 'supplier',
+        entity_id: id,
+        old_values: existing,
+        new_values: { active: false }
+      });
+
+      return result.rowCount > 0;
+
+    } catch (error) {
+      console.error('💥 Error eliminando proveedor:', error.message);
+      throw new Error(`Error eliminando proveedor: ${error.message}`);
+    }
+  }
+}
+
+module.exports = Supplier;
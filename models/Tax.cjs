@@ -0,0 +1,635 @@
+// =====================================================================================
+// FLUXION AI - TAX MODEL (MULTI-TENANT)
+// Tasas de impuesto, asignación a productos y categorías, cálculo por línea y resumen fiscal
+// =====================================================================================
+
+const { query, withTransaction, tenantCodeFromSchema } = require('../config/database.cjs');
+const AuditService = require('../services/AuditService.cjs');
+const ExchangeRate = require('./ExchangeRate.cjs');
+
+/**
+ * Modos de precio: exclusive suma el impuesto al precio, inclusive lo extrae del precio
+ */
+const PRICING_MODES = ['exclusive', 'inclusive'];
+const DEFAULT_PRICING_MODE = 'exclusive';
+
+/**
+ * Agrupaciones del resumen fiscal (formato de TO_CHAR)
+ */
+const REPORT_PERIODS = {
+  day: 'YYYY-MM-DD',
+  week: 'IYYY-IW',
+  month: 'YYYY-MM',
+  quarter: 'YYYY-"Q"Q',
+  year: 'YYYY'
+};
+
+const TAX_RATE_FIELDS = `
+  id, code, name, rate, exempt, is_default, active, notes, created_at, updated_at
+`;
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+/**
+ * Modelo Tax - Multi-tenant
+ * Resolución de la tasa de un producto: la tasa del producto, luego la de su categoría y por
+ * último la tasa predeterminada del tenant (las tasas inactivas se ignoran); sin ninguna, la
+ * línea no lleva impuesto
+ * Cada método requiere un tenantSchema para operar en el schema correcto
+ */
+class Tax {
+
+  /**
+   * Modo de precios del tenant (tenants.settings.tax_pricing_mode)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} db - Cliente de transacción (opcional)
+   * @returns {Promise<string>} 'exclusive' o 'inclusive'
+   */
+  static async getPricingMode(tenantSchema, db = null) {
+    const runQuery = db ? db.query.bind(db) : query;
+
+    const result = await runQuery(`
+      SELECT settings->>'tax_pricing_mode' as mode
+      FROM public.tenants
+      WHERE tenant_code = $1
+    `, [tenantCodeFromSchema(tenantSchema)]);
+
+    const mode = result.rows[0]?.mode;
+    return PRICING_MODES.includes(mode) ? mode : DEFAULT_PRICING_MODE;
+  }
+
+  /**
+   * Cambiar el modo de precios del tenant
+   * Afecta las ventas siguientes; cada venta guarda el modo con el que se calculó
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {string} mode - 'exclusive' o 'inclusive'
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<Object>} { previous_mode, pricing_mode }
+   */
+  static async setPricingMode(tenantSchema, mode, context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      if (!PRICING_MODES.includes(mode)) {
+        throw new Error(`Modo de precios inválido: ${mode}. Válidos: ${PRICING_MODES.join(', ')}`);
+      }
+
+      return await withTransaction(tenantSchema, async (db) => {
+        const previousMode = await this.getPricingMode(tenantSchema, db);
+
+        await db.query(`
+          UPDATE public.tenants
+          SET settings = COALESCE(settings, '{}'::jsonb) || jsonb_build_object('tax_pricing_mode', $1::text),
+              updated_at = CURRENT_TIMESTAMP
+          WHERE tenant_code = $2
+        `, [mode, tenantCodeFromSchema(tenantSchema)]);
+
+        await AuditService.record(tenantSchema, context, {
+          action: 'tax.pricing_mode',
+          entity_type: 'tenant_settings',
+          old_values: { tax_pricing_mode: previousMode },
+          new_values: { tax_pricing_mode: mode }
+        }, db);
+
+        console.log(`✅ Modo de precios de ${tenantSchema}: ${previousMode} → ${mode}`);
+        return { previous_mode: previousMode, pricing_mode: mode };
+      });
+
+    } catch (error) {
+      console.error('💥 Error cambiando modo de precios:', error.message);
+      throw new Error(`Error cambiando modo de precios: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener tasas de impuesto
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} options - Filtros: active
+   * @returns {Promise<Array>} Tasas con cantidad de productos y categorías asignadas
+   */
+  static async getAll(tenantSchema, options = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const params = [];
+      let whereClause = '';
+
+      if (options.active !== undefined) {
+        params.push(options.active);
+        whereClause = 'WHERE tr.active = $1';
+      }
+
+      const result = await query(`
+        SELECT
+          tr.id, tr.code, tr.name, tr.rate, tr.exempt, tr.is_default, tr.active, tr.notes,
+          tr.created_at, tr.updated_at,
+          (SELECT COUNT(*) FROM "${tenantSchema}".products p WHERE p.tax_rate_id = tr.id AND p.active = true)::int as product_count,
+          COALESCE((
+            SELECT array_agg(ct.category ORDER BY ct.category)
+            FROM "${tenantSchema}".category_tax_rates ct
+            WHERE ct.tax_rate_id = tr.id
+          ), '{}') as categories
+        FROM "${tenantSchema}".tax_rates tr
+        ${whereClause}
+        ORDER BY tr.active DESC, tr.is_default DESC, tr.rate DESC, tr.code
+      `, params);
+
+      return result.rows;
+
+    } catch (error) {
+      console.error('💥 Error obteniendo tasas de impuesto:', error.message);
+      throw new Error(`Error obteniendo tasas de impuesto: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener una tasa de impuesto
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} id - ID de la tasa
+   * @returns {Promise<Object|null>} Tasa o null
+   */
+  static async getById(tenantSchema, id) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const result = await query(`
+        SELECT ${TAX_RATE_FIELDS}
+        FROM "${tenantSchema}".tax_rates
+        WHERE id = $1
+      `, [id]);
+
+      return result.rows[0] || null;
+
+    } catch (error) {
+      console.error('💥 Error obteniendo tasa de impuesto:', error.message);
+      throw new Error(`Error obteniendo tasa de impuesto: ${error.message}`);
+    }
+  }
+
+  /**
+   * Crear una tasa de impuesto
+   * is_default reemplaza a la tasa predeterminada anterior
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} rateData - { code, name, rate (porcentaje), exempt, is_default, notes }
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<Object>} Tasa creada
+   */
+  static async create(tenantSchema, rateData, context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const { code, name, rate = 0, exempt = false, is_default = false, notes = null } = rateData;
+      const taxCode = String(code).trim().toUpperCase();
+
+      this.validateRate({ rate, exempt });
+
+      return await withTransaction(tenantSchema, async (db) => {
+        const existing = await db.query(`
+          SELECT id FROM "${tenantSchema}".tax_rates WHERE code = $1
+        `, [taxCode]);
+
+        if (existing.rows.length > 0) {
+          throw new Error(`Ya existe una tasa de impuesto con código: ${taxCode}`);
+        }
+
+        if (is_default) {
+          await this.clearDefault(db, tenantSchema);
+        }
+
+        const result = await db.query(`
+          INSERT INTO "${tenantSchema}".tax_rates (code, name, rate, exempt, is_default, notes)
+          VALUES ($1, $2, $3, $4, $5, $6)
+          RETURNING ${TAX_RATE_FIELDS}
+        `, [taxCode, name, parseFloat(rate), exempt, is_default, notes]);
+
+        await AuditService.record(tenantSchema, context, {
+          action: 'tax_rate.create',
+          entity_type: 'tax_rate',
+          entity_id: result.rows[0].id,
+          new_values: result.rows[0]
+        }, db);
+
+        return result.rows[0];
+      });
+
+    } catch (error) {
+      console.error('💥 Error creando tasa de impuesto:', error.message);
+      throw new Error(`Error creando tasa de impuesto: ${error.message}`);
+    }
+  }
+
+  /**
+   * Actualizar una tasa de impuesto
+   * Las ventas ya registradas conservan la tasa con la que se calcularon
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} id - ID de la tasa
+   * @param {Object} updateData - Campos a actualizar
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<Object>} Tasa actualizada
+   */
+  static async update(tenantSchema, id, updateData, context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const existing = await this.getById(tenantSchema, id);
+      if (!existing) {
+        throw new Error(`Tasa de impuesto con ID ${id} no encontrada`);
+      }
+
+      const allowedFields = ['name', 'rate', 'exempt', 'is_default', 'active', 'notes'];
+      const fields = Object.keys(updateData).filter(field => allowedFields.includes(field));
+
+      if (fields.length === 0) {
+        throw new Error('No hay campos válidos para actualizar');
+      }
+
+      this.validateRate({ ...existing, ...updateData });
+
+      return await withTransaction(tenantSchema, async (db) => {
+        if (updateData.is_default && !existing.is_default) {
+          await this.clearDefault(db, tenantSchema);
+        }
+
+        const params = fields.map(field => updateData[field]);
+        params.push(id);
+
+        const result = await db.query(`
+          UPDATE "${tenantSchema}".tax_rates
+          SET ${fields.map((field, index) => `${field} = $${index + 1}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $${params.length}
+          RETURNING ${TAX_RATE_FIELDS}
+        `, params);
+
+        await AuditService.record(tenantSchema, context, {
+          action: 'tax_rate.update',
+          entity_type: 'tax_rate',
+          entity_id: id,
+          old_values: existing,
+          new_values: result.rows[0]
+        }, db);
+
+        return result.rows[0];
+      });
+
+    } catch (error) {
+      console.error('💥 Error actualizando tasa de impuesto:', error.message);
+      throw new Error(`Error actualizando tasa de impuesto: ${error.message}`);
+    }
+  }
+
+  /**
+   * Desactivar una tasa de impuesto (soft delete)
+   * Los productos y categorías que la usaban pasan a la siguiente tasa aplicable
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} id - ID de la tasa
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<boolean>} True si se desactivó
+   */
+  static async delete(tenantSchema, id, context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const result = await query(`
+        UPDATE "${tenantSchema}".tax_rates
+        SET active = false, is_default = false, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING id, code, is_default
+      `, [id]);
+
+      if (result.rowCount === 0) {
+        return false;
+      }
+
+      await AuditService.record(tenantSchema, context, {
+        action: 'tax_rate.delete',
+        entity_type: 'tax_rate',
+        entity_id: id,
+        old_values: { code: result.rows[0].code, active: true },
+        new_values: { active: false }
+      });
+
+      return true;
+
+    } catch (error) {
+      console.error('💥 Error eliminando tasa de impuesto:', error.message);
+      throw new Error(`Error eliminando tasa de impuesto: ${error.message}`);
+    }
+  }
+
+  /**
+   * Tasas asignadas por categoría
+   * @param {string} tenantSchema - Schema del tenant
+   * @returns {Promise<Array>} [{ category, tax_rate_id, code, name, rate, product_count }]
+   */
+  static async getCategoryRates(tenantSchema) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const result = await query(`
+        SELECT
+          ct.category, ct.tax_rate_id, tr.code, tr.name, tr.rate, tr.exempt, tr.active, ct.updated_at,
+          (SELECT COUNT(*) FROM "${tenantSchema}".products p WHERE p.category = ct.category AND p.active = true)::int as product_count
+        FROM "${tenantSchema}".category_tax_rates ct
+        JOIN "${tenantSchema}".tax_rates tr ON ct.tax_rate_id = tr.id
+        ORDER BY ct.category
+      `);
+
+      return result.rows;
+
+    } catch (error) {
+      console.error('💥 Error obteniendo impuestos por categoría:', error.message);
+      throw new Error(`Error obteniendo impuestos por categoría: ${error.message}`);
+    }
+  }
+
+  /**
+   * Asignar (o quitar, con taxRateId nulo) la tasa de una categoría
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {string} category - Categoría de producto
+   * @param {number|null} taxRateId - ID de la tasa
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<Object>} { category, tax_rate_id, previous_tax_rate_id }
+   */
+  static async setCategoryRate(tenantSchema, category, taxRateId, context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      return await withTransaction(tenantSchema, async (db) => {
+        const previous = await db.query(`
+          SELECT tax_rate_id FROM "${tenantSchema}".category_tax_rates WHERE category = $1
+        `, [category]);
+        const previousRateId = previous.rows[0]?.tax_rate_id || null;
+
+        if (taxRateId) {
+          const rateResult = await db.query(`
+            SELECT id FROM "${tenantSchema}".tax_rates WHERE id = $1 AND active = true
+          `, [taxRateId]);
+
+          if (rateResult.rows.length === 0) {
+            throw new Error(`Tasa de impuesto con ID ${taxRateId} no encontrada o inactiva`);
+          }
+
+          await db.query(`
+            INSERT INTO "${tenantSchema}".category_tax_rates (category, tax_rate_id)
+            VALUES ($1, $2)
+            ON CONFLICT (category)
+            DO UPDATE SET tax_rate_id = EXCLUDED.tax_rate_id, updated_at = CURRENT_TIMESTAMP
+          `, [category, taxRateId]);
+        } else {
+          await db.query(`
+            DELETE FROM "${tenantSchema}".category_tax_rates WHERE category = $1
+          `, [category]);
+        }
+
+        await AuditService.record(tenantSchema, context, {
+          action: 'tax_rate.category',
+          entity_type: 'tax_category',
+          old_values: { category, tax_rate_id: previousRateId },
+          new_values: { category, tax_rate_id: taxRateId || null }
+        }, db);
+
+        return { category, tax_rate_id: taxRateId || null, previous_tax_rate_id: previousRateId };
+      });
+
+    } catch (error) {
+      console.error('💥 Error asignando impuesto a categoría:', error.message);
+      throw new Error(`Error asignando impuesto a categoría: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolver la tasa aplicable a varios productos (producto > categoría > predeterminada)
+   * @param {Object} db - Cliente de transacción (opcional)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Array<number>} productIds - IDs de productos
+   * @returns {Promise<Map>} product_id -> { tax_rate_id, code, name, rate, exempt, source } (null sin tasa)
+   */
+  static async resolveRates(db, tenantSchema, productIds) {
+    const runQuery = db ? db.query.bind(db) : query;
+    const ids = [...new Set(productIds.map(id => parseInt(id)))];
+
+    if (ids.length === 0) {
+      return new Map();
+    }
+
+    const result = await runQuery(`
+      SELECT
+        p.id as product_id,
+        COALESCE(pt.id, ct.id, dt.id) as tax_rate_id,
+        COALESCE(pt.code, ct.code, dt.code) as code,
+        COALESCE(pt.name, ct.name, dt.name) as name,
+        COALESCE(pt.rate, ct.rate, dt.rate) as rate,
+        COALESCE(pt.exempt, ct.exempt, dt.exempt) as exempt,
+        CASE
+          WHEN pt.id IS NOT NULL THEN 'product'
+          WHEN ct.id IS NOT NULL THEN 'category'
+          WHEN dt.id IS NOT NULL THEN 'default'
+        END as source
+      FROM "${tenantSchema}".products p
+      LEFT JOIN "${tenantSchema}".tax_rates pt ON pt.id = p.tax_rate_id AND pt.active = true
+      LEFT JOIN "${tenantSchema}".category_tax_rates c ON c.category = p.category
+      LEFT JOIN "${tenantSchema}".tax_rates ct ON ct.id = c.tax_rate_id AND ct.active = true
+      LEFT JOIN "${tenantSchema}".tax_rates dt ON dt.is_default = true AND dt.active = true
+      WHERE p.id = ANY($1::int[])
+    `, [ids]);
+
+    return new Map(result.rows.map(row => [
+      row.product_id,
+      row.tax_rate_id
+        ? {
+          tax_rate_id: row.tax_rate_id,
+          code: row.code,
+          name: row.name,
+          rate: parseFloat(row.rate),
+          exempt: row.exempt,
+          source: row.source
+        }
+        : null
+    ]));
+  }
+
+  /**
+   * Calcular el impuesto de una línea
+   * exclusive: el monto es la base imponible; inclusive: el monto ya incluye el impuesto y se
+   * separa la base (base + impuesto = monto, sin diferencias de redondeo)
+   * @param {number} amount - Monto de la línea (neto de descuentos)
+   * @param {number} rate - Porcentaje de la tasa (0 sin impuesto)
+   * @param {boolean} pricesIncludeTax - true si el monto incluye el impuesto
+   * @returns {Object} { taxable_amount, tax_amount }
+   */
+  static computeLineTax(amount, rate, pricesIncludeTax) {
+    const lineAmount = roundMoney(amount);
+    const percent = parseFloat(rate) || 0;
+
+    if (pricesIncludeTax) {
+      const taxableAmount = roundMoney(lineAmount / (1 + percent / 100));
+      return { taxable_amount: taxableAmount, tax_amount: roundMoney(lineAmount - taxableAmount) };
+    }
+
+    return { taxable_amount: lineAmount, tax_amount: roundMoney(lineAmount * percent / 100) };
+  }
+
+  /**
+   * Resumen fiscal por período y tasa, en moneda base
+   * Las ventas cuentan en su fecha y las devoluciones restan en la fecha de la devolución
+   * (base devuelta y la parte proporcional del impuesto de la línea); las ventas canceladas
+   * no cuentan. Las líneas registradas antes de configurar impuestos aparecen sin tasa
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} options - { period: 'day'|'week'|'month'|'quarter'|'year', date_from, date_to }
+   * @returns {Promise<Object>} { base_currency, period, rows, totals_by_rate, totals }
+   */
+  static async getSummary(tenantSchema, options = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const period = (options.period || 'month').toLowerCase();
+      const dateFormat = REPORT_PERIODS[period];
+      if (!dateFormat) {
+        throw new Error(`Período inválido: ${options.period}. Use: ${Object.keys(REPORT_PERIODS).join(', ')}`);
+      }
+
+      const conditions = [];
+      const params = [dateFormat];
+
+      if (options.date_from) {
+        params.push(options.date_from);
+        conditions.push(`l.doc_date >= $${params.length}::date`);
+      }
+
+      if (options.date_to) {
+        params.push(options.date_to);
+        conditions.push(`l.doc_date <= $${params.length}::date`);
+      }
+
+      const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const result = await query(`
+        WITH lines AS (
+          SELECT
+            s.sale_date::date as doc_date, 'venta' as doc_type, s.id as sale_id,
+            sd.tax_rate_id, sd.tax_rate,
+            sd.total_price * s.exchange_rate as taxable_amount,
+            sd.tax_amount * s.exchange_rate as tax_amount
+          FROM "${tenantSchema}".sale_details sd
+          JOIN "${tenantSchema}".sales s ON sd.sale_id = s.id
+          WHERE s.payment_status != 'cancelado'
+
+          UNION ALL
+
+          SELECT
+            sr.return_date as doc_date, 'devolucion' as doc_type, s.id as sale_id,
+            sd.tax_rate_id, sd.tax_rate,
+            -rl.line_amount * s.exchange_rate as taxable_amount,
+            -(sd.tax_amount * rl.quantity / sd.quantity) * s.exchange_rate as tax_amount
+          FROM "${tenantSchema}".sale_return_lines rl
+          JOIN "${tenantSchema}".sale_returns sr ON rl.return_id = sr.id
+          JOIN "${tenantSchema}".sale_details sd ON rl.sale_detail_id = sd.id
+          JOIN "${tenantSchema}".sales s ON sd.sale_id = s.id
+          WHERE s.payment_status != 'cancelado'
+        )
+        SELECT
+          TO_CHAR(l.doc_date, $1) as period,
+          l.tax_rate_id, tr.code, tr.name, l.tax_rate, COALESCE(tr.exempt, false) as exempt,
+          COUNT(DISTINCT l.sale_id) FILTER (WHERE l.doc_type = 'venta')::int as sales_count,
+          ROUND(COALESCE(SUM(l.taxable_amount) FILTER (WHERE l.doc_type = 'venta'), 0), 2) as sales_taxable,
+          ROUND(COALESCE(SUM(l.tax_amount) FILTER (WHERE l.doc_type = 'venta'), 0), 2) as sales_tax,
+          ROUND(COALESCE(-SUM(l.taxable_amount) FILTER (WHERE l.doc_type = 'devolucion'), 0), 2) as returns_taxable,
+          ROUND(COALESCE(-SUM(l.tax_amount) FILTER (WHERE l.doc_type = 'devolucion'), 0), 2) as returns_tax,
+          ROUND(SUM(l.taxable_amount), 2) as net_taxable,
+          ROUND(SUM(l.tax_amount), 2) as net_tax
+        FROM lines l
+        LEFT JOIN "${tenantSchema}".tax_rates tr ON l.tax_rate_id = tr.id
+        ${whereClause}
+        GROUP BY TO_CHAR(l.doc_date, $1), l.tax_rate_id, tr.code, tr.name, l.tax_rate, tr.exempt
+        ORDER BY period, l.tax_rate DESC, tr.code
+      `, params);
+
+      const amountFields = ['sales_taxable', 'sales_tax', 'returns_taxable', 'returns_tax', 'net_taxable', 'net_tax'];
+      const rows = result.rows.map(row => {
+        const mapped = { ...row, tax_rate: parseFloat(row.tax_rate) };
+        amountFields.forEach(field => { mapped[field] = parseFloat(row[field]); });
+        return mapped;
+      });
+
+      const addAmounts = (target, row) => {
+        amountFields.forEach(field => { target[field] = roundMoney((target[field] || 0) + row[field]); });
+        return target;
+      };
+
+      const byRate = new Map();
+      for (const row of rows) {
+        const key = `${row.tax_rate_id}:${row.tax_rate}`;
+        if (!byRate.has(key)) {
+          byRate.set(key, {
+            tax_rate_id: row.tax_rate_id, code: row.code, name: row.name,
+            tax_rate: row.tax_rate, exempt: row.exempt
+          });
+        }
+        addAmounts(byRate.get(key), row);
+      }
+
+      return {
+        base_currency: await ExchangeRate.getBaseCurrency(tenantSchema),
+        period,
+        date_from: options.date_from || null,
+        date_to: options.date_to || null,
+        rows,
+        totals_by_rate: [...byRate.values()],
+        totals: rows.reduce(addAmounts, Object.fromEntries(amountFields.map(field => [field, 0])))
+      };
+
+    } catch (error) {
+      console.error('💥 Error generando resumen de impuestos:', error.message);
+      throw new Error(`Error generando resumen de impuestos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Quitar la marca de predeterminada a la tasa actual
+   * @param {Object} db - Cliente de transacción
+   * @param {string} tenantSchema - Schema del tenant
+   */
+  static async clearDefault(db, tenantSchema) {
+    await db.query(`
+      UPDATE "${tenantSchema}".tax_rates
+      SET is_default = false, updated_at = CURRENT_TIMESTAMP
+      WHERE is_default = true
+    `);
+  }
+
+  /**
+   * Validar porcentaje y exención de una tasa
+   * @param {Object} taxRate - { rate, exempt }
+   */
+  static validateRate(taxRate) {
+    const rate = parseFloat(taxRate.rate);
+
+    if (isNaN(rate) || rate < 0 || rate >= 100) {
+      throw new Error(`Tasa de impuesto inválida: ${taxRate.rate}. Debe ser un porcentaje entre 0 y 100`);
+    }
+
+    if (taxRate.exempt && rate !== 0) {
+      throw new Error('Tasa de impuesto inválida: una tasa exenta debe ser 0');
+    }
+  }
+}
+
+module.exports = Tax;
@@ -0,0 +1,507 @@
+// =====================================================================================
+// FLUXION AI - WAREHOUSE MODEL (MULTI-TENANT)
+// Almacenes / ubicaciones del tenant y su stock por producto
+// =====================================================================================
+
+const { query, withTransaction } = require('../config/database.cjs');
+const AuditService = require('../services/AuditService.cjs');
+
+const WAREHOUSE_FIELDS = `
+  id, warehouse_code, name, address, city, state, is_default, active, sellable, created_at, updated_at
+`;
+
+/**
+ * Modelo Warehouse con operaciones CRUD y stock por ubicación - Multi-tenant
+ * Siempre existe un almacén predeterminado: recibe el stock cuando no se indica ubicación
+ * Un almacén con sellable = false (p. ej. dañados) guarda stock que no se vende desde él
+ * ni cuenta en products.current_stock; el predeterminado siempre es vendible
+ * Cada método requiere un tenantSchema para operar en el schema correcto
+ */
+class Warehouse {
+
+  /**
+   * Obtener todos los almacenes con totales de stock
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} options - Opciones de filtrado (active)
+   * @returns {Promise<Array>} Lista de almacenes
+   */
+  static async getAll(tenantSchema, options = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const params = [];
+      let whereClause = '';
+
+      if (options.active !== undefined) {
+        whereClause = 'WHERE w.active = $1';
+        params.push(options.active);
+      }
+
+      const result = await query(`
+        SELECT
+          w.id, w.warehouse_code, w.name, w.address, w.city, w.state,
+          w.is_default, w.active, w.sellable, w.created_at, w.updated_at,
+          COUNT(ps.product_id) FILTER (WHERE ps.quantity > 0) as products_in_stock,
+          COALESCE(SUM(ps.quantity), 0) as total_units,
+          ROUND(COALESCE(SUM(ps.quantity * p.cost_price), 0), 2) as inventory_value
+        FROM "${tenantSchema}".warehouses w
+        LEFT JOIN "${tenantSchema}".product_stock ps ON ps.warehouse_id = w.id
+        LEFT JOIN "${tenantSchema}".products p ON ps.product_id = p.id
+        ${whereClause}
+        GROUP BY w.id
+        ORDER BY w.is_default DESC, w.name
+      `, params);
+
+      return result.rows;
+
+    } catch (error) {
+      console.error('💥 Error obteniendo almacenes:', error.message);
+      throw new Error(`Error obteniendo almacenes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener un almacén por ID
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} id - ID del almacén
+   * @returns {Promise<Object|null>} Almacén encontrado o null
+   */
+  static async getById(tenantSchema, id) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const result = await query(`
+        SELECT ${WAREHOUSE_FIELDS}
+        FROM "${tenantSchema}".warehouses
+        WHERE id = $1
+      `, [id]);
+
+      return result.rows[0] || null;
+
+    } catch (error) {
+      console.error('💥 Error obteniendo almacén por ID:', error.message);
+      throw new Error(`Error obteniendo almacén: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener un almacén por código
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {string} warehouseCode - Código del almacén
+   * @returns {Promise<Object|null>} Almacén encontrado o null
+   */
+  static async getByCode(tenantSchema, warehouseCode) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const result = await query(`
+        SELECT ${WAREHOUSE_FIELDS}
+        FROM "${tenantSchema}".warehouses
+        WHERE warehouse_code = $1
+      `, [warehouseCode]);
+
+      return result.rows[0] || null;
+
+    } catch (error) {
+      console.error('💥 Error obteniendo almacén por código:', error.message);
+      throw new Error(`Error obteniendo almacén: ${error.message}`);
+    }
+  }
+
+  /**
+   * Marcar un almacén como predeterminado, desmarcando el anterior
+   * @param {Object} db - Cliente de transacción (withTransaction)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} id - ID del almacén
+   */
+  static async setDefault(db, tenantSchema, id) {
+    await db.query(`
+      UPDATE "${tenantSchema}".warehouses
+      SET is_default = false, updated_at = CURRENT_TIMESTAMP
+      WHERE is_default AND id <> $1
+    `, [id]);
+
+    await db.query(`
+      UPDATE "${tenantSchema}".warehouses
+      SET is_default = true, active = true, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [id]);
+  }
+
+  /**
+   * Crear un nuevo almacén
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} warehouseData - Datos del almacén
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<Object>} Almacén creado
+   */
+  static async create(tenantSchema, warehouseData, context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const {
+        warehouse_code, name, address, city, state, is_default = false, sellable = true
+      } = warehouseData;
+
+      if (is_default && sellable === false) {
+        throw new Error('Operación no permitida: el almacén predeterminado debe ser vendible');
+      }
+
+      const existing = await this.getByCode(tenantSchema, warehouse_code);
+      if (existing) {
+        throw new Error(`Ya existe un almacén con código: ${warehouse_code}`);
+      }
+
+      return await withTransaction(tenantSchema, async (db) => {
+        const result = await db.query(`
+          INSERT INTO "${tenantSchema}".warehouses (warehouse_code, name, address, city, state, sellable)
+          VALUES ($1, $2, $3, $4, $5, $6)
+          RETURNING *
+        `, [warehouse_code, name, address, city, state, sellable !== false]);
+
+        let warehouse = result.rows[0];
+
+        if (is_default) {
+          await this.setDefault(db, tenantSchema, warehouse.id);
+          warehouse = { ...warehouse, is_default: true };
+        }
+
+        await AuditService.record(tenantSchema, context, {
+          action: 'warehouse.create',
+          entity_type: 'warehouse',
+          entity_id: warehouse.id,
+          new_values: warehouse
+        }, db);
+
+        return warehouse;
+      });
+
+    } catch (error) {
+      console.error('💥 Error creando almacén:', error.message);
+      throw new Error(`Error creando almacén: ${error.message}`);
+    }
+  }
+
+  /**
+   * Actualizar un almacén
+   * is_default = true lo convierte en el predeterminado; el predeterminado no se desactiva
+   * Cambiar sellable suma o resta el stock del almacén en products.current_stock
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} id - ID del almacén
+   * @param {Object} updateData - Datos a actualizar
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<Object>} Almacén actualizado
+   */
+  static async update(tenantSchema, id, updateData, context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      // El valor se escribe tal cual en la columna: solo booleanos, para que el ajuste de
+      // current_stock use el mismo valor que queda guardado
+      ['sellable', 'active'].forEach(field => {
+        if (updateData[field] !== undefined && typeof updateData[field] !== 'boolean') {
+          throw new Error(`Valor inválido para ${field}: debe ser true o false`);
+        }
+      });
+
+      const updateFields = [];
+      const params = [];
+      let paramIndex = 1;
+
+      const allowedFields = ['warehouse_code', 'name', 'address', 'city', 'state', 'active', 'sellable'];
+
+      Object.keys(updateData).forEach(field => {
+        if (allowedFields.includes(field)) {
+          updateFields.push(`${field} = $${paramIndex}`);
+          params.push(updateData[field]);
+          paramIndex++;
+        }
+      });
+
+      if (updateFields.length === 0 && updateData.is_default !== true) {
+        throw new Error('No hay campos válidos para actualizar');
+      }
+
+      return await withTransaction(tenantSchema, async (db) => {
+        // Si se envía sellable se bloquean primero los productos con stock en la ubicación
+        // (mismo orden que los movimientos: productos y luego almacén)
+        if (updateData.sellable !== undefined) {
+          await db.query(`
+            SELECT p.id FROM "${tenantSchema}".products p
+            JOIN "${tenantSchema}".product_stock ps ON ps.product_id = p.id AND ps.warehouse_id = $1
+            ORDER BY p.id
+            FOR UPDATE OF p
+          `, [id]);
+        }
+
+        // Las verificaciones usan la fila bloqueada: una actualización concurrente ya confirmada
+        // no vuelve a aplicar el ajuste de current_stock
+        const locked = await this.lockWarehouse(db, tenantSchema, id);
+
+        if (locked.is_default && (updateData.is_default === false || updateData.active === false)) {
+          throw new Error('Operación no permitida: marque otro almacén como predeterminado primero');
+        }
+
+        const sellable = updateData.sellable !== undefined ? updateData.sellable : locked.sellable;
+        if ((locked.is_default || updateData.is_default === true) && !sellable) {
+          throw new Error('Operación no permitida: el almacén predeterminado debe ser vendible');
+        }
+
+        const sellableChanged = sellable !== locked.sellable;
+
+        if (updateData.active === false) {
+          await this.assertEmpty(db, tenantSchema, locked);
+        }
+
+        if (updateFields.length > 0) {
+          params.push(id);
+          await db.query(`
+            UPDATE "${tenantSchema}".warehouses
+            SET ${updateFields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $${paramIndex}
+          `, params);
+        }
+
+        if (updateData.is_default === true && !locked.is_default) {
+          await this.setDefault(db, tenantSchema, id);
+        }
+
+        // current_stock solo suma almacenes vendibles: el stock de la ubicación entra o sale del total
+        if (sellableChanged) {
+          await db.query(`
+            UPDATE "${tenantSchema}".products p
+            SET current_stock = p.current_stock + $2 * ps.quantity, updated_at = CURRENT_TIMESTAMP
+            FROM "${tenantSchema}".product_stock ps
+            WHERE ps.product_id = p.id AND ps.warehouse_id = $1 AND ps.quantity <> 0
+          `, [id, sellable ? 1 : -1]);
+        }
+
+        const result = await db.query(`
+          SELECT ${WAREHOUSE_FIELDS} FROM "${tenantSchema}".warehouses WHERE id = $1
+        `, [id]);
+
+        await AuditService.record(tenantSchema, context, {
+          action: 'warehouse.update',
+          entity_type: 'warehouse',
+          entity_id: id,
+          old_values: locked,
+          new_values: result.rows[0]
+        }, db);
+
+        return result.rows[0];
+      });
+
+    } catch (error) {
+      console.error('💥 Error actualizando almacén:', error.message);
+      throw new Error(`Error actualizando almacén: ${error.message}`);
+    }
+  }
+
+  /**
+   * Bloquear un almacén dentro de una transacción
+   * Los movimientos leen el almacén con FOR SHARE (Inventory.resolveWarehouse), así ninguno
+   * deja stock en él entre la verificación de stock y la desactivación
+   * @param {Object} db - Cliente de transacción (withTransaction)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} id - ID del almacén
+   * @returns {Promise<Object>} Almacén bloqueado
+   */
+  static async lockWarehouse(db, tenantSchema, id) {
+    const result = await db.query(`
+      SELECT ${WAREHOUSE_FIELDS} FROM "${tenantSchema}".warehouses WHERE id = $1 FOR UPDATE
+    `, [id]);
+
+    if (result.rows.length === 0) {
+      throw new Error(`Almacén con ID ${id} no encontrado`);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Verificar que un almacén bloqueado no tenga stock antes de desactivarlo
+   * @param {Object} db - Cliente de transacción (withTransaction)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} warehouse - Almacén a verificar (obtenido con lockWarehouse)
+   */
+  static async assertEmpty(db, tenantSchema, warehouse) {
+    const result = await db.query(`
+      SELECT COALESCE(SUM(quantity), 0) as units
+      FROM "${tenantSchema}".product_stock
+      WHERE warehouse_id = $1
+    `, [warehouse.id]);
+
+    const units = parseInt(result.rows[0].units);
+    if (units > 0) {
+      throw new Error(`Operación no permitida: el almacén ${warehouse.warehouse_code} tiene ${units} unidades en stock; transfiéralas antes de desactivarlo`);
+    }
+  }
+
+  /**
+   * Eliminar un almacén (soft delete)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} id - ID del almacén
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<boolean>} True si se eliminó exitosamente
+   */
+  static async delete(tenantSchema, id, context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const existing = await this.getById(tenantSchema, id);
+      if (!existing) {
+        return false;
+      }
+
+      if (existing.is_default) {
+        throw new Error('Operación no permitida: no se puede desactivar el almacén predeterminado');
+      }
+
+      return await withTransaction(tenantSchema, async (db) => {
+        const locked = await this.lockWarehouse(db, tenantSchema, id);
+        await this.assertEmpty(db, tenantSchema, locked);
+
+        const result = await db.query(`
+          UPDATE "${tenantSchema}".warehouses
+          SET active = false, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+          RETURNING id
+        `, [id]);
+
+        await AuditService.record(tenantSchema, context, {
+          action: 'warehouse.delete',
+          entity_type: 'warehouse',
+          entity_id: id,
+          old_values: existing,
+          new_values: { active: false }
+        }, db);
+
+        return result.rowCount > 0;
+      });
+
+    } catch (error) {
+      console.error('💥 Error eliminando almacén:', error.message);
+      throw new Error(`Error eliminando almacén: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtener el stock de un almacén por producto
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} id - ID del almacén
+   * @param {Object} options - { low_stock_only, search, limit, offset }
+   * @returns {Promise<Array>} Stock por producto con su umbral en la ubicación
+   */
+  static async getStock(tenantSchema, id, options = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const whereConditions = ['p.active = true'];
+      const params = [id];
+      let paramIndex = 2;
+
+      if (options.low_stock_only) {
+        whereConditions.push('ps.quantity <= COALESCE(ps.min_stock_threshold, p.min_stock_threshold)');
+      } else {
+        whereConditions.push('ps.quantity > 0');
+      }
+
+      if (options.search) {
+        whereConditions.push(`(p.name ILIKE $${paramIndex} OR p.sku ILIKE $${paramIndex})`);
+        params.push(`%${options.search}%`);
+        paramIndex++;
+      }
+
+      params.push(options.limit || 100, options.offset || 0);
+
+      const result = await query(`
+        SELECT
+          p.id as product_id, p.sku, p.name, p.category, p.brand,
+          ps.quantity, p.current_stock as total_stock,
+          COALESCE(ps.min_stock_threshold, p.min_stock_threshold) as min_stock_threshold,
+          ps.min_stock_threshold IS NOT NULL as has_location_threshold,
+          ROUND(ps.quantity * p.cost_price, 2) as inventory_value,
+          ps.updated_at
+        FROM "${tenantSchema}".product_stock ps
+        JOIN "${tenantSchema}".products p ON ps.product_id = p.id
+        WHERE ps.warehouse_id = $1 AND ${whereConditions.join(' AND ')}
+        ORDER BY p.name
+        LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+      `, params);
+
+      return result.rows;
+
+    } catch (error) {
+      console.error('💥 Error obteniendo stock del almacén:', error.message);
+      throw new Error(`Error obteniendo stock del almacén: ${error.message}`);
+    }
+  }
+
+  /**
+   * Definir el umbral de stock mínimo de un producto en un almacén
+   * null vuelve a usar el umbral del producto
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} id - ID del almacén
+   * @param {number} productId - ID del producto
+   * @param {number|null} minStockThreshold - Umbral en la ubicación
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<Object>} Registro de stock actualizado
+   */
+  static async setMinStockThreshold(tenantSchema, id, productId, minStockThreshold, context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const warehouse = await this.getById(tenantSchema, id);
+      if (!warehouse) {
+        throw new Error(`Almacén con ID ${id} no encontrado`);
+      }
+
+      const productResult = await query(`
+        SELECT id FROM "${tenantSchema}".products WHERE id = $1
+      `, [productId]);
+
+      if (productResult.rows.length === 0) {
+        throw new Error(`Producto con ID ${productId} no encontrado`);
+      }
+
+      const result = await query(`
+        INSERT INTO "${tenantSchema}".product_stock (product_id, warehouse_id, quantity, min_stock_threshold)
+        VALUES ($1, $2, 0, $3)
+        ON CONFLICT (product_id, warehouse_id)
+        DO UPDATE SET min_stock_threshold = EXCLUDED.min_stock_threshold, updated_at = CURRENT_TIMESTAMP
+        RETURNING *
+      `, [productId, id, minStockThreshold]);
+
+      await AuditService.record(tenantSchema, context, {
+        action: 'warehouse.stock_threshold',
+        entity_type: 'warehouse',
+        entity_id: id,
+        new_values: result.rows[0]
+      });
+
+      return result.rows[0];
+
+    } catch (error) {
+      console.error('💥 Error actualizando umbral de stock:', error.message);
+      throw new Error(`Error actualizando umbral de stock: ${error.message}`);
+    }
+  }
+}
+
+module.exports = Warehouse;
@@ -0,0 +1,86 @@
+// =====================================================================================
+// FLUXION AI - AUDIT ROUTES (MULTI-TENANT)
+// Consulta del log de auditoría del tenant (public.tenant_audit_log)
+// =====================================================================================
+
+const express = require('express');
+const router = express.Router();
+const AuditService = require('../services/AuditService.cjs');
+const { requirePermission } = require('../middleware/authMiddleware.cjs');
+
+/**
+ * GET /api/audit
+ * Obtener entradas de auditoría con filtros opcionales
+ * Query params: entity_type, entity_id, user_id, action, date_from, date_to, limit, offset
+ */
+router.get('/', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const options = {
+      entity_type: req.query.entity_type,
+      entity_id: req.query.entity_id ? parseInt(req.query.entity_id) : undefined,
+      user_id: req.query.user_id ? parseInt(req.query.user_id) : undefined,
+      action: req.query.action,
+      date_from: req.query.date_from,
+      date_to: req.query.date_to,
+      limit: req.query.limit ? parseInt(req.query.limit) : 50,
+      offset: req.query.offset ? parseInt(req.query.offset) : 0
+    };
+
+    const { entries, total } = await AuditService.getEntries(req.tenant.id, options);
+
+    res.json({
+      success: true,
+      data: entries,
+      count: entries.length,
+      total,
+      filters: options,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo auditoría:', error.message);
+    res.status(500).json({
+      error: 'GET_AUDIT_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/audit/:entityType/:entityId
+ * Historial completo de una entidad (ej: /api/audit/product/12)
+ */
+router.get('/:entityType/:entityId', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { entityType, entityId } = req.params;
+
+    const { entries, total } = await AuditService.getEntries(req.tenant.id, {
+      entity_type: entityType,
+      entity_id: parseInt(entityId),
+      limit: req.query.limit ? parseInt(req.query.limit) : 100
+    });
+
+    res.json({
+      success: true,
+      data: entries,
+      count: entries.length,
+      total,
+      entity_type: entityType,
+      entity_id: entityId,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo historial de entidad:', error.message);
+    res.status(500).json({
+      error: 'GET_ENTITY_AUDIT_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,159 @@
+// =====================================================================================
+// FLUXION AI - AUTH ROUTES (MULTI-TENANT)
+// Rutas de login, logout y renovación de sesión con contexto de tenant
+// =====================================================================================
+
+const express = require('express');
+const router = express.Router();
+const AuthService = require('../services/AuthService.cjs');
+const { requireAuth, getSessionToken } = require('../middleware/authMiddleware.cjs');
+const { describePermissions } = require('../config/permissions.cjs');
+
+/**
+ * POST /api/auth/login
+ * Iniciar sesión con email y contraseña en el tenant actual
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'email y password son requeridos',
+        required_fields: ['email', 'password']
+      });
+    }
+
+    const session = await AuthService.login(req.tenant, email, password);
+
+    if (!session) {
+      return res.status(401).json({
+        error: 'INVALID_CREDENTIALS',
+        message: 'Email o contraseña incorrectos',
+        tenant_code: req.tenantCode
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Sesión iniciada exitosamente',
+      data: {
+        token: session.token,
+        token_type: 'Bearer',
+        expires_at: session.expires_at,
+        user: session.user
+      },
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error en login:', error.message);
+    res.status(500).json({
+      error: 'LOGIN_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Renovar la sesión actual (rota el token)
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const token = getSessionToken(req);
+
+    if (!token) {
+      return res.status(401).json({
+        error: 'AUTH_REQUIRED',
+        message: 'Se requiere el token de sesión actual en Authorization: Bearer <token>'
+      });
+    }
+
+    const current = await AuthService.validateSession(token);
+    if (!current || current.tenant_id !== req.tenant.id) {
+      return res.status(401).json({
+        error: 'INVALID_SESSION',
+        message: 'Sesión inválida o expirada',
+        tenant_code: req.tenantCode
+      });
+    }
+
+    const session = await AuthService.refreshSession(token, req.tenant.id);
+
+    if (!session) {
+      return res.status(401).json({
+        error: 'INVALID_SESSION',
+        message: 'Sesión inválida o expirada',
+        tenant_code: req.tenantCode
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Sesión renovada exitosamente',
+      data: {
+        token: session.token,
+        token_type: 'Bearer',
+        expires_at: session.expires_at
+      },
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error renovando sesión:', error.message);
+    res.status(500).json({
+      error: 'REFRESH_SESSION_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Cerrar la sesión actual
+ */
+router.post('/logout', requireAuth, async (req, res) => {
+  try {
+    await AuthService.logout(req.sessionToken, req.tenant.id);
+
+    res.json({
+      success: true,
+      message: 'Sesión cerrada exitosamente',
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error cerrando sesión:', error.message);
+    res.status(500).json({
+      error: 'LOGOUT_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Obtener el usuario de la sesión actual
+ */
+router.get('/me', requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      user: req.user,
+      permissions: describePermissions(req.user),
+      session_expires_at: req.sessionExpiresAt
+    },
+    tenant_code: req.tenantCode,
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = router;
@@ -5,6 +5,7 @@
 
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/authMiddleware.cjs');
 const Client = require('../models/Client.cjs');
 
 // =====================================================================================
@@ -15,7 +16,7 @@ const Client = require('../models/Client.cjs');
  * GET /api/clients
  * Obtener lista de clientes del tenant
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('clients:read'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const options = {
@@ -52,7 +53,7 @@ router.get('/', async (req, res) => {
  * GET /api/clients/search?q=término
  * Buscar clientes
  */
-router.get('/search', async (req, res) => {
+router.get('/search', requirePermission('clients:read'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const { q: searchTerm } = req.query;
@@ -90,7 +91,7 @@ router.get('/search', async (req, res) => {
  * GET /api/clients/overdue
  * Obtener clientes con pagos vencidos
  */
-router.get('/overdue', async (req, res) => {
+router.get('/overdue', requirePermission('clients:read'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const daysOverdue = parseInt(req.query.days) || 1;
@@ -120,7 +121,7 @@ router.get('/overdue', async (req, res) => {
  * GET /api/clients/stats
  * Obtener estadísticas de clientes
  */
-router.get('/stats', async (req, res) => {
+router.get('/stats', requirePermission('clients:read'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const stats = await Client.getStats(tenantSchema);
@@ -142,11 +143,124 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/clients/receivables/aging
+ * Antigüedad de saldos por cliente (current, 0-30, 31-60, 61-90, 90+ días desde el vencimiento)
+ * Query: as_of (YYYY-MM-DD, hoy por defecto), client_id
+ */
+router.get('/receivables/aging', requirePermission('clients:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { as_of } = req.query;
+
+    if (as_of && isNaN(Date.parse(as_of))) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'as_of debe ser una fecha válida (YYYY-MM-DD)'
+      });
+    }
+
+    const aging = await Client.getReceivablesAging(tenantSchema, {
+      as_of,
+      client_id: req.query.client_id ? parseInt(req.query.client_id) : undefined
+    });
+
+    res.json({
+      success: true,
+      data: aging,
+      count: aging.clients.length,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo antigüedad de saldos:', error.message);
+    res.status(500).json({
+      error: 'GET_RECEIVABLES_AGING_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/clients/credit-policy
+ * Política de crédito del tenant al crear ventas
+ */
+router.get('/credit-policy', requirePermission('clients:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const policy = await Client.getCreditPolicy(tenantSchema);
+
+    res.json({
+      success: true,
+      data: { policy },
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo política de crédito:', error.message);
+    res.status(500).json({
+      error: 'GET_CREDIT_POLICY_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * PUT /api/clients/credit-policy
+ * Cambiar la política de crédito del tenant
+ * Body: { policy: 'block' | 'warn' | 'override' }
+ */
+router.put('/credit-policy', requirePermission('clients:configure'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { policy } = req.body;
+
+    if (!policy) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'policy es requerido',
+        required_fields: ['policy']
+      });
+    }
+
+    const result = await Client.setCreditPolicy(tenantSchema, policy, req.auditContext);
+
+    res.json({
+      success: true,
+      message: 'Política de crédito actualizada exitosamente',
+      data: result,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error cambiando política de crédito:', error.message);
+
+    if (error.message.includes('Política de crédito inválida')) {
+      return res.status(400).json({
+        error: 'INVALID_CREDIT_POLICY',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    res.status(500).json({
+      error: 'UPDATE_CREDIT_POLICY_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * GET /api/clients/:id
  * Obtener cliente específico por ID
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('clients:read'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const { id } = req.params;
@@ -180,11 +294,99 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/clients/:id/credit
+ * Crédito disponible del cliente y autorizaciones recientes
+ * Query: amount (monto de un pedido para evaluar si excede el límite)
+ */
+router.get('/:id/credit', requirePermission('clients:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { id } = req.params;
+    const amount = req.query.amount !== undefined ? parseFloat(req.query.amount) : 0;
+
+    if (isNaN(amount) || amount < 0) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'amount debe ser un número mayor o igual a 0'
+      });
+    }
+
+    const credit = await Client.getCreditAvailability(tenantSchema, parseInt(id), amount);
+
+    if (!credit) {
+      return res.status(404).json({
+        error: 'CLIENT_NOT_FOUND',
+        message: `Cliente con ID ${id} no encontrado`,
+        client_id: id,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    credit.recent_overrides = await Client.getCreditOverrides(tenantSchema, parseInt(id));
+
+    res.json({
+      success: true,
+      data: credit,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo crédito del cliente:', error.message);
+    res.status(500).json({
+      error: 'GET_CLIENT_CREDIT_ERROR',
+      message: error.message,
+      client_id: req.params.id,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/clients/:id/receivables
+ * Ventas con saldo pendiente del cliente y totales por cobrar
+ */
+router.get('/:id/receivables', requirePermission('clients:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { id } = req.params;
+
+    const receivables = await Client.getReceivables(tenantSchema, parseInt(id));
+
+    if (!receivables) {
+      return res.status(404).json({
+        error: 'CLIENT_NOT_FOUND',
+        message: `Cliente con ID ${id} no encontrado`,
+        client_id: id,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    res.json({
+      success: true,
+      data: receivables,
+      count: receivables.sales.length,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo cuentas por cobrar del cliente:', error.message);
+    res.status(500).json({
+      error: 'GET_CLIENT_RECEIVABLES_ERROR',
+      message: error.message,
+      client_id: req.params.id,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * GET /api/clients/:id/intelligence
  * Obtener análisis de comportamiento del cliente
  */
-router.get('/:id/intelligence', async (req, res) => {
+router.get('/:id/intelligence', requirePermission('clients:read'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const { id } = req.params;
@@ -215,7 +417,7 @@ router.get('/:id/intelligence', async (req, res) => {
  * POST /api/clients
  * Crear nuevo cliente
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('clients:create'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const clientData = req.body;
@@ -232,7 +434,7 @@ router.post('/', async (req, res) => {
       });
     }
 
-    const newClient = await Client.create(tenantSchema, clientData);
+    const newClient = await Client.create(tenantSchema, clientData, req.auditContext);
 
     res.status(201).json({
       success: true,
@@ -265,13 +467,13 @@ router.post('/', async (req, res) => {
  * PUT /api/clients/:id
  * Actualizar cliente existente
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('clients:update'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const { id } = req.params;
     const updateData = req.body;
 
-    const updatedClient = await Client.update(tenantSchema, parseInt(id), updateData);
+    const updatedClient = await Client.update(tenantSchema, parseInt(id), updateData, req.auditContext);
 
     res.json({
       success: true,
@@ -306,12 +508,12 @@ router.put('/:id', async (req, res) => {
  * DELETE /api/clients/:id
  * Eliminar cliente (soft delete)
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('clients:delete'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const { id } = req.params;
 
-    const success = await Client.delete(tenantSchema, parseInt(id));
+    const success = await Client.delete(tenantSchema, parseInt(id), req.auditContext);
 
     if (!success) {
       return res.status(404).json({
@@ -5,19 +5,27 @@
 
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/authMiddleware.cjs');
 const Product = require('../models/Product.cjs');
 const Client = require('../models/Client.cjs');
 const Sales = require('../models/Sales.cjs');
 const Inventory = require('../models/Inventory.cjs');
 const Insights = require('../models/Insights.cjs');
+const ExchangeRate = require('../models/ExchangeRate.cjs');
 
 /**
  * GET /api/dashboard/overview
  * Obtener vista general del dashboard con KPIs principales
+ * currency=VES reporta los montos en esa moneda (moneda base por defecto): las ventas con la
+ * tasa de su fecha y los saldos e inventario con la tasa vigente hoy
  */
-router.get('/overview', async (req, res) => {
+router.get('/overview', requirePermission('dashboard:read'), async (req, res) => {
   try {
     const { tenantSchema } = req;
+    const baseCurrency = await ExchangeRate.getBaseCurrency(tenantSchema);
+    const currency = req.query.currency ? ExchangeRate.normalizeCurrency(req.query.currency) : baseCurrency;
+    const conversion = await ExchangeRate.convert(tenantSchema, 1, baseCurrency, currency);
+    const toCurrency = amount => Math.round(amount * conversion.from_rate / conversion.to_rate * 100) / 100;
     
     // Ejecutar consultas en paralelo para mejor performance
     const [
@@ -31,7 +39,8 @@ router.get('/overview', async (req, res) => {
       Product.getStats(tenantSchema),
       Client.getStats(tenantSchema),
       Sales.getStats(tenantSchema, { 
-        date_from: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0] 
+        date_from: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+        currency
       }),
       Insights.getStats(tenantSchema),
       Product.getLowStock(tenantSchema),
@@ -56,23 +65,34 @@ router.get('/overview', async (req, res) => {
       alerts: {
         low_stock_count: lowStockProducts.length,
         overdue_clients_count: overdueClients.length,
-        total_overdue_amount: overdueClients.reduce((sum, client) => 
+        total_overdue_amount: toCurrency(overdueClients.reduce((sum, client) => 
           sum + parseFloat(client.total_overdue_amount || 0), 0
-        )
+        ))
       },
-      inventory_value: parseFloat(productStats.total_inventory_value || 0),
+      inventory_value: toCurrency(parseFloat(productStats.total_inventory_value || 0)),
       profit_margin_avg: parseFloat(productStats.avg_profit_margin || 0)
     };
 
     res.json({
       success: true,
       data: overview,
+      currency,
+      base_currency: baseCurrency,
       tenant_code: req.tenantCode,
       period: 'last_30_days',
       timestamp: new Date().toISOString()
     });
   } catch (error) {
     console.error('💥 Error obteniendo overview del dashboard:', error.message);
+
+    if (error.message.includes('Moneda inválida') || error.message.includes('No hay tasa')) {
+      return res.status(400).json({
+        error: 'INVALID_CURRENCY',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
     res.status(500).json({
       error: 'GET_DASHBOARD_OVERVIEW_ERROR',
       message: error.message,
@@ -84,9 +104,9 @@ router.get('/overview', async (req, res) => {
 
 /**
  * GET /api/dashboard/sales-trends
- * Obtener tendencias de ventas para gráficos
+ * Obtener tendencias de ventas para gráficos (currency opcional para sales_by_period)
  */
-router.get('/sales-trends', async (req, res) => {
+router.get('/sales-trends', requirePermission('dashboard:read'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const period = req.query.period || 'day';
@@ -97,7 +117,8 @@ router.get('/sales-trends', async (req, res) => {
     const [salesByPeriod, topProducts] = await Promise.all([
       Sales.getSalesByPeriod(tenantSchema, period, { 
         date_from: dateFrom,
-        limit: days 
+        limit: days,
+        currency: req.query.currency
       }),
       Sales.getTopProducts(tenantSchema, { 
         date_from: dateFrom,
@@ -131,18 +152,18 @@ router.get('/sales-trends', async (req, res) => {
  * GET /api/dashboard/inventory-analysis
  * Obtener análisis completo de inventario para el dashboard
  */
-router.get('/inventory-analysis', async (req, res) => {
+router.get('/inventory-analysis', requirePermission('dashboard:read'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     
     const [
       inventorySummary,
-      fifoValuation,
+      valuation,
       highMovementProducts,
       movementStats
     ] = await Promise.all([
       Inventory.getInventorySummary(tenantSchema, { limit: 50 }),
-      Inventory.getFIFOValuation(tenantSchema),
+      Inventory.getValuation(tenantSchema),
       Inventory.getHighMovementProducts(tenantSchema, 30, 10),
       Inventory.getMovementStats(tenantSchema, {
         date_from: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0]
@@ -167,17 +188,14 @@ router.get('/inventory-analysis', async (req, res) => {
       }
     });
 
-    // Calcular valor total del inventario
-    const totalInventoryValue = Array.isArray(fifoValuation) 
-      ? fifoValuation.reduce((sum, item) => sum + parseFloat(item.fifo_valuation || 0), 0)
-      : parseFloat(fifoValuation?.fifo_valuation || 0);
 
     res.json({
       success: true,
       data: {
         inventory_summary: inventorySummary,
         category_analysis: categoryAnalysis,
-        total_inventory_value: totalInventoryValue,
+        total_inventory_value: valuation.totals.valuation,
+        valuation_method: valuation.method,
         high_movement_products: highMovementProducts,
         movement_stats_30d: movementStats
       },
@@ -199,7 +217,7 @@ router.get('/inventory-analysis', async (req, res) => {
  * GET /api/dashboard/client-insights
  * Obtener insights y análisis de clientes
  */
-router.get('/client-insights', async (req, res) => {
+router.get('/client-insights', requirePermission('dashboard:read'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     
@@ -272,7 +290,7 @@ router.get('/client-insights', async (req, res) => {
  * GET /api/dashboard/alerts
  * Obtener alertas y notificaciones críticas
  */
-router.get('/alerts', async (req, res) => {
+router.get('/alerts', requirePermission('dashboard:read'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     
@@ -387,7 +405,7 @@ router.get('/alerts', async (req, res) => {
  * POST /api/dashboard/generate-insights
  * Generar insights automáticamente para el dashboard
  */
-router.post('/generate-insights', async (req, res) => {
+router.post('/generate-insights', requirePermission('insights:generate'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     
@@ -0,0 +1,275 @@
+// =====================================================================================
+// FLUXION AI - EXCHANGE RATE ROUTES (MULTI-TENANT)
+// Rutas para moneda base del tenant y tasas de cambio diarias
+// =====================================================================================
+
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/authMiddleware.cjs');
+const ExchangeRate = require('../models/ExchangeRate.cjs');
+
+/**
+ * Responder errores de validación de monedas y tasas (400) o el error genérico (500)
+ * @param {Object} res - Respuesta de Express
+ * @param {Object} req - Request de Express
+ * @param {Error} error - Error del modelo
+ * @param {string} fallbackCode - Código para errores no mapeados
+ */
+function sendExchangeRateError(res, req, error, fallbackCode) {
+  if (error.message.includes('No se puede cambiar la moneda base')) {
+    return res.status(409).json({
+      error: 'BASE_CURRENCY_IN_USE',
+      message: error.message,
+      tenant_code: req.tenantCode
+    });
+  }
+
+  if (error.message.includes('No hay tasa')) {
+    return res.status(404).json({
+      error: 'EXCHANGE_RATE_NOT_FOUND',
+      message: error.message,
+      tenant_code: req.tenantCode
+    });
+  }
+
+  if (error.message.includes('inválid')) {
+    return res.status(400).json({
+      error: 'INVALID_EXCHANGE_RATE',
+      message: error.message,
+      tenant_code: req.tenantCode
+    });
+  }
+
+  res.status(500).json({
+    error: fallbackCode,
+    message: error.message,
+    tenant_code: req.tenantCode,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// =====================================================================================
+// CURRENCY SETTINGS
+// =====================================================================================
+
+/**
+ * GET /api/exchange-rates/base-currency
+ * Moneda base del tenant
+ */
+router.get('/base-currency', requirePermission('exchange_rates:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const baseCurrency = await ExchangeRate.getBaseCurrency(tenantSchema);
+
+    res.json({
+      success: true,
+      data: { base_currency: baseCurrency },
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo moneda base:', error.message);
+    res.status(500).json({
+      error: 'GET_BASE_CURRENCY_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * PUT /api/exchange-rates/base-currency
+ * Cambiar la moneda base (solo antes de registrar ventas o tasas)
+ * Body: { base_currency: 'VES' }
+ */
+router.put('/base-currency', requirePermission('exchange_rates:configure'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { base_currency } = req.body;
+
+    if (!base_currency) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'base_currency es requerido',
+        required_fields: ['base_currency']
+      });
+    }
+
+    const result = await ExchangeRate.setBaseCurrency(tenantSchema, base_currency, req.auditContext);
+
+    res.json({
+      success: true,
+      message: 'Moneda base actualizada exitosamente',
+      data: result,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error cambiando moneda base:', error.message);
+    sendExchangeRateError(res, req, error, 'UPDATE_BASE_CURRENCY_ERROR');
+  }
+});
+
+// =====================================================================================
+// EXCHANGE RATE ENDPOINTS
+// =====================================================================================
+
+/**
+ * GET /api/exchange-rates
+ * Historial de tasas (filtros: currency, date_from, date_to)
+ */
+router.get('/', requirePermission('exchange_rates:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const options = {
+      currency: req.query.currency,
+      date_from: req.query.date_from,
+      date_to: req.query.date_to,
+      limit: parseInt(req.query.limit) || undefined,
+      offset: parseInt(req.query.offset) || undefined
+    };
+
+    const rates = await ExchangeRate.getAll(tenantSchema, options);
+
+    res.json({
+      success: true,
+      data: rates,
+      count: rates.length,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo tasas de cambio:', error.message);
+    sendExchangeRateError(res, req, error, 'GET_EXCHANGE_RATES_ERROR');
+  }
+});
+
+/**
+ * GET /api/exchange-rates/latest?date=2025-03-01
+ * Tasa vigente de cada moneda en una fecha (hoy por defecto)
+ */
+router.get('/latest', requirePermission('exchange_rates:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const latest = await ExchangeRate.getLatest(tenantSchema, req.query.date);
+
+    res.json({
+      success: true,
+      data: latest,
+      count: latest.rates.length,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo tasas vigentes:', error.message);
+    res.status(500).json({
+      error: 'GET_LATEST_RATES_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/exchange-rates/convert?amount=100&from=USD&to=VES&date=2025-03-01
+ * Convertir un monto con las tasas vigentes en la fecha
+ */
+router.get('/convert', requirePermission('exchange_rates:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { amount, from, to, date } = req.query;
+
+    if (amount === undefined || isNaN(parseFloat(amount)) || !from || !to) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'amount (numérico), from y to son requeridos',
+        required_fields: ['amount', 'from', 'to']
+      });
+    }
+
+    const conversion = await ExchangeRate.convert(tenantSchema, parseFloat(amount), from, to, date);
+
+    res.json({
+      success: true,
+      data: conversion,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error convirtiendo monto:', error.message);
+    sendExchangeRateError(res, req, error, 'CONVERT_AMOUNT_ERROR');
+  }
+});
+
+/**
+ * POST /api/exchange-rates
+ * Registrar la tasa de un día (reemplaza la existente de ese día)
+ * Body: { currency: 'VES', rate: 0.0274, rate_date: '2025-03-01' }
+ */
+router.post('/', requirePermission('exchange_rates:create'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const rateData = req.body;
+
+    const requiredFields = ['currency', 'rate'];
+    const missingFields = requiredFields.filter(field => !rateData[field]);
+
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'Campos requeridos faltantes',
+        missing_fields: missingFields,
+        required_fields: requiredFields
+      });
+    }
+
+    const rate = await ExchangeRate.setRate(tenantSchema, rateData, req.auditContext);
+
+    res.status(201).json({
+      success: true,
+      message: 'Tasa de cambio registrada exitosamente',
+      data: rate,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error registrando tasa de cambio:', error.message);
+    sendExchangeRateError(res, req, error, 'CREATE_EXCHANGE_RATE_ERROR');
+  }
+});
+
+/**
+ * POST /api/exchange-rates/import
+ * Importar tasas desde CSV (rate_date,currency,rate); acepta Content-Type text/csv o JSON { csv }
+ */
+router.post('/import', requirePermission('exchange_rates:create'), express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const csv = typeof req.body === 'string' ? req.body : req.body && req.body.csv;
+
+    if (!csv) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'Envíe el CSV como text/csv o como JSON { csv }',
+        required_fields: ['csv']
+      });
+    }
+
+    const summary = await ExchangeRate.importCsv(tenantSchema, csv, req.auditContext);
+
+    res.status(201).json({
+      success: true,
+      message: `${summary.imported} tasas de cambio importadas`,
+      data: summary,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error importando tasas de cambio:', error.message);
+    sendExchangeRateError(res, req, error, 'IMPORT_EXCHANGE_RATES_ERROR');
+  }
+});
+
+module.exports = router;
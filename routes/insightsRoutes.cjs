@@ -5,13 +5,14 @@
 
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/authMiddleware.cjs');
 const Insights = require('../models/Insights.cjs');
 
 /**
  * GET /api/insights
  * Obtener insights del tenant con filtros
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('insights:read'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const options = {
@@ -49,7 +50,7 @@ router.get('/', async (req, res) => {
  * GET /api/insights/stats
  * Obtener estadísticas de insights
  */
-router.get('/stats', async (req, res) => {
+router.get('/stats', requirePermission('insights:read'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const stats = await Insights.getStats(tenantSchema);
@@ -75,7 +76,7 @@ router.get('/stats', async (req, res) => {
  * POST /api/insights
  * Crear nuevo insight
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('insights:create'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const insightData = req.body;
@@ -116,7 +117,7 @@ router.post('/', async (req, res) => {
  * PATCH /api/insights/:insightId/status
  * Actualizar estado de un insight
  */
-router.patch('/:insightId/status', async (req, res) => {
+router.patch('/:insightId/status', requirePermission('insights:update'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const { insightId } = req.params;
@@ -165,7 +166,7 @@ router.patch('/:insightId/status', async (req, res) => {
  * POST /api/insights/generate/inventory
  * Generar insights de inventario automáticamente
  */
-router.post('/generate/inventory', async (req, res) => {
+router.post('/generate/inventory', requirePermission('insights:generate'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const insights = await Insights.generateInventoryInsights(tenantSchema);
@@ -189,11 +190,40 @@ router.post('/generate/inventory', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/insights/generate/expiry
+ * Generar insights de lotes vencidos o por vencer (days opcional)
+ */
+router.post('/generate/expiry', requirePermission('insights:generate'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const days = parseInt(req.query.days || req.body.days) || undefined;
+    const insights = await Insights.generateExpiryInsights(tenantSchema, days);
+
+    res.json({
+      success: true,
+      message: 'Insights de vencimiento generados exitosamente',
+      data: insights,
+      count: insights.length,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error generando insights de vencimiento:', error.message);
+    res.status(500).json({
+      error: 'GENERATE_EXPIRY_INSIGHTS_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * POST /api/insights/generate/sales
  * Generar insights de ventas automáticamente
  */
-router.post('/generate/sales', async (req, res) => {
+router.post('/generate/sales', requirePermission('insights:generate'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const insights = await Insights.generateSalesInsights(tenantSchema);
@@ -221,7 +251,7 @@ router.post('/generate/sales', async (req, res) => {
  * POST /api/insights/generate/opportunities
  * Generar insights de oportunidades de negocio
  */
-router.post('/generate/opportunities', async (req, res) => {
+router.post('/generate/opportunities', requirePermission('insights:generate'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const insights = await Insights.generateBusinessOpportunities(tenantSchema);
@@ -249,7 +279,7 @@ router.post('/generate/opportunities', async (req, res) => {
  * POST /api/insights/generate/all
  * Generar todos los insights automáticamente
  */
-router.post('/generate/all', async (req, res) => {
+router.post('/generate/all', requirePermission('insights:generate'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const insights = await Insights.generateAllInsights(tenantSchema);
@@ -277,7 +307,7 @@ router.post('/generate/all', async (req, res) => {
  * DELETE /api/insights/cleanup
  * Limpiar insights expirados
  */
-router.delete('/cleanup', async (req, res) => {
+router.delete('/cleanup', requirePermission('insights:delete'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const deletedCount = await Insights.cleanupExpiredInsights(tenantSchema);
@@ -304,7 +334,7 @@ router.delete('/cleanup', async (req, res) => {
  * GET /api/insights/stream (SSE)
  * Server-Sent Events para insights en tiempo real
  */
-router.get('/stream', (req, res) => {
+router.get('/stream', requirePermission('insights:read'), (req, res) => {
   // Configurar SSE
   res.writeHead(200, {
     'Content-Type': 'text/event-stream',
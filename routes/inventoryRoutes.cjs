@@ -5,17 +5,20 @@
 
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/authMiddleware.cjs');
 const Inventory = require('../models/Inventory.cjs');
+const ReorderService = require('../services/ReorderService.cjs');
 
 /**
  * GET /api/inventory/movements
  * Obtener movimientos de inventario
  */
-router.get('/movements', async (req, res) => {
+router.get('/movements', requirePermission('inventory:read'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const options = {
       product_id: req.query.product_id ? parseInt(req.query.product_id) : undefined,
+      warehouse_id: req.query.warehouse_id ? parseInt(req.query.warehouse_id) : undefined,
       movement_type: req.query.movement_type,
       reference_type: req.query.reference_type,
       date_from: req.query.date_from,
@@ -46,15 +49,16 @@ router.get('/movements', async (req, res) => {
 
 /**
  * GET /api/inventory/summary
- * Obtener resumen de inventario actual
+ * Obtener resumen de inventario actual (warehouse_id para el stock de un almacén)
  */
-router.get('/summary', async (req, res) => {
+router.get('/summary', requirePermission('inventory:read'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const options = {
       category: req.query.category,
       brand: req.query.brand,
       low_stock_only: req.query.low_stock_only === 'true',
+      warehouse_id: req.query.warehouse_id ? parseInt(req.query.warehouse_id) : undefined,
       limit: parseInt(req.query.limit) || undefined
     };
 
@@ -80,24 +84,39 @@ router.get('/summary', async (req, res) => {
 
 /**
  * GET /api/inventory/valuation
- * Obtener valuación FIFO del inventario
+ * Obtener valuación del inventario (method=fifo|weighted_average|standard; por defecto el del tenant)
  */
-router.get('/valuation', async (req, res) => {
+router.get('/valuation', requirePermission('inventory:read'), async (req, res) => {
   try {
     const { tenantSchema } = req;
-    const productId = req.query.product_id ? parseInt(req.query.product_id) : null;
+    const options = {
+      method: req.query.method,
+      product_id: req.query.product_id ? parseInt(req.query.product_id) : undefined,
+      warehouse_id: req.query.warehouse_id ? parseInt(req.query.warehouse_id) : undefined
+    };
 
-    const valuation = await Inventory.getFIFOValuation(tenantSchema, productId);
+    const valuation = await Inventory.getValuation(tenantSchema, options);
 
     res.json({
       success: true,
-      data: valuation,
-      valuation_method: 'FIFO',
+      data: options.product_id ? valuation.items[0] || null : valuation.items,
+      count: valuation.items.length,
+      totals: valuation.totals,
+      valuation_method: valuation.method,
       tenant_code: req.tenantCode,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
     console.error('💥 Error obteniendo valuación:', error.message);
+
+    if (error.message.includes('Método de valuación inválido')) {
+      return res.status(400).json({
+        error: 'INVALID_VALUATION_METHOD',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
     res.status(500).json({
       error: 'GET_VALUATION_ERROR',
       message: error.message,
@@ -107,11 +126,93 @@ router.get('/valuation', async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/inventory/valuation/method
+ * Cambiar el método de valuación del tenant
+ * Body: { method: 'fifo' | 'weighted_average' | 'standard' }
+ */
+router.put('/valuation/method', requirePermission('inventory:configure'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { method } = req.body;
+
+    if (!method) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'method es requerido',
+        required_fields: ['method']
+      });
+    }
+
+    const result = await Inventory.setValuationMethod(tenantSchema, method, req.auditContext);
+
+    res.json({
+      success: true,
+      message: 'Método de valuación actualizado exitosamente',
+      data: result,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error cambiando método de valuación:', error.message);
+
+    if (error.message.includes('Método de valuación inválido')) {
+      return res.status(400).json({
+        error: 'INVALID_VALUATION_METHOD',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    res.status(500).json({
+      error: 'UPDATE_VALUATION_METHOD_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/inventory/cost-layers
+ * Obtener capas de costo FIFO (include_consumed=true incluye las agotadas)
+ */
+router.get('/cost-layers', requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const options = {
+      product_id: req.query.product_id ? parseInt(req.query.product_id) : undefined,
+      warehouse_id: req.query.warehouse_id ? parseInt(req.query.warehouse_id) : undefined,
+      include_consumed: req.query.include_consumed === 'true',
+      limit: parseInt(req.query.limit) || undefined,
+      offset: parseInt(req.query.offset) || undefined
+    };
+
+    const layers = await Inventory.getCostLayers(tenantSchema, options);
+
+    res.json({
+      success: true,
+      data: layers,
+      count: layers.length,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo capas de costo:', error.message);
+    res.status(500).json({
+      error: 'GET_COST_LAYERS_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * GET /api/inventory/stats
  * Obtener estadísticas de movimientos
  */
-router.get('/stats', async (req, res) => {
+router.get('/stats', requirePermission('inventory:read'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const options = {
@@ -142,7 +243,7 @@ router.get('/stats', async (req, res) => {
  * GET /api/inventory/high-movement
  * Obtener productos con movimiento frecuente
  */
-router.get('/high-movement', async (req, res) => {
+router.get('/high-movement', requirePermission('inventory:read'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const days = parseInt(req.query.days) || 30;
@@ -169,11 +270,94 @@ router.get('/high-movement', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/inventory/reorder-suggestions
+ * Sugerencias de reorden por producto (demanda diaria, lead time y stock de seguridad)
+ * Query params: days (historial de ventas), supplier_id, product_id, include_all=true
+ */
+router.get('/reorder-suggestions', requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const options = {
+      days: parseInt(req.query.days) || undefined,
+      supplier_id: req.query.supplier_id ? parseInt(req.query.supplier_id) : undefined,
+      product_id: req.query.product_id ? parseInt(req.query.product_id) : undefined,
+      include_all: req.query.include_all === 'true'
+    };
+
+    const suggestions = await ReorderService.getSuggestions(tenantSchema, options);
+
+    res.json({
+      success: true,
+      data: suggestions,
+      count: suggestions.length,
+      filters: options,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo sugerencias de reorden:', error.message);
+    res.status(500).json({
+      error: 'GET_REORDER_SUGGESTIONS_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/inventory/reorder-suggestions/accept
+ * Crear órdenes de compra en borrador (una por proveedor) desde sugerencias aceptadas
+ * Body: { items: [{ product_id, quantity?, supplier_id?, unit_cost? }] }
+ */
+router.post('/reorder-suggestions/accept', requirePermission('purchases:create'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { items } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'items debe ser un arreglo con al menos un { product_id }'
+      });
+    }
+
+    const orders = await ReorderService.acceptSuggestions(tenantSchema, items, req.auditContext);
+
+    res.status(201).json({
+      success: true,
+      message: `${orders.length} órdenes de compra creadas en borrador`,
+      data: orders,
+      count: orders.length,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error aceptando sugerencias de reorden:', error.message);
+
+    if (error.message.includes('Sin proveedor') || error.message.includes('no encontrado') || error.message.includes('inválid')) {
+      return res.status(400).json({
+        error: 'INVALID_REORDER_ITEMS',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    res.status(500).json({
+      error: 'ACCEPT_REORDER_SUGGESTIONS_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * POST /api/inventory/movements
  * Registrar nuevo movimiento de inventario
  */
-router.post('/movements', async (req, res) => {
+router.post('/movements', requirePermission('inventory:movements'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const movementData = req.body;
@@ -190,7 +374,7 @@ router.post('/movements', async (req, res) => {
       });
     }
 
-    const newMovement = await Inventory.addMovement(tenantSchema, movementData);
+    const newMovement = await Inventory.addMovement(tenantSchema, movementData, req.auditContext);
 
     res.status(201).json({
       success: true,
@@ -201,6 +385,22 @@ router.post('/movements', async (req, res) => {
     });
   } catch (error) {
     console.error('💥 Error registrando movimiento:', error.message);
+
+    if (error.message.includes('Almacén con ID')) {
+      return res.status(400).json({
+        error: 'INVALID_WAREHOUSE',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    if (error.message.includes('lote') || error.message.includes('Lote')) {
+      return res.status(400).json({
+        error: 'INVALID_LOT',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
     
     if (error.message.includes('no encontrado')) {
       return res.status(404).json({
@@ -210,7 +410,7 @@ router.post('/movements', async (req, res) => {
       });
     }
 
-    if (error.message.includes('No hay suficiente stock')) {
+    if (error.message.includes('No hay suficiente stock') || error.message.includes('Stock insuficiente')) {
       return res.status(400).json({
         error: 'INSUFFICIENT_STOCK',
         message: error.message,
@@ -227,11 +427,173 @@ router.post('/movements', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/inventory/lots
+ * Obtener lotes con stock en orden FEFO (product_id, warehouse_id, include_empty)
+ */
+router.get('/lots', requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const options = {
+      product_id: req.query.product_id ? parseInt(req.query.product_id) : undefined,
+      warehouse_id: req.query.warehouse_id ? parseInt(req.query.warehouse_id) : undefined,
+      include_empty: req.query.include_empty === 'true',
+      limit: parseInt(req.query.limit) || undefined,
+      offset: parseInt(req.query.offset) || undefined
+    };
+
+    const lots = await Inventory.getLots(tenantSchema, options);
+
+    res.json({
+      success: true,
+      data: lots,
+      count: lots.length,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo lotes:', error.message);
+    res.status(500).json({
+      error: 'GET_LOTS_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/inventory/expiring
+ * Lotes que vencen dentro de N días con su valor al costo
+ * Query: days (default 30), warehouse_id, include_expired (default true)
+ */
+router.get('/expiring', requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const report = await Inventory.getExpiringLots(tenantSchema, {
+      days: req.query.days,
+      warehouse_id: req.query.warehouse_id ? parseInt(req.query.warehouse_id) : undefined,
+      include_expired: req.query.include_expired !== 'false'
+    });
+
+    res.json({
+      success: true,
+      data: report.lots,
+      count: report.lots.length,
+      days: report.days,
+      totals: report.totals,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo lotes por vencer:', error.message);
+    res.status(500).json({
+      error: 'GET_EXPIRING_LOTS_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/inventory/transfers
+ * Obtener transferencias entre almacenes (warehouse_id filtra por origen o destino)
+ */
+router.get('/transfers', requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const options = {
+      warehouse_id: req.query.warehouse_id ? parseInt(req.query.warehouse_id) : undefined,
+      limit: parseInt(req.query.limit) || undefined,
+      offset: parseInt(req.query.offset) || undefined
+    };
+
+    const transfers = await Inventory.getTransfers(tenantSchema, options);
+
+    res.json({
+      success: true,
+      data: transfers,
+      count: transfers.length,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo transferencias:', error.message);
+    res.status(500).json({
+      error: 'GET_TRANSFERS_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/inventory/transfers
+ * Transferir stock entre almacenes de forma atómica
+ * Body: { from_warehouse_id, to_warehouse_id, items: [{ product_id, quantity }], notes }
+ */
+router.post('/transfers', requirePermission('inventory:transfer'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const transferData = req.body;
+
+    const requiredFields = ['from_warehouse_id', 'to_warehouse_id', 'items'];
+    const missingFields = requiredFields.filter(field => !transferData[field]);
+
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'Campos requeridos faltantes',
+        missing_fields: missingFields,
+        required_fields: requiredFields
+      });
+    }
+
+    const transfer = await Inventory.transferStock(tenantSchema, transferData, req.auditContext);
+
+    res.status(201).json({
+      success: true,
+      message: 'Transferencia registrada exitosamente',
+      data: transfer,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error transfiriendo stock:', error.message);
+
+    if (error.message.includes('Stock insuficiente')) {
+      return res.status(400).json({
+        error: 'INSUFFICIENT_STOCK',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    if (error.message.includes('no encontrado') || error.message.includes('distintos') || error.message.includes('lote') ||
+        error.message.includes('al menos un producto') || error.message.includes('Cantidad inválida')) {
+      return res.status(400).json({
+        error: 'INVALID_TRANSFER',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    res.status(500).json({
+      error: 'TRANSFER_STOCK_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * POST /api/inventory/sync
  * Sincronizar inventario con sistema externo
  */
-router.post('/sync', async (req, res) => {
+router.post('/sync', requirePermission('inventory:sync'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const { sync_data } = req.body;
@@ -243,7 +605,7 @@ router.post('/sync', async (req, res) => {
       });
     }
 
-    const syncResults = await Inventory.syncInventory(tenantSchema, sync_data);
+    const syncResults = await Inventory.syncInventory(tenantSchema, sync_data, req.auditContext);
 
     res.json({
       success: true,
@@ -0,0 +1,120 @@
+// =====================================================================================
+// FLUXION AI - PLATFORM ADMIN ROUTES
+// Rutas para gestión de operadores de la plataforma (public.platform_admins)
+// =====================================================================================
+
+const express = require('express');
+const router = express.Router();
+const PlatformAdminService = require('../services/PlatformAdminService.cjs');
+
+/**
+ * GET /api/admin/operators
+ * Obtener lista de operadores de la plataforma
+ */
+router.get('/', async (req, res) => {
+  try {
+    const admins = await PlatformAdminService.getAdmins();
+
+    res.json({
+      success: true,
+      data: admins,
+      count: admins.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo operadores:', error.message);
+    res.status(500).json({
+      error: 'GET_OPERATORS_ERROR',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/admin/operators
+ * Crear un operador; la API key solo se devuelve en esta respuesta
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, email } = req.body;
+
+    if (!name || !email) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'name y email son requeridos',
+        required_fields: ['name', 'email']
+      });
+    }
+
+    const admin = await PlatformAdminService.createAdmin({ name, email });
+
+    res.status(201).json({
+      success: true,
+      message: 'Operador creado exitosamente',
+      data: admin,
+      warning: 'Guarde la api_key ahora: no se puede volver a consultar',
+      created_by: req.platformAdmin.email || req.platformAdmin.name,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error creando operador:', error.message);
+
+    if (error.message.includes('Ya existe un operador')) {
+      return res.status(409).json({
+        error: 'OPERATOR_EXISTS',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.status(500).json({
+      error: 'CREATE_OPERATOR_ERROR',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/operators/:id/deactivate
+ * Desactivar un operador (revoca su API key)
+ */
+router.put('/:id/deactivate', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (parseInt(id) === req.platformAdmin.id) {
+      return res.status(400).json({
+        error: 'CANNOT_DEACTIVATE_SELF',
+        message: 'No puede desactivar su propia credencial de operador',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const success = await PlatformAdminService.deactivateAdmin(parseInt(id));
+
+    if (!success) {
+      return res.status(404).json({
+        error: 'OPERATOR_NOT_FOUND',
+        message: `Operador con ID ${id} no encontrado`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Operador ${id} desactivado exitosamente`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error desactivando operador:', error.message);
+    res.status(500).json({
+      error: 'DEACTIVATE_OPERATOR_ERROR',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
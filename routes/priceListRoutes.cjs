@@ -0,0 +1,291 @@
+// =====================================================================================
+// FLUXION AI - PRICE LIST ROUTES (MULTI-TENANT)
+// Rutas para listas de precios y consulta de precio por cliente
+// =====================================================================================
+
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/authMiddleware.cjs');
+const PriceList = require('../models/PriceList.cjs');
+
+/**
+ * Responder errores de validación de listas de precios (400) o el error genérico (500)
+ * @param {Object} res - Respuesta de Express
+ * @param {Object} req - Request de Express
+ * @param {Error} error - Error del modelo
+ * @param {string} fallbackCode - Código para errores no mapeados
+ */
+function sendPriceListError(res, req, error, fallbackCode) {
+  if (error.message.includes('Lista de precios con ID')) {
+    return res.status(404).json({
+      error: 'PRICE_LIST_NOT_FOUND',
+      message: error.message,
+      price_list_id: req.params.id,
+      tenant_code: req.tenantCode
+    });
+  }
+
+  if (error.message.includes('inválid') || error.message.includes('no encontrado') ||
+      error.message.includes('duplicado') || error.message.includes('No hay campos válidos')) {
+    return res.status(400).json({
+      error: 'INVALID_PRICE_LIST',
+      message: error.message,
+      tenant_code: req.tenantCode
+    });
+  }
+
+  res.status(500).json({
+    error: fallbackCode,
+    message: error.message,
+    tenant_code: req.tenantCode,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// =====================================================================================
+// PRICE LIST ENDPOINTS
+// =====================================================================================
+
+/**
+ * GET /api/price-lists
+ * Listas de precios (filtros: active, client_type, client_id, valid_on)
+ */
+router.get('/', requirePermission('price_lists:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const options = {
+      active: req.query.active !== undefined ? req.query.active === 'true' : undefined,
+      client_type: req.query.client_type,
+      client_id: req.query.client_id ? parseInt(req.query.client_id) : undefined,
+      valid_on: req.query.valid_on,
+      limit: parseInt(req.query.limit) || undefined,
+      offset: parseInt(req.query.offset) || undefined
+    };
+
+    const priceLists = await PriceList.getAll(tenantSchema, options);
+
+    res.json({
+      success: true,
+      data: priceLists,
+      count: priceLists.length,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo listas de precios:', error.message);
+    res.status(500).json({
+      error: 'GET_PRICE_LISTS_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/price-lists/lookup?client_id=5&product_ids=1,2&quantity=10&date=2025-01-31
+ * Precio de productos para un cliente (pantalla de pedidos)
+ * quantity aplica a todos los productos; quantities=10,3 indica una por producto
+ */
+router.get('/lookup', requirePermission('price_lists:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const clientId = parseInt(req.query.client_id);
+    const productIds = String(req.query.product_ids || req.query.product_id || '')
+      .split(',')
+      .map(id => parseInt(id))
+      .filter(id => id > 0);
+
+    if (!clientId || productIds.length === 0) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'client_id y product_ids son requeridos',
+        required_fields: ['client_id', 'product_ids'],
+        tenant_code: req.tenantCode
+      });
+    }
+
+    const quantities = req.query.quantities ? String(req.query.quantities).split(',') : [];
+    const items = productIds.map((productId, index) => ({
+      product_id: productId,
+      quantity: parseInt(quantities[index]) || parseInt(req.query.quantity) || 1
+    }));
+
+    const prices = await PriceList.getClientPrices(tenantSchema, clientId, items, req.query.date);
+
+    if (!prices) {
+      return res.status(404).json({
+        error: 'CLIENT_NOT_FOUND',
+        message: `Cliente con ID ${clientId} no encontrado`,
+        client_id: clientId,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    res.json({
+      success: true,
+      data: prices,
+      count: prices.items.length,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error consultando precios:', error.message);
+    res.status(500).json({
+      error: 'PRICE_LOOKUP_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/price-lists/:id
+ * Lista de precios con sus precios y escalas
+ */
+router.get('/:id', requirePermission('price_lists:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { id } = req.params;
+
+    const priceList = await PriceList.getById(tenantSchema, parseInt(id));
+
+    if (!priceList) {
+      return res.status(404).json({
+        error: 'PRICE_LIST_NOT_FOUND',
+        message: `Lista de precios con ID ${id} no encontrada`,
+        price_list_id: id,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    res.json({
+      success: true,
+      data: priceList,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo lista de precios:', error.message);
+    res.status(500).json({
+      error: 'GET_PRICE_LIST_ERROR',
+      message: error.message,
+      price_list_id: req.params.id,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/price-lists
+ * Crear lista de precios
+ * Body: { name, client_type | client_id, valid_from, valid_to, priority, notes,
+ *         items: [{ product_id, min_quantity, unit_price }] }
+ */
+router.post('/', requirePermission('price_lists:create'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const listData = req.body;
+
+    const requiredFields = ['name', 'items'];
+    const missingFields = requiredFields.filter(field => !listData[field]);
+
+    if (missingFields.length > 0 || !Array.isArray(listData.items)) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'Campos requeridos faltantes (items debe ser un arreglo de { product_id, min_quantity, unit_price })',
+        missing_fields: missingFields,
+        required_fields: requiredFields
+      });
+    }
+
+    const priceList = await PriceList.create(tenantSchema, listData, req.auditContext);
+
+    res.status(201).json({
+      success: true,
+      message: 'Lista de precios creada exitosamente',
+      data: priceList,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error creando lista de precios:', error.message);
+    sendPriceListError(res, req, error, 'CREATE_PRICE_LIST_ERROR');
+  }
+});
+
+/**
+ * PUT /api/price-lists/:id
+ * Actualizar lista de precios (items reemplaza todos sus precios)
+ */
+router.put('/:id', requirePermission('price_lists:update'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { id } = req.params;
+
+    if (req.body.items !== undefined && !Array.isArray(req.body.items)) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'items debe ser un arreglo de { product_id, min_quantity, unit_price }',
+        tenant_code: req.tenantCode
+      });
+    }
+
+    const priceList = await PriceList.update(tenantSchema, parseInt(id), req.body, req.auditContext);
+
+    res.json({
+      success: true,
+      message: 'Lista de precios actualizada exitosamente',
+      data: priceList,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error actualizando lista de precios:', error.message);
+    sendPriceListError(res, req, error, 'UPDATE_PRICE_LIST_ERROR');
+  }
+});
+
+/**
+ * DELETE /api/price-lists/:id
+ * Desactivar lista de precios (soft delete)
+ */
+router.delete('/:id', requirePermission('price_lists:delete'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { id } = req.params;
+
+    const success = await PriceList.delete(tenantSchema, parseInt(id), req.auditContext);
+
+    if (!success) {
+      return res.status(404).json({
+        error: 'PRICE_LIST_NOT_FOUND',
+        message: `Lista de precios con ID ${id} no encontrada`,
+        price_list_id: id,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Lista de precios desactivada exitosamente',
+      price_list_id: id,
+      note: 'La lista fue marcada como inactiva (soft delete) y deja de aplicarse a nuevas ventas',
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error eliminando lista de precios:', error.message);
+    res.status(500).json({
+      error: 'DELETE_PRICE_LIST_ERROR',
+      message: error.message,
+      price_list_id: req.params.id,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
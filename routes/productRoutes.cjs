@@ -5,7 +5,9 @@
 
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/authMiddleware.cjs');
 const Product = require('../models/Product.cjs');
+const ForecastService = require('../services/ForecastService.cjs');
 
 // =====================================================================================
 // PRODUCT ENDPOINTS (Todos requieren tenant en contexto)
@@ -15,7 +17,7 @@ const Product = require('../models/Product.cjs');
  * GET /api/products
  * Obtener lista de productos del tenant con filtros opcionales
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('products:read'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const options = {
@@ -52,7 +54,7 @@ router.get('/', async (req, res) => {
  * GET /api/products/search?q=término
  * Buscar productos por término de búsqueda
  */
-router.get('/search', async (req, res) => {
+router.get('/search', requirePermission('products:read'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const { q: searchTerm } = req.query;
@@ -88,18 +90,20 @@ router.get('/search', async (req, res) => {
 
 /**
  * GET /api/products/low-stock
- * Obtener productos con stock bajo
+ * Obtener productos con stock bajo (warehouse_id opcional para un almacén)
  */
-router.get('/low-stock', async (req, res) => {
+router.get('/low-stock', requirePermission('products:read'), async (req, res) => {
   try {
     const { tenantSchema } = req;
-    const products = await Product.getLowStock(tenantSchema);
+    const warehouseId = req.query.warehouse_id ? parseInt(req.query.warehouse_id) : undefined;
+    const products = await Product.getLowStock(tenantSchema, { warehouse_id: warehouseId });
 
     res.json({
       success: true,
       data: products,
       count: products.length,
       alert_level: 'low_stock',
+      warehouse_id: warehouseId,
       tenant_code: req.tenantCode,
       timestamp: new Date().toISOString()
     });
@@ -118,7 +122,7 @@ router.get('/low-stock', async (req, res) => {
  * GET /api/products/stats
  * Obtener estadísticas de productos del tenant
  */
-router.get('/stats', async (req, res) => {
+router.get('/stats', requirePermission('products:read'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const stats = await Product.getStats(tenantSchema);
@@ -140,11 +144,90 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/products/:id/forecast
+ * Pronosticar demanda del producto con intervalos de confianza y métricas de backtest
+ * Query: horizon, granularity (daily|weekly), history_days (28 a 730), confidence, include_history
+ */
+router.get('/:id/forecast', requirePermission('products:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { id } = req.params;
+
+    if (!id || isNaN(parseInt(id))) {
+      return res.status(400).json({
+        error: 'INVALID_PRODUCT_ID',
+        message: 'ID de producto debe ser un número válido'
+      });
+    }
+
+    const granularity = req.query.granularity || 'daily';
+    if (!['daily', 'weekly'].includes(granularity)) {
+      return res.status(400).json({
+        error: 'INVALID_GRANULARITY',
+        message: 'granularity debe ser daily o weekly'
+      });
+    }
+
+    const forecast = await ForecastService.forecastProduct(tenantSchema, parseInt(id), {
+      horizon: req.query.horizon,
+      granularity,
+      history_days: req.query.history_days,
+      confidence: req.query.confidence,
+      include_history: req.query.include_history === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: forecast,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error pronosticando producto:', error.message);
+
+    if (error.message.includes('no encontrado')) {
+      return res.status(404).json({
+        error: 'PRODUCT_NOT_FOUND',
+        message: error.message,
+        product_id: req.params.id,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    if (error.message.includes('history_days inválido')) {
+      return res.status(400).json({
+        error: 'INVALID_HISTORY_DAYS',
+        message: error.message,
+        product_id: req.params.id,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    if (error.message.includes('Historial insuficiente')) {
+      return res.status(422).json({
+        error: 'INSUFFICIENT_HISTORY',
+        message: error.message,
+        product_id: req.params.id,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    res.status(500).json({
+      error: 'FORECAST_PRODUCT_ERROR',
+      message: error.message,
+      product_id: req.params.id,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * GET /api/products/:id
  * Obtener producto específico por ID
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('products:read'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const { id } = req.params;
@@ -189,7 +272,7 @@ router.get('/:id', async (req, res) => {
  * POST /api/products
  * Crear nuevo producto
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('products:create'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const productData = req.body;
@@ -207,7 +290,7 @@ router.post('/', async (req, res) => {
       });
     }
 
-    const newProduct = await Product.create(tenantSchema, productData);
+    const newProduct = await Product.create(tenantSchema, productData, req.auditContext);
 
     res.status(201).json({
       success: true,
@@ -227,6 +310,22 @@ router.post('/', async (req, res) => {
       });
     }
 
+    if (error.message.includes('Cuota excedida')) {
+      return res.status(403).json({
+        error: 'QUOTA_EXCEEDED',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    if (error.message.includes('Almacén con ID')) {
+      return res.status(400).json({
+        error: 'INVALID_WAREHOUSE',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
     res.status(500).json({
       error: 'CREATE_PRODUCT_ERROR',
       message: error.message,
@@ -240,7 +339,7 @@ router.post('/', async (req, res) => {
  * PUT /api/products/:id
  * Actualizar producto existente
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('products:update'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const { id } = req.params;
@@ -253,7 +352,7 @@ router.put('/:id', async (req, res) => {
       });
     }
 
-    const updatedProduct = await Product.update(tenantSchema, parseInt(id), updateData);
+    const updatedProduct = await Product.update(tenantSchema, parseInt(id), updateData, req.auditContext);
 
     res.json({
       success: true,
@@ -274,6 +373,14 @@ router.put('/:id', async (req, res) => {
       });
     }
 
+    if (error.message.includes('Cuota excedida')) {
+      return res.status(403).json({
+        error: 'QUOTA_EXCEEDED',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
     res.status(500).json({
       error: 'UPDATE_PRODUCT_ERROR',
       message: error.message,
@@ -288,7 +395,7 @@ router.put('/:id', async (req, res) => {
  * DELETE /api/products/:id
  * Eliminar producto (soft delete)
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('products:delete'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const { id } = req.params;
@@ -300,7 +407,7 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
-    const success = await Product.delete(tenantSchema, parseInt(id));
+    const success = await Product.delete(tenantSchema, parseInt(id), req.auditContext);
 
     if (!success) {
       return res.status(404).json({
@@ -334,12 +441,13 @@ router.delete('/:id', async (req, res) => {
 /**
  * PATCH /api/products/:id/stock
  * Actualizar stock de un producto
+ * Body: { new_stock, reason, warehouse_id } (con warehouse_id, new_stock es el stock de ese almacén)
  */
-router.patch('/:id/stock', async (req, res) => {
+router.patch('/:id/stock', requirePermission('products:stock'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const { id } = req.params;
-    const { new_stock, reason = 'Manual adjustment via API' } = req.body;
+    const { new_stock, reason = 'Manual adjustment via API', warehouse_id = null } = req.body;
 
     if (!id || isNaN(parseInt(id))) {
       return res.status(400).json({
@@ -355,7 +463,7 @@ router.patch('/:id/stock', async (req, res) => {
       });
     }
 
-    const updatedProduct = await Product.updateStock(tenantSchema, parseInt(id), new_stock, reason);
+    const updatedProduct = await Product.updateStock(tenantSchema, parseInt(id), new_stock, reason, warehouse_id, req.auditContext);
 
     res.json({
       success: true,
@@ -363,6 +471,7 @@ router.patch('/:id/stock', async (req, res) => {
       data: updatedProduct,
       stock_change: {
         new_stock: new_stock,
+        warehouse_id: warehouse_id,
         reason: reason
       },
       tenant_code: req.tenantCode,
@@ -370,6 +479,15 @@ router.patch('/:id/stock', async (req, res) => {
     });
   } catch (error) {
     console.error('💥 Error actualizando stock:', error.message);
+
+    if (error.message.includes('Almacén con ID') || error.message.includes('Stock insuficiente')) {
+      return res.status(400).json({
+        error: 'INVALID_STOCK_LOCATION',
+        message: error.message,
+        product_id: req.params.id,
+        tenant_code: req.tenantCode
+      });
+    }
     
     if (error.message.includes('no encontrado')) {
       return res.status(404).json({
@@ -0,0 +1,311 @@
+// =====================================================================================
+// FLUXION AI - PROMOTION ROUTES (MULTI-TENANT)
+// Rutas para promociones, simulación de descuentos y promociones desde insights
+// =====================================================================================
+
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/authMiddleware.cjs');
+const Promotion = require('../models/Promotion.cjs');
+
+/**
+ * Responder errores de promociones con el código HTTP correspondiente
+ * @param {Object} res - Respuesta de Express
+ * @param {Object} req - Request de Express
+ * @param {Error} error - Error del modelo
+ * @param {string} fallbackCode - Código para errores no mapeados
+ */
+function sendPromotionError(res, req, error, fallbackCode) {
+  if (error.message.includes('Promoción con ID')) {
+    return res.status(404).json({
+      error: 'PROMOTION_NOT_FOUND',
+      message: error.message,
+      promotion_id: req.params.id,
+      tenant_code: req.tenantCode
+    });
+  }
+
+  if (error.message.includes('Insight con ID')) {
+    return res.status(404).json({
+      error: 'INSIGHT_NOT_FOUND',
+      message: error.message,
+      insight_id: req.params.insightId,
+      tenant_code: req.tenantCode
+    });
+  }
+
+  if (error.message.includes('Cliente con ID')) {
+    return res.status(404).json({
+      error: 'CLIENT_NOT_FOUND',
+      message: error.message,
+      tenant_code: req.tenantCode
+    });
+  }
+
+  if (error.message.includes('inválid') || error.message.includes('no encontrado') ||
+      error.message.includes('duplicado') || error.message.includes('No hay campos válidos') ||
+      error.message.includes('no tiene productos')) {
+    return res.status(400).json({
+      error: 'INVALID_PROMOTION',
+      message: error.message,
+      tenant_code: req.tenantCode
+    });
+  }
+
+  res.status(500).json({
+    error: fallbackCode,
+    message: error.message,
+    tenant_code: req.tenantCode,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// =====================================================================================
+// PROMOTION ENDPOINTS
+// =====================================================================================
+
+/**
+ * GET /api/promotions
+ * Promociones (filtros: active, promotion_type, client_type, product_id, valid_on, source_insight_id)
+ */
+router.get('/', requirePermission('promotions:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const options = {
+      active: req.query.active !== undefined ? req.query.active === 'true' : undefined,
+      promotion_type: req.query.promotion_type,
+      client_type: req.query.client_type,
+      product_id: req.query.product_id ? parseInt(req.query.product_id) : undefined,
+      valid_on: req.query.valid_on,
+      source_insight_id: req.query.source_insight_id,
+      limit: parseInt(req.query.limit) || undefined,
+      offset: parseInt(req.query.offset) || undefined
+    };
+
+    const promotions = await Promotion.getAll(tenantSchema, options);
+
+    res.json({
+      success: true,
+      data: promotions,
+      count: promotions.length,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo promociones:', error.message);
+    res.status(500).json({
+      error: 'GET_PROMOTIONS_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/promotions/evaluate
+ * Simular precios y promociones de un pedido sin registrar la venta
+ * Body: { client_id, sale_date, details: [{ product_id, quantity, unit_price }] }
+ */
+router.post('/evaluate', requirePermission('promotions:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const order = req.body;
+
+    if (!order.client_id || !Array.isArray(order.details) || order.details.length === 0) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'client_id y details (arreglo de { product_id, quantity }) son requeridos',
+        required_fields: ['client_id', 'details']
+      });
+    }
+
+    const preview = await Promotion.preview(tenantSchema, order);
+
+    res.json({
+      success: true,
+      data: preview,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error simulando promociones:', error.message);
+    sendPromotionError(res, req, error, 'EVALUATE_PROMOTIONS_ERROR');
+  }
+});
+
+/**
+ * POST /api/promotions/from-insight/:insightId
+ * Crear una promoción para los productos de un insight de sobrestock (otros insights: 400)
+ * Body: { discount_value, promotion_type, valid_to, client_type, product_ids, name }
+ */
+router.post('/from-insight/:insightId', requirePermission('promotions:create'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { insightId } = req.params;
+
+    const promotion = await Promotion.createFromInsight(tenantSchema, insightId, req.body, req.auditContext);
+
+    res.status(201).json({
+      success: true,
+      message: `Promoción creada para ${promotion.products.length} productos del insight`,
+      data: promotion,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error creando promoción desde insight:', error.message);
+    sendPromotionError(res, req, error, 'CREATE_PROMOTION_ERROR');
+  }
+});
+
+/**
+ * GET /api/promotions/:id
+ * Promoción con productos y uso en ventas
+ */
+router.get('/:id', requirePermission('promotions:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { id } = req.params;
+
+    const promotion = await Promotion.getById(tenantSchema, parseInt(id));
+
+    if (!promotion) {
+      return res.status(404).json({
+        error: 'PROMOTION_NOT_FOUND',
+        message: `Promoción con ID ${id} no encontrada`,
+        promotion_id: id,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    res.json({
+      success: true,
+      data: promotion,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo promoción:', error.message);
+    res.status(500).json({
+      error: 'GET_PROMOTION_ERROR',
+      message: error.message,
+      promotion_id: req.params.id,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/promotions
+ * Crear promoción
+ * Body: { name, promotion_type, discount_value | buy_quantity + pay_quantity | bundle_price,
+ *         category, client_type, min_quantity, valid_from, valid_to, priority,
+ *         products: [{ product_id, quantity }] }
+ */
+router.post('/', requirePermission('promotions:create'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const promotionData = req.body;
+
+    const requiredFields = ['name', 'promotion_type'];
+    const missingFields = requiredFields.filter(field => !promotionData[field]);
+
+    if (missingFields.length > 0 || (promotionData.products !== undefined && !Array.isArray(promotionData.products))) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'Campos requeridos faltantes (products debe ser un arreglo de { product_id, quantity })',
+        missing_fields: missingFields,
+        required_fields: requiredFields
+      });
+    }
+
+    const promotion = await Promotion.create(tenantSchema, promotionData, req.auditContext);
+
+    res.status(201).json({
+      success: true,
+      message: 'Promoción creada exitosamente',
+      data: promotion,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error creando promoción:', error.message);
+    sendPromotionError(res, req, error, 'CREATE_PROMOTION_ERROR');
+  }
+});
+
+/**
+ * PUT /api/promotions/:id
+ * Actualizar promoción (products reemplaza todos sus productos)
+ */
+router.put('/:id', requirePermission('promotions:update'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { id } = req.params;
+
+    if (req.body.products !== undefined && !Array.isArray(req.body.products)) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'products debe ser un arreglo de { product_id, quantity }',
+        tenant_code: req.tenantCode
+      });
+    }
+
+    const promotion = await Promotion.update(tenantSchema, parseInt(id), req.body, req.auditContext);
+
+    res.json({
+      success: true,
+      message: 'Promoción actualizada exitosamente',
+      data: promotion,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error actualizando promoción:', error.message);
+    sendPromotionError(res, req, error, 'UPDATE_PROMOTION_ERROR');
+  }
+});
+
+/**
+ * DELETE /api/promotions/:id
+ * Desactivar promoción (soft delete)
+ */
+router.delete('/:id', requirePermission('promotions:delete'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { id } = req.params;
+
+    const success = await Promotion.delete(tenantSchema, parseInt(id), req.auditContext);
+
+    if (!success) {
+      return res.status(404).json({
+        error: 'PROMOTION_NOT_FOUND',
+        message: `Promoción con ID ${id} no encontrada`,
+        promotion_id: id,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Promoción desactivada exitosamente',
+      promotion_id: id,
+      note: 'La promoción fue marcada como inactiva (soft delete) y deja de aplicarse a nuevas ventas',
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error eliminando promoción:', error.message);
+    res.status(500).json({
+      error: 'DELETE_PROMOTION_ERROR',
+      message: error.message,
+      promotion_id: req.params.id,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,274 @@
+// =====================================================================================
+// FLUXION AI - PURCHASE ROUTES (MULTI-TENANT)
+// Rutas para órdenes de compra: creación, aprobación y recepción de mercancía
+// =====================================================================================
+
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/authMiddleware.cjs');
+const PurchaseOrder = require('../models/PurchaseOrder.cjs');
+
+/**
+ * Responder errores comunes de operaciones sobre una orden de compra
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {Error} error - Error capturado
+ * @param {string} defaultCode - Código para errores no reconocidos
+ */
+function sendPurchaseOrderError(req, res, error, defaultCode) {
+  if (error.message.includes('no encontrada')) {
+    return res.status(404).json({
+      error: 'PURCHASE_ORDER_NOT_FOUND',
+      message: error.message,
+      purchase_order_id: req.params.id,
+      tenant_code: req.tenantCode
+    });
+  }
+
+  if (error.message.includes('Estado inválido')) {
+    return res.status(409).json({
+      error: 'INVALID_PURCHASE_ORDER_STATUS',
+      message: error.message,
+      purchase_order_id: req.params.id,
+      tenant_code: req.tenantCode
+    });
+  }
+
+  if (error.message.includes('no pertenece') || error.message.includes('Cantidad') || error.message.includes('pendientes') || error.message.includes('Almacén con ID') || error.message.includes('lote')) {
+    return res.status(400).json({
+      error: 'INVALID_RECEIPT',
+      message: error.message,
+      purchase_order_id: req.params.id,
+      tenant_code: req.tenantCode
+    });
+  }
+
+  res.status(500).json({
+    error: defaultCode,
+    message: error.message,
+    purchase_order_id: req.params.id,
+    tenant_code: req.tenantCode,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// =====================================================================================
+// PURCHASE ORDER ENDPOINTS
+// =====================================================================================
+
+/**
+ * GET /api/purchases
+ * Obtener órdenes de compra con filtros
+ */
+router.get('/', requirePermission('purchases:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const options = {
+      status: req.query.status,
+      supplier_id: req.query.supplier_id ? parseInt(req.query.supplier_id) : undefined,
+      date_from: req.query.date_from,
+      date_to: req.query.date_to,
+      limit: parseInt(req.query.limit) || undefined,
+      offset: parseInt(req.query.offset) || undefined
+    };
+
+    const orders = await PurchaseOrder.getAll(tenantSchema, options);
+
+    res.json({
+      success: true,
+      data: orders,
+      count: orders.length,
+      filters: options,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo órdenes de compra:', error.message);
+    res.status(500).json({
+      error: 'GET_PURCHASE_ORDERS_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/purchases/:id
+ * Obtener orden de compra con sus líneas
+ */
+router.get('/:id', requirePermission('purchases:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { id } = req.params;
+
+    const order = await PurchaseOrder.getById(tenantSchema, parseInt(id));
+
+    if (!order) {
+      return res.status(404).json({
+        error: 'PURCHASE_ORDER_NOT_FOUND',
+        message: `Orden de compra con ID ${id} no encontrada`,
+        purchase_order_id: id,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    res.json({
+      success: true,
+      data: order,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo orden de compra:', error.message);
+    res.status(500).json({
+      error: 'GET_PURCHASE_ORDER_ERROR',
+      message: error.message,
+      purchase_order_id: req.params.id,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/purchases
+ * Crear orden de compra (queda en borrador)
+ * Body: { po_number, supplier_id, order_date, expected_date, notes, lines: [{ product_id, quantity, unit_cost }] }
+ */
+router.post('/', requirePermission('purchases:create'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const orderData = req.body;
+
+    const requiredFields = ['po_number', 'supplier_id', 'lines'];
+    const missingFields = requiredFields.filter(field => !orderData[field]);
+
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'Campos requeridos faltantes',
+        missing_fields: missingFields,
+        required_fields: requiredFields
+      });
+    }
+
+    const newOrder = await PurchaseOrder.create(tenantSchema, orderData, req.auditContext);
+
+    res.status(201).json({
+      success: true,
+      message: 'Orden de compra creada exitosamente',
+      data: newOrder,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error creando orden de compra:', error.message);
+
+    if (error.message.includes('Ya existe una orden')) {
+      return res.status(409).json({
+        error: 'PO_NUMBER_EXISTS',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    if (error.message.includes('no encontrado o inactivo') || error.message.includes('inválid') || error.message.includes('al menos una línea')) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    res.status(500).json({
+      error: 'CREATE_PURCHASE_ORDER_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/purchases/:id/approve
+ * Aprobar una orden en borrador
+ */
+router.post('/:id/approve', requirePermission('purchases:approve'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const order = await PurchaseOrder.approve(tenantSchema, parseInt(req.params.id), req.auditContext);
+
+    res.json({
+      success: true,
+      message: 'Orden de compra aprobada exitosamente',
+      data: order,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error aprobando orden de compra:', error.message);
+    sendPurchaseOrderError(req, res, error, 'APPROVE_PURCHASE_ORDER_ERROR');
+  }
+});
+
+/**
+ * POST /api/purchases/:id/receive
+ * Recibir mercancía total o parcialmente
+ * Body: { lines: [{ line_id, quantity, lot_number, expiry_date }], warehouse_id } (sin lines se recibe todo lo pendiente;
+ * sin warehouse_id se recibe en el almacén predeterminado)
+ */
+router.post('/:id/receive', requirePermission('purchases:receive'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { lines = [], warehouse_id = null } = req.body;
+
+    if (!Array.isArray(lines)) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'lines debe ser un arreglo de { line_id, quantity }'
+      });
+    }
+
+    const order = await PurchaseOrder.receive(tenantSchema, parseInt(req.params.id), lines, warehouse_id, req.auditContext);
+
+    res.json({
+      success: true,
+      message: order.status === 'recibida'
+        ? 'Orden de compra recibida completamente'
+        : 'Recepción parcial registrada',
+      data: order,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error recibiendo orden de compra:', error.message);
+    sendPurchaseOrderError(req, res, error, 'RECEIVE_PURCHASE_ORDER_ERROR');
+  }
+});
+
+/**
+ * POST /api/purchases/:id/cancel
+ * Cancelar una orden sin recepciones
+ */
+router.post('/:id/cancel', requirePermission('purchases:cancel'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { reason = 'Cancelación manual' } = req.body;
+
+    const order = await PurchaseOrder.cancel(tenantSchema, parseInt(req.params.id), reason, req.auditContext);
+
+    res.json({
+      success: true,
+      message: 'Orden de compra cancelada exitosamente',
+      data: order,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error cancelando orden de compra:', error.message);
+    sendPurchaseOrderError(req, res, error, 'CANCEL_PURCHASE_ORDER_ERROR');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,201 @@
+// =====================================================================================
+// FLUXION AI - SALE RETURN ROUTES (MULTI-TENANT)
+// Rutas para devoluciones de ventas y notas de crédito
+// =====================================================================================
+
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/authMiddleware.cjs');
+const SaleReturn = require('../models/SaleReturn.cjs');
+
+// =====================================================================================
+// SALE RETURN ENDPOINTS
+// =====================================================================================
+
+/**
+ * GET /api/returns
+ * Historial de devoluciones (filtros: sale_id, client_id, date_from, date_to)
+ */
+router.get('/', requirePermission('returns:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const options = {
+      sale_id: req.query.sale_id ? parseInt(req.query.sale_id) : undefined,
+      client_id: req.query.client_id ? parseInt(req.query.client_id) : undefined,
+      date_from: req.query.date_from,
+      date_to: req.query.date_to,
+      limit: parseInt(req.query.limit) || undefined,
+      offset: parseInt(req.query.offset) || undefined
+    };
+
+    const returns = await SaleReturn.getAll(tenantSchema, options);
+
+    res.json({
+      success: true,
+      data: returns,
+      count: returns.length,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo devoluciones:', error.message);
+    res.status(500).json({
+      error: 'GET_RETURNS_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/returns/credit-notes
+ * Notas de crédito (status=abierta para las que tienen saldo a favor)
+ */
+router.get('/credit-notes', requirePermission('returns:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const options = {
+      client_id: req.query.client_id ? parseInt(req.query.client_id) : undefined,
+      status: req.query.status,
+      limit: parseInt(req.query.limit) || undefined,
+      offset: parseInt(req.query.offset) || undefined
+    };
+
+    const creditNotes = await SaleReturn.getCreditNotes(tenantSchema, options);
+
+    res.json({
+      success: true,
+      data: creditNotes,
+      count: creditNotes.length,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo notas de crédito:', error.message);
+    res.status(500).json({
+      error: 'GET_CREDIT_NOTES_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/returns/:id
+ * Devolución con líneas y nota de crédito
+ */
+router.get('/:id', requirePermission('returns:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { id } = req.params;
+
+    const saleReturn = await SaleReturn.getById(tenantSchema, parseInt(id));
+
+    if (!saleReturn) {
+      return res.status(404).json({
+        error: 'RETURN_NOT_FOUND',
+        message: `Devolución con ID ${id} no encontrada`,
+        return_id: id,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    res.json({
+      success: true,
+      data: saleReturn,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo devolución:', error.message);
+    res.status(500).json({
+      error: 'GET_RETURN_ERROR',
+      message: error.message,
+      return_id: req.params.id,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/returns
+ * Registrar una devolución y emitir su nota de crédito
+ * Body: { sale_id, return_number, return_date, reason, warehouse_id, damaged_warehouse_id,
+ *         lines: [{ sale_detail_id, quantity, condition: 'bueno' | 'danado', warehouse_id }] }
+ */
+router.post('/', requirePermission('returns:create'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const returnData = req.body;
+
+    const requiredFields = ['sale_id', 'lines'];
+    const missingFields = requiredFields.filter(field => !returnData[field]);
+
+    if (missingFields.length > 0 || !Array.isArray(returnData.lines)) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'Campos requeridos faltantes (lines debe ser un arreglo de { sale_detail_id, quantity })',
+        missing_fields: missingFields,
+        required_fields: requiredFields
+      });
+    }
+
+    const saleReturn = await SaleReturn.create(tenantSchema, returnData, req.auditContext);
+
+    res.status(201).json({
+      success: true,
+      message: `Devolución registrada: nota de crédito ${saleReturn.credit_note.credit_note_number} por ${saleReturn.credit_note.amount}`,
+      data: saleReturn,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error registrando devolución:', error.message);
+
+    if (error.message.includes('Venta con ID')) {
+      return res.status(404).json({
+        error: 'SALE_NOT_FOUND',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    if (error.message.includes('Ya existe una devolución')) {
+      return res.status(409).json({
+        error: 'RETURN_NUMBER_EXISTS',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    if (error.message.includes('Estado inválido')) {
+      return res.status(409).json({
+        error: 'INVALID_SALE_STATUS',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    if (error.message.includes('no pertenece') || error.message.includes('inválid') ||
+        error.message.includes('excede lo vendido') || error.message.includes('Debe ') ||
+        error.message.includes('al menos una línea') || error.message.includes('Almacén con ID')) {
+      return res.status(400).json({
+        error: 'INVALID_RETURN',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    res.status(500).json({
+      error: 'CREATE_RETURN_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
@@ -5,17 +5,121 @@
 
 const express = require('express');
 const router = express.Router();
+const { requirePermission } = require('../middleware/authMiddleware.cjs');
+const { hasPermission } = require('../config/permissions.cjs');
 const Sales = require('../models/Sales.cjs');
+const Payment = require('../models/Payment.cjs');
+const Invoice = require('../models/Invoice.cjs');
+const InvoiceRenderer = require('../services/InvoiceRenderer.cjs');
+
+/**
+ * Responder errores comunes de operaciones sobre pagos
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {Error} error - Error capturado
+ * @param {string} defaultCode - Código para errores no reconocidos
+ */
+function sendPaymentError(req, res, error, defaultCode) {
+  if (error.message.includes('Venta con ID') || error.message.includes('Pago con ID') || error.message.includes('Nota de crédito con ID')) {
+    return res.status(404).json({
+      error: error.message.includes('Venta con ID') ? 'SALE_NOT_FOUND' : error.message.includes('Pago con ID') ? 'PAYMENT_NOT_FOUND' : 'CREDIT_NOTE_NOT_FOUND',
+      message: error.message,
+      sale_id: req.params.id,
+      tenant_code: req.tenantCode
+    });
+  }
+
+  if (error.message.includes('Estado inválido') || error.message.includes('no tiene saldo pendiente')) {
+    return res.status(409).json({
+      error: 'INVALID_SALE_STATUS',
+      message: error.message,
+      sale_id: req.params.id,
+      tenant_code: req.tenantCode
+    });
+  }
+
+  if (error.message.includes('Monto de pago inválido') || error.message.includes('no pertenece al cliente')) {
+    return res.status(400).json({
+      error: 'INVALID_PAYMENT_AMOUNT',
+      message: error.message,
+      sale_id: req.params.id,
+      tenant_code: req.tenantCode
+    });
+  }
+
+  if (error.message.includes('Moneda inválida') || error.message.includes('Tasa de cambio inválida') ||
+      error.message.includes('No hay tasa de cambio')) {
+    return res.status(400).json({
+      error: 'INVALID_CURRENCY',
+      message: error.message,
+      sale_id: req.params.id,
+      tenant_code: req.tenantCode
+    });
+  }
+
+  res.status(500).json({
+    error: defaultCode,
+    message: error.message,
+    sale_id: req.params.id,
+    tenant_code: req.tenantCode,
+    timestamp: new Date().toISOString()
+  });
+}
+
+/**
+ * Responder errores de facturas: venta inexistente o sin factura (404), venta cancelada (409)
+ * @param {Object} req - Request de Express
+ * @param {Object} res - Respuesta de Express
+ * @param {Error} error - Error del modelo
+ * @param {string} defaultCode - Código para errores no mapeados
+ */
+function sendInvoiceError(req, res, error, defaultCode) {
+  if (error.message.includes('Venta con ID')) {
+    return res.status(404).json({
+      error: 'SALE_NOT_FOUND',
+      message: error.message,
+      sale_id: req.params.id,
+      tenant_code: req.tenantCode
+    });
+  }
+
+  if (error.message.includes('no tiene factura emitida')) {
+    return res.status(404).json({
+      error: 'INVOICE_NOT_FOUND',
+      message: `${error.message}. Emítala con POST /api/sales/${req.params.id}/invoice`,
+      sale_id: req.params.id,
+      tenant_code: req.tenantCode
+    });
+  }
+
+  if (error.message.includes('venta cancelada')) {
+    return res.status(409).json({
+      error: 'SALE_CANCELLED',
+      message: error.message,
+      sale_id: req.params.id,
+      tenant_code: req.tenantCode
+    });
+  }
+
+  res.status(500).json({
+    error: defaultCode,
+    message: error.message,
+    sale_id: req.params.id,
+    tenant_code: req.tenantCode,
+    timestamp: new Date().toISOString()
+  });
+}
 
 /**
  * GET /api/sales
  * Obtener lista de ventas del tenant
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('sales:read'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const options = {
       client_id: req.query.client_id ? parseInt(req.query.client_id) : undefined,
+      warehouse_id: req.query.warehouse_id ? parseInt(req.query.warehouse_id) : undefined,
       payment_status: req.query.payment_status,
       date_from: req.query.date_from,
       date_to: req.query.date_to,
@@ -46,14 +150,15 @@ router.get('/', async (req, res) => {
 
 /**
  * GET /api/sales/stats
- * Obtener estadísticas de ventas
+ * Obtener estadísticas de ventas (currency=VES reporta en esa moneda; moneda base por defecto)
  */
-router.get('/stats', async (req, res) => {
+router.get('/stats', requirePermission('sales:read'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const options = {
       date_from: req.query.date_from,
-      date_to: req.query.date_to
+      date_to: req.query.date_to,
+      currency: req.query.currency
     };
 
     const stats = await Sales.getStats(tenantSchema, options);
@@ -66,6 +171,15 @@ router.get('/stats', async (req, res) => {
     });
   } catch (error) {
     console.error('💥 Error obteniendo estadísticas de ventas:', error.message);
+
+    if (error.message.includes('Moneda inválida') || error.message.includes('No hay tasas de cambio')) {
+      return res.status(400).json({
+        error: 'INVALID_CURRENCY',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
     res.status(500).json({
       error: 'GET_SALES_STATS_ERROR',
       message: error.message,
@@ -77,16 +191,17 @@ router.get('/stats', async (req, res) => {
 
 /**
  * GET /api/sales/period/:period
- * Obtener ventas agrupadas por período
+ * Obtener ventas agrupadas por período (currency opcional, como en /stats)
  */
-router.get('/period/:period', async (req, res) => {
+router.get('/period/:period', requirePermission('sales:read'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const { period } = req.params;
     const options = {
       date_from: req.query.date_from,
       date_to: req.query.date_to,
-      limit: parseInt(req.query.limit) || undefined
+      limit: parseInt(req.query.limit) || undefined,
+      currency: req.query.currency
     };
 
     const salesByPeriod = await Sales.getSalesByPeriod(tenantSchema, period, options);
@@ -101,6 +216,15 @@ router.get('/period/:period', async (req, res) => {
     });
   } catch (error) {
     console.error('💥 Error obteniendo ventas por período:', error.message);
+
+    if (error.message.includes('Moneda inválida') || error.message.includes('No hay tasas de cambio')) {
+      return res.status(400).json({
+        error: 'INVALID_CURRENCY',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
     res.status(500).json({
       error: 'GET_SALES_BY_PERIOD_ERROR',
       message: error.message,
@@ -114,7 +238,7 @@ router.get('/period/:period', async (req, res) => {
  * GET /api/sales/top-products
  * Obtener productos más vendidos
  */
-router.get('/top-products', async (req, res) => {
+router.get('/top-products', requirePermission('sales:read'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const options = {
@@ -143,11 +267,114 @@ router.get('/top-products', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/sales/payments
+ * Libro de pagos recibidos
+ * Query: client_id, sale_id, payment_method, date_from, date_to, include_voided, limit, offset
+ */
+router.get('/payments', requirePermission('sales:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const options = {
+      client_id: req.query.client_id ? parseInt(req.query.client_id) : undefined,
+      sale_id: req.query.sale_id ? parseInt(req.query.sale_id) : undefined,
+      payment_method: req.query.payment_method,
+      date_from: req.query.date_from,
+      date_to: req.query.date_to,
+      include_voided: req.query.include_voided === 'true',
+      limit: parseInt(req.query.limit) || undefined,
+      offset: parseInt(req.query.offset) || undefined
+    };
+
+    const payments = await Payment.getAll(tenantSchema, options);
+
+    res.json({
+      success: true,
+      data: payments,
+      count: payments.length,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo pagos:', error.message);
+    res.status(500).json({
+      error: 'GET_PAYMENTS_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/sales/invoice-settings
+ * Configuración de facturación: numeración fiscal y plantilla
+ */
+router.get('/invoice-settings', requirePermission('sales:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const settings = await Invoice.getSettings(tenantSchema);
+
+    res.json({
+      success: true,
+      data: settings,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo configuración de facturas:', error.message);
+    res.status(500).json({
+      error: 'GET_INVOICE_SETTINGS_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * PUT /api/sales/invoice-settings
+ * Actualizar numeración y plantilla de facturas
+ * Body: { prefix, next_number, padding, template: 'standard'|'compact', title, accent_color,
+ *         company_tax_id, footer, legal_text, locale }
+ */
+router.put('/invoice-settings', requirePermission('sales:configure'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const settings = await Invoice.updateSettings(tenantSchema, req.body, req.auditContext);
+
+    res.json({
+      success: true,
+      message: 'Configuración de facturas actualizada exitosamente',
+      data: settings,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error actualizando configuración de facturas:', error.message);
+
+    if (error.message.includes('inválid') || error.message.includes('No hay campos válidos')) {
+      return res.status(400).json({
+        error: 'INVALID_INVOICE_SETTINGS',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    res.status(500).json({
+      error: 'UPDATE_INVOICE_SETTINGS_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * GET /api/sales/:id
  * Obtener venta específica por ID con detalles
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('sales:read'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const { id } = req.params;
@@ -184,8 +411,13 @@ router.get('/:id', async (req, res) => {
 /**
  * POST /api/sales
  * Crear nueva venta
+ * Body opcional: warehouse_id (almacén del que sale el stock; predeterminado si se omite),
+ * credit_override: { reason } para autorizar una venta que excede el límite de crédito
+ * (requiere sales:credit_override), currency y exchange_rate (moneda de la venta y tasa;
+ * por defecto la moneda base y la tasa vigente en sale_date)
+ * tax_amount no se acepta (400): se calcula por línea con las tasas configuradas en /api/taxes
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('sales:create'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const saleData = req.body;
@@ -202,11 +434,30 @@ router.post('/', async (req, res) => {
       });
     }
 
-    const newSale = await Sales.create(tenantSchema, saleData);
+    if (saleData.tax_amount !== undefined && saleData.tax_amount !== null) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'tax_amount no se acepta: el impuesto se calcula por línea con las tasas de /api/taxes'
+      });
+    }
+
+    if (saleData.credit_override && !hasPermission(req.user, 'sales:credit_override')) {
+      return res.status(403).json({
+        error: 'PERMISSION_DENIED',
+        message: 'No tiene permiso para autorizar ventas que exceden el límite de crédito (sales:credit_override)',
+        required_permission: 'sales:credit_override',
+        role: req.user ? req.user.role : null,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    const newSale = await Sales.create(tenantSchema, saleData, req.auditContext);
 
     res.status(201).json({
       success: true,
-      message: 'Venta creada exitosamente',
+      message: newSale.credit_warning
+        ? `Venta creada: excede el límite de crédito del cliente en ${newSale.credit_warning.exceeded_by}`
+        : 'Venta creada exitosamente',
       data: newSale,
       tenant_code: req.tenantCode,
       timestamp: new Date().toISOString()
@@ -230,6 +481,79 @@ router.post('/', async (req, res) => {
       });
     }
 
+    if (error.message.includes('Estado de pago no válido')) {
+      return res.status(400).json({
+        error: 'INVALID_PAYMENT_STATUS',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    if (error.message.includes('Cantidad inválida')) {
+      return res.status(400).json({
+        error: 'INVALID_QUANTITY',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    if (error.message.includes('Descuento inválido')) {
+      return res.status(400).json({
+        error: 'INVALID_DISCOUNT',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    if (error.message.includes('Almacén con ID')) {
+      return res.status(400).json({
+        error: 'INVALID_WAREHOUSE',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    if (error.message.includes('Cliente con ID')) {
+      return res.status(400).json({
+        error: 'INVALID_CLIENT',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    if (error.message.includes('Límite de crédito excedido')) {
+      return res.status(409).json({
+        error: 'CREDIT_LIMIT_EXCEEDED',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    if (error.message.includes('Autorización de crédito requerida')) {
+      return res.status(409).json({
+        error: 'CREDIT_OVERRIDE_REQUIRED',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    if (error.message.includes('Monto de pago inválido')) {
+      return res.status(400).json({
+        error: 'INVALID_PAYMENT_AMOUNT',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    if (error.message.includes('Moneda inválida') || error.message.includes('Tasa de cambio inválida') ||
+        error.message.includes('No hay tasa de cambio')) {
+      return res.status(400).json({
+        error: 'INVALID_CURRENCY',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
     res.status(500).json({
       error: 'CREATE_SALE_ERROR',
       message: error.message,
@@ -241,9 +565,10 @@ router.post('/', async (req, res) => {
 
 /**
  * PATCH /api/sales/:id/payment
- * Actualizar estado de pago de una venta
+ * Liquidar el saldo de una venta (payment_status: 'pagado')
+ * El estado de pago se deriva de los pagos; para abonos usar POST /api/sales/:id/payments
  */
-router.patch('/:id/payment', async (req, res) => {
+router.patch('/:id/payment', requirePermission('sales:payment'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const { id } = req.params;
@@ -256,7 +581,7 @@ router.patch('/:id/payment', async (req, res) => {
       });
     }
 
-    const updatedSale = await Sales.updatePaymentStatus(tenantSchema, parseInt(id), payment_status, payment_method);
+    const updatedSale = await Sales.updatePaymentStatus(tenantSchema, parseInt(id), payment_status, payment_method, req.auditContext);
 
     res.json({
       success: true,
@@ -277,6 +602,24 @@ router.patch('/:id/payment', async (req, res) => {
       });
     }
 
+    if (error.message.includes('Estado de pago no válido')) {
+      return res.status(400).json({
+        error: 'INVALID_PAYMENT_STATUS',
+        message: error.message,
+        sale_id: req.params.id,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    if (error.message.includes('no tiene saldo pendiente') || error.message.includes('Estado inválido')) {
+      return res.status(409).json({
+        error: 'NO_BALANCE_DUE',
+        message: error.message,
+        sale_id: req.params.id,
+        tenant_code: req.tenantCode
+      });
+    }
+
     res.status(500).json({
       error: 'UPDATE_PAYMENT_ERROR',
       message: error.message,
@@ -291,13 +634,13 @@ router.patch('/:id/payment', async (req, res) => {
  * POST /api/sales/:id/cancel
  * Cancelar una venta (reversar stock)
  */
-router.post('/:id/cancel', async (req, res) => {
+router.post('/:id/cancel', requirePermission('sales:cancel'), async (req, res) => {
   try {
     const { tenantSchema } = req;
     const { id } = req.params;
     const { reason = 'Cancelación manual via API' } = req.body;
 
-    const success = await Sales.cancel(tenantSchema, parseInt(id), reason);
+    const success = await Sales.cancel(tenantSchema, parseInt(id), reason, req.auditContext);
 
     res.json({
       success: true,
@@ -329,6 +672,15 @@ router.post('/:id/cancel', async (req, res) => {
       });
     }
 
+    if (error.message.includes('tiene pagos registrados') || error.message.includes('tiene devoluciones registradas')) {
+      return res.status(409).json({
+        error: 'SALE_HAS_PAYMENTS',
+        message: error.message,
+        sale_id: req.params.id,
+        tenant_code: req.tenantCode
+      });
+    }
+
     res.status(500).json({
       error: 'CANCEL_SALE_ERROR',
       message: error.message,
@@ -339,4 +691,170 @@ router.post('/:id/cancel', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/sales/:id/invoice
+ * Emitir la factura de la venta con el siguiente número fiscal (si ya fue emitida devuelve la misma)
+ */
+router.post('/:id/invoice', requirePermission('sales:invoice'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const saleId = parseInt(req.params.id);
+
+    const invoice = await Invoice.issue(tenantSchema, saleId, req.auditContext);
+    const doc = await Invoice.getDocument(tenantSchema, saleId);
+
+    res.status(invoice.created ? 201 : 200).json({
+      success: true,
+      message: invoice.created
+        ? `Factura ${invoice.invoice_number} emitida exitosamente`
+        : `La venta ya tiene la factura ${invoice.invoice_number}`,
+      data: doc,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error emitiendo factura:', error.message);
+    sendInvoiceError(req, res, error, 'ISSUE_INVOICE_ERROR');
+  }
+});
+
+/**
+ * GET /api/sales/:id/invoice?format=pdf|html|json&download=true
+ * Documento de la factura ya emitida (PDF por defecto); no emite: 404 si la venta aún no se facturó
+ */
+router.get('/:id/invoice', requirePermission('sales:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { id } = req.params;
+    const format = (req.query.format || 'pdf').toLowerCase();
+
+    if (!['pdf', 'html', 'json'].includes(format)) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: `Formato inválido: ${req.query.format}. Use: pdf, html, json`,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    const doc = await Invoice.getDocument(tenantSchema, parseInt(id));
+
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        data: doc,
+        tenant_code: req.tenantCode,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+    res.setHeader('Content-Disposition', `${disposition}; filename="${InvoiceRenderer.fileName(doc, format)}"`);
+
+    if (format === 'html') {
+      return res.type('html').send(InvoiceRenderer.renderHtml(doc));
+    }
+
+    res.type('application/pdf').send(InvoiceRenderer.renderPdf(doc));
+  } catch (error) {
+    console.error('💥 Error generando factura:', error.message);
+    sendInvoiceError(req, res, error, 'GENERATE_INVOICE_ERROR');
+  }
+});
+
+/**
+ * GET /api/sales/:id/payments
+ * Pagos de una venta (incluye anulados) con su saldo
+ */
+router.get('/:id/payments', requirePermission('sales:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { id } = req.params;
+
+    const sale = await Sales.getById(tenantSchema, parseInt(id));
+
+    if (!sale) {
+      return res.status(404).json({
+        error: 'SALE_NOT_FOUND',
+        message: `Venta con ID ${id} no encontrada`,
+        sale_id: id,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        sale: Payment.balanceOf(sale),
+        payments: sale.payments
+      },
+      count: sale.payments.length,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo pagos de la venta:', error.message);
+    res.status(500).json({
+      error: 'GET_SALE_PAYMENTS_ERROR',
+      message: error.message,
+      sale_id: req.params.id,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/sales/:id/payments
+ * Registrar un pago (total o parcial) de una venta
+ * Body: { amount, payment_method, reference, payment_date, notes } (sin amount se liquida el saldo)
+ * Con credit_note_id se aplica el saldo a favor de una nota de crédito del cliente
+ * Con currency distinta a la de la venta, amount está en esa moneda y se convierte con las
+ * tasas vigentes en payment_date (exchange_rate opcional fija la tasa de la moneda del pago)
+ */
+router.post('/:id/payments', requirePermission('sales:payment'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { id } = req.params;
+
+    const result = await Payment.create(tenantSchema, parseInt(id), req.body, req.auditContext);
+
+    res.status(201).json({
+      success: true,
+      message: 'Pago registrado exitosamente',
+      data: result,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error registrando pago:', error.message);
+    sendPaymentError(req, res, error, 'CREATE_PAYMENT_ERROR');
+  }
+});
+
+/**
+ * DELETE /api/sales/:id/payments/:paymentId
+ * Anular un pago (queda en el historial) y recalcular el estado de la venta
+ * Body opcional: { reason }
+ */
+router.delete('/:id/payments/:paymentId', requirePermission('sales:cancel'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { id, paymentId } = req.params;
+    const { reason = 'Anulación manual via API' } = req.body || {};
+
+    const result = await Payment.void(tenantSchema, parseInt(id), parseInt(paymentId), reason, req.auditContext);
+
+    res.json({
+      success: true,
+      message: 'Pago anulado exitosamente',
+      data: result,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error anulando pago:', error.message);
+    sendPaymentError(req, res, error, 'VOID_PAYMENT_ERROR');
+  }
+});
+
 module.exports = router;
\ No newline at end of file
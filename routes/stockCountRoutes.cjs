@@ -0,0 +1,305 @@
+// =====================================================================================
+// FLUXION AI - STOCK COUNT ROUTES (MULTI-TENANT)
+// Rutas para conteos físicos de inventario: apertura, conteo, revisión y ajuste
+// =====================================================================================
+
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/authMiddleware.cjs');
+const StockCount = require('../models/StockCount.cjs');
+
+/**
+ * Responder errores comunes de operaciones sobre un conteo
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @param {Error} error - Error capturado
+ * @param {string} defaultCode - Código para errores no reconocidos
+ */
+function sendStockCountError(req, res, error, defaultCode) {
+  if (error.message.includes('Conteo con ID')) {
+    return res.status(404).json({
+      error: 'STOCK_COUNT_NOT_FOUND',
+      message: error.message,
+      stock_count_id: req.params.id,
+      tenant_code: req.tenantCode
+    });
+  }
+
+  if (error.message.includes('Estado inválido') || error.message.includes('Conteo en curso')) {
+    return res.status(409).json({
+      error: 'INVALID_STOCK_COUNT_STATUS',
+      message: error.message,
+      stock_count_id: req.params.id,
+      tenant_code: req.tenantCode
+    });
+  }
+
+  if (error.message.includes('Stock insuficiente')) {
+    return res.status(409).json({
+      error: 'INSUFFICIENT_STOCK',
+      message: error.message,
+      stock_count_id: req.params.id,
+      tenant_code: req.tenantCode
+    });
+  }
+
+  if (error.message.includes('no pertenece') || error.message.includes('inválid') ||
+      error.message.includes('Debe ') || error.message.includes('No hay productos') ||
+      error.message.includes('no tiene cantidades') || error.message.includes('Almacén con ID')) {
+    return res.status(400).json({
+      error: 'INVALID_STOCK_COUNT',
+      message: error.message,
+      stock_count_id: req.params.id,
+      tenant_code: req.tenantCode
+    });
+  }
+
+  res.status(500).json({
+    error: defaultCode,
+    message: error.message,
+    stock_count_id: req.params.id,
+    tenant_code: req.tenantCode,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// =====================================================================================
+// STOCK COUNT ENDPOINTS
+// =====================================================================================
+
+/**
+ * GET /api/inventory/counts
+ * Historial de conteos con resumen de diferencias
+ */
+router.get('/', requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const options = {
+      status: req.query.status,
+      warehouse_id: req.query.warehouse_id ? parseInt(req.query.warehouse_id) : undefined,
+      date_from: req.query.date_from,
+      date_to: req.query.date_to,
+      limit: parseInt(req.query.limit) || undefined,
+      offset: parseInt(req.query.offset) || undefined
+    };
+
+    const counts = await StockCount.getAll(tenantSchema, options);
+
+    res.json({
+      success: true,
+      data: counts,
+      count: counts.length,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo conteos:', error.message);
+    res.status(500).json({
+      error: 'GET_STOCK_COUNTS_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/inventory/counts/:id
+ * Conteo con líneas, diferencias valorizadas y registros por contador
+ * (variance_only=true para revisar solo las diferencias)
+ */
+router.get('/:id', requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { id } = req.params;
+
+    const count = await StockCount.getById(tenantSchema, parseInt(id), {
+      variance_only: req.query.variance_only === 'true'
+    });
+
+    if (!count) {
+      return res.status(404).json({
+        error: 'STOCK_COUNT_NOT_FOUND',
+        message: `Conteo con ID ${id} no encontrado`,
+        stock_count_id: id,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    res.json({
+      success: true,
+      data: count,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo conteo:', error.message);
+    sendStockCountError(req, res, error, 'GET_STOCK_COUNT_ERROR');
+  }
+});
+
+/**
+ * POST /api/inventory/counts
+ * Abrir un conteo
+ * Body: { warehouse_id, category, product_ids, notes } (sin warehouse_id se usa el predeterminado)
+ */
+router.post('/', requirePermission('inventory:count'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+
+    if (req.body.product_ids !== undefined && !Array.isArray(req.body.product_ids)) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'product_ids debe ser un arreglo de IDs de producto'
+      });
+    }
+
+    const count = await StockCount.create(tenantSchema, req.body, req.auditContext);
+
+    res.status(201).json({
+      success: true,
+      message: 'Conteo abierto exitosamente',
+      data: count,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error abriendo conteo:', error.message);
+    sendStockCountError(req, res, error, 'CREATE_STOCK_COUNT_ERROR');
+  }
+});
+
+/**
+ * POST /api/inventory/counts/:id/entries
+ * Registrar cantidades contadas por el usuario actual
+ * Body: { items: [{ product_id, counted_quantity, notes }] }
+ */
+router.post('/:id/entries', requirePermission('inventory:count'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { items } = req.body;
+
+    if (!Array.isArray(items)) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'items debe ser un arreglo de { product_id, counted_quantity }'
+      });
+    }
+
+    const count = await StockCount.recordCounts(tenantSchema, parseInt(req.params.id), items, req.auditContext);
+
+    res.json({
+      success: true,
+      message: 'Cantidades registradas exitosamente',
+      data: count,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error registrando conteo:', error.message);
+    sendStockCountError(req, res, error, 'RECORD_STOCK_COUNT_ERROR');
+  }
+});
+
+/**
+ * POST /api/inventory/counts/:id/submit
+ * Cerrar el registro y enviar el conteo a revisión
+ */
+router.post('/:id/submit', requirePermission('inventory:count'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const count = await StockCount.submit(tenantSchema, parseInt(req.params.id), req.auditContext);
+
+    res.json({
+      success: true,
+      message: 'Conteo enviado a revisión',
+      data: count,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error enviando conteo a revisión:', error.message);
+    sendStockCountError(req, res, error, 'SUBMIT_STOCK_COUNT_ERROR');
+  }
+});
+
+/**
+ * PUT /api/inventory/counts/:id/review
+ * Aprobar o rechazar diferencias
+ * Body: { lines: [{ product_id, approved, reason_code }] }
+ * reason_code: merma, danado, robo, vencido, error_conteo, error_registro, otro
+ */
+router.put('/:id/review', requirePermission('inventory:adjust'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { lines } = req.body;
+
+    if (!Array.isArray(lines)) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'lines debe ser un arreglo de { product_id, approved, reason_code }'
+      });
+    }
+
+    const count = await StockCount.review(tenantSchema, parseInt(req.params.id), lines, req.auditContext);
+
+    res.json({
+      success: true,
+      message: 'Revisión registrada exitosamente',
+      data: count,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error revisando conteo:', error.message);
+    sendStockCountError(req, res, error, 'REVIEW_STOCK_COUNT_ERROR');
+  }
+});
+
+/**
+ * POST /api/inventory/counts/:id/post
+ * Aplicar las diferencias aprobadas como movimientos 'ajuste'
+ */
+router.post('/:id/post', requirePermission('inventory:adjust'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const count = await StockCount.post(tenantSchema, parseInt(req.params.id), req.auditContext);
+
+    res.json({
+      success: true,
+      message: `Conteo aplicado: ${count.movements.length} ajustes registrados`,
+      data: count,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error aplicando conteo:', error.message);
+    sendStockCountError(req, res, error, 'POST_STOCK_COUNT_ERROR');
+  }
+});
+
+/**
+ * POST /api/inventory/counts/:id/cancel
+ * Cancelar un conteo abierto o en revisión
+ */
+router.post('/:id/cancel', requirePermission('inventory:adjust'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { reason = 'Cancelación manual' } = req.body;
+
+    const count = await StockCount.cancel(tenantSchema, parseInt(req.params.id), reason, req.auditContext);
+
+    res.json({
+      success: true,
+      message: 'Conteo cancelado exitosamente',
+      data: count,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error cancelando conteo:', error.message);
+    sendStockCountError(req, res, error, 'CANCEL_STOCK_COUNT_ERROR');
+  }
+});
+
+module.exports = router;
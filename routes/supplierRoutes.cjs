@@ -0,0 +1,218 @@
+// =====================================================================================
+// FLUXION AI - SUPPLIER ROUTES (MULTI-TENANT)
+// Rutas para gestión de proveedores con contexto de tenant
+// =====================================================================================
+
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/authMiddleware.cjs');
+const Supplier = require('../models/Supplier.cjs');
+
+// =====================================================================================
+// SUPPLIER ENDPOINTS
+// =====================================================================================
+
+/**
+ * GET /api/suppliers
+ * Obtener lista de proveedores del tenant
+ */
+router.get('/', requirePermission('suppliers:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const options = {
+      active: req.query.active !== undefined ? req.query.active === 'true' : undefined,
+      city: req.query.city,
+      search: req.query.q,
+      limit: parseInt(req.query.limit) || undefined,
+      offset: parseInt(req.query.offset) || undefined
+    };
+
+    const suppliers = await Supplier.getAll(tenantSchema, options);
+
+    res.json({
+      success: true,
+      data: suppliers,
+      count: suppliers.length,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo proveedores:', error.message);
+    res.status(500).json({
+      error: 'GET_SUPPLIERS_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/suppliers/:id
+ * Obtener proveedor específico por ID
+ */
+router.get('/:id', requirePermission('suppliers:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { id } = req.params;
+
+    const supplier = await Supplier.getById(tenantSchema, parseInt(id));
+
+    if (!supplier) {
+      return res.status(404).json({
+        error: 'SUPPLIER_NOT_FOUND',
+        message: `Proveedor con ID ${id} no encontrado`,
+        supplier_id: id,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    res.json({
+      success: true,
+      data: supplier,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo proveedor:', error.message);
+    res.status(500).json({
+      error: 'GET_SUPPLIER_ERROR',
+      message: error.message,
+      supplier_id: req.params.id,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/suppliers
+ * Crear nuevo proveedor
+ */
+router.post('/', requirePermission('suppliers:create'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const supplierData = req.body;
+
+    const requiredFields = ['supplier_code', 'business_name'];
+    const missingFields = requiredFields.filter(field => !supplierData[field]);
+
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'Campos requeridos faltantes',
+        missing_fields: missingFields,
+        required_fields: requiredFields
+      });
+    }
+
+    const newSupplier = await Supplier.create(tenantSchema, supplierData, req.auditContext);
+
+    res.status(201).json({
+      success: true,
+      message: 'Proveedor creado exitosamente',
+      data: newSupplier,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error creando proveedor:', error.message);
+
+    if (error.message.includes('Ya existe un proveedor')) {
+      return res.status(409).json({
+        error: 'SUPPLIER_CODE_EXISTS',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    res.status(500).json({
+      error: 'CREATE_SUPPLIER_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * PUT /api/suppliers/:id
+ * Actualizar proveedor existente
+ */
+router.put('/:id', requirePermission('suppliers:update'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { id } = req.params;
+
+    const updatedSupplier = await Supplier.update(tenantSchema, parseInt(id), req.body, req.auditContext);
+
+    res.json({
+      success: true,
+      message: 'Proveedor actualizado exitosamente',
+      data: updatedSupplier,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error actualizando proveedor:', error.message);
+
+    if (error.message.includes('no encontrado')) {
+      return res.status(404).json({
+        error: 'SUPPLIER_NOT_FOUND',
+        message: error.message,
+        supplier_id: req.params.id,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    res.status(500).json({
+      error: 'UPDATE_SUPPLIER_ERROR',
+      message: error.message,
+      supplier_id: req.params.id,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * DELETE /api/suppliers/:id
+ * Eliminar proveedor (soft delete)
+ */
+router.delete('/:id', requirePermission('suppliers:delete'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { id } = req.params;
+
+    const success = await Supplier.delete(tenantSchema, parseInt(id), req.auditContext);
+
+    if (!success) {
+      return res.status(404).json({
+        error: 'SUPPLIER_NOT_FOUND',
+        message: `Proveedor con ID ${id} no encontrado`,
+        supplier_id: id,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Proveedor desactivado exitosamente',
+      supplier_id: id,
+      note: 'El proveedor fue marcado como inactivo (soft delete)',
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error eliminando proveedor:', error.message);
+    res.status(500).json({
+      error: 'DELETE_SUPPLIER_ERROR',
+      message: error.message,
+      supplier_id: req.params.id,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,383 @@
+// =====================================================================================
+// FLUXION AI - TAX ROUTES (MULTI-TENANT)
+// Rutas para tasas de impuesto, modo de precios, impuestos por categoría y resumen fiscal
+// =====================================================================================
+
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/authMiddleware.cjs');
+const Tax = require('../models/Tax.cjs');
+
+/**
+ * Responder errores de impuestos con el código HTTP correspondiente
+ * @param {Object} res - Respuesta de Express
+ * @param {Object} req - Request de Express
+ * @param {Error} error - Error del modelo
+ * @param {string} fallbackCode - Código para errores no mapeados
+ */
+function sendTaxError(res, req, error, fallbackCode) {
+  if (error.message.includes('Tasa de impuesto con ID')) {
+    return res.status(404).json({
+      error: 'TAX_RATE_NOT_FOUND',
+      message: error.message,
+      tenant_code: req.tenantCode
+    });
+  }
+
+  if (error.message.includes('Ya existe una tasa')) {
+    return res.status(409).json({
+      error: 'TAX_RATE_EXISTS',
+      message: error.message,
+      tenant_code: req.tenantCode
+    });
+  }
+
+  if (error.message.includes('inválid') || error.message.includes('No hay campos válidos')) {
+    return res.status(400).json({
+      error: 'INVALID_TAX_CONFIGURATION',
+      message: error.message,
+      tenant_code: req.tenantCode
+    });
+  }
+
+  res.status(500).json({
+    error: fallbackCode,
+    message: error.message,
+    tenant_code: req.tenantCode,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// =====================================================================================
+// TAX SETTINGS
+// =====================================================================================
+
+/**
+ * GET /api/taxes/settings
+ * Modo de precios del tenant
+ */
+router.get('/settings', requirePermission('taxes:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const pricingMode = await Tax.getPricingMode(tenantSchema);
+
+    res.json({
+      success: true,
+      data: { pricing_mode: pricingMode },
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo configuración de impuestos:', error.message);
+    res.status(500).json({
+      error: 'GET_TAX_SETTINGS_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * PUT /api/taxes/settings
+ * Cambiar el modo de precios (exclusive: el impuesto se suma; inclusive: el precio lo incluye)
+ * Body: { pricing_mode: 'inclusive' }
+ */
+router.put('/settings', requirePermission('taxes:configure'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { pricing_mode } = req.body;
+
+    if (!pricing_mode) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'pricing_mode es requerido',
+        required_fields: ['pricing_mode']
+      });
+    }
+
+    const result = await Tax.setPricingMode(tenantSchema, pricing_mode, req.auditContext);
+
+    res.json({
+      success: true,
+      message: 'Modo de precios actualizado exitosamente',
+      data: result,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error cambiando modo de precios:', error.message);
+    sendTaxError(res, req, error, 'UPDATE_TAX_SETTINGS_ERROR');
+  }
+});
+
+// =====================================================================================
+// TAX REPORTS
+// =====================================================================================
+
+/**
+ * GET /api/taxes/report?period=month&date_from=2025-01-01&date_to=2025-03-31
+ * Resumen fiscal por período y tasa (base imponible e impuesto de ventas menos devoluciones)
+ */
+router.get('/report', requirePermission('taxes:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const summary = await Tax.getSummary(tenantSchema, {
+      period: req.query.period,
+      date_from: req.query.date_from,
+      date_to: req.query.date_to
+    });
+
+    res.json({
+      success: true,
+      data: summary,
+      count: summary.rows.length,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error generando resumen de impuestos:', error.message);
+    sendTaxError(res, req, error, 'TAX_REPORT_ERROR');
+  }
+});
+
+// =====================================================================================
+// CATEGORY TAX RATES
+// =====================================================================================
+
+/**
+ * GET /api/taxes/categories
+ * Tasas asignadas por categoría de producto
+ */
+router.get('/categories', requirePermission('taxes:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const categories = await Tax.getCategoryRates(tenantSchema);
+
+    res.json({
+      success: true,
+      data: categories,
+      count: categories.length,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo impuestos por categoría:', error.message);
+    res.status(500).json({
+      error: 'GET_CATEGORY_TAXES_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * PUT /api/taxes/categories/:category
+ * Asignar la tasa de una categoría (tax_rate_id: null la quita)
+ * Body: { tax_rate_id: 2 }
+ */
+router.put('/categories/:category', requirePermission('taxes:update'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { category } = req.params;
+
+    if (req.body.tax_rate_id === undefined) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'tax_rate_id es requerido (null para quitar la asignación)',
+        required_fields: ['tax_rate_id']
+      });
+    }
+
+    const taxRateId = req.body.tax_rate_id ? parseInt(req.body.tax_rate_id) : null;
+    const result = await Tax.setCategoryRate(tenantSchema, category, taxRateId, req.auditContext);
+
+    res.json({
+      success: true,
+      message: taxRateId ? 'Impuesto de la categoría asignado exitosamente' : 'Impuesto de la categoría eliminado',
+      data: result,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error asignando impuesto a categoría:', error.message);
+    sendTaxError(res, req, error, 'UPDATE_CATEGORY_TAX_ERROR');
+  }
+});
+
+// =====================================================================================
+// TAX RATE ENDPOINTS
+// =====================================================================================
+
+/**
+ * GET /api/taxes
+ * Tasas de impuesto (filtro: active)
+ */
+router.get('/', requirePermission('taxes:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const options = {
+      active: req.query.active !== undefined ? req.query.active === 'true' : undefined
+    };
+
+    const taxRates = await Tax.getAll(tenantSchema, options);
+
+    res.json({
+      success: true,
+      data: taxRates,
+      count: taxRates.length,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo tasas de impuesto:', error.message);
+    res.status(500).json({
+      error: 'GET_TAX_RATES_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/taxes/:id
+ * Tasa de impuesto por ID
+ */
+router.get('/:id', requirePermission('taxes:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { id } = req.params;
+
+    const taxRate = await Tax.getById(tenantSchema, parseInt(id));
+
+    if (!taxRate) {
+      return res.status(404).json({
+        error: 'TAX_RATE_NOT_FOUND',
+        message: `Tasa de impuesto con ID ${id} no encontrada`,
+        tax_rate_id: id,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    res.json({
+      success: true,
+      data: taxRate,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo tasa de impuesto:', error.message);
+    res.status(500).json({
+      error: 'GET_TAX_RATE_ERROR',
+      message: error.message,
+      tax_rate_id: req.params.id,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/taxes
+ * Crear tasa de impuesto
+ * Body: { code: 'IVA_G', name: 'IVA general', rate: 16, exempt, is_default, notes }
+ */
+router.post('/', requirePermission('taxes:create'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const rateData = req.body;
+
+    const requiredFields = ['code', 'name'];
+    const missingFields = requiredFields.filter(field => !rateData[field]);
+
+    if (missingFields.length > 0 || rateData.rate === undefined) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'Campos requeridos faltantes (rate es el porcentaje, 0 para exento)',
+        missing_fields: rateData.rate === undefined ? [...missingFields, 'rate'] : missingFields,
+        required_fields: [...requiredFields, 'rate']
+      });
+    }
+
+    const taxRate = await Tax.create(tenantSchema, rateData, req.auditContext);
+
+    res.status(201).json({
+      success: true,
+      message: 'Tasa de impuesto creada exitosamente',
+      data: taxRate,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error creando tasa de impuesto:', error.message);
+    sendTaxError(res, req, error, 'CREATE_TAX_RATE_ERROR');
+  }
+});
+
+/**
+ * PUT /api/taxes/:id
+ * Actualizar tasa de impuesto (las ventas registradas conservan la tasa aplicada)
+ */
+router.put('/:id', requirePermission('taxes:update'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { id } = req.params;
+
+    const taxRate = await Tax.update(tenantSchema, parseInt(id), req.body, req.auditContext);
+
+    res.json({
+      success: true,
+      message: 'Tasa de impuesto actualizada exitosamente',
+      data: taxRate,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error actualizando tasa de impuesto:', error.message);
+    sendTaxError(res, req, error, 'UPDATE_TAX_RATE_ERROR');
+  }
+});
+
+/**
+ * DELETE /api/taxes/:id
+ * Desactivar tasa de impuesto (soft delete)
+ */
+router.delete('/:id', requirePermission('taxes:delete'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { id } = req.params;
+
+    const success = await Tax.delete(tenantSchema, parseInt(id), req.auditContext);
+
+    if (!success) {
+      return res.status(404).json({
+        error: 'TAX_RATE_NOT_FOUND',
+        message: `Tasa de impuesto con ID ${id} no encontrada`,
+        tax_rate_id: id,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tasa de impuesto desactivada exitosamente',
+      tax_rate_id: id,
+      note: 'Los productos y categorías que la usaban toman la siguiente tasa aplicable en nuevas ventas',
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error eliminando tasa de impuesto:', error.message);
+    res.status(500).json({
+      error: 'DELETE_TAX_RATE_ERROR',
+      message: error.message,
+      tax_rate_id: req.params.id,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
@@ -3,9 +3,11 @@
 // Rutas para gestión de tenants (administración)
 // =====================================================================================
 
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
 const TenantService = require('../services/TenantService.cjs');
+const PlatformAdminService = require('../services/PlatformAdminService.cjs');
 
 // =====================================================================================
 // TENANT MANAGEMENT ENDPOINTS
@@ -53,7 +55,10 @@ router.get('/:tenantCode', async (req, res) => {
 
     res.json({
       success: true,
-      data: tenant,
+      data: {
+        ...tenant,
+        subscription: TenantService.getSubscriptionStatus(tenant)
+      },
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -139,6 +144,14 @@ router.post('/', async (req, res) => {
       });
     }
 
+    if (error.message.includes('Cuota excedida')) {
+      return res.status(403).json({
+        error: 'QUOTA_EXCEEDED',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+
     res.status(500).json({
       error: 'CREATE_TENANT_ERROR',
       message: error.message,
@@ -181,9 +194,112 @@ router.put('/:tenantCode/deactivate', async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/admin/tenants/:tenantCode/trial
+ * Extender el trial de un tenant: { "days": 14 } o { "trial_ends_at": "2025-12-31" }
+ */
+router.put('/:tenantCode/trial', async (req, res) => {
+  try {
+    const { tenantCode } = req.params;
+    const { days, trial_ends_at } = req.body;
+
+    if (!days && !trial_ends_at) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'Debe indicar days o trial_ends_at',
+        required_fields: ['days | trial_ends_at']
+      });
+    }
+
+    const tenant = await TenantService.extendTrial(tenantCode, { days, trial_ends_at });
+
+    if (!tenant) {
+      return res.status(404).json({
+        error: 'TENANT_NOT_FOUND',
+        message: `Tenant ${tenantCode} no encontrado`,
+        tenant_code: tenantCode
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Trial de ${tenantCode} extendido exitosamente`,
+      data: tenant,
+      extended_by: req.platformAdmin.email || req.platformAdmin.name,
+      tenant_code: tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error extendiendo trial:', error.message);
+
+    if (error.message.includes('Debe indicar') || error.message.includes('no es una fecha válida')) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: error.message,
+        tenant_code: req.params.tenantCode
+      });
+    }
+
+    res.status(500).json({
+      error: 'EXTEND_TRIAL_ERROR',
+      message: error.message,
+      tenant_code: req.params.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/admin/tenants/:tenantCode/delete-confirmation
+ * Emitir token de re-confirmación de corta duración para eliminar un tenant
+ */
+router.post('/:tenantCode/delete-confirmation', async (req, res) => {
+  try {
+    const { tenantCode } = req.params;
+    const tenant = await TenantService.getTenant(tenantCode);
+
+    if (!tenant) {
+      return res.status(404).json({
+        error: 'TENANT_NOT_FOUND',
+        message: `Tenant ${tenantCode} no encontrado`,
+        tenant_code: tenantCode
+      });
+    }
+
+    const confirmation = PlatformAdminService.createConfirmationToken(
+      req.platformAdmin, 'delete_tenant', tenantCode
+    );
+
+    console.log(`⚠️ Token de eliminación emitido para ${tenantCode} a ${req.platformAdmin.email || req.platformAdmin.name}`);
+
+    res.json({
+      success: true,
+      message: `Use este token para confirmar la eliminación de ${tenantCode}`,
+      data: {
+        confirmation_token: confirmation.token,
+        expires_at: confirmation.expires_at
+      },
+      usage: `DELETE /api/admin/tenants/${tenantCode}?confirm=DELETE_EVERYTHING con header X-Confirmation-Token`,
+      warning: 'Esta operación NO SE PUEDE DESHACER',
+      tenant_code: tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error emitiendo token de confirmación:', error.message);
+    res.status(500).json({
+      error: 'DELETE_CONFIRMATION_ERROR',
+      message: error.message,
+      tenant_code: req.params.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * DELETE /api/admin/tenants/:tenantCode
  * Eliminar completamente un tenant (PELIGROSO)
+ * Requiere ?confirm=DELETE_EVERYTHING y el header X-Confirmation-Token emitido por
+ * POST /:tenantCode/delete-confirmation al mismo operador
  */
 router.delete('/:tenantCode', async (req, res) => {
   try {
@@ -199,6 +315,17 @@ router.delete('/:tenantCode', async (req, res) => {
       });
     }
 
+    const confirmationToken = req.headers['x-confirmation-token'];
+    if (!PlatformAdminService.verifyConfirmationToken(req.platformAdmin, confirmationToken, 'delete_tenant', tenantCode)) {
+      return res.status(403).json({
+        error: 'INVALID_CONFIRMATION_TOKEN',
+        message: 'Se requiere un token de re-confirmación válido en header X-Confirmation-Token',
+        how_to: `POST /api/admin/tenants/${tenantCode}/delete-confirmation`,
+        tenant_code: tenantCode
+      });
+    }
+
+    console.log(`🗑️ Operador ${req.platformAdmin.email || req.platformAdmin.name} eliminando tenant ${tenantCode}`);
     const success = await TenantService.deleteTenant(tenantCode, true);
 
     if (!success) {
@@ -227,25 +354,87 @@ router.delete('/:tenantCode', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/admin/tenants/migrate-all
+ * Aplicar migraciones pendientes a todos los tenants
+ * Query params: dry_run=true para solo listar pendientes
+ */
+router.post('/migrate-all', async (req, res) => {
+  try {
+    const dryRun = req.query.dry_run === 'true';
+    const summary = await TenantService.migrateAllTenants({ dryRun });
+
+    res.status(summary.failed > 0 ? 207 : 200).json({
+      success: summary.failed === 0,
+      data: summary.results,
+      count: summary.total,
+      succeeded: summary.succeeded,
+      failed: summary.failed,
+      dry_run: summary.dry_run,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error migrando tenants:', error.message);
+    res.status(500).json({
+      error: 'MIGRATE_ALL_TENANTS_ERROR',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 /**
  * POST /api/admin/tenants/:tenantCode/migrate
- * Migrar tenant a nueva versión de schema
+ * Migrar tenant a la última versión de schema
+ * Query params: dry_run=true para solo listar pendientes
  */
 router.post('/:tenantCode/migrate', async (req, res) => {
   try {
     const { tenantCode } = req.params;
-    const success = await TenantService.migrateTenant(tenantCode);
+    const dryRun = req.query.dry_run === 'true';
+    const result = await TenantService.migrateTenant(tenantCode, { dryRun });
 
     res.json({
       success: true,
-      message: `Tenant ${tenantCode} migrado exitosamente`,
+      data: result,
+      message: dryRun
+        ? `Tenant ${tenantCode}: ${result.pending.length} migraciones pendientes`
+        : `Tenant ${tenantCode} migrado exitosamente`,
       tenant_code: tenantCode,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
     console.error('💥 Error migrando tenant:', error.message);
-    res.status(500).json({
-      error: 'MIGRATE_TENANT_ERROR',
+    const statusCode = error.message.includes('no encontrado') ? 404 : 500;
+    res.status(statusCode).json({
+      error: statusCode === 404 ? 'TENANT_NOT_FOUND' : 'MIGRATE_TENANT_ERROR',
+      message: error.message,
+      tenant_code: req.params.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/admin/tenants/:tenantCode/schema-drift
+ * Comparar el schema del tenant con las columnas que usan los modelos
+ */
+router.get('/:tenantCode/schema-drift', async (req, res) => {
+  try {
+    const { tenantCode } = req.params;
+    const report = await TenantService.getSchemaDrift(tenantCode);
+
+    res.json({
+      success: true,
+      data: report,
+      tenant_code: tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error verificando schema del tenant:', error.message);
+    const statusCode = error.message.includes('no encontrado') ? 404 : 500;
+    res.status(statusCode).json({
+      error: statusCode === 404 ? 'TENANT_NOT_FOUND' : 'SCHEMA_DRIFT_ERROR',
       message: error.message,
       tenant_code: req.params.tenantCode,
       timestamp: new Date().toISOString()
@@ -259,6 +448,7 @@ router.post('/:tenantCode/migrate', async (req, res) => {
  */
 router.post('/demo', async (req, res) => {
   try {
+    const demoPassword = crypto.randomBytes(9).toString('base64url');
     const demoTenantData = {
       tenant_code: 'demo_' + Date.now(),
       company_name: 'Distribuidora Demo Valencia',
@@ -272,6 +462,11 @@ router.post('/demo', async (req, res) => {
       max_users: 3,
       max_products: 100,
       active: true,
+      admin_user: {
+        name: 'Demo Admin',
+        email: 'demo@fluxionai.com',
+        password: demoPassword
+      },
       initialData: {
         products: [
           {
@@ -322,9 +517,14 @@ router.post('/demo', async (req, res) => {
       data: demoTenant,
       demo_info: {
         tenant_code: demoTenant.tenant_code,
+        admin_credentials: {
+          email: 'demo@fluxionai.com',
+          password: demoPassword
+        },
         access_examples: {
-          header: `curl -H "X-Tenant: ${demoTenant.tenant_code}" http://localhost:3004/api/products`,
-          url: `curl http://localhost:3004/api/tenant/${demoTenant.tenant_code}/products`
+          login: `curl -X POST -H "X-Tenant: ${demoTenant.tenant_code}" -H "Content-Type: application/json" -d '{"email":"demo@fluxionai.com","password":"${demoPassword}"}' http://localhost:3004/api/auth/login`,
+          header: `curl -H "X-Tenant: ${demoTenant.tenant_code}" -H "Authorization: Bearer <token>" http://localhost:3004/api/products`,
+          url: `curl -H "Authorization: Bearer <token>" http://localhost:3004/api/tenant/${demoTenant.tenant_code}/products`
         }
       },
       timestamp: new Date().toISOString()
@@ -0,0 +1,41 @@
+// =====================================================================================
+// FLUXION AI - USAGE ROUTES (MULTI-TENANT)
+// Uso del tenant actual frente a las cuotas de su plan
+// =====================================================================================
+
+const express = require('express');
+const router = express.Router();
+const QuotaService = require('../services/QuotaService.cjs');
+const { requirePermission } = require('../middleware/authMiddleware.cjs');
+
+/**
+ * GET /api/usage
+ * Obtener uso de productos, usuarios y almacenamiento frente a los límites del plan
+ */
+router.get('/', requirePermission('usage:read'), async (req, res) => {
+  try {
+    const usage = await QuotaService.getUsage(req.tenantSchema);
+
+    // Aprovechar la consulta para emitir advertencias pendientes al 80%
+    if (usage.warnings.length > 0) {
+      QuotaService.checkSoftLimits(req.tenantSchema);
+    }
+
+    res.json({
+      success: true,
+      data: usage,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo uso del tenant:', error.message);
+    res.status(500).json({
+      error: 'GET_USAGE_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
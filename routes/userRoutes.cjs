@@ -0,0 +1,212 @@
+// =====================================================================================
+// FLUXION AI - USER ROUTES (MULTI-TENANT)
+// Rutas para gestión de usuarios del tenant (public.tenant_users)
+// =====================================================================================
+
+const express = require('express');
+const router = express.Router();
+const AuthService = require('../services/AuthService.cjs');
+const { requirePermission } = require('../middleware/authMiddleware.cjs');
+
+/**
+ * GET /api/users
+ * Obtener usuarios del tenant
+ */
+router.get('/', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const users = await AuthService.getUsers(req.tenant.id);
+
+    res.json({
+      success: true,
+      data: users,
+      count: users.length,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo usuarios:', error.message);
+    res.status(500).json({
+      error: 'GET_USERS_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/users
+ * Crear nuevo usuario del tenant
+ */
+router.post('/', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const userData = req.body;
+
+    const requiredFields = ['name', 'email', 'password'];
+    const missingFields = requiredFields.filter(field => !userData[field]);
+
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'Campos requeridos faltantes',
+        missing_fields: missingFields,
+        required_fields: requiredFields
+      });
+    }
+
+    const newUser = await AuthService.createUser(req.tenant, userData);
+
+    res.status(201).json({
+      success: true,
+      message: 'Usuario creado exitosamente',
+      data: newUser,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error creando usuario:', error.message);
+
+    if (error.message.includes('Ya existe un usuario')) {
+      return res.status(409).json({
+        error: 'USER_EXISTS',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    if (error.message.includes('Cuota excedida')) {
+      return res.status(403).json({
+        error: 'QUOTA_EXCEEDED',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    if (error.message.includes('Rol no válido')) {
+      return res.status(400).json({
+        error: 'INVALID_ROLE',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    if (error.message.includes('La contraseña debe tener')) {
+      return res.status(400).json({
+        error: 'WEAK_PASSWORD',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    res.status(500).json({
+      error: 'CREATE_USER_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * PUT /api/users/:id
+ * Actualizar usuario (nombre, rol, permisos, estado o contraseña)
+ */
+router.put('/:id', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updatedUser = await AuthService.updateUser(req.tenant.id, parseInt(id), req.body);
+
+    res.json({
+      success: true,
+      message: 'Usuario actualizado exitosamente',
+      data: updatedUser,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error actualizando usuario:', error.message);
+
+    if (error.message.includes('no encontrado')) {
+      return res.status(404).json({
+        error: 'USER_NOT_FOUND',
+        message: error.message,
+        user_id: req.params.id,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    if (error.message.includes('Rol no válido')) {
+      return res.status(400).json({
+        error: 'INVALID_ROLE',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    if (error.message.includes('Cuota excedida')) {
+      return res.status(403).json({
+        error: 'QUOTA_EXCEEDED',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    res.status(500).json({
+      error: 'UPDATE_USER_ERROR',
+      message: error.message,
+      user_id: req.params.id,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * DELETE /api/users/:id
+ * Desactivar usuario y cerrar sus sesiones (soft delete)
+ */
+router.delete('/:id', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (parseInt(id) === req.user.id) {
+      return res.status(400).json({
+        error: 'CANNOT_DEACTIVATE_SELF',
+        message: 'No puede desactivar su propio usuario',
+        tenant_code: req.tenantCode
+      });
+    }
+
+    await AuthService.updateUser(req.tenant.id, parseInt(id), { active: false });
+
+    res.json({
+      success: true,
+      message: 'Usuario desactivado exitosamente',
+      user_id: id,
+      note: 'Las sesiones abiertas del usuario fueron cerradas',
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error desactivando usuario:', error.message);
+
+    if (error.message.includes('no encontrado')) {
+      return res.status(404).json({
+        error: 'USER_NOT_FOUND',
+        message: error.message,
+        user_id: req.params.id,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    res.status(500).json({
+      error: 'DELETE_USER_ERROR',
+      message: error.message,
+      user_id: req.params.id,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
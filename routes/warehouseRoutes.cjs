@@ -0,0 +1,349 @@
+// =====================================================================================
+// FLUXION AI - WAREHOUSE ROUTES (MULTI-TENANT)
+// Rutas para almacenes / ubicaciones y su stock por producto
+// =====================================================================================
+
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/authMiddleware.cjs');
+const Warehouse = require('../models/Warehouse.cjs');
+
+// =====================================================================================
+// WAREHOUSE ENDPOINTS
+// =====================================================================================
+
+/**
+ * GET /api/warehouses
+ * Obtener almacenes del tenant con unidades y valor en stock
+ */
+router.get('/', requirePermission('warehouses:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const options = {
+      active: req.query.active !== undefined ? req.query.active === 'true' : undefined
+    };
+
+    const warehouses = await Warehouse.getAll(tenantSchema, options);
+
+    res.json({
+      success: true,
+      data: warehouses,
+      count: warehouses.length,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo almacenes:', error.message);
+    res.status(500).json({
+      error: 'GET_WAREHOUSES_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/warehouses/:id
+ * Obtener almacén específico por ID
+ */
+router.get('/:id', requirePermission('warehouses:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { id } = req.params;
+
+    const warehouse = await Warehouse.getById(tenantSchema, parseInt(id));
+
+    if (!warehouse) {
+      return res.status(404).json({
+        error: 'WAREHOUSE_NOT_FOUND',
+        message: `Almacén con ID ${id} no encontrado`,
+        warehouse_id: id,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    res.json({
+      success: true,
+      data: warehouse,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo almacén:', error.message);
+    res.status(500).json({
+      error: 'GET_WAREHOUSE_ERROR',
+      message: error.message,
+      warehouse_id: req.params.id,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * GET /api/warehouses/:id/stock
+ * Obtener stock del almacén por producto (low_stock_only=true para alertas de la ubicación)
+ */
+router.get('/:id/stock', requirePermission('inventory:read'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { id } = req.params;
+
+    const warehouse = await Warehouse.getById(tenantSchema, parseInt(id));
+
+    if (!warehouse) {
+      return res.status(404).json({
+        error: 'WAREHOUSE_NOT_FOUND',
+        message: `Almacén con ID ${id} no encontrado`,
+        warehouse_id: id,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    const stock = await Warehouse.getStock(tenantSchema, warehouse.id, {
+      low_stock_only: req.query.low_stock_only === 'true',
+      search: req.query.q,
+      limit: parseInt(req.query.limit) || undefined,
+      offset: parseInt(req.query.offset) || undefined
+    });
+
+    res.json({
+      success: true,
+      data: stock,
+      count: stock.length,
+      warehouse,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error obteniendo stock del almacén:', error.message);
+    res.status(500).json({
+      error: 'GET_WAREHOUSE_STOCK_ERROR',
+      message: error.message,
+      warehouse_id: req.params.id,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * PUT /api/warehouses/:id/stock/:productId
+ * Definir el stock mínimo de un producto en el almacén
+ * Body: { min_stock_threshold } (null = usar el umbral del producto)
+ */
+router.put('/:id/stock/:productId', requirePermission('warehouses:update'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { min_stock_threshold } = req.body;
+
+    if (min_stock_threshold !== null && (!Number.isInteger(min_stock_threshold) || min_stock_threshold < 0)) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'min_stock_threshold debe ser un entero >= 0 o null'
+      });
+    }
+
+    const stock = await Warehouse.setMinStockThreshold(
+      tenantSchema, parseInt(req.params.id), parseInt(req.params.productId), min_stock_threshold, req.auditContext
+    );
+
+    res.json({
+      success: true,
+      message: 'Umbral de stock actualizado exitosamente',
+      data: stock,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error actualizando umbral de stock:', error.message);
+
+    if (error.message.includes('no encontrado')) {
+      return res.status(404).json({
+        error: 'NOT_FOUND',
+        message: error.message,
+        warehouse_id: req.params.id,
+        product_id: req.params.productId,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    res.status(500).json({
+      error: 'UPDATE_STOCK_THRESHOLD_ERROR',
+      message: error.message,
+      warehouse_id: req.params.id,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * POST /api/warehouses
+ * Crear nuevo almacén
+ * Body: { warehouse_code, name, address, city, state, is_default, sellable (false: ubicación de dañados) }
+ */
+router.post('/', requirePermission('warehouses:create'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const warehouseData = req.body;
+
+    const requiredFields = ['warehouse_code', 'name'];
+    const missingFields = requiredFields.filter(field => !warehouseData[field]);
+
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        error: 'VALIDATION_ERROR',
+        message: 'Campos requeridos faltantes',
+        missing_fields: missingFields,
+        required_fields: requiredFields
+      });
+    }
+
+    const newWarehouse = await Warehouse.create(tenantSchema, warehouseData, req.auditContext);
+
+    res.status(201).json({
+      success: true,
+      message: 'Almacén creado exitosamente',
+      data: newWarehouse,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error creando almacén:', error.message);
+
+    if (error.message.includes('Ya existe un almacén')) {
+      return res.status(409).json({
+        error: 'WAREHOUSE_CODE_EXISTS',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    if (error.message.includes('Operación no permitida')) {
+      return res.status(400).json({
+        error: 'INVALID_WAREHOUSE',
+        message: error.message,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    res.status(500).json({
+      error: 'CREATE_WAREHOUSE_ERROR',
+      message: error.message,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * PUT /api/warehouses/:id
+ * Actualizar almacén (is_default: true lo convierte en predeterminado; sellable: false saca su stock de la venta)
+ */
+router.put('/:id', requirePermission('warehouses:update'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { id } = req.params;
+
+    const updatedWarehouse = await Warehouse.update(tenantSchema, parseInt(id), req.body, req.auditContext);
+
+    res.json({
+      success: true,
+      message: 'Almacén actualizado exitosamente',
+      data: updatedWarehouse,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error actualizando almacén:', error.message);
+
+    if (error.message.includes('no encontrado')) {
+      return res.status(404).json({
+        error: 'WAREHOUSE_NOT_FOUND',
+        message: error.message,
+        warehouse_id: req.params.id,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    if (error.message.includes('Operación no permitida')) {
+      return res.status(409).json({
+        error: 'WAREHOUSE_IN_USE',
+        message: error.message,
+        warehouse_id: req.params.id,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    if (error.message.includes('Valor inválido') || error.message.includes('No hay campos válidos')) {
+      return res.status(400).json({
+        error: 'INVALID_WAREHOUSE',
+        message: error.message,
+        warehouse_id: req.params.id,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    res.status(500).json({
+      error: 'UPDATE_WAREHOUSE_ERROR',
+      message: error.message,
+      warehouse_id: req.params.id,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * DELETE /api/warehouses/:id
+ * Desactivar almacén (soft delete; debe estar vacío y no ser el predeterminado)
+ */
+router.delete('/:id', requirePermission('warehouses:delete'), async (req, res) => {
+  try {
+    const { tenantSchema } = req;
+    const { id } = req.params;
+
+    const success = await Warehouse.delete(tenantSchema, parseInt(id), req.auditContext);
+
+    if (!success) {
+      return res.status(404).json({
+        error: 'WAREHOUSE_NOT_FOUND',
+        message: `Almacén con ID ${id} no encontrado`,
+        warehouse_id: id,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Almacén desactivado exitosamente',
+      warehouse_id: id,
+      note: 'El almacén fue marcado como inactivo (soft delete)',
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('💥 Error eliminando almacén:', error.message);
+
+    if (error.message.includes('Operación no permitida')) {
+      return res.status(409).json({
+        error: 'WAREHOUSE_IN_USE',
+        message: error.message,
+        warehouse_id: req.params.id,
+        tenant_code: req.tenantCode
+      });
+    }
+
+    res.status(500).json({
+      error: 'DELETE_WAREHOUSE_ERROR',
+      message: error.message,
+      warehouse_id: req.params.id,
+      tenant_code: req.tenantCode,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
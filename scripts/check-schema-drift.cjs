@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+// =====================================================================================
+// FLUXION AI - SCHEMA DRIFT CHECK SCRIPT
+// Compara los schemas de tenants con las columnas que usan los modelos
+// =====================================================================================
+
+require('dotenv').config();
+
+const TenantService = require('../services/TenantService.cjs');
+const { closePool } = require('../config/database.cjs');
+
+/**
+ * Mostrar ayuda del comando
+ */
+function showHelp() {
+  console.log(`
+🔍 Fluxion AI - Schema Drift Check
+
+Uso: node scripts/check-schema-drift.cjs [tenant_code ...]
+
+Sin argumentos revisa todos los tenants. Sale con código 1 si algún schema
+no coincide con el contrato de los modelos (database/schema-drift.cjs).
+
+Para corregir el drift: POST /api/admin/tenants/migrate-all
+
+Ejemplos:
+  npm run check-schema-drift
+  node scripts/check-schema-drift.cjs demo_valencia
+`);
+}
+
+/**
+ * Imprimir el reporte de un tenant
+ * @param {string} tenantCode - Código del tenant
+ * @param {Object} report - Reporte de checkSchemaDrift
+ */
+function printReport(tenantCode, report) {
+  if (report.in_sync) {
+    console.log(`✅ ${tenantCode} (${report.schema_name}): sin drift`);
+    return;
+  }
+
+  console.log(`❌ ${tenantCode} (${report.schema_name}): drift detectado`);
+  report.missing_tables.forEach(item => {
+    console.log(`    - tabla faltante: ${item.table} (usada por ${item.model})`);
+  });
+  report.missing_columns.forEach(item => {
+    console.log(`    - columna faltante: ${item.table}.${item.column} (usada por ${item.model})`);
+  });
+  report.blocking_columns.forEach(item => {
+    console.log(`    - columna NOT NULL sin default que ${item.model} no escribe: ${item.table}.${item.column}`);
+  });
+  report.default_mismatches.forEach(item => {
+    console.log(`    - default de ${item.table}.${item.column}: ${item.actual} (esperado '${item.expected}')`);
+  });
+}
+
+/**
+ * Función principal
+ */
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('help') || args.includes('-h') || args.includes('--help')) {
+    showHelp();
+    return;
+  }
+
+  let driftFound = false;
+
+  try {
+    const tenantCodes = args.length > 0
+      ? args
+      : (await TenantService.getAllTenants()).map(tenant => tenant.tenant_code);
+
+    for (const tenantCode of tenantCodes) {
+      try {
+        const report = await TenantService.getSchemaDrift(tenantCode);
+        printReport(tenantCode, report);
+        driftFound = driftFound || !report.in_sync;
+      } catch (error) {
+        console.error(`💥 ${tenantCode}: ${error.message}`);
+        driftFound = true;
+      }
+    }
+
+    console.log(`\n📊 ${tenantCodes.length} tenants revisados`);
+
+  } catch (error) {
+    console.error('💥 Error revisando schemas:', error.message);
+    driftFound = true;
+  } finally {
+    await closePool();
+    process.exitCode = driftFound ? 1 : 0;
+  }
+}
+
+// Ejecutar si es llamado directamente
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  printReport
+};
@@ -9,8 +9,12 @@ const {
   tenantMiddleware, 
   requireTenant, 
   tenantRequestLogger, 
+  tenantRateLimit,
+  tenantStorageQuota,
   tenantErrorHandler 
 } = require('./middleware/tenantMiddleware.cjs');
+const { requireAuth } = require('./middleware/authMiddleware.cjs');
+const { requirePlatformAdmin } = require('./middleware/platformAdminMiddleware.cjs');
 
 const app = express();
 const PORT = process.env.BACKEND_PORT || 3004;
@@ -26,13 +30,19 @@ app.use(express.urlencoded({ extended: true }));
 app.use(cors({
   origin: ['http://localhost:3000', 'http://localhost:3001', 'http://localhost:3002'],
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Origin', 'X-Requested-With', 'Content-Type', 'Accept', 'Authorization', 'X-Tenant'],
+  allowedHeaders: ['Origin', 'X-Requested-With', 'Content-Type', 'Accept', 'Authorization', 'X-Tenant', 'X-Admin-Key', 'X-Confirmation-Token'],
+  exposedHeaders: [
+    'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After',
+    'X-Tenant-Subscription-Status', 'X-Tenant-Subscription-Ends'
+  ],
   credentials: true
 }));
 
 // Global tenant middleware (debe ir antes de las rutas)
 app.use(tenantMiddleware);
 app.use(tenantRequestLogger);
+app.use(tenantRateLimit);
+app.use(tenantStorageQuota);
 
 // =====================================================================================
 // HEALTH CHECK & SYSTEM ROUTES (No requieren tenant)
@@ -64,11 +74,14 @@ app.get('/api/system/info', (req, res) => {
 });
 
 // =====================================================================================
-// TENANT MANAGEMENT ROUTES (Admin only)
+// TENANT MANAGEMENT ROUTES (Admin only - requieren header X-Admin-Key)
 // =====================================================================================
 
 const tenantRoutes = require('./routes/tenantRoutes.cjs');
+const platformAdminRoutes = require('./routes/platformAdminRoutes.cjs');
+app.use('/api/admin', requirePlatformAdmin);
 app.use('/api/admin/tenants', tenantRoutes);
+app.use('/api/admin/operators', platformAdminRoutes);
 
 // =====================================================================================
 // MULTI-TENANT API ROUTES (Requieren tenant válido)
@@ -80,22 +93,63 @@ const salesRoutes = require('./routes/salesRoutes.cjs');
 const inventoryRoutes = require('./routes/inventoryRoutes.cjs');
 const insightsRoutes = require('./routes/insightsRoutes.cjs');
 const dashboardRoutes = require('./routes/dashboardRoutes.cjs');
+const authRoutes = require('./routes/authRoutes.cjs');
+const userRoutes = require('./routes/userRoutes.cjs');
+const usageRoutes = require('./routes/usageRoutes.cjs');
+const auditRoutes = require('./routes/auditRoutes.cjs');
+const supplierRoutes = require('./routes/supplierRoutes.cjs');
+const purchaseRoutes = require('./routes/purchaseRoutes.cjs');
+const warehouseRoutes = require('./routes/warehouseRoutes.cjs');
+const saleReturnRoutes = require('./routes/saleReturnRoutes.cjs');
+const priceListRoutes = require('./routes/priceListRoutes.cjs');
+const promotionRoutes = require('./routes/promotionRoutes.cjs');
+const exchangeRateRoutes = require('./routes/exchangeRateRoutes.cjs');
+const taxRoutes = require('./routes/taxRoutes.cjs');
+const stockCountRoutes = require('./routes/stockCountRoutes.cjs');
 
-// Aplicar middleware requireTenant a todas las rutas de API
-app.use('/api/products', requireTenant, productRoutes);
-app.use('/api/clients', requireTenant, clientRoutes);
-app.use('/api/sales', requireTenant, salesRoutes);
-app.use('/api/inventory', requireTenant, inventoryRoutes);
-app.use('/api/insights', requireTenant, insightsRoutes);
-app.use('/api/dashboard', requireTenant, dashboardRoutes);
+// Autenticación (login no requiere sesión, solo tenant)
+app.use('/api/auth', requireTenant, authRoutes);
+app.use('/api/tenant/:tenantCode/auth', requireTenant, authRoutes);
+
+// Aplicar middleware requireTenant + requireAuth a todas las rutas de API
+app.use('/api/products', requireTenant, requireAuth, productRoutes);
+app.use('/api/clients', requireTenant, requireAuth, clientRoutes);
+app.use('/api/sales', requireTenant, requireAuth, salesRoutes);
+app.use('/api/inventory/counts', requireTenant, requireAuth, stockCountRoutes);
+app.use('/api/inventory', requireTenant, requireAuth, inventoryRoutes);
+app.use('/api/insights', requireTenant, requireAuth, insightsRoutes);
+app.use('/api/dashboard', requireTenant, requireAuth, dashboardRoutes);
+app.use('/api/users', requireTenant, requireAuth, userRoutes);
+app.use('/api/usage', requireTenant, requireAuth, usageRoutes);
+app.use('/api/audit', requireTenant, requireAuth, auditRoutes);
+app.use('/api/suppliers', requireTenant, requireAuth, supplierRoutes);
+app.use('/api/purchases', requireTenant, requireAuth, purchaseRoutes);
+app.use('/api/warehouses', requireTenant, requireAuth, warehouseRoutes);
+app.use('/api/returns', requireTenant, requireAuth, saleReturnRoutes);
+app.use('/api/price-lists', requireTenant, requireAuth, priceListRoutes);
+app.use('/api/promotions', requireTenant, requireAuth, promotionRoutes);
+app.use('/api/exchange-rates', requireTenant, requireAuth, exchangeRateRoutes);
+app.use('/api/taxes', requireTenant, requireAuth, taxRoutes);
 
 // Rutas con parámetro de tenant en URL (alternativa)
-app.use('/api/tenant/:tenantCode/products', requireTenant, productRoutes);
-app.use('/api/tenant/:tenantCode/clients', requireTenant, clientRoutes);
-app.use('/api/tenant/:tenantCode/sales', requireTenant, salesRoutes);
-app.use('/api/tenant/:tenantCode/inventory', requireTenant, inventoryRoutes);
-app.use('/api/tenant/:tenantCode/insights', requireTenant, insightsRoutes);
-app.use('/api/tenant/:tenantCode/dashboard', requireTenant, dashboardRoutes);
+app.use('/api/tenant/:tenantCode/products', requireTenant, requireAuth, productRoutes);
+app.use('/api/tenant/:tenantCode/clients', requireTenant, requireAuth, clientRoutes);
+app.use('/api/tenant/:tenantCode/sales', requireTenant, requireAuth, salesRoutes);
+app.use('/api/tenant/:tenantCode/inventory/counts', requireTenant, requireAuth, stockCountRoutes);
+app.use('/api/tenant/:tenantCode/inventory', requireTenant, requireAuth, inventoryRoutes);
+app.use('/api/tenant/:tenantCode/insights', requireTenant, requireAuth, insightsRoutes);
+app.use('/api/tenant/:tenantCode/dashboard', requireTenant, requireAuth, dashboardRoutes);
+app.use('/api/tenant/:tenantCode/users', requireTenant, requireAuth, userRoutes);
+app.use('/api/tenant/:tenantCode/usage', requireTenant, requireAuth, usageRoutes);
+app.use('/api/tenant/:tenantCode/audit', requireTenant, requireAuth, auditRoutes);
+app.use('/api/tenant/:tenantCode/suppliers', requireTenant, requireAuth, supplierRoutes);
+app.use('/api/tenant/:tenantCode/purchases', requireTenant, requireAuth, purchaseRoutes);
+app.use('/api/tenant/:tenantCode/warehouses', requireTenant, requireAuth, warehouseRoutes);
+app.use('/api/tenant/:tenantCode/returns', requireTenant, requireAuth, saleReturnRoutes);
+app.use('/api/tenant/:tenantCode/price-lists', requireTenant, requireAuth, priceListRoutes);
+app.use('/api/tenant/:tenantCode/promotions', requireTenant, requireAuth, promotionRoutes);
+app.use('/api/tenant/:tenantCode/exchange-rates', requireTenant, requireAuth, exchangeRateRoutes);
+app.use('/api/tenant/:tenantCode/taxes', requireTenant, requireAuth, taxRoutes);
 
 // =====================================================================================
 // ERROR HANDLING
@@ -110,15 +164,37 @@ app.use('*', (req, res) => {
     message: `Ruta ${req.originalUrl} no encontrada`,
     available_endpoints: {
       system: ['/api/health', '/api/system/info'],
-      admin: ['/api/admin/tenants'],
+      admin: [
+        '/api/admin/tenants (requiere header X-Admin-Key)',
+        '/api/admin/operators (requiere header X-Admin-Key)'
+      ],
+      auth: [
+        '/api/auth/login (requiere header X-Tenant)',
+        '/api/auth/logout',
+        '/api/auth/refresh',
+        '/api/auth/me'
+      ],
       tenant_apis: [
         '/api/products (requiere header X-Tenant)',
         '/api/clients (requiere header X-Tenant)',
         '/api/sales (requiere header X-Tenant)',
         '/api/inventory (requiere header X-Tenant)',
+        '/api/inventory/counts (requiere header X-Tenant)',
         '/api/insights (requiere header X-Tenant)',
-        '/api/dashboard (requiere header X-Tenant)'
+        '/api/dashboard (requiere header X-Tenant)',
+        '/api/users (requiere header X-Tenant)',
+        '/api/usage (requiere header X-Tenant)',
+        '/api/audit (requiere header X-Tenant)',
+        '/api/suppliers (requiere header X-Tenant)',
+        '/api/purchases (requiere header X-Tenant)',
+        '/api/warehouses (requiere header X-Tenant)',
+        '/api/returns (requiere header X-Tenant)',
+        '/api/price-lists (requiere header X-Tenant)',
+        '/api/promotions (requiere header X-Tenant)',
+        '/api/exchange-rates (requiere header X-Tenant)',
+        '/api/taxes (requiere header X-Tenant)'
       ],
+      authentication: 'Todas las tenant_apis requieren header Authorization: Bearer <token> obtenido en /api/auth/login',
       tenant_url_format: [
         '/api/tenant/{tenant_code}/products',
         '/api/tenant/{tenant_code}/clients',
@@ -153,14 +229,15 @@ const server = app.listen(PORT, () => {
   console.log(`🌐 Health check: http://localhost:${PORT}/api/health`);
   console.log(`📊 System info: http://localhost:${PORT}/api/system/info`);
   console.log('\n📋 Endpoints disponibles:');
-  console.log('   Admin: /api/admin/tenants/*');
+  console.log('   Admin (con X-Admin-Key header): /api/admin/tenants/*, /api/admin/operators');
   console.log('   API (con X-Tenant header): /api/products, /api/clients, /api/sales...');
   console.log('   API (con URL param): /api/tenant/{code}/products...');
   console.log('\n💡 Ejemplos de uso:');
-  console.log('   curl -H "X-Tenant: demo123" http://localhost:' + PORT + '/api/products');
-  console.log('   curl http://localhost:' + PORT + '/api/tenant/demo123/products');
+  console.log('   curl -X POST -H "X-Tenant: demo123" -H "Content-Type: application/json" \\');
+  console.log('        -d \'{"email":"admin@demo.com","password":"..."}\' http://localhost:' + PORT + '/api/auth/login');
+  console.log('   curl -H "X-Tenant: demo123" -H "Authorization: Bearer <token>" http://localhost:' + PORT + '/api/products');
   console.log('\n🔧 Para crear un tenant:');
-  console.log('   POST /api/admin/tenants');
+  console.log('   curl -X POST -H "X-Admin-Key: $PLATFORM_ADMIN_API_KEY" ... /api/admin/tenants');
   console.log('');
 });
 
@@ -0,0 +1,144 @@
+// =====================================================================================
+// FLUXION AI - AUDIT SERVICE
+// Registro de auditoría multi-tenant en public.tenant_audit_log
+// =====================================================================================
+
+const { query, tenantCodeFromSchema } = require('../config/database.cjs');
+
+/**
+ * Servicio AuditService para registrar y consultar cambios sobre entidades del tenant
+ */
+class AuditService {
+
+  /**
+   * Construir el contexto de auditoría desde una request autenticada
+   * @param {Object} req - Request object (después de requireAuth)
+   * @returns {Object} { userId, ip, userAgent }
+   */
+  static contextFromRequest(req) {
+    return {
+      userId: req.user ? req.user.id : null,
+      ip: req.ip || null,
+      userAgent: req.get ? req.get('user-agent') || null : null
+    };
+  }
+
+  /**
+   * Registrar una entrada de auditoría
+   * Sin cliente de transacción, un fallo se registra en consola y no interrumpe la operación;
+   * dentro de una transacción (db) el error se propaga para que se haga ROLLBACK.
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} context - Contexto de la request { userId, ip, userAgent }
+   * @param {Object} entry - { action, entity_type, entity_id, old_values, new_values }
+   * @param {Object} db - Cliente de transacción opcional (por defecto el pool)
+   * @returns {Promise<Object|null>} Entrada creada
+   */
+  static async record(tenantSchema, context = {}, entry = {}, db = null) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    const runQuery = db ? db.query.bind(db) : query;
+
+    try {
+      const {
+        action, entity_type, entity_id = null, old_values = null, new_values = null
+      } = entry;
+
+      const result = await runQuery(`
+        INSERT INTO public.tenant_audit_log (
+          tenant_id, user_id, action, entity_type, entity_id,
+          old_values, new_values, ip_address, user_agent
+        ) VALUES (
+          (SELECT id FROM public.tenants WHERE tenant_code = $1),
+          $2, $3, $4, $5, $6, $7, $8, $9
+        )
+        RETURNING id
+      `, [
+        tenantCodeFromSchema(tenantSchema), context.userId || null, action, entity_type, entity_id,
+        old_values ? JSON.stringify(old_values) : null,
+        new_values ? JSON.stringify(new_values) : null,
+        context.ip || null, context.userAgent || null
+      ]);
+
+      return result.rows[0];
+
+    } catch (error) {
+      console.error('💥 Error registrando auditoría:', error.message);
+
+      if (db) {
+        throw new Error(`Error registrando auditoría: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Consultar el log de auditoría de un tenant
+   * @param {number} tenantId - ID del tenant
+   * @param {Object} options - Filtros: entity_type, entity_id, user_id, action, date_from, date_to, limit, offset
+   * @returns {Promise<Object>} { entries, total }
+   */
+  static async getEntries(tenantId, options = {}) {
+    try {
+      const conditions = ['a.tenant_id = $1'];
+      const params = [tenantId];
+      let paramIndex = 2;
+
+      const filters = {
+        entity_type: 'a.entity_type = ',
+        entity_id: 'a.entity_id = ',
+        user_id: 'a.user_id = ',
+        date_from: 'a.created_at >= ',
+        date_to: 'a.created_at <= '
+      };
+
+      Object.keys(filters).forEach(filter => {
+        if (options[filter] !== undefined && options[filter] !== null && options[filter] !== '') {
+          conditions.push(`${filters[filter]}$${paramIndex}`);
+          params.push(options[filter]);
+          paramIndex++;
+        }
+      });
+
+      // action acepta prefijo: 'sale' filtra sale.create, sale.cancel, ...
+      if (options.action) {
+        conditions.push(`(a.action = $${paramIndex} OR a.action LIKE $${paramIndex + 1})`);
+        params.push(options.action, `${options.action}.%`);
+        paramIndex += 2;
+      }
+
+      const whereClause = conditions.join(' AND ');
+
+      const countResult = await query(`
+        SELECT COUNT(*) as total FROM public.tenant_audit_log a WHERE ${whereClause}
+      `, params);
+
+      const limit = Math.min(parseInt(options.limit) || 50, 500);
+      const offset = parseInt(options.offset) || 0;
+
+      const result = await query(`
+        SELECT
+          a.id, a.action, a.entity_type, a.entity_id, a.old_values, a.new_values,
+          a.ip_address, a.user_agent, a.created_at,
+          a.user_id, u.name as user_name, u.email as user_email
+        FROM public.tenant_audit_log a
+        LEFT JOIN public.tenant_users u ON u.id = a.user_id
+        WHERE ${whereClause}
+        ORDER BY a.created_at DESC, a.id DESC
+        LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+      `, [...params, limit, offset]);
+
+      return {
+        entries: result.rows,
+        total: parseInt(countResult.rows[0].total)
+      };
+
+    } catch (error) {
+      console.error('💥 Error obteniendo auditoría:', error.message);
+      throw new Error(`Error obteniendo auditoría: ${error.message}`);
+    }
+  }
+}
+
+module.exports = AuditService;
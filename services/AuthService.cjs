@@ -0,0 +1,450 @@
+// =====================================================================================
+// FLUXION AI - AUTH SERVICE
+// Servicio de autenticación: usuarios por tenant, hashing de contraseñas y sesiones
+// =====================================================================================
+
+const crypto = require('crypto');
+const { query, withTransaction } = require('../config/database.cjs');
+const { ROLE_PERMISSIONS } = require('../config/permissions.cjs');
+const QuotaService = require('./QuotaService.cjs');
+
+/**
+ * Duración de las sesiones en horas (system_settings.session_timeout_hours por defecto = 24)
+ */
+const SESSION_TIMEOUT_HOURS = parseInt(process.env.SESSION_TIMEOUT_HOURS) || 24;
+
+/**
+ * Parámetros de scrypt para el hash de contraseñas
+ */
+const SCRYPT_KEY_LENGTH = 64;
+const SCRYPT_COST = 16384;
+
+/**
+ * Hash con el mismo costo que uno real: el login de un email inexistente también ejecuta
+ * scrypt, así el tiempo de respuesta no revela qué cuentas existen
+ */
+const DUMMY_PASSWORD_HASH = `scrypt$${SCRYPT_COST}$${'0'.repeat(32)}$${'0'.repeat(SCRYPT_KEY_LENGTH * 2)}`;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Campos públicos de un usuario (nunca exponer password_hash)
+ */
+const USER_FIELDS = `
+  id, tenant_id, user_code, name, email, role, permissions,
+  active, last_login, created_at, updated_at
+`;
+
+/**
+ * Servicio AuthService para autenticación de usuarios de tenants
+ * Usa public.tenant_users y public.user_sessions
+ */
+class AuthService {
+
+  /**
+   * Generar hash de una contraseña con scrypt y salt aleatorio
+   * @param {string} password - Contraseña en texto plano
+   * @returns {Promise<string>} Hash en formato scrypt$cost$salt$hash
+   */
+  static async hashPassword(password) {
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`La contraseña debe tener al menos ${MIN_PASSWORD_LENGTH} caracteres`);
+    }
+
+    const salt = crypto.randomBytes(16).toString('hex');
+    const derivedKey = await new Promise((resolve, reject) => {
+      crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, { N: SCRYPT_COST }, (err, key) => {
+        if (err) reject(err);
+        else resolve(key);
+      });
+    });
+
+    return `scrypt$${SCRYPT_COST}$${salt}$${derivedKey.toString('hex')}`;
+  }
+
+  /**
+   * Verificar una contraseña contra su hash almacenado
+   * @param {string} password - Contraseña en texto plano
+   * @param {string} storedHash - Hash guardado en tenant_users.password_hash
+   * @returns {Promise<boolean>} True si la contraseña es correcta
+   */
+  static async verifyPassword(password, storedHash) {
+    if (!password || !storedHash) {
+      return false;
+    }
+
+    const [algorithm, cost, salt, hash] = storedHash.split('$');
+    if (algorithm !== 'scrypt' || !salt || !hash) {
+      return false;
+    }
+
+    // Un hash mal formado es una contraseña incorrecta, no un error de scrypt; ningún hash
+    // se genera con un costo mayor a SCRYPT_COST
+    const costValue = Number(cost);
+    const validCost = Number.isInteger(costValue) && costValue > 1 && costValue <= SCRYPT_COST &&
+      (costValue & (costValue - 1)) === 0;
+    const expected = Buffer.from(hash, 'hex');
+    if (!validCost || expected.length === 0) {
+      return false;
+    }
+
+    const derivedKey = await new Promise((resolve, reject) => {
+      crypto.scrypt(password, salt, expected.length, { N: costValue }, (err, key) => {
+        if (err) reject(err);
+        else resolve(key);
+      });
+    });
+
+    return crypto.timingSafeEqual(derivedKey, expected);
+  }
+
+  /**
+   * Hash SHA-256 de un token de sesión (en la base de datos nunca se guarda el token plano)
+   * @param {string} token - Token de sesión
+   * @returns {string} Hash hexadecimal
+   */
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Validar que un rol exista en config/permissions.cjs
+   * @param {string} role - Rol a validar
+   */
+  static validateRole(role) {
+    if (!ROLE_PERMISSIONS[role]) {
+      throw new Error(`Rol no válido: ${role}. Use: ${Object.keys(ROLE_PERMISSIONS).join(', ')}`);
+    }
+  }
+
+  /**
+   * Crear un usuario para un tenant
+   * @param {Object} tenant - Tenant (requiere id)
+   * @param {Object} userData - Datos del usuario
+   * @param {Object} db - Cliente de transacción opcional (por defecto abre una)
+   * @returns {Promise<Object>} Usuario creado (sin password_hash)
+   */
+  static async createUser(tenant, userData, db = null) {
+    // Sin transacción del llamador se abre una: la verificación de cuota bloquea el
+    // tenant hasta que el alta se confirma
+    if (!db) {
+      const user = await withTransaction(null, (tx) => this.createUser(tenant, userData, tx));
+
+      // Advertencia al 80% de la cuota (no bloquea la respuesta); dentro de la
+      // transacción del alta de un tenant este aún no es visible para el pool
+      QuotaService.checkSoftLimits(tenant.schema_name || `tenant_${tenant.tenant_code}`);
+
+      return user;
+    }
+
+    try {
+      const {
+        name, email, password, role = 'user', permissions = {}, active = true
+      } = userData;
+
+      if (!name || !email || !password) {
+        throw new Error('name, email y password son requeridos');
+      }
+
+      this.validateRole(role);
+
+      const normalizedEmail = email.trim().toLowerCase();
+      const userCode = userData.user_code || normalizedEmail.split('@')[0];
+
+      const existing = await db.query(`
+        SELECT id FROM public.tenant_users
+        WHERE tenant_id = $1 AND (email = $2 OR user_code = $3)
+      `, [tenant.id, normalizedEmail, userCode]);
+
+      if (existing.rows.length > 0) {
+        throw new Error(`Ya existe un usuario con email ${normalizedEmail} o código ${userCode}`);
+      }
+
+      // El hash va antes de la cuota para no retener el bloqueo del tenant mientras se calcula
+      const passwordHash = await this.hashPassword(password);
+
+      if (active) {
+        await QuotaService.assertUserQuota(tenant.id, 1, db);
+      }
+
+      const result = await db.query(`
+        INSERT INTO public.tenant_users (
+          tenant_id, user_code, name, email, password_hash, role, permissions, active
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING ${USER_FIELDS}
+      `, [
+        tenant.id, userCode, name, normalizedEmail, passwordHash,
+        role, JSON.stringify(permissions), active
+      ]);
+
+      console.log(`✅ Usuario ${normalizedEmail} creado para tenant ${tenant.tenant_code}`);
+
+      return result.rows[0];
+
+    } catch (error) {
+      console.error('💥 Error creando usuario:', error.message);
+      throw new Error(`Error creando usuario: ${error.message}`);
+    }
+  }
+
+  /**
+   * Listar usuarios de un tenant
+   * @param {number} tenantId - ID del tenant
+   * @returns {Promise<Array>} Usuarios del tenant
+   */
+  static async getUsers(tenantId) {
+    try {
+      const result = await query(`
+        SELECT ${USER_FIELDS}
+        FROM public.tenant_users
+        WHERE tenant_id = $1
+        ORDER BY name
+      `, [tenantId]);
+
+      return result.rows;
+
+    } catch (error) {
+      console.error('💥 Error obteniendo usuarios:', error.message);
+      throw new Error(`Error obteniendo usuarios: ${error.message}`);
+    }
+  }
+
+  /**
+   * Actualizar un usuario de un tenant
+   * @param {number} tenantId - ID del tenant
+   * @param {number} userId - ID del usuario
+   * @param {Object} updateData - Campos a actualizar
+   * @returns {Promise<Object>} Usuario actualizado
+   */
+  static async updateUser(tenantId, userId, updateData) {
+    try {
+      const updateFields = [];
+      const params = [];
+      let paramIndex = 1;
+
+      const allowedFields = ['name', 'role', 'permissions', 'active'];
+
+      if (updateData.role !== undefined) {
+        this.validateRole(updateData.role);
+      }
+
+      Object.keys(updateData).forEach(field => {
+        if (allowedFields.includes(field)) {
+          updateFields.push(`${field} = $${paramIndex}`);
+          params.push(field === 'permissions' ? JSON.stringify(updateData[field]) : updateData[field]);
+          paramIndex++;
+        }
+      });
+
+      if (updateData.password) {
+        updateFields.push(`password_hash = $${paramIndex}`);
+        params.push(await this.hashPassword(updateData.password));
+        paramIndex++;
+      }
+
+      if (updateFields.length === 0) {
+        throw new Error('No hay campos válidos para actualizar');
+      }
+
+      params.push(tenantId, userId);
+      const result = await withTransaction(null, async (db) => {
+        // Reactivar un usuario cuenta contra la cuota del plan
+        if (updateData.active === true) {
+          const current = await db.query(
+            'SELECT active FROM public.tenant_users WHERE tenant_id = $1 AND id = $2',
+            [tenantId, userId]
+          );
+          if (current.rows[0] && !current.rows[0].active) {
+            await QuotaService.assertUserQuota(tenantId, 1, db);
+          }
+        }
+
+        return db.query(`
+          UPDATE public.tenant_users
+          SET ${updateFields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+          WHERE tenant_id = $${paramIndex} AND id = $${paramIndex + 1}
+          RETURNING ${USER_FIELDS}
+        `, params);
+      });
+
+      if (result.rows.length === 0) {
+        throw new Error(`Usuario con ID ${userId} no encontrado`);
+      }
+
+      // Un usuario desactivado o con nueva contraseña pierde sus sesiones abiertas
+      if (updateData.active === false || updateData.password) {
+        await query('DELETE FROM public.user_sessions WHERE user_id = $1', [userId]);
+      }
+
+      return result.rows[0];
+
+    } catch (error) {
+      console.error('💥 Error actualizando usuario:', error.message);
+      throw new Error(`Error actualizando usuario: ${error.message}`);
+    }
+  }
+
+  /**
+   * Crear una sesión nueva para un usuario
+   * @param {Object} user - Usuario (requiere id y tenant_id)
+   * @returns {Promise<Object>} Token plano y fecha de expiración
+   */
+  static async createSession(user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_TIMEOUT_HOURS * 60 * 60 * 1000);
+
+    await query(`
+      INSERT INTO public.user_sessions (tenant_id, user_id, session_token, expires_at)
+      VALUES ($1, $2, $3, $4)
+    `, [user.tenant_id, user.id, this.hashToken(token), expiresAt]);
+
+    return { token, expires_at: expiresAt };
+  }
+
+  /**
+   * Iniciar sesión con email y contraseña dentro de un tenant
+   * @param {Object} tenant - Tenant resuelto por tenantMiddleware
+   * @param {string} email - Email del usuario
+   * @param {string} password - Contraseña
+   * @returns {Promise<Object|null>} Sesión y usuario, o null si las credenciales son inválidas
+   */
+  static async login(tenant, email, password) {
+    try {
+      const result = await query(`
+        SELECT ${USER_FIELDS}, password_hash
+        FROM public.tenant_users
+        WHERE tenant_id = $1 AND email = $2 AND active = true
+      `, [tenant.id, (email || '').trim().toLowerCase()]);
+
+      const user = result.rows[0];
+      const validPassword = await this.verifyPassword(password, user ? user.password_hash : DUMMY_PASSWORD_HASH);
+
+      if (!user || !validPassword) {
+        return null;
+      }
+
+      delete user.password_hash;
+
+      await query(`
+        UPDATE public.tenant_users SET last_login = CURRENT_TIMESTAMP WHERE id = $1
+      `, [user.id]);
+
+      const session = await this.createSession(user);
+
+      console.log(`🔐 Login exitoso: ${user.email} (${tenant.tenant_code})`);
+      return { ...session, user };
+
+    } catch (error) {
+      console.error('💥 Error en login:', error.message);
+      throw new Error(`Error en login: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validar un token de sesión y obtener el usuario asociado
+   * @param {string} token - Token de sesión
+   * @returns {Promise<Object|null>} Sesión con usuario o null si es inválida o expiró
+   */
+  static async validateSession(token) {
+    if (!token) {
+      return null;
+    }
+
+    try {
+      const result = await query(`
+        SELECT
+          s.id as session_id, s.tenant_id, s.expires_at,
+          u.id as user_id, u.user_code, u.name, u.email, u.role, u.permissions
+        FROM public.user_sessions s
+        JOIN public.tenant_users u ON s.user_id = u.id
+        WHERE s.session_token = $1
+        AND s.expires_at > CURRENT_TIMESTAMP
+        AND u.active = true
+      `, [this.hashToken(token)]);
+
+      const session = result.rows[0];
+      if (!session) {
+        return null;
+      }
+
+      await query(`
+        UPDATE public.user_sessions SET last_activity = CURRENT_TIMESTAMP WHERE id = $1
+      `, [session.session_id]);
+
+      return session;
+
+    } catch (error) {
+      console.error('💥 Error validando sesión:', error.message);
+      throw new Error(`Error validando sesión: ${error.message}`);
+    }
+  }
+
+  /**
+   * Renovar una sesión: rota el token y extiende la expiración
+   * @param {string} token - Token de sesión vigente
+   * @param {number} tenantId - ID del tenant de la request
+   * @returns {Promise<Object|null>} Nuevo token y expiración, o null si la sesión es inválida
+   */
+  static async refreshSession(token, tenantId) {
+    try {
+      const newToken = crypto.randomBytes(32).toString('hex');
+      const expiresAt = new Date(Date.now() + SESSION_TIMEOUT_HOURS * 60 * 60 * 1000);
+
+      const result = await query(`
+        UPDATE public.user_sessions
+        SET session_token = $1, expires_at = $2, last_activity = CURRENT_TIMESTAMP
+        WHERE session_token = $3 AND tenant_id = $4 AND expires_at > CURRENT_TIMESTAMP
+        RETURNING id
+      `, [this.hashToken(newToken), expiresAt, this.hashToken(token), tenantId]);
+
+      if (result.rowCount === 0) {
+        return null;
+      }
+
+      return { token: newToken, expires_at: expiresAt };
+
+    } catch (error) {
+      console.error('💥 Error renovando sesión:', error.message);
+      throw new Error(`Error renovando sesión: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cerrar una sesión
+   * @param {string} token - Token de sesión
+   * @param {number} tenantId - ID del tenant de la request
+   * @returns {Promise<boolean>} True si la sesión existía
+   */
+  static async logout(token, tenantId) {
+    try {
+      const result = await query(`
+        DELETE FROM public.user_sessions WHERE session_token = $1 AND tenant_id = $2
+      `, [this.hashToken(token), tenantId]);
+
+      return result.rowCount > 0;
+
+    } catch (error) {
+      console.error('💥 Error cerrando sesión:', error.message);
+      throw new Error(`Error cerrando sesión: ${error.message}`);
+    }
+  }
+
+  /**
+   * Eliminar sesiones expiradas
+   * @returns {Promise<number>} Número de sesiones eliminadas
+   */
+  static async cleanupExpiredSessions() {
+    try {
+      const result = await query(`
+        DELETE FROM public.user_sessions WHERE expires_at < CURRENT_TIMESTAMP
+      `);
+
+      return result.rowCount || 0;
+
+    } catch (error) {
+      console.error('💥 Error limpiando sesiones expiradas:', error.message);
+      throw new Error(`Error limpiando sesiones: ${error.message}`);
+    }
+  }
+}
+
+module.exports = AuthService;
@@ -0,0 +1,407 @@
+// =====================================================================================
+// FLUXION AI - FORECAST SERVICE
+// Pronóstico de demanda por producto con Holt-Winters aditivo (estacionalidad semanal)
+// =====================================================================================
+
+const { query } = require('../config/database.cjs');
+
+/**
+ * Días de historial de ventas usados para ajustar el modelo
+ * Menos de 4 semanas no alcanza para la estacionalidad semanal y más de 2 años dispara
+ * el costo de la búsqueda de parámetros (se ajusta dos veces: modelo y backtest)
+ */
+const MIN_HISTORY_DAYS = 28;
+const MAX_HISTORY_DAYS = 730;
+const DEFAULT_HISTORY_DAYS = Math.min(
+  Math.max(parseInt(process.env.FORECAST_HISTORY_DAYS) || 180, MIN_HISTORY_DAYS),
+  MAX_HISTORY_DAYS
+);
+
+/**
+ * Estacionalidad semanal en series diarias (misma bandera que la configuración de Prophet)
+ */
+const WEEKLY_SEASONALITY = process.env.PROPHET_WEEKLY_SEASONALITY !== 'false';
+
+const MAX_HORIZON = {
+  daily: 90,
+  weekly: 26
+};
+
+/**
+ * Valores probados al ajustar el modelo
+ * La tendencia usa valores bajos y amortiguación: con ventas ruidosas una tendencia
+ * muy reactiva minimiza el error de un paso pero dispara el pronóstico a varios días
+ */
+const SMOOTHING_GRID = [0.05, 0.1, 0.2, 0.3, 0.5, 0.7, 0.9];
+const TREND_GRID = [0.01, 0.05, 0.1, 0.2];
+const DAMPING_GRID = [0.8, 0.9, 0.98];
+
+/**
+ * Nivel de confianza -> factor z de la distribución normal
+ */
+const CONFIDENCE_Z = [
+  [0.80, 1.282],
+  [0.90, 1.645],
+  [0.95, 1.960],
+  [0.99, 2.576]
+];
+
+/**
+ * Servicio ForecastService para pronosticar la demanda de productos
+ */
+class ForecastService {
+
+  /**
+   * Obtener la serie de demanda de un producto (periodos sin ventas = 0)
+   * Solo periodos completos: el día o la semana en curso se excluye y las ventas se toman
+   * desde el inicio del primer periodo
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} productId - ID del producto
+   * @param {Object} options - { granularity: 'daily'|'weekly', history_days }
+   * @returns {Promise<Array>} [{ period, quantity }]
+   */
+  static async getDemandSeries(tenantSchema, productId, options = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    const granularity = options.granularity === 'weekly' ? 'weekly' : 'daily';
+    const historyDays = this.resolveHistoryDays(options.history_days);
+    const step = granularity === 'weekly' ? 'week' : 'day';
+
+    const result = await query(`
+      WITH bounds AS (
+        SELECT date_trunc($3, CURRENT_DATE - $2::int) as first_period,
+               date_trunc($3, CURRENT_DATE) as current_period
+      ),
+      periods AS (
+        SELECT generate_series(
+          b.first_period,
+          b.current_period - ('1 ' || $3)::interval,
+          ('1 ' || $3)::interval
+        )::date as period
+        FROM bounds b
+      ),
+      demand AS (
+        SELECT date_trunc($3, s.sale_date)::date as period, SUM(sd.quantity) as quantity
+        FROM "${tenantSchema}".sale_details sd
+        JOIN "${tenantSchema}".sales s ON sd.sale_id = s.id
+        CROSS JOIN bounds b
+        WHERE sd.product_id = $1
+          AND s.sale_date >= b.first_period
+          AND s.sale_date < b.current_period
+          AND s.payment_status <> 'cancelado'
+        GROUP BY 1
+      )
+      SELECT p.period, COALESCE(d.quantity, 0) as quantity
+      FROM periods p
+      LEFT JOIN demand d ON d.period = p.period
+      ORDER BY p.period
+    `, [productId, historyDays, step]);
+
+    return result.rows.map(row => ({
+      period: row.period instanceof Date ? row.period.toISOString().split('T')[0] : row.period,
+      quantity: parseFloat(row.quantity)
+    }));
+  }
+
+  /**
+   * Validar los días de historial solicitados (por defecto FORECAST_HISTORY_DAYS)
+   * @param {number|string} value - Días de historial
+   * @returns {number} Días entre MIN_HISTORY_DAYS y MAX_HISTORY_DAYS
+   */
+  static resolveHistoryDays(value) {
+    if (value === undefined || value === null || value === '') {
+      return DEFAULT_HISTORY_DAYS;
+    }
+
+    const historyDays = Number(value);
+    if (!Number.isInteger(historyDays) || historyDays < MIN_HISTORY_DAYS || historyDays > MAX_HISTORY_DAYS) {
+      throw new Error(`history_days inválido: debe ser un entero entre ${MIN_HISTORY_DAYS} y ${MAX_HISTORY_DAYS}`);
+    }
+
+    return historyDays;
+  }
+
+  /**
+   * Ejecutar Holt-Winters aditivo con tendencia amortiguada sobre una serie
+   * Con seasonLength = 0 se reduce a Holt (nivel + tendencia)
+   * @param {Array<number>} values - Serie de demanda
+   * @param {Object} params - { alpha, beta, gamma, phi, seasonLength }
+   * @returns {Object} { level, trend, seasonals, fitted, sse }
+   */
+  static runHoltWinters(values, params) {
+    const { alpha, beta, gamma, phi, seasonLength } = params;
+    const m = seasonLength;
+
+    let level;
+    let trend;
+    let seasonals = [];
+    let start;
+
+    if (m > 0) {
+      // Inicialización con las dos primeras temporadas
+      const firstSeason = values.slice(0, m);
+      const secondSeason = values.slice(m, 2 * m);
+      const mean1 = firstSeason.reduce((sum, v) => sum + v, 0) / m;
+      const mean2 = secondSeason.reduce((sum, v) => sum + v, 0) / m;
+      level = mean1;
+      trend = (mean2 - mean1) / m;
+      seasonals = firstSeason.map(v => v - mean1);
+      start = m;
+    } else {
+      level = values[0];
+      trend = values.length > 1 ? values[1] - values[0] : 0;
+      start = 1;
+    }
+
+    const fitted = new Array(values.length).fill(null);
+    let sse = 0;
+
+    for (let t = start; t < values.length; t++) {
+      const seasonal = m > 0 ? seasonals[t % m] : 0;
+      const forecast = level + phi * trend + seasonal;
+      fitted[t] = forecast;
+      sse += (values[t] - forecast) ** 2;
+
+      const previousLevel = level;
+      level = alpha * (values[t] - seasonal) + (1 - alpha) * (level + phi * trend);
+      trend = beta * (level - previousLevel) + (1 - beta) * phi * trend;
+      if (m > 0) {
+        seasonals[t % m] = gamma * (values[t] - level) + (1 - gamma) * seasonal;
+      }
+    }
+
+    return { level, trend, seasonals, fitted, sse, observations: values.length - start };
+  }
+
+  /**
+   * Ajustar el modelo buscando los parámetros con menor error de un paso
+   * @param {Array<number>} values - Serie de demanda
+   * @param {number} seasonLength - Largo de la temporada (7 = semanal en datos diarios, 0 = sin estacionalidad)
+   * @returns {Object} Modelo ajustado { alpha, beta, gamma, phi, seasonLength, state, sigma }
+   */
+  static fit(values, seasonLength) {
+    // Sin dos temporadas completas no se puede estimar la estacionalidad
+    const m = seasonLength > 0 && values.length >= seasonLength * 2 + 1 ? seasonLength : 0;
+    const gammas = m > 0 ? SMOOTHING_GRID : [0];
+
+    let best = null;
+    for (const alpha of SMOOTHING_GRID) {
+      for (const beta of TREND_GRID) {
+        for (const phi of DAMPING_GRID) {
+          for (const gamma of gammas) {
+            const state = this.runHoltWinters(values, { alpha, beta, gamma, phi, seasonLength: m });
+            if (!best || state.sse < best.state.sse) {
+              best = { alpha, beta, gamma, phi, seasonLength: m, state };
+            }
+          }
+        }
+      }
+    }
+
+    best.sigma = Math.sqrt(best.state.sse / Math.max(best.state.observations, 1));
+    return best;
+  }
+
+  /**
+   * Proyectar el modelo ajustado
+   * Varianza a h pasos según la aproximación para Holt-Winters aditivo amortiguado:
+   * sigma² · (1 + Σ_{j=1}^{h-1} (alpha·(1 + beta·Σ_{i=1}^{j} phi^i) + gamma·[j mod m = 0])²)
+   * @param {Object} model - Modelo de fit()
+   * @param {number} horizon - Periodos a pronosticar
+   * @param {number} z - Factor z del intervalo
+   * @returns {Array} [{ step, quantity, lower, upper }]
+   */
+  static project(model, horizon, z) {
+    const { alpha, beta, gamma, phi, seasonLength: m, state, sigma } = model;
+    const n = state.fitted.length;
+    const points = [];
+    let varianceSum = 0;
+    let dampedSteps = 0;
+
+    for (let h = 1; h <= horizon; h++) {
+      if (h > 1) {
+        const j = h - 1;
+        const seasonalTerm = m > 0 && j % m === 0 ? gamma : 0;
+        varianceSum += (alpha * (1 + beta * dampedSteps) + seasonalTerm) ** 2;
+      }
+      dampedSteps += phi ** h;
+
+      const seasonal = m > 0 ? state.seasonals[(n + h - 1) % m] : 0;
+      const point = state.level + dampedSteps * state.trend + seasonal;
+      const margin = z * sigma * Math.sqrt(1 + varianceSum);
+
+      // La demanda no puede ser negativa
+      points.push({
+        step: h,
+        quantity: Math.max(point, 0),
+        lower: Math.max(point - margin, 0),
+        upper: Math.max(point + margin, 0)
+      });
+    }
+
+    return points;
+  }
+
+  /**
+   * Calcular métricas de error entre valores reales y pronosticados
+   * @param {Array<number>} actual - Valores reales
+   * @param {Array<number>} predicted - Valores pronosticados
+   * @param {number} naiveMae - MAE del pronóstico ingenuo (para MASE)
+   * @returns {Object} { mae, rmse, mape, mase }
+   */
+  static errorMetrics(actual, predicted, naiveMae) {
+    const errors = actual.map((value, i) => value - predicted[i]);
+    const mae = errors.reduce((sum, e) => sum + Math.abs(e), 0) / errors.length;
+    const rmse = Math.sqrt(errors.reduce((sum, e) => sum + e * e, 0) / errors.length);
+
+    // MAPE solo sobre periodos con demanda (evita dividir entre cero)
+    const nonZero = actual.map((value, i) => [value, predicted[i]]).filter(([value]) => value !== 0);
+    const mape = nonZero.length > 0
+      ? nonZero.reduce((sum, [value, forecast]) => sum + Math.abs((value - forecast) / value), 0) / nonZero.length * 100
+      : null;
+
+    const round = value => value === null ? null : Math.round(value * 1000) / 1000;
+
+    return {
+      mae: round(mae),
+      rmse: round(rmse),
+      mape: round(mape),
+      mase: naiveMae > 0 ? round(mae / naiveMae) : null
+    };
+  }
+
+  /**
+   * Backtest: ajustar sin los últimos periodos y comparar contra lo ocurrido
+   * Incluye el pronóstico ingenuo estacional como referencia (MASE < 1 = mejor que ingenuo)
+   * @param {Array<number>} values - Serie completa
+   * @param {number} seasonLength - Largo de temporada
+   * @param {number} horizon - Horizonte solicitado
+   * @returns {Object|null} Métricas del backtest o null si la serie es muy corta
+   */
+  static backtest(values, seasonLength, horizon) {
+    const holdout = Math.min(horizon, Math.floor(values.length / 4));
+    if (holdout < 1 || values.length - holdout < 3) {
+      return null;
+    }
+
+    const train = values.slice(0, values.length - holdout);
+    const test = values.slice(values.length - holdout);
+
+    const model = this.fit(train, seasonLength);
+    const predicted = this.project(model, holdout, 0).map(point => point.quantity);
+
+    // Pronóstico ingenuo estacional: repetir el valor de la temporada anterior
+    const lag = model.seasonLength > 0 ? model.seasonLength : 1;
+    const naivePredicted = test.map((_, i) => {
+      const index = train.length + i - lag * Math.ceil((i + 1) / lag);
+      return train[index];
+    });
+
+    // Escala de MASE: error del ingenuo dentro del set de entrenamiento
+    let naiveInSample = 0;
+    for (let t = lag; t < train.length; t++) {
+      naiveInSample += Math.abs(train[t] - train[t - lag]);
+    }
+    naiveInSample = train.length > lag ? naiveInSample / (train.length - lag) : 0;
+
+    return {
+      holdout_periods: holdout,
+      model: this.errorMetrics(test, predicted, naiveInSample),
+      seasonal_naive: this.errorMetrics(test, naivePredicted, naiveInSample)
+    };
+  }
+
+  /**
+   * Obtener el factor z para un nivel de confianza (el más cercano soportado)
+   * @param {number} confidence - Nivel de confianza
+   * @returns {number} Factor z
+   */
+  static getConfidenceZ(confidence) {
+    const [, z] = CONFIDENCE_Z.reduce((best, entry) =>
+      Math.abs(entry[0] - confidence) < Math.abs(best[0] - confidence) ? entry : best
+    );
+    return z;
+  }
+
+  /**
+   * Pronosticar la demanda de un producto
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} productId - ID del producto
+   * @param {Object} options - { horizon, granularity, history_days, confidence, include_history }
+   * @returns {Promise<Object>} Pronóstico con intervalos y métricas de backtest
+   */
+  static async forecastProduct(tenantSchema, productId, options = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const granularity = options.granularity === 'weekly' ? 'weekly' : 'daily';
+      const horizon = Math.min(parseInt(options.horizon) || (granularity === 'weekly' ? 4 : 14), MAX_HORIZON[granularity]);
+      const confidence = parseFloat(options.confidence) || 0.95;
+
+      const productResult = await query(`
+        SELECT id, sku, name, current_stock FROM "${tenantSchema}".products WHERE id = $1
+      `, [productId]);
+
+      if (productResult.rows.length === 0) {
+        throw new Error(`Producto con ID ${productId} no encontrado`);
+      }
+
+      const series = await this.getDemandSeries(tenantSchema, productId, {
+        granularity,
+        history_days: options.history_days
+      });
+      const values = series.map(point => point.quantity);
+
+      if (values.length < 4) {
+        throw new Error(`Historial insuficiente para pronosticar: ${values.length} periodos (mínimo 4)`);
+      }
+
+      // Estacionalidad semanal en datos diarios; los datos semanales se modelan solo con tendencia
+      const seasonLength = granularity === 'daily' && WEEKLY_SEASONALITY ? 7 : 0;
+      const model = this.fit(values, seasonLength);
+      const points = this.project(model, horizon, this.getConfidenceZ(confidence));
+
+      const lastPeriod = new Date(`${series[series.length - 1].period}T00:00:00Z`);
+      const stepDays = granularity === 'weekly' ? 7 : 1;
+      const round = value => Math.round(value * 100) / 100;
+
+      const forecast = points.map(point => ({
+        period: new Date(lastPeriod.getTime() + point.step * stepDays * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+        quantity: round(point.quantity),
+        lower: round(point.lower),
+        upper: round(point.upper)
+      }));
+
+      return {
+        product: productResult.rows[0],
+        granularity,
+        horizon,
+        confidence,
+        model: {
+          method: model.seasonLength > 0 ? 'holt_winters_additive_damped' : 'holt_damped_trend',
+          season_length: model.seasonLength,
+          alpha: model.alpha,
+          beta: model.beta,
+          gamma: model.seasonLength > 0 ? model.gamma : null,
+          phi: model.phi,
+          residual_std: round(model.sigma),
+          history_periods: values.length
+        },
+        forecast,
+        total_forecast: round(forecast.reduce((sum, point) => sum + point.quantity, 0)),
+        backtest: this.backtest(values, seasonLength, horizon),
+        history: options.include_history ? series : undefined
+      };
+
+    } catch (error) {
+      console.error('💥 Error pronosticando demanda:', error.message);
+      throw new Error(`Error pronosticando demanda: ${error.message}`);
+    }
+  }
+}
+
+module.exports = ForecastService;
@@ -0,0 +1,573 @@
+// =====================================================================================
+// FLUXION AI - INVOICE RENDERER
+// Documento de factura en HTML imprimible y en PDF generado en el proceso (sin servicios externos)
+// =====================================================================================
+
+/**
+ * Anchos de Helvetica (1/1000 em) para los caracteres ASCII 32-126; el resto usa DEFAULT_GLYPH_WIDTH
+ */
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const DEFAULT_GLYPH_WIDTH = 556;
+
+/**
+ * Caracteres fuera de Latin-1 que existen en WinAnsiEncoding
+ */
+const WIN_ANSI_EXTRA = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94,
+  '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99, '\u202f': 0xa0
+};
+
+/**
+ * Medidas de página A4 en puntos y de cada plantilla
+ */
+const PAGE = { width: 595, height: 842, margin: 40 };
+const LAYOUTS = {
+  standard: { fontSize: 9, rowHeight: 16, titleSize: 18, nameSize: 16 },
+  compact: { fontSize: 8, rowHeight: 12, titleSize: 14, nameSize: 13 }
+};
+
+/**
+ * Columnas de la tabla de líneas del PDF (x es el borde izquierdo o derecho según align)
+ */
+const PDF_COLUMNS = [
+  { key: 'sku', label: 'Código', x: 40, align: 'left', width: 68 },
+  { key: 'description', label: 'Descripción', x: 112, align: 'left', width: 190 },
+  { key: 'quantity', label: 'Cant.', x: 345, align: 'right' },
+  { key: 'unit_price', label: 'Precio', x: 408, align: 'right' },
+  { key: 'discount_amount', label: 'Desc.', x: 460, align: 'right' },
+  { key: 'tax_rate', label: 'Imp. %', x: 500, align: 'right' },
+  { key: 'taxable_amount', label: 'Importe', x: 555, align: 'right' }
+];
+
+/**
+ * Escapar texto para HTML
+ * @param {*} value - Valor a mostrar
+ * @returns {string} Texto escapado
+ */
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Formateadores de montos y fechas según el locale de la plantilla
+ * @param {string} locale - Locale (p. ej. 'es', 'es-VE')
+ * @returns {Object} { money(value), percent(value), date(value) }
+ */
+function formatters(locale) {
+  const moneyFormat = new Intl.NumberFormat(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const percentFormat = new Intl.NumberFormat(locale, { maximumFractionDigits: 2 });
+  const dateFormat = new Intl.DateTimeFormat(locale, { year: 'numeric', month: '2-digit', day: '2-digit' });
+
+  return {
+    money: value => moneyFormat.format(parseFloat(value) || 0),
+    percent: value => percentFormat.format(parseFloat(value) || 0),
+    date: value => {
+      if (!value) {
+        return '';
+      }
+      const date = value instanceof Date ? value : new Date(value);
+      return isNaN(date.getTime()) ? String(value) : dateFormat.format(date);
+    }
+  };
+}
+
+/**
+ * Etiqueta de una tasa de impuesto
+ * @param {Object} tax - { tax_code, tax_rate }
+ * @param {Object} format - Formateadores
+ * @returns {string} Etiqueta (p. ej. 'IVA_G 16%')
+ */
+function taxLabel(tax, format) {
+  return tax.tax_code ? `${tax.tax_code} ${format.percent(tax.tax_rate)}%` : 'Sin impuesto';
+}
+
+/**
+ * Líneas de dirección de la empresa o del cliente
+ * @param {Object} party - { address, city, state, phone, email }
+ * @returns {Array<string>} Líneas no vacías
+ */
+function addressLines(party) {
+  return [
+    party.address,
+    [party.city, party.state].filter(Boolean).join(', '),
+    [party.phone, party.email].filter(Boolean).join(' · ')
+  ].filter(Boolean);
+}
+
+// =====================================================================================
+// PDF HELPERS
+// =====================================================================================
+
+/**
+ * Convertir texto a una cadena literal de PDF en WinAnsiEncoding
+ * @param {*} value - Texto
+ * @returns {string} Literal '(...)' con caracteres de un byte
+ */
+function pdfString(value) {
+  let encoded = '';
+  for (const char of String(value === null || value === undefined ? '' : value)) {
+    let code = char.codePointAt(0);
+    if (WIN_ANSI_EXTRA[char] !== undefined) {
+      code = WIN_ANSI_EXTRA[char];
+    } else if (code > 0xff || (code >= 0x7f && code < 0xa0) || code < 0x20) {
+      code = 0x3f;
+    }
+    const byte = String.fromCharCode(code);
+    encoded += byte === '\\' || byte === '(' || byte === ')' ? `\\${byte}` : byte;
+  }
+  return `(${encoded})`;
+}
+
+/**
+ * Ancho aproximado de un texto en Helvetica
+ * @param {string} text - Texto
+ * @param {number} size - Tamaño de fuente
+ * @returns {number} Ancho en puntos
+ */
+function textWidth(text, size) {
+  let width = 0;
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    width += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : DEFAULT_GLYPH_WIDTH;
+  }
+  return width * size / 1000;
+}
+
+/**
+ * Recortar un texto para que quepa en un ancho
+ * @param {string} text - Texto
+ * @param {number} size - Tamaño de fuente
+ * @param {number} maxWidth - Ancho máximo
+ * @returns {string} Texto recortado con '...' si no cabe
+ */
+function fitText(text, size, maxWidth) {
+  let fitted = String(text || '');
+  if (textWidth(fitted, size) <= maxWidth) {
+    return fitted;
+  }
+  while (fitted.length > 0 && textWidth(`${fitted}...`, size) > maxWidth) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted}...`;
+}
+
+/**
+ * Partir un texto en líneas que quepan en un ancho
+ * @param {string} text - Texto (respeta los saltos de línea)
+ * @param {number} size - Tamaño de fuente
+ * @param {number} maxWidth - Ancho máximo
+ * @returns {Array<string>} Líneas
+ */
+function wrapText(text, size, maxWidth) {
+  const lines = [];
+  for (const paragraph of String(text || '').split('\n')) {
+    let current = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = current ? `${current} ${word}` : word;
+      if (current && textWidth(candidate, size) > maxWidth) {
+        lines.push(current);
+        current = word;
+      } else {
+        current = candidate;
+      }
+    }
+    lines.push(current);
+  }
+  return lines;
+}
+
+/**
+ * Color #RRGGBB como operandos de PDF
+ * @param {string} hex - Color
+ * @returns {string} 'r g b'
+ */
+function pdfColor(hex) {
+  const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '') || [null, '00', '00', '00'];
+  return match.slice(1).map(part => (parseInt(part, 16) / 255).toFixed(3)).join(' ');
+}
+
+/**
+ * Página de PDF en construcción: acumula operadores de contenido
+ */
+class PdfPage {
+  constructor() {
+    this.ops = [];
+  }
+
+  text(value, x, y, options = {}) {
+    const size = options.size || 9;
+    const font = options.bold ? 'F2' : 'F1';
+    const left = options.align === 'right' ? x - textWidth(value, size) : x;
+    this.ops.push(`${pdfColor(options.color || '#000000')} rg BT /${font} ${size} Tf ${left.toFixed(2)} ${y.toFixed(2)} Td ${pdfString(value)} Tj ET`);
+  }
+
+  rect(x, y, width, height, color) {
+    this.ops.push(`${pdfColor(color)} rg ${x} ${y} ${width} ${height} re f`);
+  }
+
+  line(x1, y1, x2, y2, color = '#cccccc') {
+    this.ops.push(`${pdfColor(color)} RG 0.5 w ${x1} ${y1} m ${x2} ${y2} l S`);
+  }
+
+  stamp(value) {
+    this.ops.push(`${pdfColor('#d9534f')} rg BT /F2 72 Tf 0.707 0.707 -0.707 0.707 170 280 Tm ${pdfString(value)} Tj ET`);
+  }
+}
+
+/**
+ * Ensamblar el archivo PDF (catálogo, páginas, fuentes Helvetica estándar y xref)
+ * @param {Array<PdfPage>} pages - Páginas
+ * @returns {Buffer} PDF
+ */
+function buildPdf(pages) {
+  const objects = [];
+  const pageIds = pages.map((page, index) => 5 + index * 2);
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+
+  pages.forEach((page, index) => {
+    const pageId = pageIds[index];
+    const content = page.ops.join('\n');
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+  });
+
+  let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(output, 'latin1');
+    output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(output, 'latin1');
+  output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  output += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, 'latin1');
+}
+
+/**
+ * Servicio InvoiceRenderer: convierte el documento de Invoice.getDocument en HTML o PDF
+ */
+class InvoiceRenderer {
+
+  /**
+   * Nombre de archivo de la factura
+   * @param {Object} doc - Documento (Invoice.getDocument)
+   * @param {string} extension - 'pdf' o 'html'
+   * @returns {string} Nombre de archivo
+   */
+  static fileName(doc, extension) {
+    return `${doc.invoice.invoice_number.replace(/[^A-Za-z0-9\-_]/g, '_')}.${extension}`;
+  }
+
+  /**
+   * Renderizar la factura como HTML imprimible (A4)
+   * @param {Object} doc - Documento (Invoice.getDocument)
+   * @returns {string} HTML
+   */
+  static renderHtml(doc) {
+    const { invoice, template, company, client, sale, lines, taxes, totals } = doc;
+    const format = formatters(template.locale);
+    const currency = escapeHtml(sale.currency);
+
+    const lineRows = lines.map(line => `
+        <tr>
+          <td>${escapeHtml(line.sku)}</td>
+          <td>${escapeHtml(line.description)}</td>
+          <td class="num">${escapeHtml(line.quantity)}</td>
+          <td class="num">${format.money(line.unit_price)}</td>
+          <td class="num">${line.discount_amount > 0 ? format.money(line.discount_amount) : ''}</td>
+          <td class="num">${line.tax_code ? `${format.percent(line.tax_rate)}%` : '—'}</td>
+          <td class="num">${format.money(line.taxable_amount)}</td>
+        </tr>`).join('');
+
+    const taxRows = taxes.map(tax => `
+          <tr>
+            <td>${escapeHtml(taxLabel(tax, format))}</td>
+            <td class="num">${format.money(tax.taxable_amount)}</td>
+            <td class="num">${format.money(tax.tax_amount)}</td>
+          </tr>`).join('');
+
+    const party = (title, name, details) => `
+      <div class="party">
+        <h3>${title}</h3>
+        <strong>${escapeHtml(name)}</strong>
+        ${details.filter(Boolean).map(detail => `<div>${escapeHtml(detail)}</div>`).join('')}
+      </div>`;
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(String(template.locale).split('-')[0])}">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(template.title)} ${escapeHtml(invoice.invoice_number)}</title>
+  <style>
+    :root { --accent: ${escapeHtml(template.accent_color)}; }
+    @page { size: A4; margin: 15mm; }
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; margin: 0; }
+    .invoice { max-width: 190mm; margin: 0 auto; padding: 8mm 0; position: relative; }
+    .invoice.standard { font-size: 12px; }
+    .invoice.compact { font-size: 10px; }
+    .invoice.compact td, .invoice.compact th { padding: 2px 4px; }
+    header { display: flex; justify-content: space-between; align-items: flex-start; }
+    header h1 { color: var(--accent); margin: 0 0 4px; font-size: 2em; text-align: right; }
+    .company strong { font-size: 1.4em; }
+    .meta { text-align: right; }
+    .parties { display: flex; gap: 24px; margin: 20px 0; }
+    .party { flex: 1; border: 1px solid #ddd; border-radius: 4px; padding: 8px 12px; }
+    .party h3 { color: var(--accent); margin: 0 0 4px; font-size: 0.9em; text-transform: uppercase; }
+    table { width: 100%; border-collapse: collapse; }
+    th { background: var(--accent); color: #fff; text-align: left; padding: 6px; }
+    td { padding: 5px 6px; border-bottom: 1px solid #eee; }
+    .num { text-align: right; white-space: nowrap; }
+    .summary { display: flex; justify-content: space-between; gap: 24px; margin-top: 16px; }
+    .summary table { width: auto; min-width: 45%; }
+    .totals td { border: none; }
+    .totals .grand td { font-weight: bold; font-size: 1.2em; border-top: 2px solid var(--accent); }
+    .notes, .legal { margin-top: 16px; color: #555; white-space: pre-line; }
+    footer { margin-top: 24px; text-align: center; color: #777; font-size: 0.9em; white-space: pre-line; }
+    .stamp { position: absolute; top: 35%; left: 15%; transform: rotate(-30deg); font-size: 96px;
+             color: rgba(217, 83, 79, 0.35); font-weight: bold; pointer-events: none; }
+    @media print { .invoice { padding: 0; } }
+  </style>
+</head>
+<body>
+  <div class="invoice ${escapeHtml(template.template)}">
+    ${invoice.cancelled ? '<div class="stamp">ANULADA</div>' : ''}
+    <header>
+      <div class="company">
+        <strong>${escapeHtml(company.name)}</strong>
+        ${company.tax_id ? `<div>ID fiscal: ${escapeHtml(company.tax_id)}</div>` : ''}
+        ${addressLines(company).map(line => `<div>${escapeHtml(line)}</div>`).join('')}
+      </div>
+      <div class="meta">
+        <h1>${escapeHtml(template.title)}</h1>
+        <div><strong>N.º ${escapeHtml(invoice.invoice_number)}</strong></div>
+        <div>Fecha de emisión: ${format.date(invoice.issue_date)}</div>
+        <div>Venta: ${escapeHtml(sale.sale_number)} (${format.date(sale.sale_date)})</div>
+        ${sale.due_date ? `<div>Vencimiento: ${format.date(sale.due_date)}</div>` : ''}
+        <div>Moneda: ${currency}</div>
+      </div>
+    </header>
+
+    <div class="parties">
+      ${party('Cliente', client.business_name, [client.client_code, client.contact_person, ...addressLines(client)])}
+      ${party('Pago', sale.payment_method || 'No indicado', [`Estado: ${sale.payment_status}`])}
+    </div>
+
+    <table class="lines">
+      <thead>
+        <tr>
+          <th>Código</th><th>Descripción</th><th class="num">Cant.</th><th class="num">Precio</th>
+          <th class="num">Desc.</th><th class="num">Imp. %</th><th class="num">Importe</th>
+        </tr>
+      </thead>
+      <tbody>${lineRows}
+      </tbody>
+    </table>
+
+    <div class="summary">
+      <table class="taxes">
+        <thead><tr><th>Impuesto</th><th class="num">Base imponible</th><th class="num">Monto</th></tr></thead>
+        <tbody>${taxRows}
+        </tbody>
+      </table>
+      <table class="totals">
+        ${totals.discount_amount > 0 ? `<tr><td>Descuento de la venta</td><td class="num">-${format.money(totals.discount_amount)}</td></tr>` : ''}
+        <tr><td>Subtotal</td><td class="num">${format.money(totals.subtotal)}</td></tr>
+        <tr><td>Impuestos</td><td class="num">${format.money(totals.tax_amount)}</td></tr>
+        <tr class="grand"><td>Total ${currency}</td><td class="num">${format.money(totals.total)}</td></tr>
+        <tr><td>Pagado</td><td class="num">${format.money(totals.amount_paid)}</td></tr>
+        <tr><td>Saldo</td><td class="num">${format.money(totals.balance_due)}</td></tr>
+      </table>
+    </div>
+
+    ${sale.prices_include_tax ? '<div class="notes">Precios unitarios con impuesto incluido; el importe de cada línea es su base imponible.</div>' : ''}
+    ${sale.notes ? `<div class="notes">${escapeHtml(sale.notes)}</div>` : ''}
+    ${template.legal_text ? `<div class="legal">${escapeHtml(template.legal_text)}</div>` : ''}
+    ${template.footer ? `<footer>${escapeHtml(template.footer)}</footer>` : ''}
+  </div>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Renderizar la factura como PDF (A4, fuentes Helvetica estándar, varias páginas si hace falta)
+   * @param {Object} doc - Documento (Invoice.getDocument)
+   * @returns {Buffer} PDF
+   */
+  static renderPdf(doc) {
+    const { invoice, template, company, client, sale, lines, taxes, totals } = doc;
+    const format = formatters(template.locale);
+    const layout = LAYOUTS[template.template] || LAYOUTS.standard;
+    const accent = template.accent_color;
+    const size = layout.fontSize;
+    const right = PAGE.width - PAGE.margin;
+    const bottom = PAGE.margin + 30;
+    const pages = [];
+
+    const tableHeader = (page, y) => {
+      page.rect(PAGE.margin, y - 5, right - PAGE.margin, layout.rowHeight, accent);
+      PDF_COLUMNS.forEach(column => page.text(column.label, column.x, y, { size, bold: true, color: '#ffffff', align: column.align }));
+      return y - layout.rowHeight - 2;
+    };
+
+    const newPage = () => {
+      const page = new PdfPage();
+      if (invoice.cancelled) {
+        page.stamp('ANULADA');
+      }
+      pages.push(page);
+      return page;
+    };
+
+    // Encabezado: empresa a la izquierda, datos de la factura a la derecha
+    let page = newPage();
+    let y = PAGE.height - PAGE.margin - layout.nameSize;
+    page.text(fitText(company.name, layout.nameSize, 300), PAGE.margin, y, { size: layout.nameSize, bold: true });
+    page.text(template.title, right, y, { size: layout.titleSize, bold: true, color: accent, align: 'right' });
+
+    const companyLines = [company.tax_id ? `ID fiscal: ${company.tax_id}` : null, ...addressLines(company)].filter(Boolean);
+    const metaLines = [
+      [`N.º ${invoice.invoice_number}`, true],
+      [`Fecha de emisión: ${format.date(invoice.issue_date)}`],
+      [`Venta: ${sale.sale_number} (${format.date(sale.sale_date)})`],
+      sale.due_date ? [`Vencimiento: ${format.date(sale.due_date)}`] : null,
+      [`Moneda: ${sale.currency}`]
+    ].filter(Boolean);
+
+    let leftY = y - layout.rowHeight;
+    companyLines.forEach(text => {
+      page.text(fitText(text, size, 290), PAGE.margin, leftY, { size });
+      leftY -= size + 3;
+    });
+    let rightY = y - layout.rowHeight - 4;
+    metaLines.forEach(([text, bold]) => {
+      page.text(text, right, rightY, { size: bold ? size + 2 : size, bold, align: 'right' });
+      rightY -= size + 4;
+    });
+
+    // Cliente
+    y = Math.min(leftY, rightY) - 16;
+    page.text('CLIENTE', PAGE.margin, y, { size: size - 1, bold: true, color: accent });
+    y -= size + 4;
+    page.text(fitText(client.business_name, size + 1, 400), PAGE.margin, y, { size: size + 1, bold: true });
+    [client.client_code, client.contact_person, ...addressLines(client)].filter(Boolean).forEach(text => {
+      y -= size + 3;
+      page.text(fitText(text, size, 400), PAGE.margin, y, { size });
+    });
+    page.text(`Pago: ${sale.payment_method || 'No indicado'} · Estado: ${sale.payment_status}`, right, y, { size, align: 'right' });
+
+    // Líneas de la venta
+    y = tableHeader(page, y - 24);
+    for (const line of lines) {
+      if (y < bottom) {
+        page = newPage();
+        y = tableHeader(page, PAGE.height - PAGE.margin - layout.rowHeight);
+      }
+
+      const values = {
+        sku: fitText(line.sku, size, PDF_COLUMNS[0].width),
+        description: fitText(line.description, size, PDF_COLUMNS[1].width),
+        quantity: String(line.quantity),
+        unit_price: format.money(line.unit_price),
+        discount_amount: line.discount_amount > 0 ? format.money(line.discount_amount) : '',
+        tax_rate: line.tax_code ? `${format.percent(line.tax_rate)}%` : '—',
+        taxable_amount: format.money(line.taxable_amount)
+      };
+      PDF_COLUMNS.forEach(column => page.text(values[column.key], column.x, y, { size, align: column.align }));
+      page.line(PAGE.margin, y - 4, right, y - 4, '#eeeeee');
+      y -= layout.rowHeight;
+    }
+
+    // Desglose de impuestos (izquierda) y totales (derecha)
+    const totalRows = [
+      totals.discount_amount > 0 ? ['Descuento de la venta', `-${format.money(totals.discount_amount)}`] : null,
+      ['Subtotal', format.money(totals.subtotal)],
+      ['Impuestos', format.money(totals.tax_amount)],
+      [`Total ${sale.currency}`, format.money(totals.total), true],
+      ['Pagado', format.money(totals.amount_paid)],
+      ['Saldo', format.money(totals.balance_due)]
+    ].filter(Boolean);
+    const summaryHeight = (Math.max(totalRows.length, taxes.length + 1) + 1) * (size + 6);
+
+    if (y - summaryHeight < bottom) {
+      page = newPage();
+      y = PAGE.height - PAGE.margin - layout.rowHeight;
+    }
+
+    y -= 10;
+    let taxY = y;
+    page.text('Impuesto', PAGE.margin, taxY, { size, bold: true, color: accent });
+    page.text('Base imponible', 210, taxY, { size, bold: true, color: accent, align: 'right' });
+    page.text('Monto', 280, taxY, { size, bold: true, color: accent, align: 'right' });
+    taxes.forEach(tax => {
+      taxY -= size + 6;
+      page.text(taxLabel(tax, format), PAGE.margin, taxY, { size });
+      page.text(format.money(tax.taxable_amount), 210, taxY, { size, align: 'right' });
+      page.text(format.money(tax.tax_amount), 280, taxY, { size, align: 'right' });
+    });
+
+    let totalY = y;
+    totalRows.forEach(([label, value, grand]) => {
+      if (grand) {
+        page.line(360, totalY + size + 2, right, totalY + size + 2, accent);
+      }
+      const rowSize = grand ? size + 2 : size;
+      page.text(label, 360, totalY, { size: rowSize, bold: grand });
+      page.text(value, right, totalY, { size: rowSize, bold: grand, align: 'right' });
+      totalY -= size + 6;
+    });
+
+    // Notas, texto legal y pie
+    y = Math.min(taxY, totalY) - 16;
+    const notes = [
+      sale.prices_include_tax ? 'Precios unitarios con impuesto incluido; el importe de cada línea es su base imponible.' : null,
+      sale.notes,
+      template.legal_text
+    ].filter(Boolean);
+
+    for (const note of notes) {
+      for (const text of wrapText(note, size - 1, right - PAGE.margin)) {
+        if (y < bottom) {
+          page = newPage();
+          y = PAGE.height - PAGE.margin - layout.rowHeight;
+        }
+        page.text(text, PAGE.margin, y, { size: size - 1, color: '#555555' });
+        y -= size + 2;
+      }
+      y -= 6;
+    }
+
+    pages.forEach((pdfPage, index) => {
+      if (template.footer) {
+        pdfPage.text(fitText(template.footer.replace(/\s+/g, ' '), size - 1, right - PAGE.margin - 80), PAGE.margin, PAGE.margin, { size: size - 1, color: '#777777' });
+      }
+      pdfPage.text(`${invoice.invoice_number} · Página ${index + 1} de ${pages.length}`, right, PAGE.margin, { size: size - 1, color: '#777777', align: 'right' });
+    });
+
+    return buildPdf(pages);
+  }
+}
+
+module.exports = InvoiceRenderer;
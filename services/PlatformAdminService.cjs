@@ -0,0 +1,256 @@
+// =====================================================================================
+// FLUXION AI - PLATFORM ADMIN SERVICE
+// Identidad de operadores de la plataforma (API keys) y tokens de re-confirmación
+// =====================================================================================
+
+const crypto = require('crypto');
+const { query } = require('../config/database.cjs');
+
+/**
+ * Vigencia de los tokens de re-confirmación para operaciones destructivas
+ */
+const CONFIRMATION_TTL_SECONDS = parseInt(process.env.ADMIN_CONFIRMATION_TTL_SECONDS) || 300;
+
+/**
+ * Secreto para firmar los tokens de re-confirmación
+ * Si no se configura se genera uno por proceso (los tokens no sobreviven un reinicio)
+ */
+const CONFIRMATION_SECRET = process.env.ADMIN_CONFIRMATION_SECRET || crypto.randomBytes(32).toString('hex');
+
+/**
+ * Tokens de confirmación ya usados (un token solo sirve una vez)
+ */
+const usedConfirmationTokens = new Map();
+
+/**
+ * Servicio PlatformAdminService para autenticar operadores de /api/admin
+ * Usa public.platform_admins y, como bootstrap, la variable PLATFORM_ADMIN_API_KEY
+ */
+class PlatformAdminService {
+
+  /**
+   * Hash SHA-256 de una API key (en la base de datos nunca se guarda la key plana)
+   * @param {string} apiKey - API key
+   * @returns {string} Hash hexadecimal
+   */
+  static hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+  }
+
+  /**
+   * Comparar dos strings en tiempo constante
+   * @param {string} a - Primer valor
+   * @param {string} b - Segundo valor
+   * @returns {boolean} True si son iguales
+   */
+  static safeEqual(a, b) {
+    const bufferA = Buffer.from(this.hashApiKey(a));
+    const bufferB = Buffer.from(this.hashApiKey(b));
+    return crypto.timingSafeEqual(bufferA, bufferB);
+  }
+
+  /**
+   * Crear un operador de la plataforma
+   * @param {Object} adminData - Datos del operador (name, email)
+   * @returns {Promise<Object>} Operador creado con su api_key (solo se muestra una vez)
+   */
+  static async createAdmin(adminData) {
+    try {
+      const { name, email } = adminData;
+
+      if (!name || !email) {
+        throw new Error('name y email son requeridos');
+      }
+
+      const apiKey = `flx_admin_${crypto.randomBytes(24).toString('base64url')}`;
+
+      const result = await query(`
+        INSERT INTO public.platform_admins (name, email, api_key_hash)
+        VALUES ($1, $2, $3)
+        RETURNING id, name, email, active, created_at
+      `, [name, email.trim().toLowerCase(), this.hashApiKey(apiKey)]);
+
+      console.log(`✅ Operador de plataforma ${email} creado`);
+      return { ...result.rows[0], api_key: apiKey };
+
+    } catch (error) {
+      console.error('💥 Error creando operador de plataforma:', error.message);
+
+      if (error.code === '23505') {
+        throw new Error(`Ya existe un operador con email ${adminData.email}`);
+      }
+
+      throw new Error(`Error creando operador de plataforma: ${error.message}`);
+    }
+  }
+
+  /**
+   * Listar operadores de la plataforma
+   * @returns {Promise<Array>} Operadores (sin api_key_hash)
+   */
+  static async getAdmins() {
+    try {
+      const result = await query(`
+        SELECT id, name, email, active, last_used_at, created_at, updated_at
+        FROM public.platform_admins
+        ORDER BY name
+      `);
+
+      return result.rows;
+
+    } catch (error) {
+      console.error('💥 Error obteniendo operadores de plataforma:', error.message);
+      throw new Error(`Error obteniendo operadores de plataforma: ${error.message}`);
+    }
+  }
+
+  /**
+   * Desactivar un operador (su API key deja de funcionar)
+   * @param {number} adminId - ID del operador
+   * @returns {Promise<boolean>} True si se desactivó
+   */
+  static async deactivateAdmin(adminId) {
+    try {
+      const result = await query(`
+        UPDATE public.platform_admins
+        SET active = false
+        WHERE id = $1
+        RETURNING id
+      `, [adminId]);
+
+      if (result.rows.length > 0) {
+        console.log(`⚠️ Operador de plataforma ${adminId} desactivado`);
+        return true;
+      }
+
+      return false;
+
+    } catch (error) {
+      console.error('💥 Error desactivando operador de plataforma:', error.message);
+      throw new Error(`Error desactivando operador de plataforma: ${error.message}`);
+    }
+  }
+
+  /**
+   * Autenticar un operador por su API key
+   * @param {string} apiKey - API key enviada en X-Admin-Key
+   * @returns {Promise<Object|null>} Operador autenticado o null
+   */
+  static async authenticate(apiKey) {
+    if (!apiKey) {
+      return null;
+    }
+
+    // Key de bootstrap definida por entorno (para crear el primer operador o en despliegues simples)
+    const bootstrapKey = process.env.PLATFORM_ADMIN_API_KEY;
+    if (bootstrapKey && this.safeEqual(apiKey, bootstrapKey)) {
+      return { id: null, name: 'bootstrap', email: null, source: 'env' };
+    }
+
+    try {
+      const result = await query(`
+        UPDATE public.platform_admins
+        SET last_used_at = CURRENT_TIMESTAMP
+        WHERE api_key_hash = $1 AND active = true
+        RETURNING id, name, email
+      `, [this.hashApiKey(apiKey)]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return { ...result.rows[0], source: 'database' };
+
+    } catch (error) {
+      console.error('💥 Error autenticando operador de plataforma:', error.message);
+      throw new Error(`Error autenticando operador de plataforma: ${error.message}`);
+    }
+  }
+
+  /**
+   * Firmar el contenido de un token de confirmación
+   * @param {string} payload - Contenido a firmar
+   * @returns {string} Firma HMAC-SHA256 en base64url
+   */
+  static signConfirmation(payload) {
+    return crypto.createHmac('sha256', CONFIRMATION_SECRET).update(payload).digest('base64url');
+  }
+
+  /**
+   * Identificador estable de un operador para atar el token a quien lo pidió
+   * @param {Object} admin - Operador autenticado
+   * @returns {string} Identificador del operador
+   */
+  static adminIdentity(admin) {
+    return admin.id ? `db:${admin.id}` : `env:${admin.name}`;
+  }
+
+  /**
+   * Emitir un token de re-confirmación para una operación destructiva
+   * @param {Object} admin - Operador autenticado
+   * @param {string} action - Acción a confirmar (ej: 'delete_tenant')
+   * @param {string} target - Objetivo de la acción (ej: tenant_code)
+   * @returns {Object} Token y fecha de expiración
+   */
+  static createConfirmationToken(admin, action, target) {
+    const expiresAt = Math.floor(Date.now() / 1000) + CONFIRMATION_TTL_SECONDS;
+    const nonce = crypto.randomBytes(8).toString('hex');
+    const payload = `${action}.${target}.${expiresAt}.${nonce}`;
+    const signature = this.signConfirmation(`${this.adminIdentity(admin)}.${payload}`);
+
+    return {
+      token: `${Buffer.from(payload).toString('base64url')}.${signature}`,
+      expires_at: new Date(expiresAt * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Verificar (y consumir) un token de re-confirmación
+   * @param {Object} admin - Operador autenticado
+   * @param {string} token - Token recibido
+   * @param {string} action - Acción que se intenta ejecutar
+   * @param {string} target - Objetivo de la acción
+   * @returns {boolean} True si el token es válido para esa acción, objetivo y operador
+   */
+  static verifyConfirmationToken(admin, token, action, target) {
+    if (!token || typeof token !== 'string') {
+      return false;
+    }
+
+    const [encodedPayload, signature] = token.split('.');
+    if (!encodedPayload || !signature) {
+      return false;
+    }
+
+    const payload = Buffer.from(encodedPayload, 'base64url').toString();
+    const expected = this.signConfirmation(`${this.adminIdentity(admin)}.${payload}`);
+
+    if (signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      return false;
+    }
+
+    const [tokenAction, tokenTarget, expiresAt] = payload.split('.');
+    const now = Math.floor(Date.now() / 1000);
+
+    if (tokenAction !== action || tokenTarget !== target || parseInt(expiresAt) < now) {
+      return false;
+    }
+
+    // Limpiar tokens usados ya expirados y marcar este como consumido
+    for (const [usedToken, usedExpiresAt] of usedConfirmationTokens) {
+      if (usedExpiresAt < now) {
+        usedConfirmationTokens.delete(usedToken);
+      }
+    }
+
+    if (usedConfirmationTokens.has(token)) {
+      return false;
+    }
+    usedConfirmationTokens.set(token, parseInt(expiresAt));
+
+    return true;
+  }
+}
+
+module.exports = PlatformAdminService;
@@ -0,0 +1,288 @@
+// =====================================================================================
+// FLUXION AI - QUOTA SERVICE
+// Cuotas del plan de cada tenant (max_products, max_users, max_storage_gb)
+// =====================================================================================
+
+const { query, tenantCodeFromSchema } = require('../config/database.cjs');
+const Insights = require('../models/Insights.cjs');
+
+/**
+ * Porcentaje de uso a partir del cual se emite un insight de advertencia
+ */
+const QUOTA_WARNING_PERCENT = 80;
+
+/**
+ * Tiempo que se reutiliza una medición de almacenamiento (pg_total_relation_size es costoso)
+ */
+const STORAGE_CACHE_TTL_MS = 5 * 60 * 1000;
+
+const BYTES_PER_GB = 1024 * 1024 * 1024;
+
+/**
+ * Cache de tamaños de schema: schemaName -> { bytes, measuredAt }
+ */
+const storageCache = new Map();
+
+/**
+ * Servicio QuotaService para verificar y reportar el uso frente a los límites del plan
+ */
+class QuotaService {
+
+  /**
+   * Obtener los límites del plan de un tenant a partir de su schema
+   * Con db bloquea la fila del tenant hasta el fin de la transacción, para que las
+   * altas concurrentes del mismo tenant cuenten una tras otra
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} db - Cliente de transacción opcional (por defecto el pool)
+   * @returns {Promise<Object>} Tenant con id, plan y límites
+   */
+  static async getLimits(tenantSchema, db = null) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    const runQuery = db ? db.query.bind(db) : query;
+    const result = await runQuery(`
+      SELECT id, tenant_code, plan, max_users, max_products, max_storage_gb
+      FROM public.tenants
+      WHERE tenant_code = $1
+      ${db ? 'FOR UPDATE' : ''}
+    `, [tenantCodeFromSchema(tenantSchema)]);
+
+    if (result.rows.length === 0) {
+      throw new Error(`Tenant del schema ${tenantSchema} no encontrado`);
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Obtener el tamaño de un schema en bytes
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {boolean} useCache - Reutilizar una medición reciente
+   * @returns {Promise<number>} Tamaño en bytes
+   */
+  static async getSchemaSizeBytes(tenantSchema, useCache = true) {
+    const cached = storageCache.get(tenantSchema);
+    if (useCache && cached && Date.now() - cached.measuredAt < STORAGE_CACHE_TTL_MS) {
+      return cached.bytes;
+    }
+
+    const result = await query(`
+      SELECT COALESCE(SUM(pg_total_relation_size(quote_ident(schemaname) || '.' || quote_ident(tablename))), 0) as bytes
+      FROM pg_tables
+      WHERE schemaname = $1
+    `, [tenantSchema]);
+
+    const bytes = parseInt(result.rows[0].bytes);
+    storageCache.set(tenantSchema, { bytes, measuredAt: Date.now() });
+
+    return bytes;
+  }
+
+  /**
+   * Construir el detalle de uso de un recurso
+   * @param {number} used - Cantidad en uso
+   * @param {number} limit - Límite del plan (null = ilimitado)
+   * @returns {Object} { used, limit, percent }
+   */
+  static buildUsage(used, limit) {
+    return {
+      used,
+      limit,
+      percent: limit ? Math.round((used / limit) * 10000) / 100 : 0
+    };
+  }
+
+  /**
+   * Obtener el uso actual frente a los límites del plan
+   * @param {string} tenantSchema - Schema del tenant
+   * @returns {Promise<Object>} Uso de productos, usuarios y almacenamiento
+   */
+  static async getUsage(tenantSchema) {
+    try {
+      const tenant = await this.getLimits(tenantSchema);
+
+      const [productsResult, usersResult, storageBytes] = await Promise.all([
+        query(`SELECT COUNT(*) as count FROM "${tenantSchema}".products WHERE active = true`),
+        query('SELECT COUNT(*) as count FROM public.tenant_users WHERE tenant_id = $1 AND active = true', [tenant.id]),
+        this.getSchemaSizeBytes(tenantSchema, false)
+      ]);
+
+      const storageGb = Math.round((storageBytes / BYTES_PER_GB) * 1000) / 1000;
+
+      const usage = {
+        plan: tenant.plan,
+        products: this.buildUsage(parseInt(productsResult.rows[0].count), tenant.max_products),
+        users: this.buildUsage(parseInt(usersResult.rows[0].count), tenant.max_users),
+        storage_gb: this.buildUsage(storageGb, tenant.max_storage_gb)
+      };
+      usage.storage_gb.used_bytes = storageBytes;
+
+      usage.warnings = ['products', 'users', 'storage_gb']
+        .filter(resource => usage[resource].percent >= QUOTA_WARNING_PERCENT)
+        .map(resource => ({
+          resource,
+          percent: usage[resource].percent,
+          level: usage[resource].percent >= 100 ? 'exceeded' : 'warning'
+        }));
+
+      return usage;
+
+    } catch (error) {
+      console.error('💥 Error obteniendo uso del tenant:', error.message);
+      throw new Error(`Error obteniendo uso del tenant: ${error.message}`);
+    }
+  }
+
+  /**
+   * Verificar que se puedan crear más productos
+   * Llamar con la transacción del alta: el bloqueo del tenant evita que dos altas
+   * concurrentes pasen ambas la verificación
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {number} additional - Productos que se quieren crear
+   * @param {Object} db - Cliente de transacción opcional (por defecto el pool)
+   */
+  static async assertProductQuota(tenantSchema, additional = 1, db = null) {
+    const tenant = await this.getLimits(tenantSchema, db);
+    if (!tenant.max_products) {
+      return;
+    }
+
+    const runQuery = db ? db.query.bind(db) : query;
+    const result = await runQuery(`SELECT COUNT(*) as count FROM "${tenantSchema}".products WHERE active = true`);
+    const used = parseInt(result.rows[0].count);
+
+    if (used + additional > tenant.max_products) {
+      throw new Error(`Cuota excedida: el plan ${tenant.plan} permite ${tenant.max_products} productos activos (en uso: ${used})`);
+    }
+  }
+
+  /**
+   * Verificar que se puedan crear más usuarios activos
+   * Llamar con la transacción del alta: el bloqueo del tenant evita que dos altas
+   * concurrentes pasen ambas la verificación
+   * @param {number} tenantId - ID del tenant
+   * @param {number} additional - Usuarios que se quieren crear o reactivar
+   * @param {Object} db - Cliente de transacción opcional (por defecto el pool)
+   */
+  static async assertUserQuota(tenantId, additional = 1, db = null) {
+    const runQuery = db ? db.query.bind(db) : query;
+
+    // Bloquear antes de contar: el conteo ve las altas ya confirmadas por quien tenía el bloqueo
+    if (db) {
+      await runQuery('SELECT id FROM public.tenants WHERE id = $1 FOR UPDATE', [tenantId]);
+    }
+
+    const result = await runQuery(`
+      SELECT t.plan, t.max_users,
+        (SELECT COUNT(*) FROM public.tenant_users u WHERE u.tenant_id = t.id AND u.active = true) as used
+      FROM public.tenants t
+      WHERE t.id = $1
+    `, [tenantId]);
+
+    const tenant = result.rows[0];
+    if (!tenant || !tenant.max_users) {
+      return;
+    }
+
+    const used = parseInt(tenant.used);
+    if (used + additional > tenant.max_users) {
+      throw new Error(`Cuota excedida: el plan ${tenant.plan} permite ${tenant.max_users} usuarios activos (en uso: ${used})`);
+    }
+  }
+
+  /**
+   * Verificar que el schema no supere el almacenamiento del plan (medición cacheada)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} tenant - Tenant ya cargado con plan y max_storage_gb (opcional)
+   */
+  static async assertStorageQuota(tenantSchema, tenant = null) {
+    tenant = tenant || await this.getLimits(tenantSchema);
+    if (!tenant.max_storage_gb) {
+      return;
+    }
+
+    const bytes = await this.getSchemaSizeBytes(tenantSchema);
+    if (bytes >= tenant.max_storage_gb * BYTES_PER_GB) {
+      const usedGb = (bytes / BYTES_PER_GB).toFixed(2);
+      throw new Error(`Cuota excedida: el plan ${tenant.plan} permite ${tenant.max_storage_gb} GB de almacenamiento (en uso: ${usedGb} GB)`);
+    }
+  }
+
+  /**
+   * Emitir insights de advertencia cuando un recurso alcanza el 80% (o el 100%) de su cuota
+   * No duplica un insight activo para el mismo recurso y nivel
+   * @param {string} tenantSchema - Schema del tenant
+   * @returns {Promise<Array>} Insights generados
+   */
+  static async checkSoftLimits(tenantSchema) {
+    try {
+      const usage = await this.getUsage(tenantSchema);
+      const generatedInsights = [];
+
+      const labels = {
+        products: 'productos activos',
+        users: 'usuarios activos',
+        storage_gb: 'GB de almacenamiento'
+      };
+
+      for (const warning of usage.warnings) {
+        const existing = await query(`
+          SELECT id FROM "${tenantSchema}".insights
+          WHERE triggered_by = 'quota_monitor'
+            AND is_active = true
+            AND status NOT IN ('dismissed', 'acted')
+            AND data->>'resource' = $1
+            AND data->>'level' = $2
+            AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+          LIMIT 1
+        `, [warning.resource, warning.level]);
+
+        if (existing.rows.length > 0) {
+          continue;
+        }
+
+        const resourceUsage = usage[warning.resource];
+        const exceeded = warning.level === 'exceeded';
+
+        const insight = await Insights.create(tenantSchema, {
+          triggered_by: 'quota_monitor',
+          type: 'alert',
+          priority: exceeded ? 'critical' : 'high',
+          title: exceeded
+            ? `🚫 Límite de ${labels[warning.resource]} alcanzado`
+            : `⚠️ ${warning.percent}% del límite de ${labels[warning.resource]}`,
+          description: `El tenant usa ${resourceUsage.used} de ${resourceUsage.limit} ${labels[warning.resource]} permitidos por el plan ${usage.plan}.`,
+          recommendation: exceeded
+            ? 'Libere capacidad o actualice el plan para poder seguir creando registros.'
+            : 'Revise el uso o considere actualizar el plan antes de alcanzar el límite.',
+          business_impact: exceeded
+            ? 'Las nuevas altas se rechazan con QUOTA_EXCEEDED.'
+            : 'Al alcanzar el límite se bloquearán nuevas altas.',
+          confidence: 1.0,
+          channels: ['dashboard', 'email'],
+          data: {
+            resource: warning.resource,
+            level: warning.level,
+            used: resourceUsage.used,
+            limit: resourceUsage.limit,
+            percent: warning.percent,
+            plan: usage.plan
+          },
+          expires_at: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 días
+        });
+        generatedInsights.push(insight);
+      }
+
+      return generatedInsights;
+
+    } catch (error) {
+      // Las advertencias nunca deben romper la operación que las disparó
+      console.error('💥 Error verificando advertencias de cuota:', error.message);
+      return [];
+    }
+  }
+}
+
+module.exports = QuotaService;
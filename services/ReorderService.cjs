@@ -0,0 +1,299 @@
+// =====================================================================================
+// FLUXION AI - REORDER SERVICE
+// Sugerencias de reorden a partir de la demanda diaria, el lead time y el stock de seguridad
+// =====================================================================================
+
+const { query } = require('../config/database.cjs');
+const PurchaseOrder = require('../models/PurchaseOrder.cjs');
+
+/**
+ * Días de cobertura adicionales al lead time (periodo entre revisiones de inventario)
+ */
+const REVIEW_PERIOD_DAYS = parseInt(process.env.STOCK_REORDER_POINT_DAYS) || 14;
+
+/**
+ * Lead time cuando el producto no tiene proveedor conocido
+ */
+const DEFAULT_LEAD_TIME_DAYS = parseInt(process.env.REORDER_DEFAULT_LEAD_TIME_DAYS) || 7;
+
+/**
+ * Ventana de historial de ventas para calcular la demanda
+ */
+const DEFAULT_DEMAND_WINDOW_DAYS = parseInt(process.env.REORDER_DEMAND_WINDOW_DAYS) || 90;
+
+/**
+ * Nivel de servicio -> factor z de la distribución normal
+ */
+const SERVICE_LEVEL_Z = [
+  [0.90, 1.28],
+  [0.95, 1.65],
+  [0.98, 2.05],
+  [0.99, 2.33]
+];
+const SERVICE_LEVEL = parseFloat(process.env.REORDER_SERVICE_LEVEL) || 0.95;
+
+/**
+ * Servicio ReorderService para calcular cuándo y cuánto reordenar
+ */
+class ReorderService {
+
+  /**
+   * Obtener el factor z para un nivel de servicio (el más cercano soportado)
+   * @param {number} serviceLevel - Nivel de servicio (0.90 - 0.99)
+   * @returns {number} Factor z
+   */
+  static getServiceLevelZ(serviceLevel) {
+    const [, z] = SERVICE_LEVEL_Z.reduce((best, entry) =>
+      Math.abs(entry[0] - serviceLevel) < Math.abs(best[0] - serviceLevel) ? entry : best
+    );
+    return z;
+  }
+
+  /**
+   * Calcular la sugerencia de un producto
+   * @param {Object} product - Fila con demanda, lead time, stock y pedidos en curso
+   * @param {Object} params - { windowDays, reviewDays, z }
+   * @returns {Object} Sugerencia del producto
+   */
+  static buildSuggestion(product, params) {
+    const { windowDays, reviewDays, z } = params;
+
+    const totalSold = parseFloat(product.total_sold) || 0;
+    const sumSquares = parseFloat(product.daily_sum_squares) || 0;
+    const avgDailyDemand = totalSold / windowDays;
+    // Varianza de la demanda diaria incluyendo los días sin ventas
+    const variance = Math.max(sumSquares / windowDays - avgDailyDemand * avgDailyDemand, 0);
+    const demandStdDev = Math.sqrt(variance);
+
+    // 0 es un plazo real (proveedor del mismo día); solo sin dato se usa el predeterminado
+    const parsedLeadTime = parseInt(product.lead_time_days);
+    const leadTimeDays = Number.isNaN(parsedLeadTime) ? DEFAULT_LEAD_TIME_DAYS : parsedLeadTime;
+    const currentStock = parseInt(product.current_stock) || 0;
+    const onOrder = parseInt(product.on_order) || 0;
+    const inventoryPosition = currentStock + onOrder;
+    const minThreshold = parseInt(product.min_stock_threshold) || 0;
+    const maxThreshold = parseInt(product.max_stock_threshold) || 0;
+
+    const safetyStock = Math.ceil(z * demandStdDev * Math.sqrt(leadTimeDays));
+    const reorderPoint = Math.max(Math.ceil(avgDailyDemand * leadTimeDays) + safetyStock, minThreshold);
+
+    let orderUpTo = Math.max(Math.ceil(avgDailyDemand * (leadTimeDays + reviewDays)) + safetyStock, reorderPoint);
+    if (maxThreshold > 0) {
+      orderUpTo = Math.min(orderUpTo, maxThreshold);
+    }
+
+    const suggestedQuantity = Math.max(orderUpTo - inventoryPosition, 0);
+
+    // Días hasta que la posición de inventario cruce el punto de reorden
+    let daysUntilReorder = 0;
+    if (inventoryPosition > reorderPoint) {
+      daysUntilReorder = avgDailyDemand > 0
+        ? Math.floor((inventoryPosition - reorderPoint) / avgDailyDemand)
+        : null;
+    }
+
+    let status = 'ok';
+    if (inventoryPosition <= reorderPoint) {
+      status = 'reorder_now';
+    } else if (daysUntilReorder !== null && daysUntilReorder <= reviewDays) {
+      status = 'reorder_soon';
+    }
+
+    const reorderDate = daysUntilReorder === null
+      ? null
+      : new Date(Date.now() + daysUntilReorder * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+    return {
+      product_id: product.id,
+      sku: product.sku,
+      name: product.name,
+      category: product.category,
+      supplier_id: product.supplier_id,
+      supplier_name: product.supplier_name,
+      current_stock: currentStock,
+      on_order: onOrder,
+      inventory_position: inventoryPosition,
+      avg_daily_demand: Math.round(avgDailyDemand * 100) / 100,
+      demand_std_dev: Math.round(demandStdDev * 100) / 100,
+      lead_time_days: leadTimeDays,
+      safety_stock: safetyStock,
+      reorder_point: reorderPoint,
+      order_up_to: orderUpTo,
+      suggested_quantity: status === 'ok' ? 0 : suggestedQuantity,
+      unit_cost: product.last_unit_cost !== null ? parseFloat(product.last_unit_cost) : parseFloat(product.cost_price),
+      days_of_cover: avgDailyDemand > 0 ? Math.floor(currentStock / avgDailyDemand) : null,
+      reorder_date: reorderDate,
+      status
+    };
+  }
+
+  /**
+   * Obtener sugerencias de reorden
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Object} options - { days (historial), include_all, product_id, supplier_id }
+   * @returns {Promise<Array>} Sugerencias ordenadas por urgencia
+   */
+  static async getSuggestions(tenantSchema, options = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      const windowDays = parseInt(options.days) || DEFAULT_DEMAND_WINDOW_DAYS;
+      const params = {
+        windowDays,
+        reviewDays: REVIEW_PERIOD_DAYS,
+        z: this.getServiceLevelZ(SERVICE_LEVEL)
+      };
+
+      const conditions = ['p.active = true'];
+      const queryParams = [windowDays];
+      let paramIndex = 2;
+
+      if (options.product_id) {
+        conditions.push(`p.id = $${paramIndex}`);
+        queryParams.push(options.product_id);
+        paramIndex++;
+      }
+
+      const result = await query(`
+        WITH daily_sales AS (
+          SELECT sd.product_id, s.sale_date, SUM(sd.quantity) as quantity
+          FROM "${tenantSchema}".sale_details sd
+          JOIN "${tenantSchema}".sales s ON sd.sale_id = s.id
+          WHERE s.sale_date > CURRENT_DATE - $1::int
+            AND s.payment_status <> 'cancelado'
+          GROUP BY sd.product_id, s.sale_date
+        ),
+        demand AS (
+          SELECT product_id, SUM(quantity) as total_sold, SUM(quantity * quantity) as daily_sum_squares
+          FROM daily_sales
+          GROUP BY product_id
+        ),
+        on_order AS (
+          SELECT l.product_id, SUM(l.quantity_ordered - l.quantity_received) as on_order
+          FROM "${tenantSchema}".purchase_order_lines l
+          JOIN "${tenantSchema}".purchase_orders po ON l.purchase_order_id = po.id
+          WHERE po.status IN ('borrador', 'aprobada', 'parcial')
+          GROUP BY l.product_id
+        ),
+        last_purchase AS (
+          SELECT DISTINCT ON (l.product_id) l.product_id, po.supplier_id, l.unit_cost
+          FROM "${tenantSchema}".purchase_order_lines l
+          JOIN "${tenantSchema}".purchase_orders po ON l.purchase_order_id = po.id
+          WHERE po.status <> 'cancelada'
+          ORDER BY l.product_id, po.order_date DESC, po.id DESC
+        )
+        SELECT
+          p.id, p.sku, p.name, p.category, p.current_stock, p.cost_price,
+          p.min_stock_threshold, p.max_stock_threshold,
+          COALESCE(d.total_sold, 0) as total_sold,
+          COALESCE(d.daily_sum_squares, 0) as daily_sum_squares,
+          COALESCE(oo.on_order, 0) as on_order,
+          sup.id as supplier_id, sup.business_name as supplier_name, sup.lead_time_days,
+          CASE WHEN lp.supplier_id = sup.id THEN lp.unit_cost END as last_unit_cost
+        FROM "${tenantSchema}".products p
+        LEFT JOIN demand d ON d.product_id = p.id
+        LEFT JOIN on_order oo ON oo.product_id = p.id
+        LEFT JOIN last_purchase lp ON lp.product_id = p.id
+        LEFT JOIN "${tenantSchema}".suppliers sup
+          ON sup.id = COALESCE(p.preferred_supplier_id, lp.supplier_id) AND sup.active = true
+        WHERE ${conditions.join(' AND ')}
+      `, queryParams);
+
+      let suggestions = result.rows.map(product => this.buildSuggestion(product, params));
+
+      if (options.supplier_id) {
+        suggestions = suggestions.filter(suggestion => suggestion.supplier_id === parseInt(options.supplier_id));
+      }
+
+      if (!options.include_all) {
+        suggestions = suggestions.filter(suggestion => suggestion.status !== 'ok' && suggestion.suggested_quantity > 0);
+      }
+
+      const urgency = { reorder_now: 0, reorder_soon: 1, ok: 2 };
+      suggestions.sort((a, b) =>
+        urgency[a.status] - urgency[b.status] ||
+        (a.days_of_cover === null ? Infinity : a.days_of_cover) - (b.days_of_cover === null ? Infinity : b.days_of_cover)
+      );
+
+      return suggestions;
+
+    } catch (error) {
+      console.error('💥 Error calculando sugerencias de reorden:', error.message);
+      throw new Error(`Error calculando sugerencias de reorden: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convertir sugerencias aceptadas en órdenes de compra en borrador (una por proveedor)
+   * @param {string} tenantSchema - Schema del tenant
+   * @param {Array} items - [{ product_id, quantity?, supplier_id?, unit_cost? }]
+   * @param {Object} context - Contexto de auditoría { userId, ip, userAgent }
+   * @returns {Promise<Array>} Órdenes de compra creadas
+   */
+  static async acceptSuggestions(tenantSchema, items = [], context = {}) {
+    if (!tenantSchema) {
+      throw new Error('tenantSchema es requerido para operaciones multi-tenant');
+    }
+
+    try {
+      if (items.length === 0) {
+        throw new Error('Debe indicar al menos un producto a reordenar');
+      }
+
+      const suggestions = await this.getSuggestions(tenantSchema, { include_all: true });
+      const byProduct = new Map(suggestions.map(suggestion => [suggestion.product_id, suggestion]));
+
+      // Agrupar líneas por proveedor
+      const bySupplier = new Map();
+      items.forEach(item => {
+        const suggestion = byProduct.get(parseInt(item.product_id));
+        if (!suggestion) {
+          throw new Error(`Producto con ID ${item.product_id} no encontrado o inactivo`);
+        }
+
+        const supplierId = item.supplier_id ? parseInt(item.supplier_id) : suggestion.supplier_id;
+        if (!supplierId) {
+          throw new Error(`Sin proveedor para ${suggestion.sku}: asigne preferred_supplier_id o indique supplier_id`);
+        }
+
+        const quantity = item.quantity !== undefined ? parseInt(item.quantity) : suggestion.suggested_quantity;
+        if (!quantity || quantity <= 0) {
+          throw new Error(`Cantidad inválida para ${suggestion.sku}: debe ser mayor a 0`);
+        }
+
+        if (!bySupplier.has(supplierId)) {
+          bySupplier.set(supplierId, []);
+        }
+        bySupplier.get(supplierId).push({
+          product_id: suggestion.product_id,
+          quantity,
+          unit_cost: item.unit_cost !== undefined ? item.unit_cost : suggestion.unit_cost
+        });
+      });
+
+      const datePrefix = new Date().toISOString().split('T')[0].replace(/-/g, '');
+      const orders = [];
+
+      for (const [supplierId, lines] of bySupplier) {
+        const order = await PurchaseOrder.create(tenantSchema, {
+          po_number: `OC-REORD-${datePrefix}-${supplierId}-${Date.now().toString(36).toUpperCase()}`,
+          supplier_id: supplierId,
+          notes: 'Generada desde sugerencias de reorden',
+          lines
+        }, context);
+        orders.push(order);
+      }
+
+      console.log(`🛒 ${orders.length} órdenes de compra en borrador generadas desde sugerencias de reorden`);
+      return orders;
+
+    } catch (error) {
+      console.error('💥 Error aceptando sugerencias de reorden:', error.message);
+      throw new Error(`Error aceptando sugerencias de reorden: ${error.message}`);
+    }
+  }
+}
+
+module.exports = ReorderService;
@@ -3,7 +3,16 @@
 // Servicio para gestión de tenants (clientes) con schemas separados
 // =====================================================================================
 
-const { query } = require('../config/database.cjs');
+const { query, withTransaction } = require('../config/database.cjs');
+const AuthService = require('./AuthService.cjs');
+const QuotaService = require('./QuotaService.cjs');
+const { migrateTenantSchema } = require('../database/tenant-migrations.cjs');
+const { checkSchemaDrift } = require('../database/schema-drift.cjs');
+
+/**
+ * Días de gracia tras el fin del trial o de la suscripción antes de pasar a solo lectura
+ */
+const SUBSCRIPTION_GRACE_DAYS = parseInt(process.env.SUBSCRIPTION_GRACE_DAYS) || 7;
 
 /**
  * Servicio TenantService para gestión multi-tenant con schemas por cliente
@@ -16,8 +25,6 @@ class TenantService {
    * @returns {Promise<Object>} Tenant creado
    */
   static async createTenant(tenantData) {
-    const client = await query('BEGIN');
-    
     try {
       const {
         tenant_code,
@@ -31,6 +38,9 @@ class TenantService {
         plan = 'basic',
         max_users = 5,
         max_products = 1000,
+        max_storage_gb = 5,
+        trial_ends_at = null,
+        subscription_ends_at = null,
         active = true
       } = tenantData;
 
@@ -39,53 +49,71 @@ class TenantService {
         throw new Error('El código del tenant solo puede contener letras minúsculas, números y guiones bajos');
       }
 
-      // Verificar que no exista el tenant
-      const existingTenant = await query(
-        'SELECT id FROM public.tenants WHERE tenant_code = $1',
-        [tenant_code]
-      );
-
-      if (existingTenant.rows.length > 0) {
-        throw new Error(`Ya existe un tenant con código: ${tenant_code}`);
-      }
+      // Registro, schema, datos iniciales y usuario admin en una sola transacción:
+      // si algo falla no queda un tenant a medio crear
+      const createdTenant = await withTransaction(null, async (db) => {
+        // Verificar que no exista el tenant
+        const existingTenant = await db.query(
+          'SELECT id FROM public.tenants WHERE tenant_code = $1',
+          [tenant_code]
+        );
+
+        if (existingTenant.rows.length > 0) {
+          throw new Error(`Ya existe un tenant con código: ${tenant_code}`);
+        }
 
-      // Crear registro del tenant en la tabla principal
-      const tenantResult = await query(`
-        INSERT INTO public.tenants (
+        // Crear registro del tenant en la tabla principal
+        const tenantResult = await db.query(`
+          INSERT INTO public.tenants (
+            tenant_code, company_name, contact_person, email, phone,
+            address, city, state, plan, max_users, max_products, max_storage_gb,
+            trial_ends_at, subscription_ends_at, active
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+          RETURNING *
+        `, [
           tenant_code, company_name, contact_person, email, phone,
-          address, city, state, plan, max_users, max_products, active
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
-        RETURNING *
-      `, [
-        tenant_code, company_name, contact_person, email, phone,
-        address, city, state, plan, max_users, max_products, active
-      ]);
-
-      const tenant = tenantResult.rows[0];
-
-      // Crear schema dedicado para el tenant
-      const schemaName = `tenant_${tenant_code}`;
-      await query(`CREATE SCHEMA IF NOT EXISTS "${schemaName}"`);
-
-      // Crear todas las tablas en el schema del tenant
-      await this.createTenantSchema(schemaName);
-
-      // Insertar datos iniciales si se proporcionan
-      if (tenantData.initialData) {
-        await this.insertInitialData(schemaName, tenantData.initialData);
-      }
+          address, city, state, plan, max_users, max_products, max_storage_gb,
+          trial_ends_at, subscription_ends_at, active
+        ]);
+
+        const tenant = tenantResult.rows[0];
 
-      await query('COMMIT');
+        // Crear schema dedicado para el tenant
+        const schemaName = `tenant_${tenant_code}`;
+        await db.query(`CREATE SCHEMA IF NOT EXISTS "${schemaName}"`);
 
-      console.log(`✅ Tenant creado exitosamente: ${tenant_code} (Schema: ${schemaName})`);
+        // Crear todas las tablas en el schema del tenant
+        await this.createTenantSchema(schemaName, db);
+
+        // Llevar el schema nuevo a la última versión de migraciones
+        await migrateTenantSchema(schemaName, { db });
+
+        // Insertar datos iniciales si se proporcionan
+        if (tenantData.initialData) {
+          await this.insertInitialData(schemaName, tenantData.initialData, db);
+        }
+
+        // Crear usuario administrador inicial (primer login del tenant)
+        let adminUser = null;
+        if (tenantData.admin_user) {
+          adminUser = await AuthService.createUser(tenant, {
+            ...tenantData.admin_user,
+            role: 'admin'
+          }, db);
+        }
+
+        return {
+          ...tenant,
+          schema_name: schemaName,
+          admin_user: adminUser
+        };
+      });
+
+      console.log(`✅ Tenant creado exitosamente: ${tenant_code} (Schema: ${createdTenant.schema_name})`);
       
-      return {
-        ...tenant,
-        schema_name: schemaName
-      };
+      return createdTenant;
 
     } catch (error) {
-      await query('ROLLBACK');
       console.error('💥 Error creando tenant:', error.message);
       throw new Error(`Error creando tenant: ${error.message}`);
     }
@@ -94,8 +122,9 @@ class TenantService {
   /**
    * Crear el schema completo para un tenant
    * @param {string} schemaName - Nombre del schema
+   * @param {Object} db - Cliente de transacción opcional (por defecto el pool)
    */
-  static async createTenantSchema(schemaName) {
+  static async createTenantSchema(schemaName, db = null) {
     try {
       console.log(`🏗️ Creando schema para tenant: ${schemaName}`);
 
@@ -127,7 +156,8 @@ class TenantService {
         .replace(/ON insights/g, `ON "${schemaName}".insights`);
 
       // Ejecutar el schema adaptado
-      await query(schemaSQL);
+      const runQuery = db ? db.query.bind(db) : query;
+      await runQuery(schemaSQL);
 
       console.log(`✅ Schema ${schemaName} creado exitosamente`);
 
@@ -141,14 +171,20 @@ class TenantService {
    * Insertar datos iniciales en el schema del tenant
    * @param {string} schemaName - Nombre del schema
    * @param {Object} initialData - Datos iniciales
+   * @param {Object} db - Cliente de transacción opcional (por defecto el pool)
    */
-  static async insertInitialData(schemaName, initialData) {
+  static async insertInitialData(schemaName, initialData, db = null) {
+    const runQuery = db ? db.query.bind(db) : query;
+
     try {
       console.log(`🌱 Insertando datos iniciales para ${schemaName}`);
 
       if (initialData.products) {
+        const activeProducts = initialData.products.filter(product => product.active !== false);
+        await QuotaService.assertProductQuota(schemaName, activeProducts.length, db);
+
         for (const product of initialData.products) {
-          await query(`
+          await runQuery(`
             INSERT INTO "${schemaName}".products (
               sku, name, category, brand, cost_price, selling_price,
               current_stock, min_stock_threshold, max_stock_threshold, active
@@ -160,11 +196,30 @@ class TenantService {
             product.active !== false
           ]);
         }
+
+        // Stock inicial en el almacén predeterminado (creado por la migración 005)
+        await runQuery(`
+          INSERT INTO "${schemaName}".product_stock (product_id, warehouse_id, quantity)
+          SELECT p.id, w.id, p.current_stock
+          FROM "${schemaName}".products p
+          CROSS JOIN "${schemaName}".warehouses w
+          WHERE w.is_default
+          ON CONFLICT (product_id, warehouse_id) DO NOTHING
+        `);
+
+        // Capa de costo de apertura (migración 007) al costo de cada producto
+        await runQuery(`
+          INSERT INTO "${schemaName}".cost_layers (product_id, warehouse_id, unit_cost, quantity_received, quantity_remaining)
+          SELECT ps.product_id, ps.warehouse_id, COALESCE(p.cost_price, 0), ps.quantity, ps.quantity
+          FROM "${schemaName}".product_stock ps
+          JOIN "${schemaName}".products p ON ps.product_id = p.id
+          WHERE ps.quantity > 0
+        `);
       }
 
       if (initialData.clients) {
         for (const client of initialData.clients) {
-          await query(`
+          await runQuery(`
             INSERT INTO "${schemaName}".clients (
               client_code, business_name, contact_person, email, phone,
               address, city, state, client_type, credit_limit, active
@@ -196,8 +251,8 @@ class TenantService {
       const result = await query(`
         SELECT 
           id, tenant_code, company_name, contact_person, email, phone,
-          address, city, state, plan, max_users, max_products, active,
-          created_at, updated_at,
+          address, city, state, plan, max_users, max_products, max_storage_gb, active,
+          trial_ends_at, subscription_ends_at, created_at, updated_at,
           CONCAT('tenant_', tenant_code) as schema_name
         FROM public.tenants 
         WHERE tenant_code = $1 AND active = true
@@ -220,8 +275,8 @@ class TenantService {
       const result = await query(`
         SELECT 
           id, tenant_code, company_name, contact_person, email, phone,
-          city, state, plan, max_users, max_products, active,
-          created_at, updated_at,
+          city, state, plan, max_users, max_products, max_storage_gb, active,
+          trial_ends_at, subscription_ends_at, created_at, updated_at,
           CONCAT('tenant_', tenant_code) as schema_name
         FROM public.tenants 
         ORDER BY created_at DESC
@@ -325,6 +380,105 @@ class TenantService {
     }
   }
 
+  /**
+   * Calcular el estado de suscripción de un tenant
+   * Manda la fecha más lejana entre subscription_ends_at y trial_ends_at
+   * (así un trial extendido vale aunque haya una suscripción vencida).
+   * Sin ninguna fecha el tenant se considera activo sin vencimiento.
+   * @param {Object} tenant - Tenant con trial_ends_at y subscription_ends_at
+   * @returns {Object} { status: active|trialing|grace_period|expired, ends_at, grace_ends_at, days_remaining }
+   */
+  static getSubscriptionStatus(tenant) {
+    const subscriptionEndsMs = tenant.subscription_ends_at ? new Date(tenant.subscription_ends_at).getTime() : null;
+    const trialEndsMs = tenant.trial_ends_at ? new Date(tenant.trial_ends_at).getTime() : null;
+
+    if (subscriptionEndsMs === null && trialEndsMs === null) {
+      return { status: 'active', ends_at: null, grace_ends_at: null, days_remaining: null };
+    }
+
+    const isTrial = subscriptionEndsMs === null || (trialEndsMs !== null && trialEndsMs > subscriptionEndsMs);
+    const now = Date.now();
+    const endsAtMs = isTrial ? trialEndsMs : subscriptionEndsMs;
+    const graceEndsAtMs = endsAtMs + SUBSCRIPTION_GRACE_DAYS * 24 * 60 * 60 * 1000;
+
+    let status;
+    if (now <= endsAtMs) {
+      status = isTrial ? 'trialing' : 'active';
+    } else if (now <= graceEndsAtMs) {
+      status = 'grace_period';
+    } else {
+      status = 'expired';
+    }
+
+    return {
+      status,
+      ends_at: new Date(endsAtMs).toISOString(),
+      grace_ends_at: new Date(graceEndsAtMs).toISOString(),
+      days_remaining: Math.max(0, Math.ceil((endsAtMs - now) / (24 * 60 * 60 * 1000)))
+    };
+  }
+
+  /**
+   * Extender el trial de un tenant
+   * Con days se suma a partir del fin actual del trial (o de hoy si ya venció)
+   * @param {string} tenantCode - Código del tenant
+   * @param {Object} options - { days } o { trial_ends_at }
+   * @returns {Promise<Object|null>} Tenant actualizado con su estado de suscripción
+   */
+  static async extendTrial(tenantCode, options = {}) {
+    try {
+      const { days, trial_ends_at } = options;
+      let newTrialEndsAt;
+
+      if (trial_ends_at) {
+        newTrialEndsAt = new Date(trial_ends_at);
+        if (isNaN(newTrialEndsAt.getTime())) {
+          throw new Error('trial_ends_at no es una fecha válida');
+        }
+      } else {
+        const extraDays = parseInt(days);
+        if (!extraDays || extraDays <= 0) {
+          throw new Error('Debe indicar days (> 0) o trial_ends_at');
+        }
+
+        const current = await query(
+          'SELECT trial_ends_at FROM public.tenants WHERE tenant_code = $1',
+          [tenantCode]
+        );
+        if (current.rows.length === 0) {
+          return null;
+        }
+
+        const currentEnd = current.rows[0].trial_ends_at ? new Date(current.rows[0].trial_ends_at).getTime() : 0;
+        const base = Math.max(Date.now(), currentEnd);
+        newTrialEndsAt = new Date(base + extraDays * 24 * 60 * 60 * 1000);
+      }
+
+      const result = await query(`
+        UPDATE public.tenants
+        SET trial_ends_at = $1, updated_at = CURRENT_TIMESTAMP
+        WHERE tenant_code = $2
+        RETURNING tenant_code, plan, trial_ends_at, subscription_ends_at
+      `, [newTrialEndsAt, tenantCode]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const tenant = result.rows[0];
+      console.log(`✅ Trial de ${tenantCode} extendido hasta ${newTrialEndsAt.toISOString()}`);
+
+      return {
+        ...tenant,
+        subscription: this.getSubscriptionStatus(tenant)
+      };
+
+    } catch (error) {
+      console.error('💥 Error extendiendo trial:', error.message);
+      throw new Error(`Error extendiendo trial: ${error.message}`);
+    }
+  }
+
   /**
    * Eliminar completamente un tenant y su schema (PELIGROSO)
    * @param {string} tenantCode - Código del tenant
@@ -336,8 +490,6 @@ class TenantService {
       throw new Error('Debe confirmar explícitamente la eliminación del tenant');
     }
 
-    const client = await query('BEGIN');
-    
     try {
       const tenant = await this.getTenant(tenantCode);
       if (!tenant) {
@@ -346,43 +498,45 @@ class TenantService {
 
       const schemaName = tenant.schema_name;
 
-      // Eliminar schema completo
-      await query(`DROP SCHEMA IF EXISTS "${schemaName}" CASCADE`);
-
-      // Eliminar registro del tenant
-      await query('DELETE FROM public.tenants WHERE tenant_code = $1', [tenantCode]);
+      await withTransaction(null, async (db) => {
+        // Eliminar schema completo
+        await db.query(`DROP SCHEMA IF EXISTS "${schemaName}" CASCADE`);
 
-      await query('COMMIT');
+        // Eliminar registro del tenant
+        await db.query('DELETE FROM public.tenants WHERE tenant_code = $1', [tenantCode]);
+      });
 
       console.log(`⚠️ Tenant ${tenantCode} y schema ${schemaName} eliminados PERMANENTEMENTE`);
       return true;
 
     } catch (error) {
-      await query('ROLLBACK');
       console.error('💥 Error eliminando tenant:', error.message);
       throw new Error(`Error eliminando tenant: ${error.message}`);
     }
   }
 
   /**
-   * Migrar tenant existente a nueva versión de schema
+   * Migrar tenant existente a la última versión de schema
    * @param {string} tenantCode - Código del tenant
-   * @returns {Promise<boolean>} True si se migró exitosamente
+   * @param {Object} options - { dryRun } para listar pendientes sin aplicarlas
+   * @returns {Promise<Object>} { schema_name, applied, pending, dry_run }
    */
-  static async migrateTenant(tenantCode) {
+  static async migrateTenant(tenantCode, options = {}) {
     try {
       const tenant = await this.getTenant(tenantCode);
       if (!tenant) {
         throw new Error(`Tenant ${tenantCode} no encontrado`);
       }
 
-      const schemaName = tenant.schema_name;
+      const result = await migrateTenantSchema(tenant.schema_name, { dryRun: options.dryRun === true });
 
-      // Aquí puedes agregar lógica de migración específica
-      // Por ejemplo, añadir nuevas columnas, índices, etc.
-      
-      console.log(`✅ Tenant ${tenantCode} migrado exitosamente`);
-      return true;
+      if (result.dry_run) {
+        console.log(`🔍 Tenant ${tenantCode}: ${result.pending.length} migraciones pendientes`);
+      } else {
+        console.log(`✅ Tenant ${tenantCode} migrado exitosamente (${result.applied.length} migraciones aplicadas)`);
+      }
+
+      return result;
 
     } catch (error) {
       console.error('💥 Error migrando tenant:', error.message);
@@ -390,6 +544,69 @@ class TenantService {
     }
   }
 
+  /**
+   * Migrar todos los tenants, uno por uno
+   * Un fallo en un tenant no detiene al resto; se reporta en su resultado
+   * @param {Object} options - { dryRun }
+   * @returns {Promise<Object>} Resumen con el resultado por tenant
+   */
+  static async migrateAllTenants(options = {}) {
+    try {
+      const tenants = await this.getAllTenants();
+      const results = [];
+
+      for (const tenant of tenants) {
+        try {
+          const result = await this.migrateTenant(tenant.tenant_code, options);
+          results.push({ tenant_code: tenant.tenant_code, success: true, ...result });
+        } catch (error) {
+          results.push({
+            tenant_code: tenant.tenant_code,
+            schema_name: tenant.schema_name,
+            success: false,
+            error: error.message
+          });
+        }
+      }
+
+      const failed = results.filter(result => !result.success).length;
+
+      console.log(`🗂️ Migración masiva${options.dryRun ? ' (dry-run)' : ''}: ${results.length - failed}/${results.length} tenants OK`);
+
+      return {
+        dry_run: options.dryRun === true,
+        total: results.length,
+        succeeded: results.length - failed,
+        failed,
+        results
+      };
+
+    } catch (error) {
+      console.error('💥 Error migrando tenants:', error.message);
+      throw new Error(`Error migrando tenants: ${error.message}`);
+    }
+  }
+
+  /**
+   * Comparar el schema de un tenant con las columnas que usan los modelos
+   * @param {string} tenantCode - Código del tenant
+   * @returns {Promise<Object>} Reporte de drift (ver database/schema-drift.cjs)
+   */
+  static async getSchemaDrift(tenantCode) {
+    try {
+      const tenant = await this.getTenant(tenantCode);
+      if (!tenant) {
+        throw new Error(`Tenant ${tenantCode} no encontrado`);
+      }
+
+      return await checkSchemaDrift(tenant.schema_name);
+
+    } catch (error) {
+      console.error('💥 Error verificando schema del tenant:', error.message);
+      throw new Error(`Error verificando schema del tenant: ${error.message}`);
+    }
+  }
+
   /**
    * Validar que un schema de tenant existe
    * @param {string} schemaName - Nombre del schema
@@ -0,0 +1,31 @@
+// =====================================================================================
+// FLUXION AI - AUTH SERVICE TESTS
+// Verificación de contraseñas contra hashes scrypt válidos y mal formados
+// =====================================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const AuthService = require('../services/AuthService.cjs');
+
+test('verifyPassword acepta la contraseña correcta y rechaza otra', async () => {
+  const hash = await AuthService.hashPassword('secreto123');
+
+  assert.strictEqual(await AuthService.verifyPassword('secreto123', hash), true);
+  assert.strictEqual(await AuthService.verifyPassword('secreto124', hash), false);
+});
+
+test('verifyPassword devuelve false ante un hash mal formado', async () => {
+  const hash = await AuthService.hashPassword('secreto123');
+  const [algorithm, cost, salt, key] = hash.split('$');
+
+  const malformed = [
+    [algorithm, 'abc', salt, key],
+    [algorithm, '1000', salt, key],
+    [algorithm, String(Number(cost) * 2), salt, key],
+    [algorithm, cost, salt, 'zz']
+  ];
+
+  for (const parts of malformed) {
+    assert.strictEqual(await AuthService.verifyPassword('secreto123', parts.join('$')), false);
+  }
+});
@@ -0,0 +1,86 @@
+// =====================================================================================
+// FLUXION AI - FORECAST SERVICE TESTS
+// Holt-Winters aditivo amortiguado: índice estacional y proyección de la tendencia
+// =====================================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ForecastService = require('../services/ForecastService.cjs');
+
+const SEASON = [10, 20, 30, 40];
+const seasonalSeries = seasons => Array.from({ length: seasons }, () => SEASON).flat();
+
+test('runHoltWinters alinea cada periodo con su índice estacional', () => {
+  const values = seasonalSeries(4);
+  const state = ForecastService.runHoltWinters(values, { alpha: 0, beta: 0, gamma: 0, phi: 1, seasonLength: 4 });
+
+  assert.deepStrictEqual(state.fitted.slice(4), values.slice(4));
+  assert.strictEqual(state.sse, 0);
+  assert.strictEqual(state.observations, values.length - 4);
+});
+
+test('project continúa la temporada desde el periodo siguiente al último observado', () => {
+  const values = seasonalSeries(4).slice(0, 14);
+  const state = ForecastService.runHoltWinters(values, { alpha: 0, beta: 0, gamma: 0, phi: 1, seasonLength: 4 });
+  const model = { alpha: 0, beta: 0, gamma: 0, phi: 1, seasonLength: 4, state, sigma: 0 };
+
+  const points = ForecastService.project(model, 6, 1.96);
+
+  assert.deepStrictEqual(points.map(point => point.quantity), [30, 40, 10, 20, 30, 40]);
+});
+
+test('fit detecta la estacionalidad cuando hay dos temporadas completas', () => {
+  const model = ForecastService.fit(seasonalSeries(3), 4);
+
+  assert.strictEqual(model.seasonLength, 4);
+  assert.ok(model.state.sse < 1e-9);
+});
+
+test('fit omite la estacionalidad con menos de dos temporadas completas', () => {
+  const model = ForecastService.fit(seasonalSeries(2), 4);
+
+  assert.strictEqual(model.seasonLength, 0);
+  assert.strictEqual(model.gamma, 0);
+});
+
+test('project amortigua la tendencia con phi^h acumulado', () => {
+  const model = {
+    alpha: 0.5, beta: 0.1, gamma: 0, phi: 0.5, seasonLength: 0, sigma: 0,
+    state: { level: 100, trend: 10, seasonals: [], fitted: [100] }
+  };
+
+  const points = ForecastService.project(model, 4, 1.96);
+
+  assert.deepStrictEqual(points.map(point => point.quantity), [105, 107.5, 108.75, 109.375]);
+});
+
+test('project ensancha el intervalo con el horizonte', () => {
+  const model = {
+    alpha: 0.5, beta: 0.1, gamma: 0, phi: 0.9, seasonLength: 0, sigma: 5,
+    state: { level: 100, trend: 0, seasonals: [], fitted: [100] }
+  };
+
+  const margins = ForecastService.project(model, 6, 1.96).map(point => point.upper - point.quantity);
+
+  margins.slice(1).forEach((margin, i) => assert.ok(margin > margins[i]));
+});
+
+test('project no proyecta demanda negativa', () => {
+  const model = {
+    alpha: 0.5, beta: 0.1, gamma: 0, phi: 0.9, seasonLength: 0, sigma: 5,
+    state: { level: 10, trend: -4, seasonals: [], fitted: [10] }
+  };
+
+  const points = ForecastService.project(model, 6, 1.96);
+
+  points.forEach(point => assert.ok(point.quantity >= 0 && point.lower >= 0));
+  assert.strictEqual(points[points.length - 1].quantity, 0);
+});
+
+test('backtest compara contra el ingenuo estacional sobre el tramo reservado', () => {
+  const result = ForecastService.backtest(seasonalSeries(4), 4, 4);
+
+  assert.strictEqual(result.holdout_periods, 4);
+  assert.ok(result.model.mae < 1e-6);
+  assert.strictEqual(result.seasonal_naive.mae, 0);
+});
@@ -0,0 +1,76 @@
+// =====================================================================================
+// FLUXION AI - PROMOTION TESTS
+// Reparto del descuento por línea: combos y lleve X pague Y
+// =====================================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Promotion = require('../models/Promotion.cjs');
+
+const sumDiscounts = allocation =>
+  Math.round(allocation.reduce((sum, entry) => sum + entry.discount_amount, 0) * 100) / 100;
+
+test('combo reparte el descuento según el valor de cada componente', () => {
+  const promotion = {
+    name: 'Desayuno', promotion_type: 'combo', bundle_price: '10',
+    products: [{ product_id: 1, quantity: 1 }, { product_id: 2, quantity: 1 }]
+  };
+  const lines = [
+    { product_id: 1, quantity: 3, unit_price: 10 },
+    { product_id: 2, quantity: 2, unit_price: 5 }
+  ];
+
+  const allocation = Promotion.computeDiscount(promotion, lines, new Set());
+
+  assert.deepStrictEqual(allocation.map(entry => entry.discount_amount), [6.67, 3.33]);
+  assert.strictEqual(sumDiscounts(allocation), 10);
+});
+
+test('combo asigna el residuo del redondeo al último componente', () => {
+  const promotion = {
+    name: 'Trío', promotion_type: 'combo', bundle_price: '2',
+    products: [1, 2, 3].map(productId => ({ product_id: productId, quantity: 1 }))
+  };
+  const lines = [1, 2, 3].map(productId => ({ product_id: productId, quantity: 1, unit_price: 1 }));
+
+  const allocation = Promotion.computeDiscount(promotion, lines, new Set());
+
+  assert.deepStrictEqual(allocation.map(entry => entry.discount_amount), [0.33, 0.33, 0.34]);
+  assert.strictEqual(sumDiscounts(allocation), 1);
+});
+
+test('combo ignora componentes sin línea libre', () => {
+  const promotion = {
+    name: 'Desayuno', promotion_type: 'combo', bundle_price: '10',
+    products: [{ product_id: 1, quantity: 1 }, { product_id: 2, quantity: 1 }]
+  };
+  const lines = [
+    { product_id: 1, quantity: 1, unit_price: 10 },
+    { product_id: 2, quantity: 1, unit_price: 5 }
+  ];
+
+  assert.deepStrictEqual(Promotion.computeDiscount(promotion, lines, new Set([1])), []);
+});
+
+test('lleve X pague Y descuenta solo los grupos completos', () => {
+  const promotion = {
+    name: '3x2', promotion_type: 'lleve_x_pague_y', buy_quantity: 3, pay_quantity: 2, min_quantity: 1,
+    products: [{ product_id: 1, quantity: 1 }]
+  };
+  const lines = [{ product_id: 1, quantity: 7, unit_price: 1.99 }];
+
+  const [entry] = Promotion.computeDiscount(promotion, lines, new Set());
+
+  assert.strictEqual(entry.free_quantity, 2);
+  assert.strictEqual(entry.discount_amount, 3.98);
+});
+
+test('lleve X pague Y no aplica por debajo de un grupo', () => {
+  const promotion = {
+    name: '3x2', promotion_type: 'lleve_x_pague_y', buy_quantity: 3, pay_quantity: 2, min_quantity: 1,
+    products: [{ product_id: 1, quantity: 1 }]
+  };
+  const lines = [{ product_id: 1, quantity: 2, unit_price: 1.99 }];
+
+  assert.deepStrictEqual(Promotion.computeDiscount(promotion, lines, new Set()), []);
+});
@@ -0,0 +1,31 @@
+// =====================================================================================
+// FLUXION AI - REORDER SERVICE TESTS
+// Plazo de entrega usado en el punto de reorden y el stock de seguridad
+// =====================================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ReorderService = require('../services/ReorderService.cjs');
+
+const PARAMS = { windowDays: 30, reviewDays: 7, z: 1.65 };
+
+const product = leadTimeDays => ({
+  id: 1, sku: 'SKU-1', name: 'Producto', total_sold: 300, daily_sum_squares: 3600,
+  current_stock: 50, on_order: 0, min_stock_threshold: 0, max_stock_threshold: 0,
+  cost_price: '2.00', last_unit_cost: null, lead_time_days: leadTimeDays
+});
+
+test('un plazo de entrega de 0 días no se reemplaza por el predeterminado', () => {
+  const suggestion = ReorderService.buildSuggestion(product(0), PARAMS);
+
+  assert.strictEqual(suggestion.lead_time_days, 0);
+  assert.strictEqual(suggestion.safety_stock, 0);
+  assert.strictEqual(suggestion.reorder_point, 0);
+});
+
+test('sin plazo de entrega del proveedor se usan 7 días', () => {
+  const suggestion = ReorderService.buildSuggestion(product(null), PARAMS);
+
+  assert.strictEqual(suggestion.lead_time_days, 7);
+  assert.strictEqual(suggestion.reorder_point, 70 + suggestion.safety_stock);
+});
@@ -0,0 +1,32 @@
+// =====================================================================================
+// FLUXION AI - TAX TESTS
+// Impuesto por línea con precios que excluyen o incluyen el impuesto
+// =====================================================================================
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Tax = require('../models/Tax.cjs');
+
+test('exclusive suma el impuesto redondeado a la base', () => {
+  assert.deepStrictEqual(Tax.computeLineTax(100, 16, false), { taxable_amount: 100, tax_amount: 16 });
+  assert.deepStrictEqual(Tax.computeLineTax(9.99, 16, false), { taxable_amount: 9.99, tax_amount: 1.6 });
+});
+
+test('inclusive separa la base del monto', () => {
+  assert.deepStrictEqual(Tax.computeLineTax(116, 16, true), { taxable_amount: 100, tax_amount: 16 });
+  assert.deepStrictEqual(Tax.computeLineTax(10, 16, true), { taxable_amount: 8.62, tax_amount: 1.38 });
+});
+
+test('inclusive cuadra base + impuesto con el monto en cada centavo', () => {
+  for (let cents = 1; cents <= 2000; cents++) {
+    const amount = cents / 100;
+    const { taxable_amount, tax_amount } = Tax.computeLineTax(amount, 16, true);
+
+    assert.strictEqual(Math.round((taxable_amount + tax_amount) * 100), cents);
+  }
+});
+
+test('una línea sin tasa o exenta no lleva impuesto', () => {
+  assert.deepStrictEqual(Tax.computeLineTax(25.5, 0, true), { taxable_amount: 25.5, tax_amount: 0 });
+  assert.deepStrictEqual(Tax.computeLineTax(25.5, null, false), { taxable_amount: 25.5, tax_amount: 0 });
+});